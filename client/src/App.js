@@ -10,16 +10,27 @@ import { ThemeProvider } from './context/ThemeContext';
 import Navbar from './components/Navbar';
 import Login from './components/auth/Login';
 import Register from './components/auth/Register';
+import ForgotPassword from './components/auth/ForgotPassword';
+import ResetPassword from './components/auth/ResetPassword';
+import VerifyEmail from './components/auth/VerifyEmail';
+import SsoCallback from './components/auth/SsoCallback';
+import SsoReauth from './components/auth/SsoReauth';
+import UnlockAccount from './components/auth/UnlockAccount';
+import EmailVerificationBanner from './components/auth/EmailVerificationBanner';
 import Dashboard from './components/Dashboard';
 import Board from './components/Board';
+import Settings from './components/settings/Settings';
+import Timesheet from './components/Timesheet';
+import WorkspaceSettings from './components/workspaces/WorkspaceSettings';
 import LoadingSpinner from './components/common/LoadingSpinner';
+import { getHomePath } from './utils/dates';
 
 // Styles
 import './App.css';
 
 function App() {
   const dispatch = useDispatch();
-  const { user, isLoading } = useSelector((state) => state.auth);
+  const { user, isInitialized } = useSelector((state) => state.auth);
 
   useEffect(() => {
     // Check if user is authenticated on app load
@@ -33,7 +44,8 @@ function App() {
     }
   }, [user, dispatch]);
 
-  if (isLoading) {
+  // Only block the app while the stored session is checked, not during every auth request
+  if (!isInitialized) {
     return (
       <div className="min-h-screen flex items-center justify-center bg-gray-50">
         <LoadingSpinner size="large" />
@@ -62,16 +74,41 @@ function App() {
             }}
           />
           {user && <Navbar />}
+          {user && !user.emailVerified && <EmailVerificationBanner />}
           
           <Routes>
             {/* Public Routes */}
             <Route 
               path="/login" 
-              element={!user ? <Login /> : <Navigate to="/dashboard" />} 
+              element={!user ? <Login /> : <Navigate to={getHomePath(user)} />} 
             />
             <Route 
               path="/register" 
-              element={!user ? <Register /> : <Navigate to="/dashboard" />} 
+              element={!user ? <Register /> : <Navigate to={getHomePath(user)} />} 
+            />
+            <Route 
+              path="/forgot-password" 
+              element={!user ? <ForgotPassword /> : <Navigate to={getHomePath(user)} />} 
+            />
+            <Route 
+              path="/reset-password" 
+              element={!user ? <ResetPassword /> : <Navigate to={getHomePath(user)} />} 
+            />
+            <Route 
+              path="/sso/callback" 
+              element={!user ? <SsoCallback /> : <Navigate to={getHomePath(user)} />} 
+            />
+            <Route 
+              path="/sso/reauth" 
+              element={<SsoReauth />} 
+            />
+            <Route 
+              path="/unlock-account" 
+              element={!user ? <UnlockAccount /> : <Navigate to={getHomePath(user)} />} 
+            />
+            <Route 
+              path="/verify-email" 
+              element={<VerifyEmail />} 
             />
             
             {/* Protected Routes */}
@@ -83,11 +120,23 @@ function App() {
               path="/board/:id" 
               element={user ? <Board /> : <Navigate to="/login" />} 
             />
+            <Route 
+              path="/settings" 
+              element={user ? <Settings /> : <Navigate to="/login" />} 
+            />
+            <Route 
+              path="/timesheet" 
+              element={user ? <Timesheet /> : <Navigate to="/login" />} 
+            />
+            <Route 
+              path="/workspaces/:id" 
+              element={user ? <WorkspaceSettings /> : <Navigate to="/login" />} 
+            />
             
             {/* Default Route */}
             <Route 
               path="/" 
-              element={<Navigate to={user ? "/dashboard" : "/login"} />} 
+              element={<Navigate to={user ? getHomePath(user) : "/login"} />} 
             />
             
             {/* 404 Route */}
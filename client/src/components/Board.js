@@ -1,9 +1,11 @@
-import React, { useEffect, useState } from 'react';
-import { useParams } from 'react-router-dom';
+import React, { useEffect, useRef, useState } from 'react';
+import { useNavigate, useParams } from 'react-router-dom';
 import { useDispatch, useSelector } from 'react-redux';
 import { DragDropContext, Droppable, Draggable } from '@hello-pangea/dnd';
+import { Building2 } from 'lucide-react';
 import { fetchBoard } from '../store/slices/boardSlice';
 import LoadingSpinner from './common/LoadingSpinner';
+import Avatar from './common/Avatar';
 import TaskCard from './board/TaskCard';
 import ListHeader from './board/ListHeader';
 import AddListForm from './board/AddListForm';
@@ -11,17 +13,26 @@ import AddTaskForm from './board/AddTaskForm';
 import TaskDetailModal from './task/TaskDetailModal';
 import ArchivedLists from './board/ArchivedLists';
 import MemberManagement from './board/MemberManagement';
+import PresenceRoster from './board/PresenceRoster';
 
 import ActivityFeed from './board/ActivityFeed';
 import listService from '../services/listService';
 import taskService from '../services/taskService';
 import boardService from '../services/boardService';
+import invitationService from '../services/invitationService';
 import toast from 'react-hot-toast';
-import axios from 'axios';
+import { BOARD_EVENT, applyBoardEvent, canApplyBoardEvent } from '../utils/boardEvents';
+import { offerInvites } from './common/Mentions';
+
+// Presence heartbeats, the server drops us from the roster when they stop
+const HEARTBEAT_INTERVAL_MS = 20 * 1000;
+const IDLE_AFTER_MS = 2 * 60 * 1000;
+const INPUT_EVENTS = ['mousemove', 'mousedown', 'keydown', 'touchstart', 'scroll'];
 
 const Board = () => {
   const { id } = useParams();
   const dispatch = useDispatch();
+  const navigate = useNavigate();
   const { currentBoard, isLoading, error } = useSelector((state) => state.boards);
   const { user } = useSelector((state) => state.auth);
   const { socket } = useSelector((state) => state.socket);
@@ -35,99 +46,187 @@ const Board = () => {
   const [inviteUsername, setInviteUsername] = useState('');
   const [inviteRole, setInviteRole] = useState('member');
   const [showMemberManagement, setShowMemberManagement] = useState(false);
-  const [activeUsers, setActiveUsers] = useState([]);
+  const [presence, setPresence] = useState([]);
   const [showCollaborators, setShowCollaborators] = useState(true);
+  // Sequence number of the last board event we have, and how to ask for the ones we missed
+  const lastSeq = useRef(null);
+  const replayMissedEvents = useRef(() => {});
 
   // Connect to socket room for this board
   useEffect(() => {
     if (socket && id) {
-      // Join the board room
-      socket.emit('join-board', id);
-      
-      // Emit user active event
-      socket.emit('user-active', {
-        boardId: id,
-        userId: user._id,
-        username: user.username,
-        firstName: user.firstName,
-        lastName: user.lastName
-      });
-      
-      // Listen for active users
-      socket.on('user-active', (userData) => {
-        if (userData.userId !== user._id) {
-          setActiveUsers(prev => {
-            // Check if user already exists in the list
-            const exists = prev.some(u => u.userId === userData.userId);
-            if (!exists) {
-              return [...prev, {
-                ...userData,
-                timestamp: Date.now()
-              }];
-            }
-            return prev.map(u => 
-              u.userId === userData.userId 
-                ? { ...u, timestamp: Date.now() } 
-                : u
-            );
-          });
+      // The server sends who is here when we join, then every change. Other tabs of our own
+      // account are on the roster as well, they are not shown.
+      const handleSnapshot = (data) => {
+        if (data.boardId === id) {
+          setPresence(data.users.filter(entry => entry.user._id !== user._id));
         }
-      });
+      };
+      const handlePresenceUpdate = ({ boardId, ...entry }) => {
+        if (boardId !== id || entry.user._id === user._id) return;
+        setPresence(prev => [
+          ...prev.filter(existing => existing.user._id !== entry.user._id),
+          entry
+        ]);
+      };
+      const handlePresenceLeave = (data) => {
+        if (data.boardId === id) {
+          setPresence(prev => prev.filter(entry => entry.user._id !== data.userId));
+        }
+      };
+      socket.on('presence:snapshot', handleSnapshot);
+      socket.on('presence:update', handlePresenceUpdate);
+      socket.on('presence:leave', handlePresenceLeave);
+
+      // Join the board room, again after every reconnect since rooms do not survive it,
+      // and catch up on the events published in between
+      const joinBoard = () => {
+        socket.emit('join-board', id, (result) => {
+          if (result?.error) {
+            toast.error(result.error);
+          } else if (lastSeq.current !== null && result.seq > lastSeq.current) {
+            replayMissedEvents.current();
+          }
+        });
+      };
+      if (socket.connected) {
+        joinBoard();
+      }
+      socket.on('connect', joinBoard);
+
+      // The server closes the room for us when we lose access to the board
+      const handleAccessRevoked = (data) => {
+        if (data.boardId === id) {
+          toast.error(data.message);
+          navigate('/dashboard');
+        }
+      };
+      socket.on('board-access-revoked', handleAccessRevoked);
       
       // Clean up on unmount
       return () => {
         socket.emit('leave-board', id);
-        socket.off('user-active');
+        socket.off('connect', joinBoard);
+        socket.off('presence:snapshot', handleSnapshot);
+        socket.off('presence:update', handlePresenceUpdate);
+        socket.off('presence:leave', handlePresenceLeave);
+        socket.off('board-access-revoked', handleAccessRevoked);
+        setPresence([]);
       };
     }
-  }, [socket, id, user]);
+  }, [socket, id, user, navigate]);
 
-  // Connect to socket room for this board
+  // Heartbeat with our status: away while the tab is hidden, idle after a while without input
   useEffect(() => {
-    if (socket && id) {
-      // Join the board room
-      socket.emit('join-board', id);
-      
-      // Emit user active event
-      socket.emit('user-active', {
-        boardId: id,
-        userId: user._id,
-        username: user.username,
-        firstName: user.firstName,
-        lastName: user.lastName
-      });
-      
-      // Listen for active users
-      socket.on('user-active', (userData) => {
-        if (userData.userId !== user._id) {
-          setActiveUsers(prev => {
-            // Check if user already exists in the list
-            const exists = prev.some(u => u.userId === userData.userId);
-            if (!exists) {
-              return [...prev, {
-                ...userData,
-                timestamp: Date.now()
-              }];
-            }
-            return prev.map(u => 
-              u.userId === userData.userId 
-                ? { ...u, timestamp: Date.now() } 
-                : u
-            );
-          });
+    if (!socket || !id) return undefined;
+
+    let lastInput = Date.now();
+    let status = 'active';
+
+    const sendHeartbeat = () => {
+      if (document.hidden) {
+        status = 'away';
+      } else {
+        status = Date.now() - lastInput > IDLE_AFTER_MS ? 'idle' : 'active';
+      }
+      socket.emit('presence:heartbeat', { boardId: id, status });
+    };
+    const handleInput = () => {
+      lastInput = Date.now();
+      if (status !== 'active') {
+        sendHeartbeat();
+      }
+    };
+
+    const interval = setInterval(sendHeartbeat, HEARTBEAT_INTERVAL_MS);
+    document.addEventListener('visibilitychange', sendHeartbeat);
+    INPUT_EVENTS.forEach(event => window.addEventListener(event, handleInput, { passive: true }));
+
+    return () => {
+      clearInterval(interval);
+      document.removeEventListener('visibilitychange', sendHeartbeat);
+      INPUT_EVENTS.forEach(event => window.removeEventListener(event, handleInput));
+    };
+  }, [socket, id]);
+
+  // Apply the changes other people make as the server publishes them, our own changes
+  // are already shown. Events are numbered per board: ones we already have are skipped, and
+  // a gap means we missed some, which the server replays or tells us to fetch the board again.
+  useEffect(() => {
+    if (!socket || !id) return undefined;
+
+    let isReplaying = false;
+
+    const applyEvent = (event) => {
+      if (event.seq) {
+        if (event.seq <= lastSeq.current) return;
+        lastSeq.current = event.seq;
+      }
+      if (event.actor?._id === user._id) return;
+
+      if (event.type === 'board.deleted') {
+        toast.error('This board was deleted');
+        navigate('/dashboard');
+      } else if (canApplyBoardEvent(event.type)) {
+        setBoardData((current) => (current ? applyBoardEvent(current, event) : current));
+      } else {
+        dispatch(fetchBoard(id));
+      }
+    };
+
+    const replay = () => {
+      if (isReplaying || lastSeq.current === null) return;
+
+      isReplaying = true;
+      socket.emit('board:replay', { boardId: id, since: lastSeq.current }, (result) => {
+        isReplaying = false;
+        if (result?.events) {
+          result.events.forEach(applyEvent);
+        } else {
+          dispatch(fetchBoard(id));
         }
       });
-      
-      // Clean up on unmount
-      return () => {
-        socket.emit('leave-board', id);
-        socket.off('user-active');
-      };
-    }
-  }, [socket, id, user]);
+    };
+
+    const handleBoardEvent = (event) => {
+      // Until the board is loaded, the board we fetch already contains the change
+      if (event.boardId !== id || lastSeq.current === null) return;
+
+      if (event.seq && event.seq > lastSeq.current + 1) {
+        replay();
+      } else {
+        applyEvent(event);
+      }
+    };
+
+    replayMissedEvents.current = replay;
+    socket.on(BOARD_EVENT, handleBoardEvent);
+    return () => {
+      replayMissedEvents.current = () => {};
+      socket.off(BOARD_EVENT, handleBoardEvent);
+    };
+  }, [socket, id, user, navigate, dispatch]);
+
+  // People our description mentioned who are not on the board, once we stopped editing it
+  const userRole = boardData?.userRole;
+  useEffect(() => {
+    if (!socket || !id) return undefined;
+
+    const handleNonMembers = (data) => {
+      if (data.boardId === id) {
+        offerInvites(id, data.users, ['owner', 'admin'].includes(userRole));
+      }
+    };
+
+    socket.on('mentions:non-members', handleNonMembers);
+    return () => {
+      socket.off('mentions:non-members', handleNonMembers);
+    };
+  }, [socket, id, userRole]);
 
   useEffect(() => {
     if (id) {
+      lastSeq.current = null;
       dispatch(fetchBoard(id));
     }
   }, [dispatch, id]);
@@ -135,8 +234,14 @@ const Board = () => {
   useEffect(() => {
     if (currentBoard) {
       setBoardData(currentBoard);
+
+      // Count events from the board we fetched, and catch up on any published while it loaded
+      if (currentBoard._id === id) {
+        lastSeq.current = currentBoard.eventSeq || 0;
+        replayMissedEvents.current();
+      }
     }
-  }, [currentBoard]);
+  }, [currentBoard, id]);
 
   const handleDragEnd = async (result) => {
     const { destination, source, draggableId, type } = result;
@@ -325,11 +430,12 @@ const Board = () => {
 
   const handleUpdateListTitle = async (listId, newTitle) => {
     try {
-      await listService.updateList(listId, { title: newTitle });
+      const { version } = boardData.lists.find(list => list._id === listId) || {};
+      const response = await listService.updateList(listId, { title: newTitle, version });
 
       const newLists = boardData.lists.map(list => 
         list._id === listId 
-          ? { ...list, title: newTitle }
+          ? { ...list, title: newTitle, version: response.list.version }
           : list
       );
 
@@ -341,10 +447,25 @@ const Board = () => {
       toast.success('List title updated successfully');
     } catch (error) {
       console.error('Update list title error:', error);
+      // Someone else renamed it first, show their title
+      if (error.response?.status === 409 && error.response.data.list) {
+        setBoardData(current => applyBoardEvent(current, { type: 'list.updated', data: { list: error.response.data.list } }));
+        toast.error(error.response.data.message);
+        return;
+      }
       toast.error('Failed to update list title');
     }
   };
 
+  // Someone else changed the board settings first, show theirs
+  const handleBoardConflict = (error) => {
+    if (error.response?.status !== 409 || !error.response.data.board) return false;
+
+    setBoardData(current => applyBoardEvent(current, { type: 'board.updated', data: { board: error.response.data.board } }));
+    toast.error(error.response.data.message);
+    return true;
+  };
+
   const handleToggleTaskComplete = async (taskId, isCompleted) => {
     try {
       await taskService.toggleTaskCompletion(taskId, isCompleted);
@@ -373,20 +494,43 @@ const Board = () => {
   const handleToggleBoardVisibility = async () => {
     try {
       const newIsPrivate = !boardData.isPrivate;
-      await boardService.updateBoard(boardData._id, { isPrivate: newIsPrivate });
+      const response = await boardService.updateBoard(boardData._id, { isPrivate: newIsPrivate, version: boardData.version });
 
       setBoardData({
         ...boardData,
-        isPrivate: newIsPrivate
+        isPrivate: newIsPrivate,
+        version: response.board.version
       });
 
       toast.success(`Board is now ${newIsPrivate ? 'private' : 'public'}`);
     } catch (error) {
       console.error('Toggle board visibility error:', error);
+      if (handleBoardConflict(error)) return;
       toast.error('Failed to update board visibility');
     }
   };
 
+  const handleToggleWorkspaceVisibility = async () => {
+    try {
+      const newVisibility = boardData.visibility === 'private' ? 'workspace' : 'private';
+      const response = await boardService.updateBoard(boardData._id, { visibility: newVisibility, version: boardData.version });
+
+      setBoardData({
+        ...boardData,
+        visibility: newVisibility,
+        version: response.board.version
+      });
+
+      toast.success(newVisibility === 'private'
+        ? 'Only board members can open this board now'
+        : `Everyone in ${boardData.organization.name} can open this board now`);
+    } catch (error) {
+      console.error('Toggle workspace visibility error:', error);
+      if (handleBoardConflict(error)) return;
+      toast.error(error.response?.data?.message || 'Failed to update board visibility');
+    }
+  };
+
   const handleInviteMember = async (e) => {
     e.preventDefault();
     
@@ -396,16 +540,7 @@ const Board = () => {
     }
 
     try {
-      const token = localStorage.getItem('token');
-      await axios.post(`${process.env.REACT_APP_API_URL || 'http://localhost:5000/api'}/invitations`, {
-        boardId: boardData._id,
-        username: inviteUsername.trim(),
-        role: inviteRole
-      }, {
-        headers: {
-          Authorization: `Bearer ${token}`
-        }
-      });
+      await invitationService.sendInvitation(boardData._id, inviteUsername.trim(), inviteRole);
 
       toast.success(`Invitation sent to ${inviteUsername}`);
       setShowInviteModal(false);
@@ -413,19 +548,38 @@ const Board = () => {
       setInviteRole('member');
     } catch (error) {
       console.error('Invite member error:', error);
-      toast.error(error.response?.data?.message || 'Failed to send invitation');
+      toast.error(error.message || 'Failed to send invitation');
     }
   };
 
   const canInviteMembers = () => {
     if (!boardData || !user) return false;
     
-    // Check if user is owner
-    if (boardData.owner && boardData.owner._id === user._id) return true;
-    
-    // Check if user is admin
-    const userMember = boardData.members?.find(m => m.user._id === user._id);
-    return userMember?.role === 'admin';
+    // The role from the server includes workspace and group roles
+    return ['owner', 'admin'].includes(boardData.userRole);
+  };
+
+  // People who can be mentioned on the board's tasks
+  const getBoardMembers = () => (boardData
+    ? [boardData.owner, ...(boardData.members || []).map(member => member.user)].filter(Boolean)
+    : []);
+
+  // People with a task open, and the field they are editing if any
+  const getTaskViewers = (taskId) => presence
+    .filter(entry => entry.tasks?.some(focus => focus.taskId === taskId))
+    .map(entry => ({
+      user: entry.user,
+      field: entry.tasks.find(focus => focus.taskId === taskId && focus.field)?.field || null
+    }));
+
+  const handleOpenTask = (task) => {
+    setSelectedTask(task);
+    setShowTaskModal(true);
+  };
+
+  const handleTaskUpdated = (updatedTask) => {
+    setSelectedTask(updatedTask);
+    setBoardData(current => applyBoardEvent(current, { type: 'task.updated', data: { task: updatedTask } }));
   };
 
   const refreshBoardData = () => {
@@ -440,32 +594,8 @@ const Board = () => {
 
 
       {/* Active collaborators display */}
-      {showCollaborators && activeUsers.length > 0 && (
-        <div className="absolute top-4 right-4 bg-white bg-opacity-90 rounded-lg shadow-lg p-2 z-50">
-          <div className="flex items-center justify-between mb-2">
-            <h3 className="text-sm font-medium text-gray-700">Active Collaborators</h3>
-            <button
-              onClick={() => setShowCollaborators(false)}
-              className="text-gray-400 hover:text-gray-600"
-            >
-              <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
-              </svg>
-            </button>
-          </div>
-          <div className="space-y-2">
-            {activeUsers.map(activeUser => (
-              <div key={activeUser.userId} className="flex items-center space-x-2">
-                <div className="w-2 h-2 rounded-full bg-green-500"></div>
-                <span className="text-sm text-gray-600">
-                  {activeUser.firstName && activeUser.lastName
-                    ? `${activeUser.firstName} ${activeUser.lastName}`
-                    : activeUser.username}
-                </span>
-              </div>
-            ))}
-          </div>
-        </div>
+      {showCollaborators && presence.length > 0 && (
+        <PresenceRoster users={presence} onClose={() => setShowCollaborators(false)} />
       )}
 
       <div className="min-h-screen flex items-center justify-center">
@@ -518,32 +648,8 @@ const Board = () => {
 
       
       {/* Active collaborators display */}
-      {showCollaborators && activeUsers.length > 0 && (
-        <div className="absolute top-4 right-4 bg-white bg-opacity-90 rounded-lg shadow-lg p-2 z-50">
-          <div className="flex items-center justify-between mb-2">
-            <h3 className="text-sm font-medium text-gray-700">Active Collaborators</h3>
-            <button 
-              onClick={() => setShowCollaborators(false)}
-              className="text-gray-400 hover:text-gray-600"
-            >
-              <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
-              </svg>
-            </button>
-          </div>
-          <div className="space-y-2">
-            {activeUsers.map(activeUser => (
-              <div key={activeUser.userId} className="flex items-center space-x-2">
-                <div className="w-2 h-2 rounded-full bg-green-500"></div>
-                <span className="text-sm text-gray-700">
-                  {activeUser.firstName && activeUser.lastName 
-                    ? `${activeUser.firstName} ${activeUser.lastName}`
-                    : activeUser.username}
-                </span>
-              </div>
-            ))}
-          </div>
-        </div>
+      {showCollaborators && presence.length > 0 && (
+        <PresenceRoster users={presence} onClose={() => setShowCollaborators(false)} />
       )}
       
       <div className="p-4">
@@ -560,23 +666,7 @@ const Board = () => {
               {boardData.members && boardData.members.length > 0 && (
                 <div className="flex -space-x-2">
                   {[boardData.owner, ...boardData.members.map(m => m.user)].slice(0, 4).map((member, index) => (
-                    <div
-                      key={member._id}
-                      className="w-8 h-8 bg-blue-500 rounded-full flex items-center justify-center text-white text-sm border-2 border-white"
-                      title={member.firstName ? `${member.firstName} ${member.lastName}` : member.username}
-                    >
-                      {member.avatar ? (
-                        <img
-                          src={member.avatar}
-                          alt={member.username}
-                          className="w-full h-full rounded-full object-cover"
-                        />
-                      ) : (
-                        <span>
-                          {(member.firstName || member.username)[0].toUpperCase()}
-                        </span>
-                      )}
-                    </div>
+                    <Avatar key={member._id} user={member} size="sm" className="border-2 border-white" />
                   ))}
                   {boardData.members.length > 3 && (
                     <div className="w-8 h-8 bg-gray-500 rounded-full flex items-center justify-center text-white text-xs border-2 border-white">
@@ -635,6 +725,18 @@ const Board = () => {
                   </>
                 )}
               </button>
+              {boardData.organization && ['owner', 'admin'].includes(boardData.userRole) && (
+                <button
+                  onClick={handleToggleWorkspaceVisibility}
+                  className="bg-white bg-opacity-20 hover:bg-opacity-30 text-white px-4 py-2 rounded-lg transition-colors duration-200 flex items-center space-x-2"
+                  title={boardData.visibility === 'private'
+                    ? `Let everyone in ${boardData.organization.name} open this board`
+                    : 'Only let board members open this board'}
+                >
+                  <Building2 className="w-4 h-4" />
+                  <span>{boardData.visibility === 'private' ? 'Board members only' : boardData.organization.name}</span>
+                </button>
+              )}
               <button
                 onClick={() => setShowArchivedLists(true)}
                 className="bg-white bg-opacity-20 hover:bg-opacity-30 text-white px-4 py-2 rounded-lg transition-colors duration-200 flex items-center space-x-2"
@@ -694,6 +796,8 @@ const Board = () => {
                                       <TaskCard 
                                         task={task} 
                                         isDragging={snapshot.isDragging}
+                                        viewers={getTaskViewers(task._id)}
+                                        onClick={handleOpenTask}
                                         onToggleComplete={handleToggleTaskComplete}
                                       />
                                     </div>
@@ -839,6 +943,23 @@ const Board = () => {
           onMemberUpdate={refreshBoardData}
         />
       )}
+
+      {/* Task Detail Modal */}
+      {showTaskModal && selectedTask && (
+        <TaskDetailModal
+          task={selectedTask}
+          boardId={id}
+          userRole={boardData?.userRole}
+          members={getBoardMembers()}
+          viewers={getTaskViewers(selectedTask._id)}
+          isOpen={showTaskModal}
+          onClose={() => {
+            setShowTaskModal(false);
+            setSelectedTask(null);
+          }}
+          onUpdate={handleTaskUpdated}
+        />
+      )}
       
       {/* Real-time Activity Feed */}
       <ActivityFeed boardId={id} />
@@ -1,11 +1,26 @@
-import React, { useEffect, useState } from 'react';
+import React, { useEffect, useMemo, useState } from 'react';
 import { useDispatch, useSelector } from 'react-redux';
-import { Link } from 'react-router-dom';
+import { Link, useNavigate } from 'react-router-dom';
+import { Building2, Settings as SettingsIcon, User } from 'lucide-react';
+import toast from 'react-hot-toast';
 import { fetchBoards, createBoard, deleteBoard } from '../store/slices/boardSlice';
+import organizationService from '../services/organizationService';
 import LoadingSpinner from './common/LoadingSpinner';
 import Invitations from './Invitations';
 
+const PERSONAL_WORKSPACE = 'personal';
+
+const emptyBoard = (organization = null) => ({
+  title: '',
+  description: '',
+  backgroundColor: '#0079bf',
+  isPrivate: false,
+  organization: organization ? organization._id : '',
+  visibility: organization ? organization.settings.defaultBoardVisibility : 'workspace',
+});
+
 const Dashboard = () => {
+  const navigate = useNavigate();
   const dispatch = useDispatch();
   const { boards, isLoading, error } = useSelector((state) => state.boards);
   const { user } = useSelector((state) => state.auth);
@@ -13,32 +28,95 @@ const Dashboard = () => {
   const [activeTab, setActiveTab] = useState('boards');
   const [invitationCount, setInvitationCount] = useState(0);
   const [showDeleteConfirm, setShowDeleteConfirm] = useState(null);
-  const [newBoard, setNewBoard] = useState({
-    title: '',
-    description: '',
-    backgroundColor: '#0079bf',
-    isPrivate: false,
-  });
+  const [newBoard, setNewBoard] = useState(emptyBoard());
+  const [organizations, setOrganizations] = useState([]);
+  // 'all', 'personal' or a workspace ID
+  const [activeWorkspace, setActiveWorkspace] = useState('all');
+  const [showCreateWorkspace, setShowCreateWorkspace] = useState(false);
+  const [newWorkspace, setNewWorkspace] = useState({ name: '', description: '', defaultBoardVisibility: 'workspace' });
+  const [isCreatingWorkspace, setIsCreatingWorkspace] = useState(false);
 
   useEffect(() => {
     dispatch(fetchBoards());
+    organizationService.getOrganizations()
+      .then((data) => setOrganizations(data.organizations))
+      .catch((error) => console.error('Failed to fetch workspaces:', error));
   }, [dispatch]);
 
+  // Workspaces the user can create boards in (guests cannot)
+  const boardWorkspaces = organizations.filter((organization) => organization.userRole !== 'guest');
+  const findOrganization = (organizationId) => organizations.find((organization) => organization._id === organizationId);
+
+  // Boards grouped by workspace, personal boards first
+  const workspaceGroups = useMemo(() => {
+    const groups = [
+      { id: PERSONAL_WORKSPACE, name: 'Personal boards', boards: [] },
+      ...organizations.map((organization) => ({ id: organization._id, name: organization.name, organization, boards: [] })),
+    ];
+
+    boards.forEach((board) => {
+      const organizationId = board.organization?._id || board.organization;
+      let group = groups.find((candidate) => candidate.id === (organizationId || PERSONAL_WORKSPACE));
+      // Boards shared with the user from a workspace they are not part of
+      if (!group) {
+        group = { id: organizationId, name: board.organization?.name || 'Other workspace', boards: [] };
+        groups.push(group);
+      }
+      group.boards.push(board);
+    });
+
+    return groups.filter((group) => (activeWorkspace === 'all'
+      ? group.boards.length > 0 || group.organization
+      : group.id === activeWorkspace));
+  }, [boards, organizations, activeWorkspace]);
+
+  const openCreateForm = (organizationId) => {
+    const organization = findOrganization(organizationId);
+    setNewBoard(emptyBoard(organization && organization.userRole !== 'guest' ? organization : null));
+    setShowCreateForm(true);
+  };
+
   const handleCreateBoard = (e) => {
     e.preventDefault();
     if (newBoard.title.trim()) {
-      dispatch(createBoard(newBoard)).then(() => {
-        setNewBoard({
-          title: '',
-          description: '',
-          backgroundColor: '#0079bf',
-          isPrivate: false,
-        });
+      const { organization, visibility, isPrivate, ...boardData } = newBoard;
+      // Workspace boards are shared through the workspace instead of being public
+      const payload = organization ? { ...boardData, organization, visibility } : { ...boardData, isPrivate };
+
+      dispatch(createBoard(payload)).then(() => {
+        setNewBoard(emptyBoard());
         setShowCreateForm(false);
       });
     }
   };
 
+  const handleCreateWorkspace = async (e) => {
+    e.preventDefault();
+    if (!newWorkspace.name.trim()) return;
+
+    try {
+      setIsCreatingWorkspace(true);
+      const { organization } = await organizationService.createOrganization(newWorkspace);
+      setOrganizations((current) => [...current, organization].sort((a, b) => a.name.localeCompare(b.name)));
+      setActiveWorkspace(organization._id);
+      setNewWorkspace({ name: '', description: '', defaultBoardVisibility: 'workspace' });
+      setShowCreateWorkspace(false);
+      toast.success('Workspace created');
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to create workspace');
+    } finally {
+      setIsCreatingWorkspace(false);
+    }
+  };
+
+  const handleWorkspaceChange = (value) => {
+    if (value === 'new') {
+      setShowCreateWorkspace(true);
+      return;
+    }
+    setActiveWorkspace(value);
+  };
+
   const handleDeleteBoard = async (boardId) => {
     try {
       await dispatch(deleteBoard(boardId)).unwrap();
@@ -71,12 +149,27 @@ const Dashboard = () => {
           <div className="flex justify-between items-center mb-8">
             <h1 className="text-3xl font-bold text-gray-900 dark:text-white">Dashboard</h1>
             {activeTab === 'boards' && (
-              <button
-                onClick={() => setShowCreateForm(true)}
-                className="bg-blue-500 hover:bg-blue-600 text-white px-6 py-2 rounded-lg font-medium transition-colors duration-200"
-              >
-                Create New Board
-              </button>
+              <div className="flex items-center space-x-3">
+                <select
+                  value={activeWorkspace}
+                  onChange={(e) => handleWorkspaceChange(e.target.value)}
+                  className="px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  aria-label="Workspace"
+                >
+                  <option value="all">All workspaces</option>
+                  <option value={PERSONAL_WORKSPACE}>Personal</option>
+                  {organizations.map((organization) => (
+                    <option key={organization._id} value={organization._id}>{organization.name}</option>
+                  ))}
+                  <option value="new">+ New workspace</option>
+                </select>
+                <button
+                  onClick={() => openCreateForm(activeWorkspace)}
+                  className="bg-blue-500 hover:bg-blue-600 text-white px-6 py-2 rounded-lg font-medium transition-colors duration-200"
+                >
+                  Create New Board
+                </button>
+              </div>
             )}
           </div>
 
@@ -168,17 +261,58 @@ const Dashboard = () => {
                       />
                     </div>
                     
-                    <div className="mb-6">
-                      <label className="flex items-center">
-                        <input
-                          type="checkbox"
-                          className="rounded border-gray-300 text-blue-600 shadow-sm focus:border-blue-300 focus:ring focus:ring-blue-200 focus:ring-opacity-50"
-                          checked={newBoard.isPrivate}
-                          onChange={(e) => setNewBoard({ ...newBoard, isPrivate: e.target.checked })}
-                        />
-                        <span className="ml-2 text-sm text-gray-700">Make this board private</span>
-                      </label>
-                    </div>
+                    {boardWorkspaces.length > 0 && (
+                      <div className="mb-4">
+                        <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                          Workspace
+                        </label>
+                        <select
+                          className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md focus:outline-none focus:ring-blue-500 focus:border-blue-500 bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
+                          value={newBoard.organization}
+                          onChange={(e) => {
+                            const organization = findOrganization(e.target.value);
+                            setNewBoard({
+                              ...newBoard,
+                              organization: e.target.value,
+                              visibility: organization ? organization.settings.defaultBoardVisibility : 'workspace',
+                            });
+                          }}
+                        >
+                          <option value="">Personal</option>
+                          {boardWorkspaces.map((organization) => (
+                            <option key={organization._id} value={organization._id}>{organization.name}</option>
+                          ))}
+                        </select>
+                      </div>
+                    )}
+
+                    {newBoard.organization ? (
+                      <div className="mb-6">
+                        <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                          Visibility
+                        </label>
+                        <select
+                          className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md focus:outline-none focus:ring-blue-500 focus:border-blue-500 bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
+                          value={newBoard.visibility}
+                          onChange={(e) => setNewBoard({ ...newBoard, visibility: e.target.value })}
+                        >
+                          <option value="workspace">Workspace - every workspace member can open it</option>
+                          <option value="private">Private - only people added to the board</option>
+                        </select>
+                      </div>
+                    ) : (
+                      <div className="mb-6">
+                        <label className="flex items-center">
+                          <input
+                            type="checkbox"
+                            className="rounded border-gray-300 text-blue-600 shadow-sm focus:border-blue-300 focus:ring focus:ring-blue-200 focus:ring-opacity-50"
+                            checked={newBoard.isPrivate}
+                            onChange={(e) => setNewBoard({ ...newBoard, isPrivate: e.target.checked })}
+                          />
+                          <span className="ml-2 text-sm text-gray-700">Make this board private</span>
+                        </label>
+                      </div>
+                    )}
                     
                     <div className="flex justify-end space-x-3">
                       <button
@@ -202,6 +336,76 @@ const Dashboard = () => {
             </div>
           )}
 
+          {/* Create Workspace Modal */}
+          {showCreateWorkspace && (
+            <div className="fixed inset-0 bg-gray-600 dark:bg-gray-900 bg-opacity-50 dark:bg-opacity-70 overflow-y-auto h-full w-full z-50">
+              <div className="relative top-20 mx-auto p-5 border dark:border-gray-700 w-96 shadow-lg rounded-md bg-white dark:bg-gray-800">
+                <div className="mt-3">
+                  <h3 className="text-lg font-medium text-gray-900 dark:text-white mb-4">Create Workspace</h3>
+                  <form onSubmit={handleCreateWorkspace}>
+                    <div className="mb-4">
+                      <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                        Workspace Name *
+                      </label>
+                      <input
+                        type="text"
+                        required
+                        maxLength={100}
+                        className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md focus:outline-none focus:ring-blue-500 focus:border-blue-500 bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
+                        value={newWorkspace.name}
+                        onChange={(e) => setNewWorkspace({ ...newWorkspace, name: e.target.value })}
+                        placeholder="e.g. Acme Inc."
+                      />
+                    </div>
+
+                    <div className="mb-4">
+                      <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                        Description
+                      </label>
+                      <textarea
+                        className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md focus:outline-none focus:ring-blue-500 focus:border-blue-500 bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
+                        rows="2"
+                        value={newWorkspace.description}
+                        onChange={(e) => setNewWorkspace({ ...newWorkspace, description: e.target.value })}
+                      />
+                    </div>
+
+                    <div className="mb-6">
+                      <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                        New boards are visible to
+                      </label>
+                      <select
+                        className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md focus:outline-none focus:ring-blue-500 focus:border-blue-500 bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
+                        value={newWorkspace.defaultBoardVisibility}
+                        onChange={(e) => setNewWorkspace({ ...newWorkspace, defaultBoardVisibility: e.target.value })}
+                      >
+                        <option value="workspace">Every workspace member</option>
+                        <option value="private">Only people added to each board</option>
+                      </select>
+                    </div>
+
+                    <div className="flex justify-end space-x-3">
+                      <button
+                        type="button"
+                        onClick={() => setShowCreateWorkspace(false)}
+                        className="px-4 py-2 text-sm font-medium text-gray-700 bg-gray-200 hover:bg-gray-300 rounded-md"
+                      >
+                        Cancel
+                      </button>
+                      <button
+                        type="submit"
+                        disabled={isCreatingWorkspace}
+                        className="px-4 py-2 text-sm font-medium text-white bg-blue-500 hover:bg-blue-600 rounded-md disabled:opacity-50"
+                      >
+                        {isCreatingWorkspace ? 'Creating...' : 'Create Workspace'}
+                      </button>
+                    </div>
+                  </form>
+                </div>
+              </div>
+            </div>
+          )}
+
           {/* Delete Confirmation Modal */}
           {showDeleteConfirm && (
             <div className="fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50">
@@ -239,71 +443,109 @@ const Dashboard = () => {
           {/* Boards Tab Content */}
           {activeTab === 'boards' && (
             <>
-              {/* Boards Grid */}
-              <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 xl:grid-cols-4 gap-6">
-                {boards.map((board) => (
-                  <div key={board._id} className="relative group">
-                    <Link
-                      to={`/board/${board._id}`}
-                      className="block"
-                    >
-                      <div
-                        className="h-32 rounded-lg shadow-md hover:shadow-lg transition-shadow duration-200 p-4 text-white relative overflow-hidden"
-                        style={{ backgroundColor: board.backgroundColor }}
-                      >
-                        <div className="relative z-10">
-                          <h3 className="text-lg font-semibold mb-2 truncate pr-8">{board.title}</h3>
-                          {board.description && (
-                            <p className="text-sm opacity-90 line-clamp-2">{board.description}</p>
-                          )}
-                        </div>
-                        
-                        <div className="absolute bottom-2 right-2 text-xs opacity-75">
-                          {board.isPrivate && (
-                            <span className="bg-black bg-opacity-20 px-2 py-1 rounded">Private</span>
-                          )}
-                        </div>
-                      </div>
-                    </Link>
-                    
-                    {/* Delete Button - Show for board owners and admins */}
-                    {user && board.owner && (
-                      (board.owner._id === user._id) || 
-                      (board.members && board.members.some(m => m.user._id === user._id && m.role === 'admin'))
-                    ) && (
+              {/* Boards grouped by workspace */}
+              {workspaceGroups.map((group) => (
+                <section key={group.id} className="mb-10">
+                  <div className="flex items-center justify-between mb-4">
+                    <h2 className="flex items-center text-lg font-semibold text-gray-900 dark:text-white">
+                      {group.id === PERSONAL_WORKSPACE ? (
+                        <User className="w-5 h-5 mr-2 text-gray-500" />
+                      ) : (
+                        <Building2 className="w-5 h-5 mr-2 text-gray-500" />
+                      )}
+                      {group.name}
+                    </h2>
+                    {group.organization && (
                       <button
-                        onClick={(e) => {
-                          e.preventDefault();
-                          e.stopPropagation();
-                          setShowDeleteConfirm(board._id);
-                        }}
-                        className="absolute top-2 right-2 opacity-0 group-hover:opacity-100 transition-opacity duration-200 bg-red-500 hover:bg-red-600 text-white p-1.5 rounded-full shadow-lg z-20"
-                        title="Delete board"
+                        onClick={() => navigate(`/workspaces/${group.organization._id}`)}
+                        className="flex items-center text-sm text-gray-500 hover:text-gray-700 dark:text-gray-400 dark:hover:text-gray-200"
                       >
-                        <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" />
-                        </svg>
+                        <SettingsIcon className="w-4 h-4 mr-1" />
+                        {['owner', 'admin'].includes(group.organization.userRole) ? 'Manage workspace' : 'Workspace members'}
                       </button>
                     )}
-                    
-                    <div className="mt-2 text-sm text-gray-600">
-                      <div className="flex justify-between items-center">
-                        <div className="flex flex-col">
-                          <span>Created {formatDate(board.createdAt)}</span>
-                          {board.owner && (
-                            <span className="text-xs text-gray-500">
-                              by {board.owner.firstName && board.owner.lastName 
-                                ? `${board.owner.firstName} ${board.owner.lastName}` 
-                                : board.owner.username}
-                            </span>
-                          )}
+                  </div>
+
+                  <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 xl:grid-cols-4 gap-6">
+                    {group.boards.map((board) => (
+                      <div key={board._id} className="relative group">
+                        <Link
+                          to={`/board/${board._id}`}
+                          className="block"
+                        >
+                          <div
+                            className="h-32 rounded-lg shadow-md hover:shadow-lg transition-shadow duration-200 p-4 text-white relative overflow-hidden"
+                            style={{ backgroundColor: board.backgroundColor }}
+                          >
+                            <div className="relative z-10">
+                              <h3 className="text-lg font-semibold mb-2 truncate pr-8">{board.title}</h3>
+                              {board.description && (
+                                <p className="text-sm opacity-90 line-clamp-2">{board.description}</p>
+                              )}
+                            </div>
+                            
+                            <div className="absolute bottom-2 right-2 text-xs opacity-75">
+                              {(board.organization ? board.visibility === 'private' : board.isPrivate) && (
+                                <span className="bg-black bg-opacity-20 px-2 py-1 rounded">Private</span>
+                              )}
+                            </div>
+                          </div>
+                        </Link>
+                        
+                        {/* Delete Button - Show for board owners and admins */}
+                        {user && board.owner && (
+                          (board.owner._id === user._id) || 
+                          (board.members && board.members.some(m => m.user._id === user._id && m.role === 'admin'))
+                        ) && (
+                          <button
+                            onClick={(e) => {
+                              e.preventDefault();
+                              e.stopPropagation();
+                              setShowDeleteConfirm(board._id);
+                            }}
+                            className="absolute top-2 right-2 opacity-0 group-hover:opacity-100 transition-opacity duration-200 bg-red-500 hover:bg-red-600 text-white p-1.5 rounded-full shadow-lg z-20"
+                            title="Delete board"
+                          >
+                            <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" />
+                            </svg>
+                          </button>
+                        )}
+                        
+                        <div className="mt-2 text-sm text-gray-600">
+                          <div className="flex justify-between items-center">
+                            <div className="flex flex-col">
+                              <span>Created {formatDate(board.createdAt)}</span>
+                              {board.owner && (
+                                <span className="text-xs text-gray-500">
+                                  by {board.owner.firstName && board.owner.lastName 
+                                    ? `${board.owner.firstName} ${board.owner.lastName}` 
+                                    : board.owner.username}
+                                </span>
+                              )}
+                            </div>
+                            <span>{board.memberCount || 0} members</span>
+                          </div>
                         </div>
-                        <span>{board.memberCount || 0} members</span>
                       </div>
-                    </div>
+                    ))}
                   </div>
-                ))}
-              </div>
+
+                  {group.boards.length === 0 && (
+                    <p className="text-sm text-gray-500 dark:text-gray-400">
+                      No boards in this workspace yet.
+                      {group.id === PERSONAL_WORKSPACE || group.organization?.userRole !== 'guest' ? (
+                        <button
+                          onClick={() => openCreateForm(group.id)}
+                          className="ml-1 text-blue-600 hover:text-blue-500"
+                        >
+                          Create one
+                        </button>
+                      ) : null}
+                    </p>
+                  )}
+                </section>
+              ))}
 
               {boards.length === 0 && !isLoading && (
                 <div className="text-center py-12">
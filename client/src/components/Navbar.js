@@ -3,6 +3,8 @@ import { useDispatch, useSelector } from 'react-redux';
 import { Link, useNavigate } from 'react-router-dom';
 import { logout } from '../store/slices/authSlice';
 import ThemeToggle from './common/ThemeToggle';
+import Avatar from './common/Avatar';
+import RunningTimer from './common/RunningTimer';
 
 const Navbar = () => {
   const dispatch = useDispatch();
@@ -10,8 +12,7 @@ const Navbar = () => {
   const { user } = useSelector((state) => state.auth);
 
   const handleLogout = () => {
-    dispatch(logout());
-    navigate('/login');
+    dispatch(logout()).then(() => navigate('/login'));
   };
 
   return (
@@ -29,19 +30,29 @@ const Navbar = () => {
               >
                 Dashboard
               </Link>
+              <Link
+                to="/timesheet"
+                className="text-gray-900 dark:text-gray-100 hover:text-blue-600 dark:hover:text-blue-400 px-3 py-2 rounded-md text-sm font-medium"
+              >
+                Timesheet
+              </Link>
+              <Link
+                to="/settings"
+                className="text-gray-900 dark:text-gray-100 hover:text-blue-600 dark:hover:text-blue-400 px-3 py-2 rounded-md text-sm font-medium"
+              >
+                Settings
+              </Link>
             </div>
           </div>
           
           <div className="flex items-center space-x-4">
+            <RunningTimer />
+
             {/* Theme Toggle */}
             <ThemeToggle className="bg-gray-100 dark:bg-gray-700 p-2 rounded-full" />
             
             <div className="flex items-center space-x-2">
-              <div className="w-8 h-8 bg-blue-500 rounded-full flex items-center justify-center">
-                <span className="text-white text-sm font-medium">
-                  {user?.firstName ? user.firstName[0].toUpperCase() : user?.username[0].toUpperCase()}
-                </span>
-              </div>
+              <Avatar user={user} size="sm" />
               <span className="text-gray-700 dark:text-gray-200 text-sm">
                 {user?.firstName ? `${user.firstName} ${user.lastName}` : user?.username}
               </span>
@@ -0,0 +1,172 @@
+import React, { useState, useEffect } from 'react';
+import { useSelector } from 'react-redux';
+import { Link } from 'react-router-dom';
+import { addDays, format, parseISO } from 'date-fns';
+import { ChevronLeft, ChevronRight, Download } from 'lucide-react';
+import toast from 'react-hot-toast';
+import timeEntryService from '../services/timeEntryService';
+import LoadingSpinner from './common/LoadingSpinner';
+import { LOCALES, formatDuration, formatUserDate, getPreferences } from '../utils/dates';
+
+// A calendar day (yyyy-MM-dd) as the user writes dates, e.g. "Monday, Oct 12, 2026"
+const formatDay = (day, preferences, pattern = `EEEE, ${preferences.dateFormat}`) =>
+  format(parseISO(day), pattern, { locale: (LOCALES[preferences.locale] || LOCALES['en-US']).locale });
+
+const shiftWeek = (day, weeks) => format(addDays(parseISO(day), weeks * 7), 'yyyy-MM-dd');
+
+// The user's time entries of a week, by day, board and task. Weeks start on the day chosen in
+// the preferences and days follow the user's time zone.
+const Timesheet = () => {
+  const preferences = getPreferences(useSelector((state) => state.auth.user));
+  const { timer } = useSelector((state) => state.timer);
+  const [week, setWeek] = useState(null);
+  const [timesheet, setTimesheet] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isExporting, setIsExporting] = useState(false);
+
+  // Refetched when a timer starts or stops, running entries count up to now
+  useEffect(() => {
+    let cancelled = false;
+
+    const fetchTimesheet = async () => {
+      try {
+        setIsLoading(true);
+        const response = await timeEntryService.getTimesheet(week || undefined);
+        if (!cancelled) setTimesheet(response.timesheet);
+      } catch (error) {
+        console.error('Error fetching timesheet:', error);
+        toast.error('Failed to load timesheet');
+      } finally {
+        if (!cancelled) setIsLoading(false);
+      }
+    };
+
+    fetchTimesheet();
+    return () => {
+      cancelled = true;
+    };
+  }, [week, timer?.entryId]);
+
+  const handleExport = async () => {
+    try {
+      setIsExporting(true);
+      const csv = await timeEntryService.exportTimesheet(timesheet.weekStart);
+
+      // Hand the downloaded blob to the browser as a file
+      const url = window.URL.createObjectURL(csv);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `timesheet-${timesheet.weekStart}.csv`;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      window.URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error('Error exporting timesheet:', error);
+      toast.error('Failed to export timesheet');
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50 dark:bg-gray-900">
+      <div className="max-w-4xl mx-auto py-6 px-4 sm:px-6 lg:px-8">
+        <div className="flex items-center justify-between mb-8">
+          <h1 className="text-3xl font-bold text-gray-900 dark:text-white">Timesheet</h1>
+          <button
+            onClick={handleExport}
+            disabled={!timesheet || isExporting}
+            className="flex items-center px-4 py-2 text-sm font-medium text-gray-700 bg-white border border-gray-300 rounded-md hover:bg-gray-50 disabled:opacity-50"
+          >
+            <Download className="w-4 h-4 mr-2" />
+            {isExporting ? 'Preparing...' : 'Export CSV'}
+          </button>
+        </div>
+
+        {timesheet && (
+          <div className="flex items-center justify-between bg-white dark:bg-gray-800 shadow rounded-lg p-4 mb-6">
+            <button
+              onClick={() => setWeek(shiftWeek(timesheet.weekStart, -1))}
+              className="p-2 text-gray-600 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700 rounded-lg"
+              title="Previous week"
+            >
+              <ChevronLeft size={20} />
+            </button>
+            <div className="text-center">
+              <div className="font-medium text-gray-900 dark:text-white">
+                {formatDay(timesheet.weekStart, preferences, preferences.dateFormat)} – {formatDay(timesheet.weekEnd, preferences, preferences.dateFormat)}
+              </div>
+              <div className="text-sm text-gray-500 dark:text-gray-400">
+                {formatDuration(timesheet.totalMinutes)} this week
+                {week && (
+                  <button onClick={() => setWeek(null)} className="ml-2 text-blue-600 hover:underline">
+                    Back to this week
+                  </button>
+                )}
+              </div>
+            </div>
+            <button
+              onClick={() => setWeek(shiftWeek(timesheet.weekStart, 1))}
+              className="p-2 text-gray-600 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700 rounded-lg"
+              title="Next week"
+            >
+              <ChevronRight size={20} />
+            </button>
+          </div>
+        )}
+
+        {isLoading && !timesheet ? (
+          <div className="flex justify-center py-12">
+            <LoadingSpinner size="large" />
+          </div>
+        ) : timesheet && (
+          <div className="space-y-4">
+            {timesheet.days.map((day) => (
+              <section key={day.date} className="bg-white dark:bg-gray-800 shadow rounded-lg p-4">
+                <div className="flex items-center justify-between">
+                  <h2 className="font-medium text-gray-900 dark:text-white">{formatDay(day.date, preferences)}</h2>
+                  <span className="text-sm font-medium text-gray-700 dark:text-gray-300">
+                    {day.totalMinutes > 0 ? formatDuration(day.totalMinutes) : '—'}
+                  </span>
+                </div>
+
+                {day.boards.map((board) => (
+                  <div key={board._id} className="mt-3">
+                    <div className="flex items-center justify-between text-sm">
+                      <Link to={`/board/${board._id}`} className="font-medium text-blue-600 dark:text-blue-400 hover:underline">
+                        {board.title}
+                      </Link>
+                      <span className="text-gray-500 dark:text-gray-400">{formatDuration(board.totalMinutes)}</span>
+                    </div>
+
+                    {board.tasks.map((task) => (
+                      <div key={task._id} className="ml-4 mt-2">
+                        <div className="flex items-center justify-between text-sm text-gray-900 dark:text-gray-100">
+                          <span>{task.title}</span>
+                          <span>{formatDuration(task.totalMinutes)}</span>
+                        </div>
+                        {task.entries.map((entry) => (
+                          <div key={entry._id} className="ml-4 flex items-center justify-between text-xs text-gray-500 dark:text-gray-400">
+                            <span>
+                              {formatUserDate(entry.startTime, preferences, 'h:mm a')}
+                              {entry.isRunning ? ' – running' : ` – ${formatUserDate(entry.endTime, preferences, 'h:mm a')}`}
+                              {entry.description && ` · ${entry.description}`}
+                            </span>
+                            <span>{formatDuration(entry.duration)}</span>
+                          </div>
+                        ))}
+                      </div>
+                    ))}
+                  </div>
+                ))}
+              </section>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Timesheet;
@@ -0,0 +1,42 @@
+import React, { useState } from 'react';
+import { useSelector } from 'react-redux';
+import { Mail } from 'lucide-react';
+import toast from 'react-hot-toast';
+import authService from '../../services/authService';
+
+const EmailVerificationBanner = () => {
+  const { user } = useSelector((state) => state.auth);
+  const [isSending, setIsSending] = useState(false);
+
+  const handleResend = async () => {
+    try {
+      setIsSending(true);
+      const response = await authService.resendVerification();
+      toast.success(response.message);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to send verification email');
+    } finally {
+      setIsSending(false);
+    }
+  };
+
+  return (
+    <div className="bg-yellow-50 dark:bg-yellow-900/30 border-b border-yellow-200 dark:border-yellow-800">
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-2 flex items-center justify-between text-sm">
+        <div className="flex items-center text-yellow-800 dark:text-yellow-200">
+          <Mail className="w-4 h-4 mr-2" />
+          Please verify your email address ({user.email}) to receive invitations and notifications.
+        </div>
+        <button
+          onClick={handleResend}
+          disabled={isSending}
+          className="font-medium text-yellow-800 dark:text-yellow-200 hover:underline disabled:opacity-50"
+        >
+          {isSending ? 'Sending...' : 'Resend email'}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default EmailVerificationBanner;
@@ -1,7 +1,11 @@
 import React, { useState, useEffect } from 'react';
 import { useDispatch, useSelector } from 'react-redux';
-import { Link } from 'react-router-dom';
+import { Link, useSearchParams } from 'react-router-dom';
 import { login, clearError } from '../../store/slices/authSlice';
+import authService from '../../services/authService';
+import { API_URL } from '../../services/apiClient';
+import TwoFactorLogin from './TwoFactorLogin';
+import LoginRetryCountdown from './LoginRetryCountdown';
 
 const Login = () => {
   const [formData, setFormData] = useState({
@@ -9,14 +13,24 @@ const Login = () => {
     password: '',
   });
 
+  const [ssoConfig, setSsoConfig] = useState(null);
+  const [searchParams] = useSearchParams();
+  const ssoError = searchParams.get('ssoError');
+
   const dispatch = useDispatch();
-  const { isLoading, error } = useSelector((state) => state.auth);
+  const { isLoading, error, twoFactorChallenge, loginRetryAt } = useSelector((state) => state.auth);
 
   useEffect(() => {
     // Clear any existing errors when component mounts
     dispatch(clearError());
   }, [dispatch]);
 
+  useEffect(() => {
+    authService.getSsoConfig()
+      .then(setSsoConfig)
+      .catch(() => setSsoConfig(null));
+  }, []);
+
   const handleChange = (e) => {
     setFormData({
       ...formData,
@@ -29,6 +43,11 @@ const Login = () => {
     dispatch(login(formData));
   };
 
+  // Second step when the account has two-factor authentication enabled
+  if (twoFactorChallenge) {
+    return <TwoFactorLogin />;
+  }
+
   return (
     <div className="min-h-screen flex items-center justify-center bg-gray-50 py-12 px-4 sm:px-6 lg:px-8">
       <div className="max-w-md w-full space-y-8">
@@ -48,11 +67,13 @@ const Login = () => {
         </div>
         
         <form className="mt-8 space-y-6" onSubmit={handleSubmit}>
-          {error && (
+          {(error || ssoError) && (
             <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded">
-              {error}
+              {error || ssoError}
             </div>
           )}
+
+          <LoginRetryCountdown />
           
           <div className="space-y-4">
             <div>
@@ -88,10 +109,19 @@ const Login = () => {
             </div>
           </div>
 
+          <div className="flex justify-end">
+            <Link
+              to="/forgot-password"
+              className="text-sm font-medium text-blue-600 hover:text-blue-500"
+            >
+              Forgot password?
+            </Link>
+          </div>
+
           <div>
             <button
               type="submit"
-              disabled={isLoading}
+              disabled={isLoading || Boolean(loginRetryAt)}
               className="group relative w-full flex justify-center py-2 px-4 border border-transparent text-sm font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 disabled:opacity-50 disabled:cursor-not-allowed"
             >
               {isLoading ? (
@@ -104,6 +134,26 @@ const Login = () => {
               )}
             </button>
           </div>
+
+          {ssoConfig?.enabled && (
+            <>
+              <div className="relative">
+                <div className="absolute inset-0 flex items-center">
+                  <div className="w-full border-t border-gray-300"></div>
+                </div>
+                <div className="relative flex justify-center text-sm">
+                  <span className="px-2 bg-gray-50 text-gray-500">or</span>
+                </div>
+              </div>
+
+              <a
+                href={`${API_URL}/auth/sso/login`}
+                className="w-full flex justify-center py-2 px-4 border border-gray-300 text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500"
+              >
+                Sign in with {ssoConfig.providerName}
+              </a>
+            </>
+          )}
         </form>
       </div>
     </div>
@@ -0,0 +1,48 @@
+import React, { useEffect, useState } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import { Clock } from 'lucide-react';
+import { clearLoginRetry } from '../../store/slices/authSlice';
+
+const secondsLeft = (retryAt) => Math.max(0, Math.ceil((retryAt - Date.now()) / 1000));
+
+const formatDuration = (seconds) => {
+  const minutes = Math.floor(seconds / 60);
+  const rest = String(seconds % 60).padStart(2, '0');
+  return minutes > 0 ? `${minutes}:${rest}` : `${seconds}s`;
+};
+
+// Counts down until brute-force protection accepts login attempts again
+const LoginRetryCountdown = () => {
+  const dispatch = useDispatch();
+  const { loginRetryAt } = useSelector((state) => state.auth);
+  const [remaining, setRemaining] = useState(() => secondsLeft(loginRetryAt));
+
+  useEffect(() => {
+    if (!loginRetryAt) return undefined;
+
+    const tick = () => {
+      const seconds = secondsLeft(loginRetryAt);
+      setRemaining(seconds);
+      if (seconds === 0) {
+        dispatch(clearLoginRetry());
+      }
+    };
+
+    tick();
+    const interval = setInterval(tick, 1000);
+    return () => clearInterval(interval);
+  }, [loginRetryAt, dispatch]);
+
+  if (!loginRetryAt || remaining === 0) {
+    return null;
+  }
+
+  return (
+    <div className="flex items-center bg-yellow-50 border border-yellow-200 text-yellow-800 px-4 py-3 rounded">
+      <Clock className="w-4 h-4 mr-2 flex-shrink-0" />
+      You can try again in {formatDuration(remaining)}
+    </div>
+  );
+};
+
+export default LoginRetryCountdown;
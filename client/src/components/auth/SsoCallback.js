@@ -0,0 +1,55 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { Link, useNavigate, useSearchParams } from 'react-router-dom';
+import { useDispatch } from 'react-redux';
+import { exchangeSsoCode } from '../../store/slices/authSlice';
+import LoadingSpinner from '../common/LoadingSpinner';
+
+const SsoCallback = () => {
+  const [searchParams] = useSearchParams();
+  const dispatch = useDispatch();
+  const navigate = useNavigate();
+  const code = searchParams.get('code');
+  const [error, setError] = useState(code ? null : 'Single sign-on did not return a login code.');
+
+  // The code is single-use, so only exchange it once even if the effect runs twice
+  const requestedRef = useRef(false);
+
+  useEffect(() => {
+    if (!code || requestedRef.current) return;
+    requestedRef.current = true;
+
+    // On success the signed in user is redirected to the dashboard by the route, accounts with
+    // two-factor authentication are asked for their code on the login page first
+    dispatch(exchangeSsoCode(code))
+      .unwrap()
+      .then((response) => {
+        if (response.twoFactorRequired) navigate('/login', { replace: true });
+      })
+      .catch((message) => setError(message));
+  }, [code, dispatch, navigate]);
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gray-50 py-12 px-4">
+      <div className="max-w-md w-full text-center space-y-4">
+        {error ? (
+          <>
+            <h2 className="text-2xl font-bold text-gray-900">Single sign-on failed</h2>
+            <p className="text-gray-600">{error}</p>
+            <Link to="/login" className="font-medium text-blue-600 hover:text-blue-500">
+              Back to sign in
+            </Link>
+          </>
+        ) : (
+          <>
+            <div className="flex justify-center">
+              <LoadingSpinner size="large" />
+            </div>
+            <p className="text-gray-600">Signing you in...</p>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default SsoCallback;
@@ -0,0 +1,33 @@
+import React, { useEffect } from 'react';
+import { useSearchParams } from 'react-router-dom';
+
+// Message the single sign-on confirmation window sends to the page that opened it
+export const SSO_REAUTH_MESSAGE = 'sso-reauth';
+
+// Where the provider sends the window opened to confirm who a signed in user is. The one-time
+// code goes back to the page that asked for it, which uses it instead of a password.
+const SsoReauth = () => {
+  const [searchParams] = useSearchParams();
+  const code = searchParams.get('code');
+  const error = searchParams.get('ssoError');
+
+  useEffect(() => {
+    if (!window.opener) return;
+
+    window.opener.postMessage(
+      { type: SSO_REAUTH_MESSAGE, code, error: code ? null : error || 'Single sign-on was cancelled' },
+      window.location.origin
+    );
+    window.close();
+  }, [code, error]);
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gray-50 py-12 px-4">
+      <p className="text-gray-600">
+        {error || 'You can close this window and go back to the page you came from.'}
+      </p>
+    </div>
+  );
+};
+
+export default SsoReauth;
@@ -0,0 +1,98 @@
+import React, { useState } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import { ShieldCheck } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { verifyTwoFactor, cancelTwoFactor } from '../../store/slices/authSlice';
+import LoginRetryCountdown from './LoginRetryCountdown';
+
+const TwoFactorLogin = () => {
+  const [code, setCode] = useState('');
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+
+  const dispatch = useDispatch();
+  const { isLoading, loginRetryAt } = useSelector((state) => state.auth);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    dispatch(verifyTwoFactor(code.trim()))
+      .unwrap()
+      .catch((error) => {
+        toast.error(error);
+        // The challenge only lives a few minutes, start over once it is gone
+        if (error.includes('expired')) {
+          dispatch(cancelTwoFactor());
+        }
+      });
+  };
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gray-50 py-12 px-4 sm:px-6 lg:px-8">
+      <div className="max-w-md w-full space-y-8">
+        <div>
+          <ShieldCheck className="mx-auto w-12 h-12 text-blue-600" />
+          <h2 className="mt-6 text-center text-3xl font-extrabold text-gray-900">
+            Two-factor authentication
+          </h2>
+          <p className="mt-2 text-center text-sm text-gray-600">
+            {useRecoveryCode
+              ? 'Enter one of your recovery codes.'
+              : 'Enter the 6-digit code from your authenticator app.'}
+          </p>
+        </div>
+
+        <form className="mt-8 space-y-6" onSubmit={handleSubmit}>
+          <LoginRetryCountdown />
+
+          <div>
+            <label htmlFor="code" className="block text-sm font-medium text-gray-700">
+              {useRecoveryCode ? 'Recovery code' : 'Authentication code'}
+            </label>
+            <input
+              id="code"
+              name="code"
+              type="text"
+              required
+              autoFocus
+              autoComplete="one-time-code"
+              inputMode={useRecoveryCode ? 'text' : 'numeric'}
+              className="mt-1 appearance-none relative block w-full px-3 py-2 border border-gray-300 placeholder-gray-500 text-gray-900 rounded-md focus:outline-none focus:ring-blue-500 focus:border-blue-500 focus:z-10 sm:text-sm tracking-widest"
+              placeholder={useRecoveryCode ? 'xxxxxx-xxxxxx' : '123456'}
+              value={code}
+              onChange={(e) => setCode(e.target.value)}
+            />
+          </div>
+
+          <button
+            type="submit"
+            disabled={isLoading || Boolean(loginRetryAt) || !code.trim()}
+            className="group relative w-full flex justify-center py-2 px-4 border border-transparent text-sm font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {isLoading ? 'Verifying...' : 'Verify'}
+          </button>
+
+          <div className="flex justify-between text-sm">
+            <button
+              type="button"
+              onClick={() => {
+                setUseRecoveryCode(!useRecoveryCode);
+                setCode('');
+              }}
+              className="font-medium text-blue-600 hover:text-blue-500"
+            >
+              {useRecoveryCode ? 'Use authenticator app' : 'Use a recovery code'}
+            </button>
+            <button
+              type="button"
+              onClick={() => dispatch(cancelTwoFactor())}
+              className="font-medium text-gray-600 hover:text-gray-500"
+            >
+              Back to sign in
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default TwoFactorLogin;
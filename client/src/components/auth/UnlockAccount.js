@@ -0,0 +1,80 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { useDispatch } from 'react-redux';
+import { CheckCircle, XCircle } from 'lucide-react';
+import authService from '../../services/authService';
+import { clearLoginRetry } from '../../store/slices/authSlice';
+import LoadingSpinner from '../common/LoadingSpinner';
+
+const UnlockAccount = () => {
+  const [searchParams] = useSearchParams();
+  const dispatch = useDispatch();
+  const token = searchParams.get('token');
+
+  const [status, setStatus] = useState(token ? 'unlocking' : 'error');
+  const [message, setMessage] = useState(token ? '' : 'This unlock link is missing its token.');
+
+  // Unlock tokens are single-use, so only send it once even if the effect runs twice
+  const requestedRef = useRef(false);
+
+  useEffect(() => {
+    if (!token || requestedRef.current) return;
+    requestedRef.current = true;
+
+    authService.unlockAccount(token)
+      .then((response) => {
+        setStatus('success');
+        setMessage(response.message);
+        dispatch(clearLoginRetry());
+      })
+      .catch((error) => {
+        setStatus('error');
+        setMessage(error.response?.data?.message || 'Failed to unlock account');
+      });
+  }, [token, dispatch]);
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gray-50 dark:bg-gray-900 py-12 px-4">
+      <div className="max-w-md w-full text-center space-y-4">
+        {status === 'unlocking' && (
+          <>
+            <div className="flex justify-center">
+              <LoadingSpinner size="large" />
+            </div>
+            <p className="text-gray-600 dark:text-gray-300">Unlocking your account...</p>
+          </>
+        )}
+
+        {status === 'success' && (
+          <>
+            <CheckCircle className="w-12 h-12 text-green-500 mx-auto" />
+            <h2 className="text-2xl font-bold text-gray-900 dark:text-white">Account unlocked</h2>
+            <p className="text-gray-600 dark:text-gray-300">{message}</p>
+          </>
+        )}
+
+        {status === 'error' && (
+          <>
+            <XCircle className="w-12 h-12 text-red-500 mx-auto" />
+            <h2 className="text-2xl font-bold text-gray-900 dark:text-white">Unlock failed</h2>
+            <p className="text-gray-600 dark:text-gray-300">{message}</p>
+            <p className="text-sm text-gray-500 dark:text-gray-400">
+              The lock still expires on its own, or you can reset your password to unlock it right away.
+            </p>
+          </>
+        )}
+
+        {status !== 'unlocking' && (
+          <Link
+            to="/login"
+            className="inline-block font-medium text-blue-600 hover:text-blue-500"
+          >
+            Back to sign in
+          </Link>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default UnlockAccount;
@@ -0,0 +1,83 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { useDispatch, useSelector } from 'react-redux';
+import { CheckCircle, XCircle } from 'lucide-react';
+import authService from '../../services/authService';
+import { updateUser } from '../../store/slices/authSlice';
+import LoadingSpinner from '../common/LoadingSpinner';
+
+const VerifyEmail = () => {
+  const [searchParams] = useSearchParams();
+  const dispatch = useDispatch();
+  const { user } = useSelector((state) => state.auth);
+  const token = searchParams.get('token');
+
+  const [status, setStatus] = useState(token ? 'verifying' : 'error');
+  const [message, setMessage] = useState(token ? '' : 'This verification link is missing its token.');
+
+  // Links are only verified once, even if the effect runs twice in development
+  const requestedRef = useRef(false);
+
+  useEffect(() => {
+    if (!token || requestedRef.current) return;
+    requestedRef.current = true;
+
+    authService.verifyEmail(token)
+      .then((response) => {
+        setStatus('success');
+        setMessage(response.message);
+        dispatch(updateUser({ emailVerified: true }));
+      })
+      .catch((error) => {
+        setStatus('error');
+        setMessage(error.response?.data?.message || 'Failed to verify email');
+      });
+  }, [token, dispatch]);
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gray-50 dark:bg-gray-900 py-12 px-4">
+      <div className="max-w-md w-full text-center space-y-4">
+        {status === 'verifying' && (
+          <>
+            <div className="flex justify-center">
+              <LoadingSpinner size="large" />
+            </div>
+            <p className="text-gray-600 dark:text-gray-300">Verifying your email...</p>
+          </>
+        )}
+
+        {status === 'success' && (
+          <>
+            <CheckCircle className="w-12 h-12 text-green-500 mx-auto" />
+            <h2 className="text-2xl font-bold text-gray-900 dark:text-white">Email verified</h2>
+            <p className="text-gray-600 dark:text-gray-300">{message}</p>
+          </>
+        )}
+
+        {status === 'error' && (
+          <>
+            <XCircle className="w-12 h-12 text-red-500 mx-auto" />
+            <h2 className="text-2xl font-bold text-gray-900 dark:text-white">Verification failed</h2>
+            <p className="text-gray-600 dark:text-gray-300">{message}</p>
+            {user && (
+              <p className="text-sm text-gray-500 dark:text-gray-400">
+                You can request a new link from the banner at the top of the page.
+              </p>
+            )}
+          </>
+        )}
+
+        {status !== 'verifying' && (
+          <Link
+            to={user ? '/dashboard' : '/login'}
+            className="inline-block font-medium text-blue-600 hover:text-blue-500"
+          >
+            {user ? 'Go to dashboard' : 'Back to sign in'}
+          </Link>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default VerifyEmail;
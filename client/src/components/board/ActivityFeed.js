@@ -1,6 +1,8 @@
 import React, { useState, useEffect } from 'react';
 import { useSelector } from 'react-redux';
 import { formatDistanceToNow } from 'date-fns';
+import { getDisplayName } from '../common/Avatar';
+import { BOARD_EVENT } from '../../utils/boardEvents';
 
 const ActivityFeed = ({ boardId }) => {
   const { socket } = useSelector((state) => state.socket);
@@ -10,84 +12,96 @@ const ActivityFeed = ({ boardId }) => {
   useEffect(() => {
     if (!socket || !boardId) return;
 
-    // Listen for various activity events
-    const activityTypes = [
-      'task-created', 
-      'task-updated', 
-      'task-moved', 
-      'task-deleted',
-      'list-created',
-      'list-updated',
-      'list-moved',
-      'list-archived',
-      'list-restored',
-      'member-joined',
-      'member-left',
-      'member-role-changed',
-      'board-updated'
-    ];
+    // Every board change arrives as a typed event published by the server
+    const handleBoardEvent = (event) => {
+      if (event.boardId === boardId) {
+        setActivities(prev => {
+          // Keep only the latest 50 activities
+          const newActivities = [
+            {
+              id: Date.now() + Math.random().toString(36).substr(2, 9),
+              type: event.type,
+              actor: event.actor,
+              data: event.data,
+              timestamp: event.createdAt
+            },
+            ...prev
+          ];
+          
+          return newActivities.slice(0, 50);
+        });
+      }
+    };
 
-    // Register listeners for all activity types
-    activityTypes.forEach(type => {
-      socket.on(type, (data) => {
-        if (data.boardId === boardId) {
-          setActivities(prev => {
-            // Keep only the latest 50 activities
-            const newActivities = [
-              {
-                id: Date.now() + Math.random().toString(36).substr(2, 9),
-                type,
-                data,
-                timestamp: new Date()
-              },
-              ...prev
-            ];
-            
-            return newActivities.slice(0, 50);
-          });
-        }
-      });
-    });
+    socket.on(BOARD_EVENT, handleBoardEvent);
 
     // Clean up listeners on unmount
     return () => {
-      activityTypes.forEach(type => {
-        socket.off(type);
-      });
+      socket.off(BOARD_EVENT, handleBoardEvent);
     };
   }, [socket, boardId]);
 
   // Format the activity message based on type
   const formatActivityMessage = (activity) => {
     const { type, data } = activity;
-    const user = data.user?.username || data.username || 'Someone';
+    const user = getDisplayName(activity.actor) || 'Someone';
     
     switch (type) {
-      case 'task-created':
-        return `${user} created task "${data.task?.title || 'Untitled'}"`;
-      case 'task-updated':
-        return `${user} updated task "${data.task?.title || 'Untitled'}"`;
-      case 'task-moved':
-        return `${user} moved task "${data.task?.title || 'Untitled'}"`;
-      case 'task-deleted':
-        return `${user} deleted task "${data.task?.title || 'Untitled'}"`;
-      case 'list-created':
-        return `${user} created list "${data.list?.title || 'Untitled'}"`;
-      case 'list-updated':
-        return `${user} updated list "${data.list?.title || 'Untitled'}"`;
-      case 'list-moved':
-        return `${user} reordered list "${data.list?.title || 'Untitled'}"`;
-      case 'list-archived':
-        return `${user} archived list "${data.list?.title || 'Untitled'}"`;
-      case 'list-restored':
-        return `${user} restored list "${data.list?.title || 'Untitled'}"`;
-      case 'member-joined':
-        return `${user} joined the board`;
-      case 'member-left':
-        return `${user} left the board`;
-      case 'member-role-changed':
-        return `${user}'s role changed to ${data.role || 'member'}`;
-      case 'board-updated':
+      case 'task.created':
+        return `${user} created task "${data.task.title}"`;
+      case 'task.updated':
+        return `${user} updated task "${data.task.title}"`;
+      case 'task.moved':
+        return `${user} moved task "${data.task.title}"`;
+      case 'task.deleted':
+        return `${user} deleted a task`;
+      case 'task.reordered':
+        return `${user} reordered tasks`;
+      case 'task.assigned':
+        return `${user} assigned someone to "${data.task.title}"`;
+      case 'task.unassigned':
+        return `${user} unassigned someone from a task`;
+      case 'checklist.updated':
+        return `${user} updated a checklist`;
+      case 'time.updated':
+        return `${user} tracked time on a task`;
+      case 'attachment.added':
+        return `${user} attached ${data.attachments.length === 1 ? `"${data.attachments[0].originalName}"` : `${data.attachments.length} files`} to a task`;
+      case 'attachment.deleted':
+        return `${user} removed an attachment`;
+      case 'comment.added':
+        return data.comment.parent ? `${user} replied to a comment` : `${user} commented on a task`;
+      case 'comment.updated':
+        return `${user} edited a comment`;
+      case 'comment.deleted':
+        return `${user} deleted a comment`;
+      case 'comment.reacted':
+        return `${user} reacted to a comment`;
+      case 'list.created':
+        return `${user} created list "${data.list.title}"`;
+      case 'list.updated':
+        return `${user} updated list "${data.list.title}"`;
+      case 'list.reordered':
+        return `${user} reordered lists`;
+      case 'list.archived':
+        return `${user} ${data.list.isArchived ? 'archived' : 'restored'} list "${data.list.title}"`;
+      case 'list.deleted':
+        return `${user} deleted a list`;
+      case 'member.added':
+        return data.member.user._id === activity.actor?._id
+          ? `${user} joined the board`
+          : `${user} added ${getDisplayName(data.member.user)} as ${data.member.role}`;
+      case 'member.removed':
+        return data.userId === activity.actor?._id ? `${user} left the board` : `${user} removed a member`;
+      case 'member.role-updated':
+        return `${user} changed a member's role to ${data.role}`;
+      case 'group.added':
+        return `${user} added a group as ${data.role}`;
+      case 'group.role-updated':
+        return `${user} changed a group's role to ${data.role}`;
+      case 'group.removed':
+        return `${user} removed a group`;
+      case 'board.updated':
         return `${user} updated board settings`;
       default:
         return `${user} performed an action`;
@@ -96,35 +110,31 @@ const ActivityFeed = ({ boardId }) => {
 
   // Get icon for activity type
   const getActivityIcon = (type) => {
-    switch (type) {
-      case 'task-created':
-      case 'task-updated':
-      case 'task-moved':
-      case 'task-deleted':
+    switch (type.split('.')[0]) {
+      case 'task':
+      case 'checklist':
+      case 'time':
+      case 'attachment':
+      case 'comment':
         return (
           <svg className="w-4 h-4 text-blue-500" fill="none" stroke="currentColor" viewBox="0 0 24 24">
             <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 5H7a2 2 0 00-2 2v12a2 2 0 002 2h10a2 2 0 002-2V7a2 2 0 00-2-2h-2M9 5a2 2 0 002 2h2a2 2 0 002-2M9 5a2 2 0 012-2h2a2 2 0 012 2" />
           </svg>
         );
-      case 'list-created':
-      case 'list-updated':
-      case 'list-moved':
-      case 'list-archived':
-      case 'list-restored':
+      case 'list':
         return (
           <svg className="w-4 h-4 text-green-500" fill="none" stroke="currentColor" viewBox="0 0 24 24">
             <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 11H5m14 0a2 2 0 012 2v6a2 2 0 01-2 2H5a2 2 0 01-2-2v-6a2 2 0 012-2m14 0V9a2 2 0 00-2-2M5 11V9a2 2 0 012-2m0 0V5a2 2 0 012-2h6a2 2 0 012 2v2M7 7h10" />
           </svg>
         );
-      case 'member-joined':
-      case 'member-left':
-      case 'member-role-changed':
+      case 'member':
+      case 'group':
         return (
           <svg className="w-4 h-4 text-purple-500" fill="none" stroke="currentColor" viewBox="0 0 24 24">
             <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M16 7a4 4 0 11-8 0 4 4 0 018 0zM12 14a7 7 0 00-7 7h14a7 7 0 00-7-7z" />
           </svg>
         );
-      case 'board-updated':
+      case 'board':
         return (
           <svg className="w-4 h-4 text-yellow-500" fill="none" stroke="currentColor" viewBox="0 0 24 24">
             <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M10.325 4.317c.426-1.756 2.924-1.756 3.35 0a1.724 1.724 0 002.573 1.066c1.543-.94 3.31.826 2.37 2.37a1.724 1.724 0 001.065 2.572c1.756.426 1.756 2.924 0 3.35a1.724 1.724 0 00-1.066 2.573c.94 1.543-.826 3.31-2.37 2.37a1.724 1.724 0 00-2.572 1.065c-.426 1.756-2.924 1.756-3.35 0a1.724 1.724 0 00-2.573-1.066c-1.543.94-3.31-.826-2.37-2.37a1.724 1.724 0 00-1.065-2.572c-1.756-.426-1.756-2.924 0-3.35a1.724 1.724 0 001.066-2.573c-.94-1.543.826-3.31 2.37-2.37.996.608 2.296.07 2.572-1.065z" />
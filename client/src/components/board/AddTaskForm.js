@@ -1,5 +1,7 @@
 import React, { useState, useRef, useEffect } from 'react';
 import { X, Calendar, Flag } from 'lucide-react';
+import { useSelector } from 'react-redux';
+import { fromUserDay, getPreferences } from '../../utils/dates';
 
 const AddTaskForm = ({ onSubmit, onCancel }) => {
   const [formData, setFormData] = useState({
@@ -10,6 +12,7 @@ const AddTaskForm = ({ onSubmit, onCancel }) => {
   });
   const [showAdvanced, setShowAdvanced] = useState(false);
   const inputRef = useRef(null);
+  const preferences = getPreferences(useSelector((state) => state.auth.user));
 
   useEffect(() => {
     if (inputRef.current) {
@@ -24,7 +27,8 @@ const AddTaskForm = ({ onSubmit, onCancel }) => {
         ...formData,
         title: formData.title.trim(),
         description: formData.description.trim(),
-        dueDate: formData.dueDate || undefined
+        // The picked day starts at midnight in the user's time zone
+        dueDate: formData.dueDate ? fromUserDay(formData.dueDate, preferences) : undefined
       };
       onSubmit(taskData);
       setFormData({
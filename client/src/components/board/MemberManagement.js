@@ -1,22 +1,22 @@
-import React, { useState } from 'react';
+import React, { useEffect, useState } from 'react';
+import { Users } from 'lucide-react';
 import boardService from '../../services/boardService';
+import groupService from '../../services/groupService';
 import toast from 'react-hot-toast';
 import LoadingSpinner from '../common/LoadingSpinner';
+import Avatar from '../common/Avatar';
 
 const MemberManagement = ({ board, user, onClose, onMemberUpdate }) => {
   const [isLoading, setIsLoading] = useState(false);
   const [processingMemberId, setProcessingMemberId] = useState(null);
+  const [availableGroups, setAvailableGroups] = useState([]);
+  const [newGroup, setNewGroup] = useState({ groupId: '', role: 'member' });
+  const [processingGroupId, setProcessingGroupId] = useState(null);
 
-  // Check if current user can manage members (owner or admin)
+  // Check if current user can manage members (owner or admin, directly or through a workspace or group)
   const canManageMembers = () => {
     if (!board || !user) return false;
-    
-    // Check if user is owner
-    if (board.owner && board.owner._id === user._id) return true;
-    
-    // Check if user is admin
-    const userMember = board.members?.find(m => m.user._id === user._id);
-    return userMember?.role === 'admin';
+    return ['owner', 'admin'].includes(board.userRole);
   };
 
   // Check if current user can manage a specific member
@@ -24,13 +24,12 @@ const MemberManagement = ({ board, user, onClose, onMemberUpdate }) => {
     if (!board || !user) return false;
     
     // Owner can manage everyone except themselves
-    if (board.owner && board.owner._id === user._id) {
+    if (board.userRole === 'owner') {
       return member.user._id !== user._id;
     }
     
     // Admin can manage members and viewers, but not other admins or owner
-    const currentUserMember = board.members?.find(m => m.user._id === user._id);
-    if (currentUserMember?.role === 'admin') {
+    if (board.userRole === 'admin') {
       // Can't manage owner
       if (board.owner && member.user._id === board.owner._id) return false;
       // Can't manage other admins
@@ -43,6 +42,79 @@ const MemberManagement = ({ board, user, onClose, onMemberUpdate }) => {
     return false;
   };
 
+  useEffect(() => {
+    if (!['owner', 'admin'].includes(board?.userRole)) return;
+
+    groupService.getGroups()
+      .then((data) => setAvailableGroups(data.groups))
+      .catch((error) => console.error('Error loading groups:', error));
+  }, [board?.userRole]);
+
+  const boardGroups = (board.groups || []).filter((grant) => grant.group);
+  const addableGroups = availableGroups.filter(
+    (group) => !boardGroups.some((grant) => grant.group._id === group._id)
+  );
+
+  const handleAddGroup = async (e) => {
+    e.preventDefault();
+    if (!newGroup.groupId || processingGroupId) return;
+
+    try {
+      setProcessingGroupId(newGroup.groupId);
+      await boardService.addGroup(board._id, newGroup.groupId, newGroup.role);
+      toast.success('Group added to board');
+      setNewGroup({ groupId: '', role: 'member' });
+
+      if (onMemberUpdate) {
+        onMemberUpdate();
+      }
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to add group');
+    } finally {
+      setProcessingGroupId(null);
+    }
+  };
+
+  const handleGroupRoleChange = async (groupId, role) => {
+    if (processingGroupId) return;
+
+    try {
+      setProcessingGroupId(groupId);
+      await boardService.updateGroupRole(board._id, groupId, role);
+      toast.success('Group role updated');
+
+      if (onMemberUpdate) {
+        onMemberUpdate();
+      }
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to update group role');
+    } finally {
+      setProcessingGroupId(null);
+    }
+  };
+
+  const handleRemoveGroup = async (grant) => {
+    if (processingGroupId) return;
+
+    if (!window.confirm(`Remove ${grant.group.name} from the board? Its members keep any role they were given directly.`)) {
+      return;
+    }
+
+    try {
+      setProcessingGroupId(grant.group._id);
+      await boardService.removeGroup(board._id, grant.group._id);
+      toast.success('Group removed from board');
+
+      if (onMemberUpdate) {
+        onMemberUpdate();
+      }
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to remove group');
+    } finally {
+      setProcessingGroupId(null);
+    }
+  };
+
   const handleRoleChange = async (memberId, newRole) => {
     if (processingMemberId) return;
     
@@ -146,11 +218,7 @@ const MemberManagement = ({ board, user, onClose, onMemberUpdate }) => {
                 className="flex items-center justify-between p-4 border border-gray-200 rounded-lg hover:bg-gray-50 transition-colors duration-200"
               >
                 <div className="flex items-center space-x-3">
-                  <div className="w-10 h-10 bg-blue-500 rounded-full flex items-center justify-center text-white font-medium">
-                    {member.user.firstName 
-                      ? `${member.user.firstName[0]}${member.user.lastName?.[0] || ''}` 
-                      : member.user.username[0].toUpperCase()}
-                  </div>
+                  <Avatar user={member.user} size="md" />
                   <div>
                     <div className="font-medium text-gray-900">
                       {member.user.firstName && member.user.lastName
@@ -223,6 +291,92 @@ const MemberManagement = ({ board, user, onClose, onMemberUpdate }) => {
             </div>
           )}
 
+          {/* Group grants, every member of a group gets its role */}
+          <div className="mt-8">
+            <h4 className="text-md font-medium text-gray-900 mb-3">Groups</h4>
+
+            <div className="space-y-3">
+              {boardGroups.map((grant) => (
+                <div
+                  key={grant.group._id}
+                  className="flex items-center justify-between p-4 border border-gray-200 rounded-lg"
+                >
+                  <div className="flex items-center space-x-3">
+                    <div className="w-10 h-10 rounded-full bg-blue-100 text-blue-700 flex items-center justify-center">
+                      <Users className="w-5 h-5" />
+                    </div>
+                    <div>
+                      <div className="font-medium text-gray-900">{grant.group.name}</div>
+                      <div className="text-sm text-gray-500">
+                        {grant.group.members?.length || 0} {grant.group.members?.length === 1 ? 'member' : 'members'}
+                      </div>
+                    </div>
+                  </div>
+
+                  <div className="flex items-center space-x-3">
+                    <select
+                      value={grant.role}
+                      onChange={(e) => handleGroupRoleChange(grant.group._id, e.target.value)}
+                      disabled={processingGroupId === grant.group._id}
+                      className="text-sm border border-gray-300 rounded-md px-2 py-1 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent disabled:opacity-50"
+                    >
+                      <option value="viewer">Viewer</option>
+                      <option value="member">Member</option>
+                      <option value="admin">Admin</option>
+                    </select>
+                    <button
+                      onClick={() => handleRemoveGroup(grant)}
+                      disabled={processingGroupId === grant.group._id}
+                      className="text-red-600 hover:text-red-800 disabled:opacity-50 transition-colors duration-200"
+                      title="Remove group"
+                    >
+                      <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" />
+                      </svg>
+                    </button>
+                  </div>
+                </div>
+              ))}
+
+              {boardGroups.length === 0 && (
+                <p className="text-sm text-gray-500">No groups have access to this board.</p>
+              )}
+            </div>
+
+            {addableGroups.length > 0 && (
+              <form onSubmit={handleAddGroup} className="flex items-center space-x-3 mt-4">
+                <select
+                  value={newGroup.groupId}
+                  onChange={(e) => setNewGroup({ ...newGroup, groupId: e.target.value })}
+                  className="flex-1 text-sm border border-gray-300 rounded-md px-2 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                >
+                  <option value="">Add a group...</option>
+                  {addableGroups.map((group) => (
+                    <option key={group._id} value={group._id}>
+                      {group.name}{group.organization ? ` (${group.organization.name})` : ''}
+                    </option>
+                  ))}
+                </select>
+                <select
+                  value={newGroup.role}
+                  onChange={(e) => setNewGroup({ ...newGroup, role: e.target.value })}
+                  className="text-sm border border-gray-300 rounded-md px-2 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                >
+                  <option value="viewer">Viewer</option>
+                  <option value="member">Member</option>
+                  <option value="admin">Admin</option>
+                </select>
+                <button
+                  type="submit"
+                  disabled={!newGroup.groupId || Boolean(processingGroupId)}
+                  className="bg-blue-500 hover:bg-blue-600 text-white text-sm px-4 py-2 rounded-md disabled:opacity-50"
+                >
+                  Add
+                </button>
+              </form>
+            )}
+          </div>
+
           <div className="flex justify-end mt-6">
             <button
               onClick={onClose}
@@ -0,0 +1,43 @@
+import React from 'react';
+import Avatar, { getDisplayName } from '../common/Avatar';
+
+const STATUS_STYLES = {
+  active: { dot: 'bg-green-500', label: 'Active' },
+  idle: { dot: 'bg-yellow-400', label: 'Idle' },
+  away: { dot: 'bg-gray-400', label: 'Away' },
+};
+
+// People who have the board open, as tracked by the server
+const PresenceRoster = ({ users, onClose }) => (
+  <div className="absolute top-4 right-4 bg-white bg-opacity-90 rounded-lg shadow-lg p-2 z-50">
+    <div className="flex items-center justify-between mb-2">
+      <h3 className="text-sm font-medium text-gray-700">Active Collaborators</h3>
+      <button
+        onClick={onClose}
+        className="text-gray-400 hover:text-gray-600"
+      >
+        <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+        </svg>
+      </button>
+    </div>
+    <div className="space-y-2">
+      {[...users].sort((a, b) => getDisplayName(a.user).localeCompare(getDisplayName(b.user))).map(({ user, status }) => {
+        const style = STATUS_STYLES[status] || STATUS_STYLES.away;
+        return (
+          <div key={user._id} className="flex items-center space-x-2" title={style.label}>
+            <div className="relative">
+              <Avatar user={user} size="xs" />
+              <span className={`absolute -bottom-0.5 -right-0.5 w-2.5 h-2.5 rounded-full border-2 border-white ${style.dot}`} />
+            </div>
+            <span className={`text-sm ${status === 'active' ? 'text-gray-700' : 'text-gray-400'}`}>
+              {getDisplayName(user)}
+            </span>
+          </div>
+        );
+      })}
+    </div>
+  </div>
+);
+
+export default PresenceRoster;
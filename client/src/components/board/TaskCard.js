@@ -1,8 +1,10 @@
 import React from 'react';
-import { Calendar, MessageCircle, Paperclip, CheckSquare, AlertCircle, Check } from 'lucide-react';
-import { format, isToday, isPast } from 'date-fns';
+import { Calendar, MessageCircle, Paperclip, CheckSquare, AlertCircle, Check, Eye } from 'lucide-react';
+import { useSelector } from 'react-redux';
+import { formatUserDate, getDueState, getPreferences } from '../../utils/dates';
+import Avatar, { getDisplayName } from '../common/Avatar';
 
-const TaskCard = ({ task, isDragging, onClick, onToggleComplete }) => {
+const TaskCard = ({ task, isDragging, viewers = [], onClick, onToggleComplete }) => {
   const getPriorityColor = (priority) => {
     switch (priority) {
       case 'urgent':
@@ -18,30 +20,29 @@ const TaskCard = ({ task, isDragging, onClick, onToggleComplete }) => {
     }
   };
 
-  const getDueDateColor = (dueDate) => {
-    if (!dueDate) return '';
-    
-    const date = new Date(dueDate);
-    if (isPast(date) && !isToday(date)) {
+  // Due dates follow the user's time zone, not the browser's
+  const preferences = getPreferences(useSelector((state) => state.auth.user));
+  const dueState = task.dueDate ? getDueState(task.dueDate, preferences) : null;
+
+  const getDueDateColor = () => {
+    if (dueState === 'past') {
       return 'text-red-600 bg-red-50';
-    } else if (isToday(date)) {
+    } else if (dueState === 'today') {
       return 'text-orange-600 bg-orange-50';
     }
     return 'text-gray-600 bg-gray-50';
   };
 
   const formatDueDate = (dueDate) => {
-    if (!dueDate) return '';
-    
-    const date = new Date(dueDate);
-    if (isToday(date)) {
+    if (dueState === 'today') {
       return 'Today';
     }
-    return format(date, 'MMM d');
+    return formatUserDate(dueDate, preferences);
   };
 
   const completedChecklistItems = task.checklist?.filter(item => item.isCompleted).length || 0;
   const totalChecklistItems = task.checklist?.length || 0;
+  const checklistProgress = task.checklistProgress || 0;
 
   return (
     <div
@@ -73,6 +74,24 @@ const TaskCard = ({ task, isDragging, onClick, onToggleComplete }) => {
         <h4 className={`font-medium text-gray-900 flex-1 ${task.isCompleted ? 'line-through text-gray-500' : ''}`}>
           {task.title}
         </h4>
+
+        {/* People who have the task open right now */}
+        {viewers.length > 0 && (
+          <div
+            className="flex items-center space-x-1 flex-shrink-0"
+            title={`${viewers.map(({ user }) => getDisplayName(user)).join(', ')} viewing`}
+          >
+            <Eye size={12} className="text-blue-500" />
+            <div className="flex -space-x-1">
+              {viewers.slice(0, 2).map(({ user }) => (
+                <Avatar key={user._id} user={user} size="xs" className="border-2 border-white" />
+              ))}
+            </div>
+            {viewers.length > 2 && (
+              <span className="text-xs text-gray-500">+{viewers.length - 2}</span>
+            )}
+          </div>
+        )}
       </div>
 
       {/* Task Description */}
@@ -112,10 +131,10 @@ const TaskCard = ({ task, isDragging, onClick, onToggleComplete }) => {
 
           {/* Due Date */}
           {task.dueDate && (
-            <div className={`flex items-center space-x-1 px-2 py-1 rounded ${getDueDateColor(task.dueDate)}`}>
+            <div className={`flex items-center space-x-1 px-2 py-1 rounded ${getDueDateColor()}`}>
               <Calendar size={12} />
               <span>{formatDueDate(task.dueDate)}</span>
-              {isPast(new Date(task.dueDate)) && !isToday(new Date(task.dueDate)) && (
+              {dueState === 'past' && (
                 <AlertCircle size={12} className="text-red-500" />
               )}
             </div>
@@ -130,17 +149,17 @@ const TaskCard = ({ task, isDragging, onClick, onToggleComplete }) => {
           {totalChecklistItems > 0 && (
             <div className="flex items-center space-x-1 text-xs text-gray-600">
               <CheckSquare size={12} />
-              <span className={completedChecklistItems === totalChecklistItems ? 'text-green-600' : ''}>
+              <span className={checklistProgress === 100 ? 'text-green-600' : ''}>
                 {completedChecklistItems}/{totalChecklistItems}
               </span>
             </div>
           )}
 
           {/* Comments Count */}
-          {task.comments && task.comments.length > 0 && (
+          {task.commentCount > 0 && (
             <div className="flex items-center space-x-1 text-xs text-gray-600">
               <MessageCircle size={12} />
-              <span>{task.comments.length}</span>
+              <span>{task.commentCount}</span>
             </div>
           )}
 
@@ -157,13 +176,7 @@ const TaskCard = ({ task, isDragging, onClick, onToggleComplete }) => {
         {task.assignedTo && task.assignedTo.length > 0 && (
           <div className="flex -space-x-1">
             {task.assignedTo.slice(0, 3).map((user) => (
-              <div
-                key={user._id}
-                className="w-6 h-6 bg-blue-500 rounded-full flex items-center justify-center text-white text-xs border-2 border-white"
-                title={`${user.firstName} ${user.lastName}` || user.username}
-              >
-                {user.firstName ? user.firstName[0].toUpperCase() : user.username[0].toUpperCase()}
-              </div>
+              <Avatar key={user._id} user={user} size="xs" className="border-2 border-white" />
             ))}
             {task.assignedTo.length > 3 && (
               <div className="w-6 h-6 bg-gray-500 rounded-full flex items-center justify-center text-white text-xs border-2 border-white">
@@ -180,9 +193,9 @@ const TaskCard = ({ task, isDragging, onClick, onToggleComplete }) => {
           <div className="w-full bg-gray-200 rounded-full h-1">
             <div
               className={`h-1 rounded-full transition-all duration-300 ${
-                completedChecklistItems === totalChecklistItems ? 'bg-green-500' : 'bg-blue-500'
+                checklistProgress === 100 ? 'bg-green-500' : 'bg-blue-500'
               }`}
-              style={{ width: `${(completedChecklistItems / totalChecklistItems) * 100}%` }}
+              style={{ width: `${checklistProgress}%` }}
             />
           </div>
         </div>
@@ -0,0 +1,88 @@
+import React, { useState } from 'react';
+
+// Rendered sizes in pixels
+const SIZES = {
+  xs: 24,
+  sm: 32,
+  md: 40,
+  lg: 96,
+};
+
+// Uploaded avatars come as 32, 64 and 256px squares
+const VARIANTS = [
+  { name: 'small', size: 32 },
+  { name: 'medium', size: 64 },
+  { name: 'large', size: 256 },
+];
+
+const COLORS = [
+  'bg-blue-500',
+  'bg-green-500',
+  'bg-purple-500',
+  'bg-pink-500',
+  'bg-indigo-500',
+  'bg-yellow-500',
+  'bg-red-500',
+  'bg-teal-500',
+];
+
+export const getInitials = (user) => {
+  if (!user) return '?';
+  if (user.firstName) {
+    return `${user.firstName[0]}${user.lastName?.[0] || ''}`.toUpperCase();
+  }
+  return (user.username || '?').slice(0, 2).toUpperCase();
+};
+
+export const getDisplayName = (user) => {
+  if (!user) return '';
+  return [user.firstName, user.lastName].filter(Boolean).join(' ') || user.username;
+};
+
+// Same user, same color
+const getColor = (user) => {
+  const seed = String(user?._id || user?.username || '');
+  const hash = [...seed].reduce((total, char) => total + char.charCodeAt(0), 0);
+  return COLORS[hash % COLORS.length];
+};
+
+// Smallest uploaded variant that stays sharp on high-density screens
+const getImageUrl = (user, pixels) => {
+  const variants = user?.avatarVariants || {};
+  const variant = VARIANTS.find(({ name, size }) => variants[name] && size >= pixels * 2);
+  return variant ? variants[variant.name] : (variants.large || user?.avatar);
+};
+
+const Avatar = ({ user, size = 'sm', className = '' }) => {
+  const pixels = SIZES[size] || SIZES.sm;
+  const imageUrl = getImageUrl(user, pixels);
+  const [failedUrl, setFailedUrl] = useState(null);
+
+  const style = { width: pixels, height: pixels, fontSize: Math.max(10, Math.round(pixels * 0.4)) };
+  const name = getDisplayName(user);
+
+  if (imageUrl && failedUrl !== imageUrl) {
+    return (
+      <img
+        src={imageUrl}
+        alt={name}
+        title={name}
+        style={style}
+        onError={() => setFailedUrl(imageUrl)}
+        className={`rounded-full object-cover flex-shrink-0 ${className}`}
+      />
+    );
+  }
+
+  return (
+    <div
+      title={name}
+      style={style}
+      className={`rounded-full flex items-center justify-center flex-shrink-0 text-white font-medium ${getColor(user)} ${className}`}
+    >
+      {getInitials(user)}
+    </div>
+  );
+};
+
+export default Avatar;
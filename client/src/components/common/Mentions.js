@@ -0,0 +1,196 @@
+import React, { useMemo, useRef, useState } from 'react';
+import toast from 'react-hot-toast';
+import Avatar, { getDisplayName } from './Avatar';
+import invitationService from '../../services/invitationService';
+
+// Same as the server: "@username" at the start or after a character that cannot be part of an
+// email address or another username
+const MENTION_PATTERN = /(^|[^\w@.-])@([a-zA-Z0-9_-]{3,30})/g;
+
+// The "@query" being typed right before the caret, if any
+const MENTION_BEFORE_CARET = /(^|[^\w@.-])@([a-zA-Z0-9_-]{0,30})$/;
+
+const MAX_SUGGESTIONS = 6;
+
+const matchesQuery = (user, query) => [user.username, user.firstName, user.lastName]
+  .some((value) => value && value.toLowerCase().startsWith(query));
+
+// Suggest board members while someone types "@" in a textarea, and put the picked username in
+// place of what they typed. setValue gets the textarea's new value.
+export const useMentionAutocomplete = (members, textareaRef, setValue) => {
+  const [mention, setMention] = useState(null);
+  const [activeIndex, setActiveIndex] = useState(0);
+  // Where the "@" is that Escape was pressed after, so that mention stays closed
+  const dismissed = useRef(null);
+
+  const suggestions = useMemo(() => {
+    if (!mention) return [];
+    const query = mention.query.toLowerCase();
+    return (members || []).filter((user) => user && matchesQuery(user, query)).slice(0, MAX_SUGGESTIONS);
+  }, [members, mention]);
+
+  const close = () => setMention(null);
+
+  // Look at what comes before the caret, call when the text or the caret changes
+  const refresh = () => {
+    const textarea = textareaRef.current;
+    if (!textarea || textarea.selectionStart !== textarea.selectionEnd) {
+      close();
+      return;
+    }
+
+    const caret = textarea.selectionStart;
+    const match = textarea.value.slice(0, caret).match(MENTION_BEFORE_CARET);
+    const start = match && caret - match[2].length - 1;
+    if (!match || start === dismissed.current) {
+      if (!match) dismissed.current = null;
+      close();
+      return;
+    }
+
+    if (mention?.start !== start || mention?.query !== match[2]) {
+      setMention({ start, end: caret, query: match[2] });
+      setActiveIndex(0);
+    }
+  };
+
+  const pick = (user) => {
+    const textarea = textareaRef.current;
+    if (!textarea || !mention) return;
+
+    const inserted = `@${user.username} `;
+    setValue(textarea.value.slice(0, mention.start) + inserted + textarea.value.slice(mention.end));
+    close();
+
+    const caret = mention.start + inserted.length;
+    requestAnimationFrame(() => {
+      textarea.focus();
+      textarea.setSelectionRange(caret, caret);
+    });
+  };
+
+  // Keys that move through and pick suggestions, returns true when the key was used for that
+  const handleKeyDown = (event) => {
+    if (suggestions.length === 0) return false;
+
+    if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+      const step = event.key === 'ArrowDown' ? 1 : -1;
+      setActiveIndex((index) => (index + step + suggestions.length) % suggestions.length);
+    } else if (event.key === 'Enter' || event.key === 'Tab') {
+      pick(suggestions[activeIndex]);
+    } else if (event.key === 'Escape') {
+      event.stopPropagation();
+      dismissed.current = mention.start;
+      close();
+    } else {
+      return false;
+    }
+
+    event.preventDefault();
+    return true;
+  };
+
+  return { suggestions, activeIndex, refresh, pick, close, handleKeyDown };
+};
+
+// The members matching what is typed after "@", under the textarea. Goes inside a relative parent.
+export const MentionSuggestions = ({ suggestions, activeIndex, onPick }) => {
+  if (suggestions.length === 0) return null;
+
+  return (
+    <ul className="absolute left-0 top-full z-20 mt-1 w-64 bg-white border border-gray-200 rounded-lg shadow-lg py-1">
+      {suggestions.map((user, index) => (
+        <li key={user._id}>
+          <button
+            type="button"
+            // Keep the focus in the textarea
+            onMouseDown={(e) => e.preventDefault()}
+            onClick={() => onPick(user)}
+            className={`w-full flex items-center space-x-2 px-3 py-1.5 text-left text-sm ${
+              index === activeIndex ? 'bg-blue-50' : 'hover:bg-gray-50'
+            }`}
+          >
+            <Avatar user={user} size="xs" />
+            <span className="truncate">
+              <span className="text-gray-900">{getDisplayName(user)}</span>
+              <span className="ml-1 text-gray-500">@{user.username}</span>
+            </span>
+          </button>
+        </li>
+      ))}
+    </ul>
+  );
+};
+
+// Text with the "@username" of the mentioned users shown as chips. Other "@" words stay text.
+export const MentionText = ({ text, users = [] }) => {
+  if (!text) return null;
+
+  const byUsername = new Map(users.filter((user) => user?.username).map((user) => [user.username, user]));
+  const parts = [];
+  let offset = 0;
+  for (const match of text.matchAll(MENTION_PATTERN)) {
+    const user = byUsername.get(match[2]);
+    if (!user) continue;
+
+    const start = match.index + match[1].length;
+    parts.push(text.slice(offset, start));
+    parts.push(
+      <span
+        key={start}
+        title={getDisplayName(user)}
+        className="inline-block px-1 rounded bg-blue-100 text-blue-700 font-medium"
+      >
+        @{user.username}
+      </span>
+    );
+    offset = start + match[2].length + 1;
+  }
+  parts.push(text.slice(offset));
+
+  return <>{parts}</>;
+};
+
+// Offer to invite mentioned people who are not on the board. They were not notified, since
+// they cannot open the task.
+export const offerInvites = (boardId, users, canInvite) => {
+  if (!users || users.length === 0) return;
+
+  const names = users.map((user) => `@${user.username}`).join(', ');
+  if (!canInvite) {
+    toast(`${names} ${users.length === 1 ? 'is' : 'are'} not on this board. Ask a board admin to invite them.`);
+    return;
+  }
+
+  const invite = async (user) => {
+    try {
+      await invitationService.sendInvitation(boardId, user.username);
+      toast.success(`Invitation sent to ${user.username}`);
+    } catch (error) {
+      console.error('Invite member error:', error);
+      toast.error(error.message || 'Failed to send invitation');
+    }
+  };
+
+  toast((t) => (
+    <div className="text-sm">
+      <p className="mb-2">
+        {names} {users.length === 1 ? 'is' : 'are'} not on this board and won't be notified.
+      </p>
+      <div className="flex flex-wrap gap-2">
+        {users.map((user) => (
+          <button
+            key={user._id}
+            onClick={() => invite(user)}
+            className="px-2 py-1 rounded bg-blue-600 text-white hover:bg-blue-700"
+          >
+            Invite {getDisplayName(user)}
+          </button>
+        ))}
+        <button onClick={() => toast.dismiss(t.id)} className="px-2 py-1 rounded text-gray-600 hover:bg-gray-100">
+          Dismiss
+        </button>
+      </div>
+    </div>
+  ), { duration: 15000 });
+};
@@ -0,0 +1,64 @@
+import React, { useState, useEffect } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import { Link } from 'react-router-dom';
+import { Square } from 'lucide-react';
+import toast from 'react-hot-toast';
+import taskService from '../../services/taskService';
+import { fetchRunningTimer } from '../../store/slices/timerSlice';
+
+// "0:05:09" since a start time
+const formatElapsed = (startTime, now) => {
+  const seconds = Math.max(0, Math.floor((now - new Date(startTime)) / 1000));
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${Math.floor(seconds / 3600)}:${pad(Math.floor(seconds / 60) % 60)}:${pad(seconds % 60)}`;
+};
+
+// The user's running timer, on whatever board it runs, with a button to stop it
+const RunningTimer = () => {
+  const dispatch = useDispatch();
+  const { timer } = useSelector((state) => state.timer);
+  const [now, setNow] = useState(Date.now());
+
+  useEffect(() => {
+    if (!timer) return undefined;
+
+    const interval = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(interval);
+  }, [timer]);
+
+  if (!timer) return null;
+
+  const handleStop = async () => {
+    try {
+      await taskService.stopTimer(timer.taskId);
+      dispatch(fetchRunningTimer());
+      toast.success('Time tracking stopped');
+    } catch (error) {
+      console.error('Stop timer error:', error);
+      toast.error('Failed to stop timer');
+    }
+  };
+
+  return (
+    <div className="flex items-center space-x-2 px-3 py-1 rounded-full bg-red-50 dark:bg-red-900/30 border border-red-200 dark:border-red-800">
+      <span className="w-2 h-2 rounded-full bg-red-500 animate-pulse" />
+      <Link
+        to={`/board/${timer.boardId}`}
+        className="text-sm text-red-700 dark:text-red-300 max-w-[12rem] truncate hover:underline"
+        title={`${timer.taskTitle} on ${timer.boardTitle}`}
+      >
+        {timer.taskTitle}
+      </Link>
+      <span className="text-sm font-mono text-red-700 dark:text-red-300">{formatElapsed(timer.startTime, now)}</span>
+      <button
+        onClick={handleStop}
+        className="p-1 text-red-600 hover:bg-red-100 dark:hover:bg-red-800 rounded-full"
+        title="Stop timer"
+      >
+        <Square size={12} fill="currentColor" />
+      </button>
+    </div>
+  );
+};
+
+export default RunningTimer;
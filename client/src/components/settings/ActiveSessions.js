@@ -0,0 +1,123 @@
+import React, { useState, useEffect } from 'react';
+import { formatDistanceToNow } from 'date-fns';
+import authService from '../../services/authService';
+import toast from 'react-hot-toast';
+import LoadingSpinner from '../common/LoadingSpinner';
+
+const ActiveSessions = () => {
+  const [sessions, setSessions] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [processingId, setProcessingId] = useState(null);
+
+  const fetchSessions = async () => {
+    try {
+      const response = await authService.getSessions();
+      setSessions(response.sessions || []);
+    } catch (error) {
+      console.error('Error fetching sessions:', error);
+      toast.error(error.response?.data?.message || 'Failed to load sessions');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchSessions();
+  }, []);
+
+  const handleRevoke = async (sessionId) => {
+    if (processingId) return;
+
+    try {
+      setProcessingId(sessionId);
+      await authService.revokeSession(sessionId);
+      setSessions(sessions.filter(session => session._id !== sessionId));
+      toast.success('Session signed out');
+    } catch (error) {
+      console.error('Error revoking session:', error);
+      toast.error(error.response?.data?.message || 'Failed to sign out session');
+    } finally {
+      setProcessingId(null);
+    }
+  };
+
+  const handleRevokeOthers = async () => {
+    if (!window.confirm('Sign out of all other devices?')) {
+      return;
+    }
+
+    try {
+      setProcessingId('all');
+      await authService.revokeAllSessions(true);
+      setSessions(sessions.filter(session => session.isCurrent));
+      toast.success('Signed out of all other devices');
+    } catch (error) {
+      console.error('Error revoking sessions:', error);
+      toast.error(error.response?.data?.message || 'Failed to sign out other devices');
+    } finally {
+      setProcessingId(null);
+    }
+  };
+
+  if (isLoading) {
+    return (
+      <div className="flex justify-center py-8">
+        <LoadingSpinner />
+      </div>
+    );
+  }
+
+  return (
+    <div>
+      <div className="flex justify-between items-center mb-4">
+        <p className="text-sm text-gray-500 dark:text-gray-400">
+          Devices that are currently signed in to your account.
+        </p>
+        {sessions.length > 1 && (
+          <button
+            onClick={handleRevokeOthers}
+            disabled={processingId === 'all'}
+            className="text-sm text-red-600 hover:text-red-800 disabled:opacity-50"
+          >
+            Sign out all other devices
+          </button>
+        )}
+      </div>
+
+      <div className="space-y-3">
+        {sessions.map((session) => (
+          <div
+            key={session._id}
+            className="flex items-center justify-between p-4 border border-gray-200 dark:border-gray-700 rounded-lg"
+          >
+            <div>
+              <div className="font-medium text-gray-900 dark:text-white">
+                {session.device}
+                {session.isCurrent && (
+                  <span className="ml-2 inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium bg-green-100 text-green-800">
+                    This device
+                  </span>
+                )}
+              </div>
+              <div className="text-sm text-gray-500 dark:text-gray-400">
+                {session.ip || 'Unknown IP'} · Last active {formatDistanceToNow(new Date(session.lastUsedAt), { addSuffix: true })}
+              </div>
+            </div>
+
+            {!session.isCurrent && (
+              <button
+                onClick={() => handleRevoke(session._id)}
+                disabled={processingId === session._id}
+                className="text-sm text-red-600 hover:text-red-800 disabled:opacity-50"
+              >
+                Sign out
+              </button>
+            )}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default ActiveSessions;
@@ -0,0 +1,326 @@
+import React, { useState, useEffect } from 'react';
+import { formatDistanceToNow, format, addDays } from 'date-fns';
+import { Copy, KeyRound } from 'lucide-react';
+import toast from 'react-hot-toast';
+import tokenService from '../../services/tokenService';
+import boardService from '../../services/boardService';
+import LoadingSpinner from '../common/LoadingSpinner';
+
+const EXPIRY_OPTIONS = [
+  { label: '30 days', days: 30 },
+  { label: '90 days', days: 90 },
+  { label: '1 year', days: 365 },
+  { label: 'No expiry', days: null },
+];
+
+const initialForm = {
+  name: '',
+  scopes: [],
+  boards: [],
+  expiresInDays: 30,
+};
+
+const ApiTokens = () => {
+  const [tokens, setTokens] = useState([]);
+  const [availableScopes, setAvailableScopes] = useState([]);
+  const [boards, setBoards] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [showForm, setShowForm] = useState(false);
+  const [formData, setFormData] = useState(initialForm);
+  const [isCreating, setIsCreating] = useState(false);
+  const [newToken, setNewToken] = useState(null);
+
+  const fetchTokens = async () => {
+    try {
+      const response = await tokenService.getTokens();
+      setTokens(response.tokens || []);
+      setAvailableScopes(response.scopes || []);
+    } catch (error) {
+      console.error('Error fetching API tokens:', error);
+      toast.error(error.response?.data?.message || 'Failed to load API tokens');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchTokens();
+  }, []);
+
+  const openForm = async () => {
+    setShowForm(true);
+    if (boards.length === 0) {
+      try {
+        const response = await boardService.getBoards();
+        setBoards(response.boards || []);
+      } catch (error) {
+        console.error('Error fetching boards:', error);
+      }
+    }
+  };
+
+  const toggleValue = (field, value) => {
+    const values = formData[field];
+    setFormData({
+      ...formData,
+      [field]: values.includes(value)
+        ? values.filter(item => item !== value)
+        : [...values, value],
+    });
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+
+    try {
+      setIsCreating(true);
+      const response = await tokenService.createToken({
+        name: formData.name.trim(),
+        scopes: formData.scopes,
+        boards: formData.boards,
+        expiresAt: formData.expiresInDays
+          ? addDays(new Date(), formData.expiresInDays).toISOString()
+          : null,
+      });
+
+      setTokens([response.apiToken, ...tokens]);
+      setNewToken(response.token);
+      setFormData(initialForm);
+      setShowForm(false);
+    } catch (error) {
+      console.error('Error creating API token:', error);
+      toast.error(error.response?.data?.message || 'Failed to create API token');
+    } finally {
+      setIsCreating(false);
+    }
+  };
+
+  const handleRevoke = async (token) => {
+    if (!window.confirm(`Revoke "${token.name}"? Scripts using it will stop working.`)) {
+      return;
+    }
+
+    try {
+      await tokenService.revokeToken(token._id);
+      setTokens(tokens.filter(item => item._id !== token._id));
+      toast.success('API token revoked');
+    } catch (error) {
+      console.error('Error revoking API token:', error);
+      toast.error(error.response?.data?.message || 'Failed to revoke API token');
+    }
+  };
+
+  if (isLoading) {
+    return (
+      <div className="flex justify-center py-8">
+        <LoadingSpinner />
+      </div>
+    );
+  }
+
+  return (
+    <div>
+      <div className="flex justify-between items-center mb-4">
+        <p className="text-sm text-gray-500 dark:text-gray-400">
+          Personal access tokens let scripts and integrations use the API as you.
+        </p>
+        {!showForm && (
+          <button
+            onClick={openForm}
+            className="px-3 py-1.5 text-sm bg-blue-600 text-white rounded-md hover:bg-blue-700"
+          >
+            New token
+          </button>
+        )}
+      </div>
+
+      {newToken && (
+        <div className="mb-4 p-4 bg-green-50 dark:bg-green-900/30 border border-green-200 dark:border-green-800 rounded-lg">
+          <p className="text-sm text-green-800 dark:text-green-200 mb-2">
+            Copy your new token now. You won't be able to see it again.
+          </p>
+          <div className="flex items-center space-x-2">
+            <code className="flex-1 px-3 py-2 bg-white dark:bg-gray-900 rounded text-sm font-mono break-all text-gray-900 dark:text-white">
+              {newToken}
+            </code>
+            <button
+              onClick={() => {
+                navigator.clipboard.writeText(newToken);
+                toast.success('Token copied');
+              }}
+              className="p-2 text-green-700 hover:text-green-900"
+              title="Copy token"
+            >
+              <Copy className="w-4 h-4" />
+            </button>
+          </div>
+          <button
+            onClick={() => setNewToken(null)}
+            className="mt-2 text-sm text-green-800 dark:text-green-200 hover:underline"
+          >
+            Done
+          </button>
+        </div>
+      )}
+
+      {showForm && (
+        <form
+          onSubmit={handleCreate}
+          className="mb-4 p-4 border border-gray-200 dark:border-gray-700 rounded-lg space-y-4"
+        >
+          <div>
+            <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+              Name
+            </label>
+            <input
+              type="text"
+              value={formData.name}
+              onChange={(e) => setFormData({ ...formData, name: e.target.value })}
+              placeholder="e.g. Nightly report script"
+              maxLength={100}
+              className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md bg-white dark:bg-gray-700 text-gray-900 dark:text-white focus:outline-none focus:ring-2 focus:ring-blue-500"
+            />
+          </div>
+
+          <div>
+            <span className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+              Scopes
+            </span>
+            <div className="grid grid-cols-2 gap-2">
+              {availableScopes.map((scope) => (
+                <label key={scope} className="flex items-center text-sm text-gray-700 dark:text-gray-300">
+                  <input
+                    type="checkbox"
+                    checked={formData.scopes.includes(scope)}
+                    onChange={() => toggleValue('scopes', scope)}
+                    className="mr-2"
+                  />
+                  <span className="font-mono">{scope}</span>
+                </label>
+              ))}
+            </div>
+          </div>
+
+          <div>
+            <span className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+              Boards <span className="font-normal text-gray-500">(leave empty for all boards)</span>
+            </span>
+            <div className="max-h-32 overflow-y-auto space-y-1">
+              {boards.map((board) => (
+                <label key={board._id} className="flex items-center text-sm text-gray-700 dark:text-gray-300">
+                  <input
+                    type="checkbox"
+                    checked={formData.boards.includes(board._id)}
+                    onChange={() => toggleValue('boards', board._id)}
+                    className="mr-2"
+                  />
+                  {board.title}
+                </label>
+              ))}
+            </div>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+              Expires
+            </label>
+            <select
+              value={formData.expiresInDays ?? ''}
+              onChange={(e) => setFormData({
+                ...formData,
+                expiresInDays: e.target.value ? parseInt(e.target.value, 10) : null,
+              })}
+              className="px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
+            >
+              {EXPIRY_OPTIONS.map((option) => (
+                <option key={option.label} value={option.days ?? ''}>
+                  {option.label}
+                </option>
+              ))}
+            </select>
+          </div>
+
+          <div className="flex space-x-3">
+            <button
+              type="submit"
+              disabled={isCreating || !formData.name.trim() || formData.scopes.length === 0}
+              className="px-4 py-2 text-sm bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50"
+            >
+              {isCreating ? 'Creating...' : 'Create token'}
+            </button>
+            <button
+              type="button"
+              onClick={() => {
+                setShowForm(false);
+                setFormData(initialForm);
+              }}
+              className="px-4 py-2 text-sm text-gray-600 dark:text-gray-300 hover:text-gray-800"
+            >
+              Cancel
+            </button>
+          </div>
+        </form>
+      )}
+
+      {tokens.length === 0 ? (
+        <p className="text-sm text-gray-500 dark:text-gray-400 text-center py-4">
+          You don't have any API tokens yet.
+        </p>
+      ) : (
+        <div className="space-y-3">
+          {tokens.map((token) => (
+            <div
+              key={token._id}
+              className="flex items-start justify-between p-4 border border-gray-200 dark:border-gray-700 rounded-lg"
+            >
+              <div>
+                <div className="flex items-center font-medium text-gray-900 dark:text-white">
+                  <KeyRound className="w-4 h-4 mr-2 text-gray-400" />
+                  {token.name}
+                  <span className="ml-2 text-xs font-mono text-gray-500">{token.tokenPreview}…</span>
+                  {!token.isActive && (
+                    <span className="ml-2 inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium bg-red-100 text-red-800">
+                      Expired
+                    </span>
+                  )}
+                </div>
+                <div className="mt-1 flex flex-wrap gap-1">
+                  {token.scopes.map((scope) => (
+                    <span
+                      key={scope}
+                      className="px-2 py-0.5 rounded text-xs font-mono bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-gray-300"
+                    >
+                      {scope}
+                    </span>
+                  ))}
+                </div>
+                <div className="mt-1 text-sm text-gray-500 dark:text-gray-400">
+                  {token.boards.length > 0
+                    ? `Boards: ${token.boards.map(board => board.title).join(', ')}`
+                    : 'All boards'}
+                  {' · '}
+                  {token.lastUsedAt
+                    ? `Last used ${formatDistanceToNow(new Date(token.lastUsedAt), { addSuffix: true })}`
+                    : 'Never used'}
+                  {' · '}
+                  {token.expiresAt
+                    ? `Expires ${format(new Date(token.expiresAt), 'MMM d, yyyy')}`
+                    : 'Never expires'}
+                </div>
+              </div>
+
+              <button
+                onClick={() => handleRevoke(token)}
+                className="text-sm text-red-600 hover:text-red-800"
+              >
+                Revoke
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ApiTokens;
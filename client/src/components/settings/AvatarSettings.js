@@ -0,0 +1,103 @@
+import React, { useRef, useState } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import { Upload } from 'lucide-react';
+import toast from 'react-hot-toast';
+import authService from '../../services/authService';
+import { updateUser } from '../../store/slices/authSlice';
+import Avatar, { getDisplayName } from '../common/Avatar';
+
+const MAX_SIZE = 5 * 1024 * 1024;
+const ACCEPTED_TYPES = ['image/jpeg', 'image/png', 'image/gif', 'image/webp'];
+
+const AvatarSettings = () => {
+  const dispatch = useDispatch();
+  const { user } = useSelector((state) => state.auth);
+  const fileInputRef = useRef(null);
+  const [isUploading, setIsUploading] = useState(false);
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files[0];
+    // Allow picking the same file again after an error
+    e.target.value = '';
+    if (!file) return;
+
+    if (!ACCEPTED_TYPES.includes(file.type)) {
+      toast.error('Please choose a JPEG, PNG, GIF or WebP image');
+      return;
+    }
+    if (file.size > MAX_SIZE) {
+      toast.error('Avatar image cannot exceed 5MB');
+      return;
+    }
+
+    try {
+      setIsUploading(true);
+      const response = await authService.uploadAvatar(file);
+      dispatch(updateUser(response.user));
+      toast.success('Avatar updated');
+    } catch (error) {
+      console.error('Error uploading avatar:', error);
+      toast.error(error.response?.data?.message || 'Failed to upload avatar');
+    } finally {
+      setIsUploading(false);
+    }
+  };
+
+  const handleRemove = async () => {
+    try {
+      setIsUploading(true);
+      const response = await authService.removeAvatar();
+      dispatch(updateUser(response.user));
+      toast.success('Avatar removed');
+    } catch (error) {
+      console.error('Error removing avatar:', error);
+      toast.error(error.response?.data?.message || 'Failed to remove avatar');
+    } finally {
+      setIsUploading(false);
+    }
+  };
+
+  return (
+    <div className="flex items-center space-x-6">
+      <Avatar user={user} size="lg" />
+
+      <div>
+        <div className="font-medium text-gray-900 dark:text-white">{getDisplayName(user)}</div>
+        <p className="text-sm text-gray-500 dark:text-gray-400 mb-3">
+          JPEG, PNG, GIF or WebP up to 5MB. Images are cropped to a square.
+        </p>
+
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept={ACCEPTED_TYPES.join(',')}
+          onChange={handleFileChange}
+          className="hidden"
+        />
+        <div className="flex items-center space-x-3">
+          <button
+            type="button"
+            onClick={() => fileInputRef.current.click()}
+            disabled={isUploading}
+            className="flex items-center px-4 py-2 text-sm font-medium text-white bg-blue-600 rounded-md hover:bg-blue-700 disabled:opacity-50"
+          >
+            <Upload className="w-4 h-4 mr-2" />
+            {isUploading ? 'Uploading...' : 'Upload new picture'}
+          </button>
+          {user?.avatar && (
+            <button
+              type="button"
+              onClick={handleRemove}
+              disabled={isUploading}
+              className="text-sm text-red-600 hover:text-red-800 disabled:opacity-50"
+            >
+              Remove
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default AvatarSettings;
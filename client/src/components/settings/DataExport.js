@@ -0,0 +1,50 @@
+import React, { useState } from 'react';
+import { format } from 'date-fns';
+import { Download } from 'lucide-react';
+import toast from 'react-hot-toast';
+import accountService from '../../services/accountService';
+
+const DataExport = () => {
+  const [isExporting, setIsExporting] = useState(false);
+
+  const handleExport = async () => {
+    try {
+      setIsExporting(true);
+      const archive = await accountService.exportData();
+
+      // Hand the downloaded blob to the browser as a file
+      const url = window.URL.createObjectURL(archive);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `collab-app-export-${format(new Date(), 'yyyy-MM-dd')}.zip`;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      window.URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error('Error exporting data:', error);
+      toast.error('Failed to export your data');
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
+  return (
+    <div className="flex items-center justify-between">
+      <p className="text-sm text-gray-500 dark:text-gray-400 mr-4">
+        Download a ZIP of JSON files with your profile, the boards you own, your tasks, comments,
+        time entries and invitations.
+      </p>
+      <button
+        onClick={handleExport}
+        disabled={isExporting}
+        className="flex-shrink-0 flex items-center px-4 py-2 text-sm font-medium text-gray-700 bg-white border border-gray-300 rounded-md hover:bg-gray-50 disabled:opacity-50"
+      >
+        <Download className="w-4 h-4 mr-2" />
+        {isExporting ? 'Preparing...' : 'Export data'}
+      </button>
+    </div>
+  );
+};
+
+export default DataExport;
@@ -0,0 +1,257 @@
+import React, { useEffect, useState } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import { AlertTriangle } from 'lucide-react';
+import toast from 'react-hot-toast';
+import accountService from '../../services/accountService';
+import { API_URL } from '../../services/apiClient';
+import { logout } from '../../store/slices/authSlice';
+import { SSO_REAUTH_MESSAGE } from '../auth/SsoReauth';
+import LoadingSpinner from '../common/LoadingSpinner';
+
+const memberName = (user) =>
+  [user.firstName, user.lastName].filter(Boolean).join(' ') || user.username;
+
+const DeleteAccount = () => {
+  const dispatch = useDispatch();
+  const { user } = useSelector((state) => state.auth);
+  const [isOpen, setIsOpen] = useState(false);
+  const [ownedBoards, setOwnedBoards] = useState(null);
+  // Board ID -> new owner ID, boards left out are deleted
+  const [boardTransfers, setBoardTransfers] = useState({});
+  // Single sign-on accounts may never have had a password, they can confirm another way
+  const [confirmWith, setConfirmWith] = useState('password');
+  const [password, setPassword] = useState('');
+  const [code, setCode] = useState('');
+  const [ssoCode, setSsoCode] = useState('');
+  const [isDeleting, setIsDeleting] = useState(false);
+
+  // The single sign-on window sends back a one-time code once the provider confirmed who we are
+  useEffect(() => {
+    const handleMessage = (event) => {
+      if (event.origin !== window.location.origin || event.data?.type !== SSO_REAUTH_MESSAGE) return;
+
+      if (event.data.code) {
+        setSsoCode(event.data.code);
+        toast.success('Confirmed with single sign-on');
+      } else {
+        toast.error(event.data.error);
+      }
+    };
+
+    window.addEventListener('message', handleMessage);
+    return () => window.removeEventListener('message', handleMessage);
+  }, []);
+
+  const confirmWithSso = () => {
+    window.open(`${API_URL}/auth/sso/login?purpose=reauth`, 'sso-reauth', 'width=500,height=700');
+  };
+
+  const confirmation = {
+    password: { password },
+    code: { code },
+    sso: { ssoCode },
+  }[confirmWith];
+  const isConfirmed = Boolean(Object.values(confirmation)[0]);
+
+  const openConfirmation = async () => {
+    setIsOpen(true);
+    try {
+      const response = await accountService.getOwnedBoards();
+      setOwnedBoards(response.boards || []);
+    } catch (error) {
+      console.error('Error fetching owned boards:', error);
+      toast.error(error.response?.data?.message || 'Failed to load your boards');
+      setIsOpen(false);
+    }
+  };
+
+  const handleTransferChange = (boardId, newOwnerId) => {
+    const transfers = { ...boardTransfers };
+    if (newOwnerId) {
+      transfers[boardId] = newOwnerId;
+    } else {
+      delete transfers[boardId];
+    }
+    setBoardTransfers(transfers);
+  };
+
+  const handleDelete = async (e) => {
+    e.preventDefault();
+
+    if (!window.confirm('This permanently deletes your account. Continue?')) {
+      return;
+    }
+
+    try {
+      setIsDeleting(true);
+      await accountService.deleteAccount({ ...confirmation, boardTransfers });
+      toast.success('Your account has been deleted');
+      dispatch(logout());
+    } catch (error) {
+      console.error('Error deleting account:', error);
+      toast.error(error.response?.data?.message || 'Failed to delete account');
+      // Single sign-on codes only work once
+      setSsoCode('');
+      setIsDeleting(false);
+    }
+  };
+
+  if (!isOpen) {
+    return (
+      <div className="flex items-center justify-between">
+        <p className="text-sm text-gray-500 dark:text-gray-400 mr-4">
+          Permanently delete your account. Your comments and activity stay on shared boards as "Deleted user".
+        </p>
+        <button
+          onClick={openConfirmation}
+          className="flex-shrink-0 px-4 py-2 text-sm font-medium text-white bg-red-600 rounded-md hover:bg-red-700"
+        >
+          Delete account
+        </button>
+      </div>
+    );
+  }
+
+  if (!ownedBoards) {
+    return (
+      <div className="flex justify-center py-8">
+        <LoadingSpinner />
+      </div>
+    );
+  }
+
+  return (
+    <form onSubmit={handleDelete} className="space-y-4">
+      <div className="flex items-start p-4 bg-red-50 border border-red-200 rounded-md text-sm text-red-700">
+        <AlertTriangle className="w-5 h-5 mr-2 flex-shrink-0" />
+        This cannot be undone. Consider exporting your data first.
+      </div>
+
+      {ownedBoards.length > 0 && (
+        <div>
+          <h3 className="text-sm font-medium text-gray-900 dark:text-white mb-2">Boards you own</h3>
+          <p className="text-sm text-gray-500 dark:text-gray-400 mb-3">
+            Hand each board to one of its members or delete it together with its lists and tasks.
+          </p>
+          <div className="space-y-2">
+            {ownedBoards.map((board) => (
+              <div
+                key={board._id}
+                className="flex items-center justify-between p-3 border border-gray-200 dark:border-gray-700 rounded-md"
+              >
+                <span className="font-medium text-gray-900 dark:text-white truncate mr-4">{board.title}</span>
+                <select
+                  value={boardTransfers[board._id] || ''}
+                  onChange={(e) => handleTransferChange(board._id, e.target.value)}
+                  className="px-3 py-1 text-sm border border-gray-300 rounded-md focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+                >
+                  <option value="">Delete board</option>
+                  {board.members
+                    .filter((member) => member.user)
+                    .map((member) => (
+                      <option key={member.user._id} value={member.user._id}>
+                        Transfer to {memberName(member.user)}
+                      </option>
+                    ))}
+                </select>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {user?.ssoLinked && (
+        <div>
+          <label htmlFor="delete-confirm-with" className="block text-sm font-medium text-gray-700 dark:text-gray-300">
+            Confirm with
+          </label>
+          <select
+            id="delete-confirm-with"
+            value={confirmWith}
+            onChange={(e) => setConfirmWith(e.target.value)}
+            className="mt-1 px-3 py-1 text-sm border border-gray-300 rounded-md focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+          >
+            <option value="password">Your password</option>
+            <option value="sso">Single sign-on</option>
+            {user.twoFactorEnabled && <option value="code">An authentication code</option>}
+          </select>
+        </div>
+      )}
+
+      {confirmWith === 'password' && (
+        <div>
+          <label htmlFor="delete-password" className="block text-sm font-medium text-gray-700 dark:text-gray-300">
+            Confirm with your password
+          </label>
+          <input
+            id="delete-password"
+            type="password"
+            required
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-blue-500 focus:border-blue-500 sm:text-sm"
+          />
+        </div>
+      )}
+
+      {confirmWith === 'code' && (
+        <div>
+          <label htmlFor="delete-code" className="block text-sm font-medium text-gray-700 dark:text-gray-300">
+            Authentication or recovery code
+          </label>
+          <input
+            id="delete-code"
+            type="text"
+            inputMode="numeric"
+            autoComplete="one-time-code"
+            required
+            value={code}
+            onChange={(e) => setCode(e.target.value)}
+            className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-blue-500 focus:border-blue-500 sm:text-sm"
+          />
+        </div>
+      )}
+
+      {confirmWith === 'sso' && (
+        <div className="flex items-center justify-between">
+          <p className="text-sm text-gray-500 dark:text-gray-400 mr-4">
+            {ssoCode ? 'Confirmed, you can delete your account now.' : 'Sign in with your provider again to confirm it is you.'}
+          </p>
+          <button
+            type="button"
+            onClick={confirmWithSso}
+            disabled={Boolean(ssoCode)}
+            className="flex-shrink-0 px-4 py-2 text-sm font-medium text-gray-700 bg-white border border-gray-300 rounded-md hover:bg-gray-50 disabled:opacity-50"
+          >
+            Confirm with single sign-on
+          </button>
+        </div>
+      )}
+
+      <div className="flex justify-end space-x-3">
+        <button
+          type="button"
+          onClick={() => {
+            setIsOpen(false);
+            setPassword('');
+            setCode('');
+            setSsoCode('');
+            setBoardTransfers({});
+          }}
+          className="px-4 py-2 text-sm font-medium text-gray-700 bg-white border border-gray-300 rounded-md hover:bg-gray-50"
+        >
+          Cancel
+        </button>
+        <button
+          type="submit"
+          disabled={isDeleting || !isConfirmed}
+          className="px-4 py-2 text-sm font-medium text-white bg-red-600 rounded-md hover:bg-red-700 disabled:opacity-50"
+        >
+          {isDeleting ? 'Deleting...' : 'Delete my account'}
+        </button>
+      </div>
+    </form>
+  );
+};
+
+export default DeleteAccount;
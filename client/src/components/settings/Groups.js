@@ -0,0 +1,275 @@
+import React, { useState, useEffect } from 'react';
+import { useSelector } from 'react-redux';
+import { ChevronDown, ChevronRight, Trash2, Users } from 'lucide-react';
+import toast from 'react-hot-toast';
+import groupService from '../../services/groupService';
+import organizationService from '../../services/organizationService';
+import LoadingSpinner from '../common/LoadingSpinner';
+import Avatar, { getDisplayName } from '../common/Avatar';
+
+const initialForm = {
+  name: '',
+  description: '',
+  organization: '',
+};
+
+const inputClass = 'w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md bg-white dark:bg-gray-700 text-gray-900 dark:text-white focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+const Groups = () => {
+  const { user } = useSelector((state) => state.auth);
+  const [groups, setGroups] = useState([]);
+  const [adminWorkspaces, setAdminWorkspaces] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [showForm, setShowForm] = useState(false);
+  const [formData, setFormData] = useState(initialForm);
+  const [isSaving, setIsSaving] = useState(false);
+  const [expandedGroupId, setExpandedGroupId] = useState(null);
+  const [memberEmail, setMemberEmail] = useState('');
+
+  useEffect(() => {
+    Promise.all([groupService.getGroups(), organizationService.getOrganizations()])
+      .then(([groupData, organizationData]) => {
+        setGroups(groupData.groups || []);
+        setAdminWorkspaces((organizationData.organizations || [])
+          .filter((organization) => ['owner', 'admin'].includes(organization.userRole)));
+      })
+      .catch((error) => {
+        console.error('Error fetching groups:', error);
+        toast.error(error.response?.data?.message || 'Failed to load groups');
+      })
+      .finally(() => setIsLoading(false));
+  }, []);
+
+  const replaceGroup = (group) => {
+    setGroups((current) => current.map((existing) => (existing._id === group._id ? group : existing)));
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    if (!formData.name.trim()) return;
+
+    try {
+      setIsSaving(true);
+      const { group } = await groupService.createGroup({
+        ...formData,
+        organization: formData.organization || null,
+      });
+      setGroups((current) => [...current, group].sort((a, b) => a.name.localeCompare(b.name)));
+      setFormData(initialForm);
+      setShowForm(false);
+      setExpandedGroupId(group._id);
+      toast.success('Group created');
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to create group');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleAddMember = async (e, group) => {
+    e.preventDefault();
+    if (!memberEmail.trim()) return;
+
+    try {
+      setIsSaving(true);
+      const data = await groupService.addMember(group._id, memberEmail);
+      replaceGroup(data.group);
+      setMemberEmail('');
+      toast.success('Member added to group');
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to add member');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleRemoveMember = async (group, member) => {
+    const isSelf = member.user._id === user._id;
+    if (isSelf && !window.confirm(`Leave ${group.name}? You lose the access it gives you on its boards.`)) return;
+
+    try {
+      await groupService.removeMember(group._id, member.user._id);
+
+      if (isSelf && !group.canManage) {
+        setGroups((current) => current.filter((existing) => existing._id !== group._id));
+      } else {
+        replaceGroup({ ...group, members: group.members.filter((m) => m.user._id !== member.user._id) });
+      }
+      toast.success(isSelf ? 'You left the group' : 'Member removed from group');
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to remove member');
+    }
+  };
+
+  const handleDelete = async (group) => {
+    if (!window.confirm(`Delete ${group.name}? It is removed from every board it was added to.`)) return;
+
+    try {
+      await groupService.deleteGroup(group._id);
+      setGroups((current) => current.filter((existing) => existing._id !== group._id));
+      toast.success('Group deleted');
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to delete group');
+    }
+  };
+
+  if (isLoading) {
+    return (
+      <div className="flex justify-center py-4">
+        <LoadingSpinner />
+      </div>
+    );
+  }
+
+  return (
+    <div>
+      <p className="text-sm text-gray-600 dark:text-gray-300 mb-4">
+        Add a group to a board from its Members dialog to give everyone in the group a role there.
+        People you add to or remove from a group gain or lose that access on all its boards at once.
+      </p>
+
+      {groups.length === 0 && !showForm && (
+        <p className="text-sm text-gray-500 dark:text-gray-400 mb-4">You are not part of any groups yet.</p>
+      )}
+
+      <ul className="divide-y divide-gray-200 dark:divide-gray-700 mb-4">
+        {groups.map((group) => {
+          const isExpanded = expandedGroupId === group._id;
+          return (
+            <li key={group._id} className="py-3">
+              <div className="flex items-center justify-between">
+                <button
+                  onClick={() => setExpandedGroupId(isExpanded ? null : group._id)}
+                  className="flex items-center text-left"
+                >
+                  {isExpanded ? <ChevronDown className="w-4 h-4 mr-2 text-gray-400" /> : <ChevronRight className="w-4 h-4 mr-2 text-gray-400" />}
+                  <Users className="w-4 h-4 mr-2 text-gray-500" />
+                  <span className="font-medium text-gray-900 dark:text-white">{group.name}</span>
+                  <span className="ml-2 text-sm text-gray-500 dark:text-gray-400">
+                    {group.members.length} {group.members.length === 1 ? 'member' : 'members'}
+                    {group.organization && ` · ${group.organization.name}`}
+                  </span>
+                </button>
+                {group.canManage && (
+                  <button
+                    onClick={() => handleDelete(group)}
+                    className="text-red-600 hover:text-red-800"
+                    title="Delete group"
+                  >
+                    <Trash2 className="w-4 h-4" />
+                  </button>
+                )}
+              </div>
+
+              {isExpanded && (
+                <div className="mt-3 ml-10 space-y-2">
+                  {group.description && (
+                    <p className="text-sm text-gray-500 dark:text-gray-400">{group.description}</p>
+                  )}
+
+                  {group.members.filter((member) => member.user).map((member) => (
+                    <div key={member.user._id} className="flex items-center justify-between">
+                      <div className="flex items-center space-x-2">
+                        <Avatar user={member.user} size="xs" />
+                        <span className="text-sm text-gray-900 dark:text-white">{getDisplayName(member.user)}</span>
+                      </div>
+                      {(group.canManage || member.user._id === user._id) && (
+                        <button
+                          onClick={() => handleRemoveMember(group, member)}
+                          className="text-xs text-red-600 hover:text-red-800"
+                        >
+                          {member.user._id === user._id ? 'Leave' : 'Remove'}
+                        </button>
+                      )}
+                    </div>
+                  ))}
+
+                  {group.canManage && (
+                    <form onSubmit={(e) => handleAddMember(e, group)} className="flex space-x-2 pt-2">
+                      <input
+                        type="email"
+                        required
+                        placeholder="Email address"
+                        className={inputClass}
+                        value={memberEmail}
+                        onChange={(e) => setMemberEmail(e.target.value)}
+                      />
+                      <button
+                        type="submit"
+                        disabled={isSaving}
+                        className="px-4 py-2 text-sm font-medium text-white bg-blue-500 hover:bg-blue-600 rounded-md disabled:opacity-50"
+                      >
+                        Add
+                      </button>
+                    </form>
+                  )}
+                </div>
+              )}
+            </li>
+          );
+        })}
+      </ul>
+
+      {showForm ? (
+        <form onSubmit={handleCreate} className="space-y-3 border-t border-gray-200 dark:border-gray-700 pt-4">
+          <input
+            type="text"
+            required
+            maxLength={50}
+            placeholder="Group name, e.g. Frontend"
+            className={inputClass}
+            value={formData.name}
+            onChange={(e) => setFormData({ ...formData, name: e.target.value })}
+          />
+          <input
+            type="text"
+            maxLength={200}
+            placeholder="Description (optional)"
+            className={inputClass}
+            value={formData.description}
+            onChange={(e) => setFormData({ ...formData, description: e.target.value })}
+          />
+          {adminWorkspaces.length > 0 && (
+            <select
+              className={inputClass}
+              value={formData.organization}
+              onChange={(e) => setFormData({ ...formData, organization: e.target.value })}
+            >
+              <option value="">Personal group</option>
+              {adminWorkspaces.map((organization) => (
+                <option key={organization._id} value={organization._id}>
+                  {organization.name} (managed by workspace admins)
+                </option>
+              ))}
+            </select>
+          )}
+          <div className="flex justify-end space-x-3">
+            <button
+              type="button"
+              onClick={() => setShowForm(false)}
+              className="px-4 py-2 text-sm font-medium text-gray-700 bg-gray-200 hover:bg-gray-300 rounded-md"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={isSaving}
+              className="px-4 py-2 text-sm font-medium text-white bg-blue-500 hover:bg-blue-600 rounded-md disabled:opacity-50"
+            >
+              Create Group
+            </button>
+          </div>
+        </form>
+      ) : (
+        <button
+          onClick={() => setShowForm(true)}
+          className="px-4 py-2 text-sm font-medium text-white bg-blue-500 hover:bg-blue-600 rounded-md"
+        >
+          New Group
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default Groups;
@@ -0,0 +1,227 @@
+import React, { useState, useEffect } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import toast from 'react-hot-toast';
+import { updateProfile } from '../../store/slices/authSlice';
+import boardService from '../../services/boardService';
+import { LOCALES, formatUserDate, getPreferences } from '../../utils/dates';
+
+const DATE_FORMATS = ['MMM d, yyyy', 'd MMM yyyy', 'MM/dd/yyyy', 'dd/MM/yyyy', 'yyyy-MM-dd'];
+
+const WEEK_STARTS = [
+  { value: 1, label: 'Monday' },
+  { value: 0, label: 'Sunday' },
+  { value: 6, label: 'Saturday' },
+];
+
+const NOTIFICATION_EVENTS = [
+  { key: 'taskAssigned', label: 'Assigned to a task' },
+  { key: 'taskDue', label: 'Task due tomorrow' },
+  { key: 'taskComment', label: 'New comment on a task' },
+  { key: 'mention', label: 'Mentioned in a comment or description' },
+  { key: 'boardInvitation', label: 'Board invitation' },
+];
+
+const NOTIFICATION_CHANNELS = [
+  { key: 'inApp', label: 'In-app' },
+  { key: 'email', label: 'Email' },
+  { key: 'push', label: 'Push' },
+];
+
+const browserTimezone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+// Older browsers cannot list time zones, offer at least the common ones
+const TIMEZONES = typeof Intl.supportedValuesOf === 'function'
+  ? Intl.supportedValuesOf('timeZone')
+  : ['UTC', browserTimezone];
+
+const selectClassName = 'mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-blue-500 focus:border-blue-500 sm:text-sm';
+
+const Preferences = () => {
+  const dispatch = useDispatch();
+  const { user, isLoading } = useSelector((state) => state.auth);
+  const [formData, setFormData] = useState(() => getPreferences(user));
+  const [boards, setBoards] = useState([]);
+
+  useEffect(() => {
+    boardService.getBoards()
+      .then((response) => setBoards(response.boards || []))
+      .catch((error) => console.error('Error fetching boards:', error));
+  }, []);
+
+  const handleChange = (field, value) => {
+    setFormData({ ...formData, [field]: value });
+  };
+
+  const toggleChannel = (event, channel) => {
+    const channels = formData.notifications?.[event] || {};
+    setFormData({
+      ...formData,
+      notifications: {
+        ...formData.notifications,
+        [event]: { ...channels, [channel]: channels[channel] === false },
+      },
+    });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    try {
+      await dispatch(updateProfile({
+        preferences: {
+          timezone: formData.timezone,
+          dateFormat: formData.dateFormat,
+          weekStartsOn: Number(formData.weekStartsOn),
+          locale: formData.locale,
+          defaultBoard: formData.defaultBoard || null,
+          notifications: formData.notifications,
+        },
+      })).unwrap();
+      toast.success('Preferences saved');
+    } catch (error) {
+      toast.error(error || 'Failed to save preferences');
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-6">
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+        <div>
+          <label htmlFor="timezone" className="block text-sm font-medium text-gray-700 dark:text-gray-300">
+            Time zone
+          </label>
+          <select
+            id="timezone"
+            value={formData.timezone}
+            onChange={(e) => handleChange('timezone', e.target.value)}
+            className={selectClassName}
+          >
+            {[...new Set([formData.timezone, ...TIMEZONES])].map((timezone) => (
+              <option key={timezone} value={timezone}>{timezone}</option>
+            ))}
+          </select>
+          {formData.timezone !== browserTimezone && (
+            <button
+              type="button"
+              onClick={() => handleChange('timezone', browserTimezone)}
+              className="mt-1 text-xs text-blue-600 hover:text-blue-500"
+            >
+              Use this device's time zone ({browserTimezone})
+            </button>
+          )}
+        </div>
+
+        <div>
+          <label htmlFor="locale" className="block text-sm font-medium text-gray-700 dark:text-gray-300">
+            Language for dates
+          </label>
+          <select
+            id="locale"
+            value={formData.locale}
+            onChange={(e) => handleChange('locale', e.target.value)}
+            className={selectClassName}
+          >
+            {Object.entries(LOCALES).map(([code, { label }]) => (
+              <option key={code} value={code}>{label}</option>
+            ))}
+          </select>
+        </div>
+
+        <div>
+          <label htmlFor="dateFormat" className="block text-sm font-medium text-gray-700 dark:text-gray-300">
+            Date format
+          </label>
+          <select
+            id="dateFormat"
+            value={formData.dateFormat}
+            onChange={(e) => handleChange('dateFormat', e.target.value)}
+            className={selectClassName}
+          >
+            {DATE_FORMATS.map((dateFormat) => (
+              <option key={dateFormat} value={dateFormat}>
+                {formatUserDate(new Date(), { ...formData, dateFormat })}
+              </option>
+            ))}
+          </select>
+        </div>
+
+        <div>
+          <label htmlFor="weekStartsOn" className="block text-sm font-medium text-gray-700 dark:text-gray-300">
+            Week starts on
+          </label>
+          <select
+            id="weekStartsOn"
+            value={formData.weekStartsOn}
+            onChange={(e) => handleChange('weekStartsOn', Number(e.target.value))}
+            className={selectClassName}
+          >
+            {WEEK_STARTS.map(({ value, label }) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+        </div>
+
+        <div className="sm:col-span-2">
+          <label htmlFor="defaultBoard" className="block text-sm font-medium text-gray-700 dark:text-gray-300">
+            Open after signing in
+          </label>
+          <select
+            id="defaultBoard"
+            value={formData.defaultBoard || ''}
+            onChange={(e) => handleChange('defaultBoard', e.target.value || null)}
+            className={selectClassName}
+          >
+            <option value="">Dashboard</option>
+            {boards.map((board) => (
+              <option key={board._id} value={board._id}>{board.title}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      <div>
+        <h3 className="text-sm font-medium text-gray-900 dark:text-white mb-2">Notifications</h3>
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-left text-gray-500 dark:text-gray-400">
+              <th className="py-2 font-medium">Event</th>
+              {NOTIFICATION_CHANNELS.map(({ key, label }) => (
+                <th key={key} className="py-2 font-medium text-center">{label}</th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {NOTIFICATION_EVENTS.map(({ key: event, label }) => (
+              <tr key={event} className="border-t border-gray-200 dark:border-gray-700">
+                <td className="py-2 text-gray-700 dark:text-gray-300">{label}</td>
+                {NOTIFICATION_CHANNELS.map(({ key: channel }) => (
+                  <td key={channel} className="py-2 text-center">
+                    <input
+                      type="checkbox"
+                      aria-label={`${label}: ${channel}`}
+                      checked={formData.notifications?.[event]?.[channel] !== false}
+                      onChange={() => toggleChannel(event, channel)}
+                      className="h-4 w-4 text-blue-600 border-gray-300 rounded"
+                    />
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="flex justify-end">
+        <button
+          type="submit"
+          disabled={isLoading}
+          className="px-4 py-2 text-sm font-medium text-white bg-blue-600 rounded-md hover:bg-blue-700 disabled:opacity-50"
+        >
+          {isLoading ? 'Saving...' : 'Save preferences'}
+        </button>
+      </div>
+    </form>
+  );
+};
+
+export default Preferences;
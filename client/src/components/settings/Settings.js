@@ -0,0 +1,60 @@
+import React from 'react';
+import ActiveSessions from './ActiveSessions';
+import Preferences from './Preferences';
+import AvatarSettings from './AvatarSettings';
+import TwoFactorSettings from './TwoFactorSettings';
+import ApiTokens from './ApiTokens';
+import Groups from './Groups';
+import DataExport from './DataExport';
+import DeleteAccount from './DeleteAccount';
+
+const SettingsSection = ({ title, danger = false, children }) => (
+  <section className={`bg-white dark:bg-gray-800 shadow rounded-lg p-6 mb-6 ${danger ? 'border border-red-300' : ''}`}>
+    <h2 className={`text-lg font-medium mb-4 ${danger ? 'text-red-600' : 'text-gray-900 dark:text-white'}`}>{title}</h2>
+    {children}
+  </section>
+);
+
+const Settings = () => {
+  return (
+    <div className="min-h-screen bg-gray-50 dark:bg-gray-900">
+      <div className="max-w-3xl mx-auto py-6 px-4 sm:px-6 lg:px-8">
+        <h1 className="text-3xl font-bold text-gray-900 dark:text-white mb-8">Settings</h1>
+
+        <SettingsSection title="Profile Picture">
+          <AvatarSettings />
+        </SettingsSection>
+
+        <SettingsSection title="Preferences">
+          <Preferences />
+        </SettingsSection>
+
+        <SettingsSection title="Groups">
+          <Groups />
+        </SettingsSection>
+
+        <SettingsSection title="Two-Factor Authentication">
+          <TwoFactorSettings />
+        </SettingsSection>
+
+        <SettingsSection title="Active Sessions">
+          <ActiveSessions />
+        </SettingsSection>
+
+        <SettingsSection title="API Tokens">
+          <ApiTokens />
+        </SettingsSection>
+
+        <SettingsSection title="Your Data">
+          <DataExport />
+        </SettingsSection>
+
+        <SettingsSection title="Danger Zone" danger>
+          <DeleteAccount />
+        </SettingsSection>
+      </div>
+    </div>
+  );
+};
+
+export default Settings;
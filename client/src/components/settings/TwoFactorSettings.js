@@ -0,0 +1,267 @@
+import React, { useState, useEffect } from 'react';
+import { useDispatch } from 'react-redux';
+import { ShieldCheck, ShieldOff } from 'lucide-react';
+import toast from 'react-hot-toast';
+import authService from '../../services/authService';
+import { updateUser } from '../../store/slices/authSlice';
+import LoadingSpinner from '../common/LoadingSpinner';
+
+const inputClassName = 'w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md bg-white dark:bg-gray-700 text-gray-900 dark:text-white focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+const RecoveryCodes = ({ codes, onDone }) => (
+  <div>
+    <p className="text-sm text-gray-600 dark:text-gray-300 mb-3">
+      Save these recovery codes somewhere safe. Each one can be used once to sign in if you lose
+      access to your authenticator app. They will not be shown again.
+    </p>
+    <div className="grid grid-cols-2 gap-2 p-4 bg-gray-50 dark:bg-gray-900 rounded-lg font-mono text-sm mb-4">
+      {codes.map((code) => (
+        <span key={code} className="text-gray-900 dark:text-white">{code}</span>
+      ))}
+    </div>
+    <div className="flex space-x-3">
+      <button
+        onClick={() => {
+          navigator.clipboard.writeText(codes.join('\n'));
+          toast.success('Recovery codes copied');
+        }}
+        className="px-4 py-2 text-sm border border-gray-300 dark:border-gray-600 rounded-md text-gray-700 dark:text-gray-300 hover:bg-gray-50 dark:hover:bg-gray-700"
+      >
+        Copy codes
+      </button>
+      <button
+        onClick={onDone}
+        className="px-4 py-2 text-sm bg-blue-600 text-white rounded-md hover:bg-blue-700"
+      >
+        I've saved them
+      </button>
+    </div>
+  </div>
+);
+
+const TwoFactorSettings = () => {
+  const dispatch = useDispatch();
+  const [status, setStatus] = useState(null);
+  const [setup, setSetup] = useState(null);
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  const [mode, setMode] = useState(null);
+  const [code, setCode] = useState('');
+  const [password, setPassword] = useState('');
+  const [isProcessing, setIsProcessing] = useState(false);
+
+  const fetchStatus = async () => {
+    try {
+      const response = await authService.getTwoFactorStatus();
+      setStatus(response);
+    } catch (error) {
+      console.error('Error fetching two-factor status:', error);
+      toast.error(error.response?.data?.message || 'Failed to load two-factor status');
+    }
+  };
+
+  useEffect(() => {
+    fetchStatus();
+  }, []);
+
+  const resetForm = () => {
+    setMode(null);
+    setCode('');
+    setPassword('');
+  };
+
+  const runAction = async (action) => {
+    try {
+      setIsProcessing(true);
+      await action();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Something went wrong');
+    } finally {
+      setIsProcessing(false);
+    }
+  };
+
+  const handleStartSetup = () => runAction(async () => {
+    const response = await authService.setupTwoFactor();
+    setSetup(response);
+  });
+
+  const handleEnable = (e) => {
+    e.preventDefault();
+    runAction(async () => {
+      const response = await authService.enableTwoFactor(code.trim());
+      setSetup(null);
+      setRecoveryCodes(response.recoveryCodes);
+      resetForm();
+      dispatch(updateUser({ twoFactorEnabled: true }));
+      toast.success(response.message);
+      fetchStatus();
+    });
+  };
+
+  const handleDisable = (e) => {
+    e.preventDefault();
+    runAction(async () => {
+      const response = await authService.disableTwoFactor(password, code.trim());
+      resetForm();
+      dispatch(updateUser({ twoFactorEnabled: false }));
+      toast.success(response.message);
+      fetchStatus();
+    });
+  };
+
+  const handleRegenerate = (e) => {
+    e.preventDefault();
+    runAction(async () => {
+      const response = await authService.regenerateRecoveryCodes(code.trim());
+      setRecoveryCodes(response.recoveryCodes);
+      resetForm();
+      toast.success(response.message);
+      fetchStatus();
+    });
+  };
+
+  if (!status) {
+    return (
+      <div className="flex justify-center py-8">
+        <LoadingSpinner />
+      </div>
+    );
+  }
+
+  if (recoveryCodes) {
+    return <RecoveryCodes codes={recoveryCodes} onDone={() => setRecoveryCodes(null)} />;
+  }
+
+  if (setup) {
+    return (
+      <form onSubmit={handleEnable}>
+        <p className="text-sm text-gray-600 dark:text-gray-300 mb-4">
+          Scan this QR code with an authenticator app such as Google Authenticator or 1Password,
+          then enter the 6-digit code it shows.
+        </p>
+        <img src={setup.qrCode} alt="Two-factor QR code" className="w-48 h-48 mb-3 border border-gray-200 rounded" />
+        <p className="text-xs text-gray-500 dark:text-gray-400 mb-4">
+          Can't scan it? Enter this key manually: <span className="font-mono">{setup.secret}</span>
+        </p>
+        <div className="flex space-x-3">
+          <input
+            type="text"
+            inputMode="numeric"
+            autoComplete="one-time-code"
+            placeholder="123456"
+            value={code}
+            onChange={(e) => setCode(e.target.value)}
+            className={`${inputClassName} max-w-[10rem] tracking-widest`}
+          />
+          <button
+            type="submit"
+            disabled={isProcessing || !code.trim()}
+            className="px-4 py-2 text-sm bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50"
+          >
+            Enable
+          </button>
+          <button
+            type="button"
+            onClick={() => {
+              setSetup(null);
+              resetForm();
+            }}
+            className="px-4 py-2 text-sm text-gray-600 dark:text-gray-300 hover:text-gray-800"
+          >
+            Cancel
+          </button>
+        </div>
+      </form>
+    );
+  }
+
+  if (!status.enabled) {
+    return (
+      <div className="flex items-center justify-between">
+        <div className="flex items-center text-sm text-gray-600 dark:text-gray-300">
+          <ShieldOff className="w-5 h-5 mr-2 text-gray-400" />
+          Add a second step to your sign in with an authenticator app.
+        </div>
+        <button
+          onClick={handleStartSetup}
+          disabled={isProcessing}
+          className="px-4 py-2 text-sm bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50"
+        >
+          Set up
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-4">
+        <div className="flex items-center text-sm text-gray-600 dark:text-gray-300">
+          <ShieldCheck className="w-5 h-5 mr-2 text-green-500" />
+          Two-factor authentication is on · {status.recoveryCodesRemaining} recovery codes left
+        </div>
+        {!mode && (
+          <div className="flex space-x-4">
+            <button
+              onClick={() => setMode('regenerate')}
+              className="text-sm text-blue-600 hover:text-blue-800"
+            >
+              New recovery codes
+            </button>
+            <button
+              onClick={() => setMode('disable')}
+              className="text-sm text-red-600 hover:text-red-800"
+            >
+              Turn off
+            </button>
+          </div>
+        )}
+      </div>
+
+      {mode && (
+        <form
+          onSubmit={mode === 'disable' ? handleDisable : handleRegenerate}
+          className="space-y-3 p-4 border border-gray-200 dark:border-gray-700 rounded-lg"
+        >
+          {mode === 'disable' && (
+            <input
+              type="password"
+              placeholder="Current password"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              className={inputClassName}
+            />
+          )}
+          <input
+            type="text"
+            autoComplete="one-time-code"
+            placeholder={mode === 'disable' ? 'Authentication or recovery code' : 'Authentication code'}
+            value={code}
+            onChange={(e) => setCode(e.target.value)}
+            className={inputClassName}
+          />
+          <div className="flex space-x-3">
+            <button
+              type="submit"
+              disabled={isProcessing || !code.trim() || (mode === 'disable' && !password)}
+              className={`px-4 py-2 text-sm text-white rounded-md disabled:opacity-50 ${
+                mode === 'disable' ? 'bg-red-600 hover:bg-red-700' : 'bg-blue-600 hover:bg-blue-700'
+              }`}
+            >
+              {mode === 'disable' ? 'Turn off two-factor' : 'Generate new codes'}
+            </button>
+            <button
+              type="button"
+              onClick={resetForm}
+              className="px-4 py-2 text-sm text-gray-600 dark:text-gray-300 hover:text-gray-800"
+            >
+              Cancel
+            </button>
+          </div>
+        </form>
+      )}
+    </div>
+  );
+};
+
+export default TwoFactorSettings;
@@ -0,0 +1,277 @@
+import React, { useState, useEffect, useLayoutEffect, useRef } from 'react';
+import * as Y from 'yjs';
+import { getDisplayName } from '../common/Avatar';
+import { MentionSuggestions, useMentionAutocomplete } from '../common/Mentions';
+
+// Opening a description right after (re)joining the board can beat the board join, try again
+const JOIN_RETRY_MS = 1000;
+const JOIN_ATTEMPTS = 5;
+
+const CURSOR_COLORS = ['#2563eb', '#db2777', '#16a34a', '#ea580c', '#7c3aed', '#0891b2', '#ca8a04'];
+
+const cursorColor = (userId) => {
+  const hash = [...userId].reduce((sum, char) => sum + char.charCodeAt(0), 0);
+  return CURSOR_COLORS[hash % CURSOR_COLORS.length];
+};
+
+const toRelative = (text, index) => Y.relativePositionToJSON(Y.createRelativePositionFromTypeIndex(text, index));
+
+// Index a position sent by someone else points to now, null when it no longer exists
+const toIndex = (doc, json) => {
+  try {
+    const position = Y.createAbsolutePositionFromRelativePosition(Y.createRelativePositionFromJSON(json), doc);
+    return position ? position.index : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// A task description edited by several people at once. The text is a Yjs document the server
+// merges, edits and cursors travel through the board room. Calls onUnavailable when the
+// description cannot be opened, so the dialog can fall back to saving it over the API.
+const CollaborativeDescription = ({ socket, boardId, taskId, members, onChange, onFocus, onBlur, onUnavailable }) => {
+  const [text, setText] = useState('');
+  const [isReady, setIsReady] = useState(false);
+  const [readOnly, setReadOnly] = useState(false);
+  const [maxLength, setMaxLength] = useState(undefined);
+  const [cursors, setCursors] = useState({});
+  const [scrollTop, setScrollTop] = useState(0);
+  const [resets, setResets] = useState(0);
+  const textareaRef = useRef(null);
+  const docRef = useRef(null);
+  const selection = useRef(null);
+  const pendingSelection = useRef(null);
+  const callbacks = useRef({});
+  callbacks.current = { onChange, onUnavailable };
+  // A picked mention is one more edit of the shared text
+  const mentions = useMentionAutocomplete(members, textareaRef, (value) => handleChange({ target: { value } }));
+
+  useEffect(() => {
+    if (!socket || !boardId || !taskId) return undefined;
+
+    const doc = new Y.Doc();
+    const ytext = doc.getText('description');
+    docRef.current = doc;
+    let attempts = 0;
+    let retryTimer = null;
+    let joined = false;
+    let closed = false;
+
+    // Keep our caret where it was when someone else's edit lands before it
+    ytext.observe((event) => {
+      const value = ytext.toString();
+      if (event.transaction.origin !== 'local' && selection.current) {
+        pendingSelection.current = [toIndex(doc, selection.current.anchor), toIndex(doc, selection.current.head)];
+      }
+      setText(value);
+      callbacks.current.onChange?.(value);
+    });
+
+    doc.on('update', (update, origin) => {
+      if (origin === 'local') {
+        socket.emit('description:update', { taskId, update }, (result) => {
+          if (result?.error) setReadOnly(true);
+        });
+      }
+    });
+
+    const join = () => {
+      socket.emit('description:join', { boardId, taskId }, (result) => {
+        if (closed) return;
+
+        if (result?.error) {
+          attempts += 1;
+          if (attempts < JOIN_ATTEMPTS) {
+            retryTimer = setTimeout(join, JOIN_RETRY_MS);
+          } else if (!joined) {
+            callbacks.current.onUnavailable?.();
+          }
+          return;
+        }
+
+        attempts = 0;
+        Y.applyUpdate(doc, new Uint8Array(result.state), 'remote');
+        // After a reconnect the server may have missed some of our edits, send all we have
+        if (joined && !result.readOnly) {
+          socket.emit('description:update', { taskId, update: Y.encodeStateAsUpdate(doc) });
+        }
+
+        joined = true;
+        setReadOnly(result.readOnly);
+        setMaxLength(result.maxLength);
+        setCursors(Object.fromEntries(result.cursors.map((cursor) => [cursor.clientId, cursor])));
+        setIsReady(true);
+      });
+    };
+
+    const handleUpdate = (data) => {
+      if (data.taskId === taskId) {
+        Y.applyUpdate(doc, new Uint8Array(data.update), 'remote');
+      }
+    };
+    const handleCursor = (data) => {
+      if (data.taskId !== taskId) return;
+
+      setCursors((prev) => {
+        const { [data.clientId]: removed, ...rest } = prev;
+        return data.cursor ? { ...rest, [data.clientId]: data } : rest;
+      });
+    };
+    // The description was replaced over the API, start over from the new text
+    const handleReset = (data) => {
+      if (data.taskId === taskId) {
+        setResets((count) => count + 1);
+      }
+    };
+
+    if (socket.connected) join();
+    socket.on('connect', join);
+    socket.on('description:update', handleUpdate);
+    socket.on('description:cursor', handleCursor);
+    socket.on('description:reset', handleReset);
+
+    return () => {
+      closed = true;
+      clearTimeout(retryTimer);
+      socket.emit('description:leave', { taskId });
+      socket.off('connect', join);
+      socket.off('description:update', handleUpdate);
+      socket.off('description:cursor', handleCursor);
+      socket.off('description:reset', handleReset);
+      doc.destroy();
+      docRef.current = null;
+      selection.current = null;
+      setCursors({});
+      setIsReady(false);
+    };
+  }, [socket, boardId, taskId, resets]);
+
+  useLayoutEffect(() => {
+    const textarea = textareaRef.current;
+    if (pendingSelection.current && textarea && document.activeElement === textarea) {
+      const [anchor, head] = pendingSelection.current;
+      if (anchor !== null && head !== null) {
+        textarea.setSelectionRange(Math.min(anchor, head), Math.max(anchor, head));
+      }
+    }
+    pendingSelection.current = null;
+  }, [text]);
+
+  // Remember our selection as positions in the document and show it to the others
+  const shareSelection = () => {
+    const doc = docRef.current;
+    const textarea = textareaRef.current;
+    if (!doc || !textarea) return;
+
+    const ytext = doc.getText('description');
+    const cursor = {
+      anchor: toRelative(ytext, textarea.selectionStart),
+      head: toRelative(ytext, textarea.selectionEnd),
+    };
+    if (JSON.stringify(cursor) === JSON.stringify(selection.current)) return;
+
+    selection.current = cursor;
+    socket.emit('description:cursor', { taskId, cursor });
+  };
+
+  // Turn the textarea's new value into one edit of the shared text
+  const handleChange = (event) => {
+    const doc = docRef.current;
+    if (!doc) return;
+
+    const ytext = doc.getText('description');
+    const previous = ytext.toString();
+    const next = event.target.value;
+
+    let start = 0;
+    while (start < previous.length && start < next.length && previous[start] === next[start]) {
+      start += 1;
+    }
+    let end = 0;
+    while (
+      end < previous.length - start &&
+      end < next.length - start &&
+      previous[previous.length - 1 - end] === next[next.length - 1 - end]
+    ) {
+      end += 1;
+    }
+
+    doc.transact(() => {
+      ytext.delete(start, previous.length - start - end);
+      ytext.insert(start, next.slice(start, next.length - end));
+    }, 'local');
+    shareSelection();
+  };
+
+  const handleBlur = () => {
+    mentions.close();
+    selection.current = null;
+    socket.emit('description:cursor', { taskId, cursor: null });
+    onBlur?.();
+  };
+
+  // Where the others' carets are, as indexes into the text
+  const doc = docRef.current;
+  const markers = doc
+    ? Object.values(cursors)
+      .map((cursor) => ({ ...cursor, index: toIndex(doc, cursor.cursor.head) }))
+      .filter((cursor) => cursor.index !== null)
+      .sort((a, b) => a.index - b.index)
+    : [];
+
+  const mirror = [];
+  let offset = 0;
+  markers.forEach((marker) => {
+    mirror.push(text.slice(offset, marker.index));
+    const color = cursorColor(marker.user._id);
+    mirror.push(
+      <span key={marker.clientId} className="relative">
+        <span className="absolute -top-0.5 bottom-0 w-0.5" style={{ backgroundColor: color }} />
+        <span
+          className="absolute -top-4 left-0 px-1 rounded text-[10px] leading-4 text-white whitespace-nowrap"
+          style={{ backgroundColor: color }}
+        >
+          {getDisplayName(marker.user)}
+        </span>
+      </span>
+    );
+    offset = marker.index;
+  });
+  mirror.push(text.slice(offset));
+
+  return (
+    <div className="relative">
+      {/* The same text laid out behind the textarea, to place the others' carets */}
+      <div
+        aria-hidden="true"
+        className="absolute inset-0 p-3 border border-transparent whitespace-pre-wrap break-words overflow-hidden pointer-events-none text-transparent"
+      >
+        <div style={{ transform: `translateY(-${scrollTop}px)` }}>{mirror}</div>
+      </div>
+      <textarea
+        ref={textareaRef}
+        value={text}
+        onChange={handleChange}
+        onSelect={() => {
+          shareSelection();
+          mentions.refresh();
+        }}
+        onKeyDown={mentions.handleKeyDown}
+        onFocus={onFocus}
+        onBlur={handleBlur}
+        onScroll={(e) => setScrollTop(e.target.scrollTop)}
+        readOnly={readOnly || !isReady}
+        maxLength={maxLength}
+        className="relative w-full p-3 border border-gray-300 rounded-lg bg-transparent focus:outline-none focus:ring-2 focus:ring-blue-500 resize-none"
+        rows="6"
+        placeholder={isReady ? 'Add a description...' : 'Loading description...'}
+      />
+      <MentionSuggestions suggestions={mentions.suggestions} activeIndex={mentions.activeIndex} onPick={mentions.pick} />
+      {readOnly && isReady && (
+        <p className="mt-1 text-xs text-gray-500">You can view this description but not edit it.</p>
+      )}
+    </div>
+  );
+};
+
+export default CollaborativeDescription;
@@ -0,0 +1,237 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { useSelector } from 'react-redux';
+import { useDropzone } from 'react-dropzone';
+import { Download, Paperclip, Trash2, Upload } from 'lucide-react';
+import toast from 'react-hot-toast';
+import attachmentService from '../../services/attachmentService';
+import { getDisplayName } from '../common/Avatar';
+import { BOARD_EVENT } from '../../utils/boardEvents';
+import { formatUserDate } from '../../utils/dates';
+
+// Must match what the server accepts
+const MAX_FILE_SIZE = 10 * 1024 * 1024;
+const MAX_FILES = 10;
+const ACCEPTED_TYPES = {
+  'image/*': ['.jpg', '.jpeg', '.png', '.gif', '.webp'],
+  'application/pdf': ['.pdf'],
+  'application/msword': ['.doc'],
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': ['.docx'],
+  'application/vnd.ms-excel': ['.xls'],
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': ['.xlsx'],
+  'text/plain': ['.txt'],
+  'text/csv': ['.csv'],
+};
+
+const formatFileSize = (bytes) => {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+// Attachments in the first list that are not in the second, by ID
+const without = (attachments, removed) => attachments.filter(
+  (attachment) => !removed.some((other) => other._id === attachment._id)
+);
+
+// Files attached to a task, with a dropzone to add more. Files by others arrive as board
+// events and are passed on through onChange like our own.
+const TaskAttachments = ({ socket, boardId, taskId, attachments = [], preferences, canManage, onChange }) => {
+  const { user } = useSelector((state) => state.auth);
+  const [usage, setUsage] = useState(null);
+  const [progress, setProgress] = useState(null);
+  const callbacks = useRef({});
+  callbacks.current = { attachments, onChange };
+
+  useEffect(() => {
+    if (!boardId || !taskId) return undefined;
+    let cancelled = false;
+
+    attachmentService.getAttachments(boardId, taskId)
+      .then((response) => {
+        if (cancelled) return;
+        setUsage(response.usage);
+        callbacks.current.onChange({ attachments: response.attachments });
+      })
+      .catch((error) => console.error('Error fetching attachments:', error));
+
+    return () => {
+      cancelled = true;
+    };
+  }, [boardId, taskId]);
+
+  useEffect(() => {
+    if (!socket || !taskId) return undefined;
+
+    const handleBoardEvent = (event) => {
+      if (event.data.taskId !== taskId) return;
+
+      const current = callbacks.current.attachments;
+      if (event.type === 'attachment.added') {
+        const added = without(event.data.attachments, current);
+        if (added.length === 0) return;
+        callbacks.current.onChange({ attachments: [...current, ...added] });
+        setUsage((prev) => prev && { ...prev, used: prev.used + added.reduce((sum, file) => sum + file.size, 0) });
+      } else if (event.type === 'attachment.deleted') {
+        const removed = current.find((attachment) => attachment._id === event.data.attachmentId);
+        if (!removed) return;
+        callbacks.current.onChange({ attachments: without(current, [removed]) });
+        setUsage((prev) => prev && { ...prev, used: Math.max(0, prev.used - removed.size) });
+      }
+    };
+
+    socket.on(BOARD_EVENT, handleBoardEvent);
+    return () => {
+      socket.off(BOARD_EVENT, handleBoardEvent);
+    };
+  }, [socket, taskId]);
+
+  const handleDrop = async (files) => {
+    if (files.length === 0) return;
+
+    try {
+      setProgress(0);
+      const response = await attachmentService.uploadAttachments(boardId, taskId, files, setProgress);
+      const current = callbacks.current.attachments;
+      onChange({ attachments: [...current, ...without(response.attachments, current)] });
+      setUsage(response.usage);
+      toast.success(files.length === 1 ? 'File attached' : `${files.length} files attached`);
+    } catch (error) {
+      console.error('Upload attachments error:', error);
+      toast.error(error.response?.data?.message || 'Failed to upload files');
+    } finally {
+      setProgress(null);
+    }
+  };
+
+  const handleDropRejected = (rejections) => {
+    const [{ file, errors }] = rejections;
+    const messages = {
+      'file-too-large': `${file.name} is larger than 10MB`,
+      'file-invalid-type': `${file.name} is not an image or document`,
+      'too-many-files': `At most ${MAX_FILES} files can be uploaded at once`,
+    };
+    toast.error(messages[errors[0].code] || errors[0].message);
+  };
+
+  const { getRootProps, getInputProps, isDragActive } = useDropzone({
+    onDrop: handleDrop,
+    onDropRejected: handleDropRejected,
+    accept: ACCEPTED_TYPES,
+    maxSize: MAX_FILE_SIZE,
+    maxFiles: MAX_FILES,
+    disabled: progress !== null,
+  });
+
+  const handleDownload = async (attachment) => {
+    try {
+      const file = await attachmentService.downloadAttachment(boardId, taskId, attachment._id);
+
+      // Hand the downloaded blob to the browser as a file
+      const url = window.URL.createObjectURL(file);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = attachment.originalName;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      window.URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error('Download attachment error:', error);
+      toast.error('Failed to download file');
+    }
+  };
+
+  const handleDelete = async (attachment) => {
+    if (!window.confirm(`Delete "${attachment.originalName}"?`)) return;
+
+    try {
+      const response = await attachmentService.deleteAttachment(boardId, taskId, attachment._id);
+      onChange({ attachments: without(callbacks.current.attachments, [attachment]) });
+      setUsage(response.usage);
+    } catch (error) {
+      console.error('Delete attachment error:', error);
+      toast.error(error.response?.data?.message || 'Failed to delete file');
+    }
+  };
+
+  const canDelete = (attachment) => canManage || (attachment.uploadedBy?._id || attachment.uploadedBy) === user?._id;
+
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-3">
+        <h3 className="text-lg font-medium text-gray-900">Attachments ({attachments.length})</h3>
+        {usage && (
+          <span className="text-xs text-gray-500">
+            {formatFileSize(usage.used)} of {formatFileSize(usage.quota)} used on this board
+          </span>
+        )}
+      </div>
+
+      <div className="space-y-2">
+        {attachments.map((attachment) => (
+          <div key={attachment._id} className="flex items-center space-x-3 p-2 hover:bg-gray-50 rounded group">
+            <Paperclip size={16} className="text-gray-400 flex-shrink-0" />
+            <div className="flex-1 min-w-0">
+              <button
+                onClick={() => handleDownload(attachment)}
+                className="block text-sm text-blue-600 hover:underline truncate max-w-full text-left"
+                title={`Download ${attachment.originalName}`}
+              >
+                {attachment.originalName}
+              </button>
+              <div className="text-xs text-gray-500">
+                {formatFileSize(attachment.size)}
+                {' · '}
+                {getDisplayName(attachment.uploadedBy)}
+                {', '}
+                {formatUserDate(attachment.uploadedAt, preferences, preferences.dateFormat)}
+              </div>
+            </div>
+            <div className="flex items-center opacity-0 group-hover:opacity-100 transition-opacity duration-200">
+              <button
+                onClick={() => handleDownload(attachment)}
+                className="p-1 text-gray-400 hover:text-gray-700"
+                title="Download"
+              >
+                <Download size={14} />
+              </button>
+              {canDelete(attachment) && (
+                <button
+                  onClick={() => handleDelete(attachment)}
+                  className="p-1 text-gray-400 hover:text-red-600"
+                  title="Delete attachment"
+                >
+                  <Trash2 size={14} />
+                </button>
+              )}
+            </div>
+          </div>
+        ))}
+
+        <div
+          {...getRootProps()}
+          className={`p-4 border-2 border-dashed rounded-lg text-center cursor-pointer transition-colors duration-200 ${
+            isDragActive ? 'border-blue-400 bg-blue-50' : 'border-gray-300 hover:border-gray-400'
+          }`}
+        >
+          <input {...getInputProps()} />
+          {progress !== null ? (
+            <div>
+              <p className="text-sm text-gray-600 mb-2">Uploading... {Math.round(progress * 100)}%</p>
+              <div className="w-full bg-gray-200 rounded-full h-1.5">
+                <div className="bg-blue-500 h-1.5 rounded-full" style={{ width: `${progress * 100}%` }} />
+              </div>
+            </div>
+          ) : (
+            <div className="flex items-center justify-center space-x-2 text-sm text-gray-500">
+              <Upload size={16} />
+              <span>{isDragActive ? 'Drop files to attach them' : 'Drop files here or click to attach (up to 10MB each)'}</span>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default TaskAttachments;
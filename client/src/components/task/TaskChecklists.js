@@ -0,0 +1,361 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { DragDropContext, Droppable, Draggable } from '@hello-pangea/dnd';
+import { GripVertical, Plus, Trash2, X } from 'lucide-react';
+import toast from 'react-hot-toast';
+import taskService from '../../services/taskService';
+import { getDisplayName } from '../common/Avatar';
+import { BOARD_EVENT } from '../../utils/boardEvents';
+
+const DEFAULT_TITLE = 'Checklist';
+
+// The checklist fields of a task, as the API and board events send them
+const toChecklistState = ({ checklists, checklist, checklistProgress }) => ({ checklists, checklist, checklistProgress });
+
+// Checklists with their items. Items from before tasks had named checklists are in none, they
+// are shown in the first checklist, where the server puts them on the next change.
+const groupItems = (checklists, items) => {
+  const groups = checklists.length > 0
+    ? checklists.map((checklist) => ({ ...checklist, items: [] }))
+    : [{ _id: null, title: DEFAULT_TITLE, items: [] }];
+
+  items.forEach((item) => {
+    const group = groups.find((checklist) => checklist._id && checklist._id === item.checklistId) || groups[0];
+    group.items.push(item);
+  });
+  return groups;
+};
+
+const moveItem = (items, from, to) => {
+  const result = [...items];
+  const [moved] = result.splice(from, 1);
+  result.splice(to, 0, moved);
+  return result;
+};
+
+// The named checklists of a task. Every change is saved right away, changes made by others
+// arrive as board events and are passed on through onChange like our own.
+const TaskChecklists = ({ socket, taskId, checklists = [], checklist = [], checklistProgress = 0, onChange }) => {
+  const [newItems, setNewItems] = useState({});
+  const [editing, setEditing] = useState(null);
+  const [isAddingChecklist, setIsAddingChecklist] = useState(false);
+  const [newChecklistTitle, setNewChecklistTitle] = useState('');
+  const onChangeRef = useRef(onChange);
+  onChangeRef.current = onChange;
+
+  useEffect(() => {
+    if (!socket || !taskId) return undefined;
+
+    const handleBoardEvent = (event) => {
+      if (event.type === 'checklist.updated' && event.data.taskId === taskId) {
+        onChangeRef.current(toChecklistState(event.data));
+      }
+    };
+
+    socket.on(BOARD_EVENT, handleBoardEvent);
+    return () => {
+      socket.off(BOARD_EVENT, handleBoardEvent);
+    };
+  }, [socket, taskId]);
+
+  const groups = groupItems(checklists, checklist);
+
+  // Send a checklist change and show the checklists the server answers with
+  const saveChange = async (request, action) => {
+    try {
+      onChange(toChecklistState(await request()));
+      return true;
+    } catch (error) {
+      console.error(`${action} error:`, error);
+      toast.error(error.response?.data?.message || `Failed to ${action.toLowerCase()}`);
+      return false;
+    }
+  };
+
+  const handleAddItem = async (group) => {
+    const key = group._id || DEFAULT_TITLE;
+    const text = (newItems[key] || '').trim();
+    if (!text) return;
+
+    if (await saveChange(() => taskService.addChecklistItem(taskId, text, group._id), 'Add checklist item')) {
+      setNewItems((prev) => ({ ...prev, [key]: '' }));
+    }
+  };
+
+  const handleSaveEdit = async () => {
+    const { type, id, text, original } = editing;
+    setEditing(null);
+    if (!text.trim() || text.trim() === original) return;
+
+    if (type === 'title') {
+      await saveChange(() => taskService.renameChecklist(taskId, id, text.trim()), 'Rename checklist');
+    } else {
+      await saveChange(() => taskService.updateChecklistItem(taskId, id, text.trim()), 'Update checklist item');
+    }
+  };
+
+  const handleAddChecklist = async () => {
+    const title = newChecklistTitle.trim() || DEFAULT_TITLE;
+    if (await saveChange(() => taskService.addChecklist(taskId, title), 'Add checklist')) {
+      setNewChecklistTitle('');
+      setIsAddingChecklist(false);
+    }
+  };
+
+  const handleDeleteChecklist = async (group) => {
+    if (group.items.length > 0 && !window.confirm(`Delete "${group.title}" and its ${group.items.length} items?`)) {
+      return;
+    }
+    await saveChange(() => taskService.deleteChecklist(taskId, group._id), 'Delete checklist');
+  };
+
+  // Show the new order right away and go back to the old one when it cannot be saved
+  const handleDragEnd = async ({ source, destination, type }) => {
+    if (!destination || destination.droppableId !== source.droppableId || destination.index === source.index) {
+      return;
+    }
+
+    const previous = { checklists, checklist, checklistProgress };
+
+    let saved;
+    if (type === 'checklist') {
+      const reordered = moveItem(checklists, source.index, destination.index);
+      onChange({ ...previous, checklists: reordered });
+      saved = await saveChange(
+        () => taskService.reorderChecklists(taskId, reordered.map((group) => group._id)),
+        'Reorder checklists'
+      );
+    } else {
+      const group = groups.find((checklistGroup) => checklistGroup._id === source.droppableId);
+      const reordered = moveItem(group.items, source.index, destination.index);
+      // The checklist's items keep the places they had among all items
+      let next = 0;
+      onChange({ ...previous, checklist: checklist.map((item) => (group.items.includes(item) ? reordered[next++] : item)) });
+      saved = await saveChange(
+        () => taskService.reorderChecklistItems(taskId, group._id, reordered.map((item) => item._id)),
+        'Reorder checklist items'
+      );
+    }
+
+    if (!saved) {
+      onChange(previous);
+    }
+  };
+
+  const renderTitle = (group, dragHandleProps) => {
+    const completed = group.items.filter((item) => item.isCompleted).length;
+
+    return (
+      <div className="flex items-center space-x-2 mb-2 group">
+        <div {...dragHandleProps} className={group._id ? 'cursor-grab' : 'hidden'}>
+          <GripVertical size={16} className="text-gray-400 hover:text-gray-600" />
+        </div>
+        {editing?.type === 'title' && editing.id === group._id ? (
+          <input
+            type="text"
+            value={editing.text}
+            onChange={(e) => setEditing({ ...editing, text: e.target.value })}
+            onBlur={handleSaveEdit}
+            onKeyDown={(e) => {
+              if (e.key === 'Enter') handleSaveEdit();
+              if (e.key === 'Escape') setEditing(null);
+            }}
+            maxLength={100}
+            className="flex-1 font-medium text-gray-900 border-b-2 border-blue-500 focus:outline-none bg-transparent"
+            autoFocus
+          />
+        ) : (
+          <h4
+            className={`flex-1 font-medium text-gray-900 ${group._id ? 'cursor-pointer hover:text-gray-700' : ''}`}
+            onClick={() => group._id && setEditing({ type: 'title', id: group._id, text: group.title, original: group.title })}
+          >
+            {group.title}
+          </h4>
+        )}
+        <span className="text-sm text-gray-500">{completed}/{group.items.length}</span>
+        {group._id && (
+          <button
+            onClick={() => handleDeleteChecklist(group)}
+            className="p-1 text-gray-400 hover:text-red-600 opacity-0 group-hover:opacity-100 transition-opacity duration-200"
+            title="Delete checklist"
+          >
+            <Trash2 size={14} />
+          </button>
+        )}
+      </div>
+    );
+  };
+
+  const renderItem = (item, provided) => (
+    <div
+      ref={provided.innerRef}
+      {...provided.draggableProps}
+      {...provided.dragHandleProps}
+      className="flex items-center space-x-3 p-2 bg-white hover:bg-gray-50 rounded group"
+    >
+      <input
+        type="checkbox"
+        checked={item.isCompleted}
+        onChange={() => saveChange(() => taskService.toggleChecklistItem(taskId, item._id), 'Update checklist')}
+        className="w-4 h-4 text-blue-600 rounded focus:ring-blue-500"
+      />
+      {editing?.type === 'item' && editing.id === item._id ? (
+        <input
+          type="text"
+          value={editing.text}
+          onChange={(e) => setEditing({ ...editing, text: e.target.value })}
+          onBlur={handleSaveEdit}
+          onKeyDown={(e) => {
+            if (e.key === 'Enter') handleSaveEdit();
+            if (e.key === 'Escape') setEditing(null);
+          }}
+          maxLength={200}
+          className="flex-1 p-1 border border-gray-300 rounded focus:outline-none focus:ring-2 focus:ring-blue-500"
+          autoFocus
+        />
+      ) : (
+        <span
+          className={`flex-1 cursor-text ${item.isCompleted ? 'line-through text-gray-500' : 'text-gray-900'}`}
+          title={item.isCompleted && item.completedBy?._id ? `Completed by ${getDisplayName(item.completedBy)}` : undefined}
+          onClick={() => setEditing({ type: 'item', id: item._id, text: item.text, original: item.text })}
+        >
+          {item.text}
+        </span>
+      )}
+      <button
+        onClick={() => saveChange(() => taskService.deleteChecklistItem(taskId, item._id), 'Delete checklist item')}
+        className="p-1 text-gray-400 hover:text-red-600 opacity-0 group-hover:opacity-100 transition-opacity duration-200"
+        title="Delete item"
+      >
+        <X size={14} />
+      </button>
+    </div>
+  );
+
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-3">
+        <h3 className="text-lg font-medium text-gray-900">Checklists</h3>
+        {checklist.length > 0 && (
+          <div className="text-sm text-gray-600">{checklistProgress}% complete</div>
+        )}
+      </div>
+
+      {checklist.length > 0 && (
+        <div className="w-full bg-gray-200 rounded-full h-2 mb-4">
+          <div
+            className={`h-2 rounded-full transition-all duration-300 ${
+              checklistProgress === 100 ? 'bg-green-500' : 'bg-blue-500'
+            }`}
+            style={{ width: `${checklistProgress}%` }}
+          />
+        </div>
+      )}
+
+      <DragDropContext onDragEnd={handleDragEnd}>
+        <Droppable droppableId="checklists" type="checklist">
+          {(provided) => (
+            <div ref={provided.innerRef} {...provided.droppableProps} className="space-y-4">
+              {groups.map((group, index) => (
+                <Draggable
+                  key={group._id || DEFAULT_TITLE}
+                  draggableId={group._id || DEFAULT_TITLE}
+                  index={index}
+                  isDragDisabled={!group._id}
+                >
+                  {(provided) => (
+                    <div ref={provided.innerRef} {...provided.draggableProps}>
+                      {renderTitle(group, provided.dragHandleProps)}
+
+                      {/* Items only move within their checklist */}
+                      <Droppable droppableId={group._id || DEFAULT_TITLE} type={`items-${group._id}`}>
+                        {(provided) => (
+                          <div ref={provided.innerRef} {...provided.droppableProps} className="space-y-1">
+                            {group.items.map((item, itemIndex) => (
+                              <Draggable
+                                key={item._id}
+                                draggableId={item._id}
+                                index={itemIndex}
+                                isDragDisabled={!group._id || Boolean(editing)}
+                              >
+                                {(provided) => renderItem(item, provided)}
+                              </Draggable>
+                            ))}
+                            {provided.placeholder}
+                          </div>
+                        )}
+                      </Droppable>
+
+                      <div className="flex items-center space-x-2 mt-2">
+                        <input
+                          type="text"
+                          value={newItems[group._id || DEFAULT_TITLE] || ''}
+                          onChange={(e) => setNewItems({ ...newItems, [group._id || DEFAULT_TITLE]: e.target.value })}
+                          onKeyDown={(e) => {
+                            if (e.key === 'Enter') {
+                              handleAddItem(group);
+                            }
+                          }}
+                          maxLength={200}
+                          placeholder="Add checklist item..."
+                          className="flex-1 p-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                        />
+                        <button
+                          onClick={() => handleAddItem(group)}
+                          disabled={!(newItems[group._id || DEFAULT_TITLE] || '').trim()}
+                          className="p-2 bg-blue-500 text-white rounded-lg hover:bg-blue-600 disabled:opacity-50 disabled:cursor-not-allowed"
+                        >
+                          <Plus size={16} />
+                        </button>
+                      </div>
+                    </div>
+                  )}
+                </Draggable>
+              ))}
+              {provided.placeholder}
+            </div>
+          )}
+        </Droppable>
+      </DragDropContext>
+
+      {isAddingChecklist ? (
+        <div className="flex items-center space-x-2 mt-4">
+          <input
+            type="text"
+            value={newChecklistTitle}
+            onChange={(e) => setNewChecklistTitle(e.target.value)}
+            onKeyDown={(e) => {
+              if (e.key === 'Enter') handleAddChecklist();
+              if (e.key === 'Escape') setIsAddingChecklist(false);
+            }}
+            maxLength={100}
+            placeholder="Checklist title"
+            className="flex-1 p-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+            autoFocus
+          />
+          <button
+            onClick={handleAddChecklist}
+            className="px-3 py-2 text-sm bg-blue-500 text-white rounded-lg hover:bg-blue-600"
+          >
+            Add
+          </button>
+          <button
+            onClick={() => setIsAddingChecklist(false)}
+            className="px-3 py-2 text-sm text-gray-700 hover:bg-gray-100 rounded-lg"
+          >
+            Cancel
+          </button>
+        </div>
+      ) : (
+        <button
+          onClick={() => setIsAddingChecklist(true)}
+          className="mt-4 flex items-center space-x-1 text-sm text-gray-600 hover:text-gray-900"
+        >
+          <Plus size={14} />
+          <span>Add checklist</span>
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default TaskChecklists;
@@ -0,0 +1,420 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { useSelector } from 'react-redux';
+import { CornerDownRight, Pencil, SmilePlus, Trash2 } from 'lucide-react';
+import toast from 'react-hot-toast';
+import taskService from '../../services/taskService';
+import Avatar, { getDisplayName } from '../common/Avatar';
+import { MentionSuggestions, MentionText, offerInvites, useMentionAutocomplete } from '../common/Mentions';
+import { BOARD_EVENT } from '../../utils/boardEvents';
+import { formatUserDate } from '../../utils/dates';
+
+// Must match the reactions the server accepts
+const REACTIONS = ['👍', '👎', '😄', '🎉', '😕', '❤️', '🚀', '👀'];
+
+const MAX_LENGTH = 1000;
+
+const EMPTY = { comments: [], hasMore: false, total: 0 };
+
+// Add comments that are not in the list yet. A reply to a thread that is not loaded only
+// counts towards the total.
+const addComments = (state, added) => {
+  const fresh = added.filter((comment) => !state.comments.some((existing) => existing._id === comment._id));
+  const shown = fresh.filter((comment) => !comment.parent || state.comments.some((existing) => existing._id === comment.parent));
+  return { ...state, comments: [...state.comments, ...shown], total: state.total + fresh.length };
+};
+
+const replaceComment = (state, commentId, change) => ({
+  ...state,
+  comments: state.comments.map((comment) => (comment._id === commentId ? { ...comment, ...change } : comment)),
+});
+
+const removeComments = (state, commentIds) => {
+  const comments = state.comments.filter((comment) => !commentIds.includes(comment._id));
+  return { ...state, comments, total: Math.max(0, state.total - (state.comments.length - comments.length)) };
+};
+
+// Textarea with a submit and an optional cancel button, used to write, reply and edit.
+// Typing "@" suggests board members to mention.
+const CommentForm = ({
+  initial = '', submitLabel, placeholder, members, onSubmit, onCancel, onTyping, onFocusChange, autoFocus,
+}) => {
+  const [text, setText] = useState(initial);
+  const [isSaving, setIsSaving] = useState(false);
+  const textareaRef = useRef(null);
+  const mentions = useMentionAutocomplete(members, textareaRef, setText);
+
+  const handleSubmit = async () => {
+    if (!text.trim() || isSaving) return;
+
+    setIsSaving(true);
+    onTyping?.(false);
+    const saved = await onSubmit(text.trim());
+    setIsSaving(false);
+    if (saved && !onCancel) setText('');
+  };
+
+  return (
+    <div className="flex-1 space-y-2">
+      <div className="relative">
+        <textarea
+          ref={textareaRef}
+          value={text}
+          onChange={(e) => {
+            setText(e.target.value);
+            onTyping?.(Boolean(e.target.value.trim()));
+          }}
+          onSelect={mentions.refresh}
+          onFocus={() => onFocusChange?.(true)}
+          onBlur={() => {
+            mentions.close();
+            onFocusChange?.(false);
+            onTyping?.(false);
+          }}
+          onKeyDown={(e) => {
+            if (mentions.handleKeyDown(e)) return;
+            if (e.key === 'Enter' && (e.metaKey || e.ctrlKey)) handleSubmit();
+            if (e.key === 'Escape' && onCancel) onCancel();
+          }}
+          maxLength={MAX_LENGTH}
+          placeholder={placeholder}
+          autoFocus={autoFocus}
+          className="w-full p-3 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 resize-none"
+          rows={onCancel ? 2 : 3}
+        />
+        <MentionSuggestions
+          suggestions={mentions.suggestions}
+          activeIndex={mentions.activeIndex}
+          onPick={mentions.pick}
+        />
+      </div>
+      <div className="flex space-x-2">
+        <button
+          onClick={handleSubmit}
+          disabled={!text.trim() || isSaving}
+          className="px-4 py-2 bg-blue-500 text-white rounded-lg hover:bg-blue-600 disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          {submitLabel}
+        </button>
+        {onCancel && (
+          <button onClick={onCancel} className="px-4 py-2 text-gray-700 hover:bg-gray-100 rounded-lg">
+            Cancel
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+// The comments of a task as threads one reply deep, loaded a page at a time from the newest.
+// Changes by everyone arrive as board events, our own are shown right away as well.
+const TaskComments = ({
+  socket, boardId, taskId, members, preferences, canModerate, canInvite, typingMessage, onTyping, onComposerFocus,
+}) => {
+  const { user } = useSelector((state) => state.auth);
+  const [state, setState] = useState(EMPTY);
+  const [isLoading, setIsLoading] = useState(true);
+  const [replyingTo, setReplyingTo] = useState(null);
+  const [editingId, setEditingId] = useState(null);
+  const [pickerFor, setPickerFor] = useState(null);
+
+  useEffect(() => {
+    if (!taskId) return undefined;
+    let cancelled = false;
+
+    setState(EMPTY);
+    setIsLoading(true);
+    taskService.getComments(taskId)
+      .then((response) => {
+        if (!cancelled) setState({ comments: response.comments, hasMore: response.hasMore, total: response.total });
+      })
+      .catch((error) => {
+        console.error('Error fetching comments:', error);
+        toast.error('Failed to load comments');
+      })
+      .finally(() => {
+        if (!cancelled) setIsLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [taskId]);
+
+  useEffect(() => {
+    if (!socket || !taskId) return undefined;
+
+    const handleBoardEvent = (event) => {
+      if (event.data?.taskId !== taskId) return;
+
+      switch (event.type) {
+        case 'comment.added':
+          setState((prev) => addComments(prev, [event.data.comment]));
+          break;
+        case 'comment.updated':
+          setState((prev) => replaceComment(prev, event.data.comment._id, event.data.comment));
+          break;
+        case 'comment.deleted':
+          setState((prev) => removeComments(prev, event.data.commentIds));
+          break;
+        case 'comment.reacted':
+          setState((prev) => replaceComment(prev, event.data.commentId, { reactions: event.data.reactions }));
+          break;
+        default:
+      }
+    };
+
+    socket.on(BOARD_EVENT, handleBoardEvent);
+    return () => {
+      socket.off(BOARD_EVENT, handleBoardEvent);
+    };
+  }, [socket, taskId]);
+
+  const handleLoadEarlier = async () => {
+    const [oldest] = state.comments.filter((comment) => !comment.parent);
+    try {
+      setIsLoading(true);
+      const response = await taskService.getComments(taskId, oldest?._id);
+      setState((prev) => ({
+        ...prev,
+        comments: [
+          ...response.comments.filter((comment) => !prev.comments.some((existing) => existing._id === comment._id)),
+          ...prev.comments,
+        ],
+        hasMore: response.hasMore,
+      }));
+    } catch (error) {
+      console.error('Error fetching comments:', error);
+      toast.error('Failed to load comments');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  // Run a comment request and apply its answer, returns whether it worked. People the comment
+  // mentions who are not on the board come back with it, we offer to invite them.
+  const saveChange = async (request, apply, action) => {
+    try {
+      const response = await request();
+      setState((prev) => apply(prev, response));
+      offerInvites(boardId, response.nonMembers, canInvite);
+      return true;
+    } catch (error) {
+      console.error(`${action} error:`, error);
+      toast.error(error.response?.data?.message || `Failed to ${action.toLowerCase()}`);
+      return false;
+    }
+  };
+
+  const handleAdd = (text, parentId = null) => saveChange(
+    () => taskService.addComment(taskId, text, parentId),
+    (prev, response) => addComments(prev, [response.comment]),
+    parentId ? 'Add reply' : 'Add comment'
+  );
+
+  const handleReply = async (text, parentId) => {
+    const saved = await handleAdd(text, parentId);
+    if (saved) setReplyingTo(null);
+    return saved;
+  };
+
+  const handleEdit = async (text, commentId) => {
+    const saved = await saveChange(
+      () => taskService.updateComment(taskId, commentId, text),
+      (prev, response) => replaceComment(prev, commentId, response.comment),
+      'Update comment'
+    );
+    if (saved) setEditingId(null);
+    return saved;
+  };
+
+  const handleDelete = (comment, replyCount) => {
+    const question = replyCount > 0
+      ? `Delete this comment and its ${replyCount} ${replyCount === 1 ? 'reply' : 'replies'}?`
+      : 'Delete this comment?';
+    if (!window.confirm(question)) return;
+
+    saveChange(
+      () => taskService.deleteComment(taskId, comment._id),
+      (prev, response) => removeComments(prev, response.commentIds),
+      'Delete comment'
+    );
+  };
+
+  const handleReact = (commentId, emoji) => {
+    setPickerFor(null);
+    saveChange(
+      () => taskService.toggleCommentReaction(taskId, commentId, emoji),
+      (prev, response) => replaceComment(prev, commentId, { reactions: response.reactions }),
+      'Update reaction'
+    );
+  };
+
+  const isOwn = (comment) => (comment.author?._id || comment.author) === user?._id;
+
+  const renderComment = (comment, replyCount = 0) => (
+    <div className="flex space-x-3 group">
+      <Avatar user={comment.author} size="sm" />
+      <div className="flex-1 min-w-0">
+        <div className="p-3 bg-gray-50 rounded-lg">
+          <div className="flex items-center space-x-2 mb-1">
+            <span className="font-medium text-gray-900">{getDisplayName(comment.author)}</span>
+            <span className="text-sm text-gray-500">
+              {formatUserDate(comment.createdAt, preferences, `${preferences.dateFormat} 'at' h:mm a`)}
+              {comment.isEdited && ' (edited)'}
+            </span>
+          </div>
+          {editingId === comment._id ? (
+            <CommentForm
+              initial={comment.text}
+              submitLabel="Save"
+              members={members}
+              onSubmit={(text) => handleEdit(text, comment._id)}
+              onCancel={() => setEditingId(null)}
+              autoFocus
+            />
+          ) : (
+            <p className="text-gray-700 whitespace-pre-wrap break-words">
+              <MentionText text={comment.text} users={comment.mentions} />
+            </p>
+          )}
+        </div>
+
+        <div className="flex flex-wrap items-center gap-1 mt-1 text-sm">
+          {(comment.reactions || []).filter((reaction) => reaction.users.length > 0).map((reaction) => {
+            const reacted = reaction.users.includes(user?._id);
+            return (
+              <button
+                key={reaction.emoji}
+                onClick={() => handleReact(comment._id, reaction.emoji)}
+                className={`px-2 py-0.5 rounded-full border ${
+                  reacted ? 'bg-blue-50 border-blue-300 text-blue-700' : 'border-gray-200 text-gray-600 hover:bg-gray-50'
+                }`}
+                title={reacted ? 'Take back your reaction' : 'React'}
+              >
+                {reaction.emoji} {reaction.users.length}
+              </button>
+            );
+          })}
+
+          <div className="relative">
+            <button
+              onClick={() => setPickerFor(pickerFor === comment._id ? null : comment._id)}
+              className="p-1 text-gray-400 hover:text-gray-700"
+              title="Add reaction"
+            >
+              <SmilePlus size={14} />
+            </button>
+            {pickerFor === comment._id && (
+              <div className="absolute left-0 z-10 mt-1 flex p-1 bg-white border border-gray-200 rounded-lg shadow-lg">
+                {REACTIONS.map((emoji) => (
+                  <button
+                    key={emoji}
+                    onClick={() => handleReact(comment._id, emoji)}
+                    className="p-1 rounded hover:bg-gray-100"
+                  >
+                    {emoji}
+                  </button>
+                ))}
+              </div>
+            )}
+          </div>
+
+          {!comment.parent && (
+            <button
+              onClick={() => setReplyingTo(comment._id)}
+              className="flex items-center space-x-1 px-1 text-gray-500 hover:text-gray-800"
+            >
+              <CornerDownRight size={14} />
+              <span>Reply</span>
+            </button>
+          )}
+          {isOwn(comment) && editingId !== comment._id && (
+            <button
+              onClick={() => setEditingId(comment._id)}
+              className="p-1 text-gray-400 hover:text-gray-700 opacity-0 group-hover:opacity-100 transition-opacity duration-200"
+              title="Edit comment"
+            >
+              <Pencil size={14} />
+            </button>
+          )}
+          {(isOwn(comment) || canModerate) && (
+            <button
+              onClick={() => handleDelete(comment, replyCount)}
+              className="p-1 text-gray-400 hover:text-red-600 opacity-0 group-hover:opacity-100 transition-opacity duration-200"
+              title="Delete comment"
+            >
+              <Trash2 size={14} />
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+
+  const threads = state.comments.filter((comment) => !comment.parent);
+  const repliesTo = (commentId) => state.comments.filter((comment) => comment.parent === commentId);
+
+  return (
+    <div>
+      <h3 className="text-lg font-medium text-gray-900 mb-3">
+        Comments ({state.total})
+      </h3>
+
+      <div className="space-y-4">
+        {state.hasMore && (
+          <button
+            onClick={handleLoadEarlier}
+            disabled={isLoading}
+            className="text-sm text-blue-600 hover:underline disabled:opacity-50"
+          >
+            {isLoading ? 'Loading...' : 'Show earlier comments'}
+          </button>
+        )}
+
+        {threads.map((thread) => {
+          const replies = repliesTo(thread._id);
+          return (
+            <div key={thread._id} className="space-y-3">
+              {renderComment(thread, replies.length)}
+              {(replies.length > 0 || replyingTo === thread._id) && (
+                <div className="ml-11 space-y-3">
+                  {replies.map((reply) => (
+                    <div key={reply._id}>{renderComment(reply)}</div>
+                  ))}
+                  {replyingTo === thread._id && (
+                    <CommentForm
+                      submitLabel="Reply"
+                      placeholder={`Reply to ${getDisplayName(thread.author)}...`}
+                      members={members}
+                      onSubmit={(text) => handleReply(text, thread._id)}
+                      onCancel={() => setReplyingTo(null)}
+                      onTyping={onTyping}
+                      autoFocus
+                    />
+                  )}
+                </div>
+              )}
+            </div>
+          );
+        })}
+
+        <div className="flex space-x-3">
+          <Avatar user={user} size="sm" />
+          <div className="flex-1 space-y-2">
+            <CommentForm
+              submitLabel="Add Comment"
+              placeholder="Write a comment... (type @ to mention someone)"
+              members={members}
+              onSubmit={(text) => handleAdd(text)}
+              onTyping={onTyping}
+              onFocusChange={onComposerFocus}
+            />
+            {typingMessage && <p className="text-sm text-gray-500 italic">{typingMessage}</p>}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default TaskComments;
@@ -0,0 +1,95 @@
+import React, { useState } from 'react';
+import { AlertTriangle } from 'lucide-react';
+import { formatUserDate } from '../../utils/dates';
+
+const FIELD_LABELS = {
+  title: 'Title',
+  description: 'Description',
+  priority: 'Priority',
+  dueDate: 'Due date',
+  status: 'Status',
+  isCompleted: 'Completed',
+};
+
+const formatValue = (field, value, preferences) => {
+  if (value === null || value === undefined || value === '') {
+    return <span className="italic text-gray-400">Empty</span>;
+  }
+  if (field === 'dueDate') return formatUserDate(value, preferences);
+  if (field === 'isCompleted') return value ? 'Yes' : 'No';
+  return String(value);
+};
+
+// Our changes were made to an older version of the task and someone else changed the same
+// fields meanwhile. For each field we keep theirs unless we pick ours, or overwrite them all.
+const TaskConflict = ({ diff, preferences, onMerge, onOverwrite, onDiscard }) => {
+  const [keepMine, setKeepMine] = useState({});
+
+  return (
+    <div className="mx-6 mt-6 p-4 border border-amber-200 bg-amber-50 rounded-lg">
+      <div className="flex items-center space-x-2 mb-3 text-amber-800">
+        <AlertTriangle size={18} />
+        <h3 className="font-medium">Someone else changed this task while you were editing it</h3>
+      </div>
+
+      <div className="space-y-3">
+        {diff.map(({ field, yours, current }) => (
+          <div key={field} className="bg-white border border-amber-100 rounded-lg p-3">
+            <div className="text-sm font-medium text-gray-700 mb-2">{FIELD_LABELS[field] || field}</div>
+            <div className="grid grid-cols-2 gap-3">
+              <label className="flex items-start space-x-2 text-sm cursor-pointer">
+                <input
+                  type="radio"
+                  name={`conflict-${field}`}
+                  checked={!keepMine[field]}
+                  onChange={() => setKeepMine({ ...keepMine, [field]: false })}
+                  className="mt-1"
+                />
+                <span>
+                  <span className="block text-xs text-gray-500">Theirs</span>
+                  <span className="text-gray-900 break-words">{formatValue(field, current, preferences)}</span>
+                </span>
+              </label>
+              <label className="flex items-start space-x-2 text-sm cursor-pointer">
+                <input
+                  type="radio"
+                  name={`conflict-${field}`}
+                  checked={Boolean(keepMine[field])}
+                  onChange={() => setKeepMine({ ...keepMine, [field]: true })}
+                  className="mt-1"
+                />
+                <span>
+                  <span className="block text-xs text-gray-500">Yours</span>
+                  <span className="text-gray-900 break-words">{formatValue(field, yours, preferences)}</span>
+                </span>
+              </label>
+            </div>
+          </div>
+        ))}
+      </div>
+
+      <div className="flex justify-end space-x-2 mt-4">
+        <button
+          onClick={onDiscard}
+          className="px-3 py-2 text-sm text-gray-700 hover:bg-amber-100 rounded-lg"
+        >
+          Discard my changes
+        </button>
+        <button
+          onClick={onOverwrite}
+          className="px-3 py-2 text-sm border border-red-200 text-red-700 bg-white hover:bg-red-50 rounded-lg"
+        >
+          Overwrite with mine
+        </button>
+        <button
+          onClick={() => onMerge(diff.filter(({ field }) => keepMine[field]))}
+          className="px-3 py-2 text-sm bg-blue-500 text-white hover:bg-blue-600 rounded-lg"
+        >
+          Merge
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default TaskConflict;
@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { 
   X, 
   Calendar, 
@@ -7,124 +7,250 @@ import {
   User, 
   MessageCircle, 
   CheckSquare, 
-  Paperclip,
   Tag,
   Play,
   Pause,
   Save,
   Trash2,
-  Plus
+  Lock
 } from 'lucide-react';
-import { format, isToday, isPast } from 'date-fns';
+import { useDispatch, useSelector } from 'react-redux';
 import taskService from '../../services/taskService';
+import { fetchRunningTimer } from '../../store/slices/timerSlice';
 import toast from 'react-hot-toast';
+import { formatUserDate, fromUserDay, getPreferences, toUserDay } from '../../utils/dates';
+import Avatar, { getDisplayName } from '../common/Avatar';
+import TaskConflict from './TaskConflict';
+import CollaborativeDescription from './CollaborativeDescription';
+import TaskChecklists from './TaskChecklists';
+import TaskTimeEntries from './TaskTimeEntries';
+import TaskAttachments from './TaskAttachments';
+import TaskComments from './TaskComments';
+import { MentionSuggestions, MentionText, offerInvites, useMentionAutocomplete } from '../common/Mentions';
 
-const TaskDetailModal = ({ task, isOpen, onClose, onUpdate }) => {
+// Typing indicators: we resend while typing, stop after a pause, and forget silent typists
+const TYPING_REFRESH_MS = 3000;
+const TYPING_STOP_MS = 4000;
+const TYPING_EXPIRES_MS = 6000;
+
+// "Dana is", "Dana and Lee are", "Dana and 2 others are"
+const describePeople = (users) => {
+  const names = users.map(getDisplayName);
+  if (names.length === 1) return `${names[0]} is`;
+  if (names.length === 2) return `${names[0]} and ${names[1]} are`;
+  return `${names[0]} and ${names.length - 1} others are`;
+};
+
+// Same field value on two copies of a task, dates arrive as ISO strings
+const isSameValue = (a, b) => String(a ?? '') === String(b ?? '');
+
+const TaskDetailModal = ({ task, boardId, userRole, members = [], viewers = [], isOpen, onClose, onUpdate }) => {
   const [taskData, setTaskData] = useState(task);
   const [isEditing, setIsEditing] = useState({});
-  const [newComment, setNewComment] = useState('');
-  const [newChecklistItem, setNewChecklistItem] = useState('');
-  const [isTimeTracking, setIsTimeTracking] = useState(false);
-  const [timeTrackingStart, setTimeTrackingStart] = useState(null);
+  const [isCommentFocused, setIsCommentFocused] = useState(false);
+  const [typingUsers, setTypingUsers] = useState({});
+  const [conflict, setConflict] = useState(null);
+  const [isCollaborative, setIsCollaborative] = useState(true);
+  const dispatch = useDispatch();
+  const preferences = getPreferences(useSelector((state) => state.auth.user));
+  const { socket } = useSelector((state) => state.socket);
+  const { timer } = useSelector((state) => state.timer);
+  const typingState = useRef({ isTyping: false, lastSent: 0, stopTimer: null });
+  // Latest text of the description edited together, the server saves it
+  const collaborativeText = useRef(null);
+  const descriptionRef = useRef(null);
+  const descriptionMentions = useMentionAutocomplete(members, descriptionRef, (description) => {
+    setTaskData(prev => ({ ...prev, description }));
+  });
+  const taskId = task?._id;
+  const canInvite = ['owner', 'admin'].includes(userRole);
+
+  let editingField = null;
+  if (isEditing.title) editingField = 'title';
+  else if (isEditing.description) editingField = 'description';
+  else if (isCommentFocused) editingField = 'comment';
+
+  // Tell the board we have the task open and which field we are editing
+  useEffect(() => {
+    if (socket && boardId && isOpen && taskId) {
+      socket.emit('task:focus', { boardId, taskId, field: editingField });
+    }
+  }, [socket, boardId, isOpen, taskId, editingField]);
+
+  useEffect(() => {
+    if (!socket || !boardId || !isOpen || !taskId) return undefined;
+
+    const typing = typingState.current;
+    return () => {
+      clearTimeout(typing.stopTimer);
+      if (typing.isTyping) {
+        socket.emit('task:typing', { boardId, taskId, typing: false });
+        typing.isTyping = false;
+      }
+      socket.emit('task:focus', { boardId, taskId: null });
+    };
+  }, [socket, boardId, isOpen, taskId]);
+
+  // Every task gets another try at collaborative editing
+  useEffect(() => {
+    setIsCollaborative(true);
+    collaborativeText.current = null;
+  }, [taskId]);
+
+  // Show who is typing a comment on this task
+  useEffect(() => {
+    if (!socket || !isOpen || !taskId) return undefined;
+
+    const expiryTimers = {};
+    const removeTypist = (userId) => {
+      setTypingUsers(prev => {
+        const { [userId]: removed, ...rest } = prev;
+        return rest;
+      });
+    };
+
+    const handleTyping = (data) => {
+      if (data.taskId !== taskId) return;
+
+      clearTimeout(expiryTimers[data.user._id]);
+      if (data.typing) {
+        setTypingUsers(prev => ({ ...prev, [data.user._id]: data.user }));
+        expiryTimers[data.user._id] = setTimeout(() => removeTypist(data.user._id), TYPING_EXPIRES_MS);
+      } else {
+        removeTypist(data.user._id);
+      }
+    };
+
+    socket.on('task:typing', handleTyping);
+    return () => {
+      socket.off('task:typing', handleTyping);
+      Object.values(expiryTimers).forEach(clearTimeout);
+      setTypingUsers({});
+    };
+  }, [socket, isOpen, taskId]);
 
   useEffect(() => {
     if (task) {
       setTaskData(task);
-      // Check if user has active time tracking
-      const activeEntry = task.timeEntries?.find(entry => 
-        entry.user === 'current-user-id' && !entry.endTime
-      );
-      if (activeEntry) {
-        setIsTimeTracking(true);
-        setTimeTrackingStart(new Date(activeEntry.startTime));
-      }
     }
   }, [task]);
 
   if (!isOpen || !taskData) return null;
 
-  const handleUpdateTask = async (updates) => {
+  // Changes are saved against the version of the task we have. When someone else saved first,
+  // changes to fields they did not touch are saved again, otherwise we ask how to merge.
+  const handleUpdateTask = async (updates, version = taskData.version) => {
     try {
-      const response = await taskService.updateTask(taskData._id, updates);
+      const response = await taskService.updateTask(taskData._id, { ...updates, version });
       setTaskData(response.task);
       onUpdate(response.task);
+      setConflict(null);
       toast.success('Task updated successfully');
+      offerInvites(boardId, response.nonMembers, canInvite);
     } catch (error) {
+      if (error.response?.status === 409 && error.response.data.task) {
+        const { task: current, diff } = error.response.data;
+        const changedByThem = diff.filter(({ field }) => !isSameValue(current[field], task[field]));
+
+        if (changedByThem.length === 0 && version !== current.version) {
+          await handleUpdateTask(updates, current.version);
+          return;
+        }
+
+        setConflict({ updates, current, diff: changedByThem });
+        return;
+      }
+
       console.error('Update task error:', error);
-      toast.error('Failed to update task');
+      toast.error(error.response?.status === 409 ? error.response.data.message : 'Failed to update task');
     }
   };
 
-  const handleAddComment = async () => {
-    if (!newComment.trim()) return;
-    
-    try {
-      await taskService.addComment(taskData._id, newComment.trim());
-      setNewComment('');
-      // Refresh task data
-      const response = await taskService.getTask(taskData._id);
-      setTaskData(response.task);
-      toast.success('Comment added');
-    } catch (error) {
-      console.error('Add comment error:', error);
-      toast.error('Failed to add comment');
+  // The board shows what was typed in the description together once the dialog closes
+  const handleClose = () => {
+    if (collaborativeText.current !== null && collaborativeText.current !== task.description) {
+      onUpdate({ ...taskData, description: collaborativeText.current });
     }
+    onClose();
   };
 
-  const handleToggleChecklistItem = async (itemId) => {
-    try {
-      const updatedChecklist = taskData.checklist.map(item => 
-        item._id === itemId 
-          ? { ...item, isCompleted: !item.isCompleted }
-          : item
-      );
-      
-      await handleUpdateTask({ checklist: updatedChecklist });
-    } catch (error) {
-      console.error('Toggle checklist error:', error);
-      toast.error('Failed to update checklist');
+  const handleDiscardChanges = () => {
+    setTaskData(conflict.current);
+    onUpdate(conflict.current);
+    setConflict(null);
+  };
+
+  // Keep their values except where we picked ours, changes they did not conflict with stay
+  const handleMergeChanges = (keptMine) => {
+    const conflicting = conflict.diff.map(({ field }) => field);
+    const merged = Object.fromEntries(
+      Object.entries(conflict.updates).filter(([field]) => !conflicting.includes(field))
+    );
+    keptMine.forEach(({ field, yours }) => {
+      merged[field] = yours;
+    });
+
+    if (Object.keys(merged).length === 0) {
+      handleDiscardChanges();
+      return;
     }
+
+    handleUpdateTask(merged, conflict.current.version);
   };
 
-  const handleAddChecklistItem = async () => {
-    if (!newChecklistItem.trim()) return;
-    
-    try {
-      const updatedChecklist = [
-        ...taskData.checklist,
-        {
-          text: newChecklistItem.trim(),
-          isCompleted: false,
-          createdAt: new Date()
-        }
-      ];
-      
-      await handleUpdateTask({ checklist: updatedChecklist });
-      setNewChecklistItem('');
-    } catch (error) {
-      console.error('Add checklist item error:', error);
-      toast.error('Failed to add checklist item');
+  const sendTyping = (typing) => {
+    const state = typingState.current;
+    if (!socket || !boardId) return;
+
+    clearTimeout(state.stopTimer);
+    if (typing) {
+      if (!state.isTyping || Date.now() - state.lastSent > TYPING_REFRESH_MS) {
+        socket.emit('task:typing', { boardId, taskId: taskData._id, typing: true });
+        state.lastSent = Date.now();
+      }
+      state.stopTimer = setTimeout(() => sendTyping(false), TYPING_STOP_MS);
+    } else if (state.isTyping) {
+      socket.emit('task:typing', { boardId, taskId: taskData._id, typing: false });
     }
+    state.isTyping = typing;
   };
 
+  // Checklists, time entries and attachments are saved as they are changed, the board shows them right away
+  const handleSavedChange = (fields) => {
+    const updatedTask = { ...taskData, ...fields };
+    setTaskData(updatedTask);
+    onUpdate(updatedTask);
+  };
+
+  const isTimeTracking = timer?.taskId === taskData._id;
+
+  // Start or stop our timer on this task. A timer running on another task is stopped first
+  // when we agree to it, there is only one per user.
   const handleTimeTracking = async () => {
     try {
-      if (isTimeTracking) {
-        // Stop time tracking
-        await taskService.updateTask(taskData._id, { stopTimeTracking: true });
-        setIsTimeTracking(false);
-        setTimeTrackingStart(null);
-        toast.success('Time tracking stopped');
-      } else {
-        // Start time tracking
-        await taskService.updateTask(taskData._id, { startTimeTracking: true });
-        setIsTimeTracking(true);
-        setTimeTrackingStart(new Date());
-        toast.success('Time tracking started');
-      }
+      const response = isTimeTracking
+        ? await taskService.stopTimer(taskData._id)
+        : await taskService.startTimer(taskData._id);
+      handleSavedChange({ timeEntries: response.timeEntries, actualHours: response.actualHours });
+      toast.success(isTimeTracking ? 'Time tracking stopped' : 'Time tracking started');
     } catch (error) {
-      console.error('Time tracking error:', error);
-      toast.error('Failed to update time tracking');
+      const running = error.response?.status === 409 && error.response.data.timer;
+      if (running && window.confirm(`${error.response.data.message}. Stop it and start timing this task?`)) {
+        try {
+          await taskService.stopTimer(running.taskId);
+          const response = await taskService.startTimer(taskData._id);
+          handleSavedChange({ timeEntries: response.timeEntries, actualHours: response.actualHours });
+          toast.success('Time tracking started');
+        } catch (retryError) {
+          console.error('Time tracking error:', retryError);
+          toast.error('Failed to update time tracking');
+        }
+      } else if (!running) {
+        console.error('Time tracking error:', error);
+        toast.error('Failed to update time tracking');
+      }
+    } finally {
+      dispatch(fetchRunningTimer());
     }
   };
 
@@ -148,14 +274,7 @@ const TaskDetailModal = ({ task, isOpen, onClose, onUpdate }) => {
     }
   };
 
-  const formatDuration = (minutes) => {
-    const hours = Math.floor(minutes / 60);
-    const mins = minutes % 60;
-    return hours > 0 ? `${hours}h ${mins}m` : `${mins}m`;
-  };
-
-  const completedChecklistItems = taskData.checklist?.filter(item => item.isCompleted).length || 0;
-  const totalChecklistItems = taskData.checklist?.length || 0;
+  const descriptionEditors = viewers.filter(({ field }) => field === 'description').map(({ user }) => user);
 
   return (
     <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
@@ -166,14 +285,38 @@ const TaskDetailModal = ({ task, isOpen, onClose, onUpdate }) => {
             <CheckSquare className="text-gray-600" size={24} />
             <h2 className="text-xl font-semibold text-gray-900">Task Details</h2>
           </div>
-          <button
-            onClick={onClose}
-            className="p-2 hover:bg-gray-100 rounded-lg transition-colors duration-200"
-          >
-            <X size={20} />
-          </button>
+          <div className="flex items-center space-x-4">
+            {/* Other people with the task open */}
+            {viewers.length > 0 && (
+              <div className="flex items-center space-x-2" title={`${describePeople(viewers.map(({ user }) => user))} viewing this task`}>
+                <span className="text-sm text-gray-500">Also viewing</span>
+                <div className="flex -space-x-2">
+                  {viewers.slice(0, 4).map(({ user }) => (
+                    <Avatar key={user._id} user={user} size="sm" className="border-2 border-white" />
+                  ))}
+                </div>
+              </div>
+            )}
+            <button
+              onClick={handleClose}
+              className="p-2 hover:bg-gray-100 rounded-lg transition-colors duration-200"
+            >
+              <X size={20} />
+            </button>
+          </div>
         </div>
 
+        {conflict && (
+          <TaskConflict
+            key={conflict.current.version}
+            diff={conflict.diff}
+            preferences={preferences}
+            onMerge={handleMergeChanges}
+            onOverwrite={() => handleUpdateTask(conflict.updates, conflict.current.version)}
+            onDiscard={handleDiscardChanges}
+          />
+        )}
+
         <div className="p-6 space-y-6">
           {/* Title */}
           <div>
@@ -211,146 +354,108 @@ const TaskDetailModal = ({ task, isOpen, onClose, onUpdate }) => {
               {/* Description */}
               <div>
                 <h3 className="text-lg font-medium text-gray-900 mb-3">Description</h3>
-                {isEditing.description ? (
-                  <textarea
-                    value={taskData.description || ''}
-                    onChange={(e) => setTaskData({ ...taskData, description: e.target.value })}
-                    onBlur={() => {
-                      handleUpdateTask({ description: taskData.description });
-                      setIsEditing({ ...isEditing, description: false });
-                    }}
-                    className="w-full p-3 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 resize-none"
-                    rows="4"
-                    placeholder="Add a description..."
-                    autoFocus
+                {socket && boardId && isCollaborative ? (
+                  <CollaborativeDescription
+                    socket={socket}
+                    boardId={boardId}
+                    taskId={taskData._id}
+                    members={members}
+                    onChange={(text) => { collaborativeText.current = text; }}
+                    onFocus={() => setIsEditing(prev => ({ ...prev, description: true }))}
+                    onBlur={() => setIsEditing(prev => ({ ...prev, description: false }))}
+                    onUnavailable={() => setIsCollaborative(false)}
                   />
                 ) : (
-                  <div
-                    className="p-3 border border-gray-200 rounded-lg cursor-pointer hover:bg-gray-50 min-h-[100px]"
-                    onClick={() => setIsEditing({ ...isEditing, description: true })}
-                  >
-                    {taskData.description || (
-                      <span className="text-gray-500 italic">Click to add description...</span>
+                  <>
+                    {descriptionEditors.length > 0 && (
+                      <div className="flex items-center space-x-2 mb-2 text-sm text-amber-700 bg-amber-50 border border-amber-200 rounded-lg px-3 py-2">
+                        <Lock size={14} />
+                        <span>{describePeople(descriptionEditors)} editing the description…</span>
+                      </div>
                     )}
-                  </div>
+                    {isEditing.description ? (
+                      <div className="relative">
+                        <textarea
+                          ref={descriptionRef}
+                          value={taskData.description || ''}
+                          onChange={(e) => setTaskData({ ...taskData, description: e.target.value })}
+                          onSelect={descriptionMentions.refresh}
+                          onKeyDown={descriptionMentions.handleKeyDown}
+                          onBlur={() => {
+                            descriptionMentions.close();
+                            handleUpdateTask({ description: taskData.description });
+                            setIsEditing({ ...isEditing, description: false });
+                          }}
+                          className="w-full p-3 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 resize-none"
+                          rows="4"
+                          placeholder="Add a description..."
+                          autoFocus
+                        />
+                        <MentionSuggestions
+                          suggestions={descriptionMentions.suggestions}
+                          activeIndex={descriptionMentions.activeIndex}
+                          onPick={descriptionMentions.pick}
+                        />
+                      </div>
+                    ) : (
+                      <div
+                        className="p-3 border border-gray-200 rounded-lg cursor-pointer hover:bg-gray-50 min-h-[100px]"
+                        onClick={() => setIsEditing({ ...isEditing, description: true })}
+                      >
+                        {taskData.description ? (
+                          <MentionText text={taskData.description} users={taskData.descriptionMentions} />
+                        ) : (
+                          <span className="text-gray-500 italic">Click to add description...</span>
+                        )}
+                      </div>
+                    )}
+                  </>
                 )}
               </div>
 
-              {/* Checklist */}
-              <div>
-                <div className="flex items-center justify-between mb-3">
-                  <h3 className="text-lg font-medium text-gray-900">
-                    Checklist ({completedChecklistItems}/{totalChecklistItems})
-                  </h3>
-                  {totalChecklistItems > 0 && (
-                    <div className="text-sm text-gray-600">
-                      {Math.round((completedChecklistItems / totalChecklistItems) * 100)}% complete
-                    </div>
-                  )}
-                </div>
-
-                {totalChecklistItems > 0 && (
-                  <div className="w-full bg-gray-200 rounded-full h-2 mb-4">
-                    <div
-                      className={`h-2 rounded-full transition-all duration-300 ${
-                        completedChecklistItems === totalChecklistItems ? 'bg-green-500' : 'bg-blue-500'
-                      }`}
-                      style={{ width: `${(completedChecklistItems / totalChecklistItems) * 100}%` }}
-                    />
-                  </div>
-                )}
+              {/* Checklists */}
+              <TaskChecklists
+                socket={socket}
+                taskId={taskData._id}
+                checklists={taskData.checklists}
+                checklist={taskData.checklist}
+                checklistProgress={taskData.checklistProgress}
+                onChange={handleSavedChange}
+              />
 
-                <div className="space-y-2">
-                  {taskData.checklist?.map((item, index) => (
-                    <div key={index} className="flex items-center space-x-3 p-2 hover:bg-gray-50 rounded">
-                      <input
-                        type="checkbox"
-                        checked={item.isCompleted}
-                        onChange={() => handleToggleChecklistItem(item._id)}
-                        className="w-4 h-4 text-blue-600 rounded focus:ring-blue-500"
-                      />
-                      <span className={`flex-1 ${item.isCompleted ? 'line-through text-gray-500' : 'text-gray-900'}`}>
-                        {item.text}
-                      </span>
-                    </div>
-                  ))}
+              {/* Time Entries */}
+              <TaskTimeEntries
+                socket={socket}
+                taskId={taskData._id}
+                timeEntries={taskData.timeEntries}
+                preferences={preferences}
+                onChange={handleSavedChange}
+              />
 
-                  <div className="flex items-center space-x-2 mt-3">
-                    <input
-                      type="text"
-                      value={newChecklistItem}
-                      onChange={(e) => setNewChecklistItem(e.target.value)}
-                      onKeyDown={(e) => {
-                        if (e.key === 'Enter') {
-                          handleAddChecklistItem();
-                        }
-                      }}
-                      placeholder="Add checklist item..."
-                      className="flex-1 p-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
-                    />
-                    <button
-                      onClick={handleAddChecklistItem}
-                      disabled={!newChecklistItem.trim()}
-                      className="p-2 bg-blue-500 text-white rounded-lg hover:bg-blue-600 disabled:opacity-50 disabled:cursor-not-allowed"
-                    >
-                      <Plus size={16} />
-                    </button>
-                  </div>
-                </div>
-              </div>
+              {/* Attachments */}
+              <TaskAttachments
+                socket={socket}
+                boardId={boardId}
+                taskId={taskData._id}
+                attachments={taskData.attachments}
+                preferences={preferences}
+                canManage={['owner', 'admin'].includes(userRole)}
+                onChange={handleSavedChange}
+              />
 
               {/* Comments */}
-              <div>
-                <h3 className="text-lg font-medium text-gray-900 mb-3">
-                  Comments ({taskData.comments?.length || 0})
-                </h3>
-                
-                <div className="space-y-4">
-                  {taskData.comments?.map((comment, index) => (
-                    <div key={index} className="flex space-x-3 p-3 bg-gray-50 rounded-lg">
-                      <div className="w-8 h-8 bg-blue-500 rounded-full flex items-center justify-center text-white text-sm">
-                        {comment.author?.firstName?.[0] || comment.author?.username?.[0] || 'U'}
-                      </div>
-                      <div className="flex-1">
-                        <div className="flex items-center space-x-2 mb-1">
-                          <span className="font-medium text-gray-900">
-                            {comment.author?.firstName 
-                              ? `${comment.author.firstName} ${comment.author.lastName}`
-                              : comment.author?.username
-                            }
-                          </span>
-                          <span className="text-sm text-gray-500">
-                            {format(new Date(comment.createdAt), 'MMM d, yyyy at h:mm a')}
-                          </span>
-                        </div>
-                        <p className="text-gray-700">{comment.text}</p>
-                      </div>
-                    </div>
-                  ))}
-
-                  <div className="flex space-x-3">
-                    <div className="w-8 h-8 bg-gray-400 rounded-full flex items-center justify-center text-white text-sm">
-                      U
-                    </div>
-                    <div className="flex-1 space-y-2">
-                      <textarea
-                        value={newComment}
-                        onChange={(e) => setNewComment(e.target.value)}
-                        placeholder="Write a comment..."
-                        className="w-full p-3 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 resize-none"
-                        rows="3"
-                      />
-                      <button
-                        onClick={handleAddComment}
-                        disabled={!newComment.trim()}
-                        className="px-4 py-2 bg-blue-500 text-white rounded-lg hover:bg-blue-600 disabled:opacity-50 disabled:cursor-not-allowed"
-                      >
-                        Add Comment
-                      </button>
-                    </div>
-                  </div>
-                </div>
-              </div>
+              <TaskComments
+                socket={socket}
+                boardId={boardId}
+                taskId={taskData._id}
+                members={members}
+                preferences={preferences}
+                canModerate={['owner', 'admin'].includes(userRole)}
+                canInvite={canInvite}
+                typingMessage={Object.keys(typingUsers).length > 0 ? `${describePeople(Object.values(typingUsers))} typing…` : null}
+                onTyping={sendTyping}
+                onComposerFocus={setIsCommentFocused}
+              />
             </div>
 
             {/* Sidebar */}
@@ -371,9 +476,9 @@ const TaskDetailModal = ({ task, isOpen, onClose, onUpdate }) => {
                     <span>{isTimeTracking ? 'Stop Timer' : 'Start Timer'}</span>
                   </button>
 
-                  {isTimeTracking && timeTrackingStart && (
+                  {isTimeTracking && (
                     <div className="text-center text-sm text-gray-600 p-2 bg-blue-50 rounded">
-                      Started: {format(timeTrackingStart, 'h:mm a')}
+                      Started: {formatUserDate(timer.startTime, preferences, 'h:mm a')}
                     </div>
                   )}
                 </div>
@@ -418,8 +523,8 @@ const TaskDetailModal = ({ task, isOpen, onClose, onUpdate }) => {
                     <label className="block text-sm font-medium text-gray-700 mb-1">Due Date</label>
                     <input
                       type="date"
-                      value={taskData.dueDate ? format(new Date(taskData.dueDate), 'yyyy-MM-dd') : ''}
-                      onChange={(e) => handleUpdateTask({ dueDate: e.target.value || null })}
+                      value={taskData.dueDate ? toUserDay(taskData.dueDate, preferences) : ''}
+                      onChange={(e) => handleUpdateTask({ dueDate: e.target.value ? fromUserDay(e.target.value, preferences) : null })}
                       className="w-full p-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
                     />
                   </div>
@@ -480,9 +585,7 @@ const TaskDetailModal = ({ task, isOpen, onClose, onUpdate }) => {
                   <div className="space-y-2">
                     {taskData.assignedTo.map((user) => (
                       <div key={user._id} className="flex items-center space-x-3">
-                        <div className="w-8 h-8 bg-blue-500 rounded-full flex items-center justify-center text-white text-sm">
-                          {user.firstName ? user.firstName[0] : user.username[0]}
-                        </div>
+                        <Avatar user={user} size="sm" />
                         <span className="text-gray-900">
                           {user.firstName ? `${user.firstName} ${user.lastName}` : user.username}
                         </span>
@@ -0,0 +1,199 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { useSelector } from 'react-redux';
+import { Pencil, Plus, Trash2 } from 'lucide-react';
+import toast from 'react-hot-toast';
+import taskService from '../../services/taskService';
+import Avatar, { getDisplayName } from '../common/Avatar';
+import { BOARD_EVENT } from '../../utils/boardEvents';
+import { formatDuration, formatUserDate, fromUserDateTime, toUserDateTime } from '../../utils/dates';
+
+const toTimeState = ({ timeEntries, actualHours }) => ({ timeEntries, actualHours });
+
+// Start, end and description of an entry being added or edited, end is empty while it runs
+const EntryForm = ({ initial, preferences, onSave, onCancel }) => {
+  const [form, setForm] = useState(initial);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onSave({
+      startTime: fromUserDateTime(form.startTime, preferences),
+      ...(form.endTime ? { endTime: fromUserDateTime(form.endTime, preferences) } : {}),
+      description: form.description,
+    });
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="p-3 border border-gray-200 rounded-lg space-y-2">
+      <div className="grid grid-cols-2 gap-2">
+        <label className="text-sm text-gray-700">
+          Start
+          <input
+            type="datetime-local"
+            value={form.startTime}
+            onChange={(e) => setForm({ ...form, startTime: e.target.value })}
+            required
+            className="mt-1 w-full p-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+        </label>
+        <label className="text-sm text-gray-700">
+          End
+          <input
+            type="datetime-local"
+            value={form.endTime}
+            onChange={(e) => setForm({ ...form, endTime: e.target.value })}
+            required={!initial.isRunning}
+            className="mt-1 w-full p-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+        </label>
+      </div>
+      <input
+        type="text"
+        value={form.description}
+        onChange={(e) => setForm({ ...form, description: e.target.value })}
+        maxLength={200}
+        placeholder="What did you work on?"
+        className="w-full p-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+      />
+      <div className="flex justify-end space-x-2">
+        <button type="button" onClick={onCancel} className="px-3 py-2 text-sm text-gray-700 hover:bg-gray-100 rounded-lg">
+          Cancel
+        </button>
+        <button type="submit" className="px-3 py-2 text-sm bg-blue-500 text-white rounded-lg hover:bg-blue-600">
+          Save
+        </button>
+      </div>
+    </form>
+  );
+};
+
+// Time logged on a task by everyone. People add, edit and delete their own entries, changes by
+// others arrive as board events and are passed on through onChange like our own.
+const TaskTimeEntries = ({ socket, taskId, timeEntries = [], preferences, onChange }) => {
+  const { user } = useSelector((state) => state.auth);
+  const [editingId, setEditingId] = useState(null);
+  const onChangeRef = useRef(onChange);
+  onChangeRef.current = onChange;
+
+  useEffect(() => {
+    if (!socket || !taskId) return undefined;
+
+    const handleBoardEvent = (event) => {
+      if (event.type === 'time.updated' && event.data.taskId === taskId) {
+        onChangeRef.current(toTimeState(event.data));
+      }
+    };
+
+    socket.on(BOARD_EVENT, handleBoardEvent);
+    return () => {
+      socket.off(BOARD_EVENT, handleBoardEvent);
+    };
+  }, [socket, taskId]);
+
+  const saveChange = async (request, action) => {
+    try {
+      onChange(toTimeState(await request()));
+      setEditingId(null);
+    } catch (error) {
+      console.error(`${action} error:`, error);
+      toast.error(error.response?.data?.message || `Failed to ${action.toLowerCase()}`);
+    }
+  };
+
+  const isOwn = (entry) => (entry.user?._id || entry.user) === user?._id;
+
+  const newEntry = () => {
+    const now = new Date();
+    return {
+      startTime: toUserDateTime(new Date(now.getTime() - 60 * 60 * 1000), preferences),
+      endTime: toUserDateTime(now, preferences),
+      description: '',
+    };
+  };
+
+  const sortedEntries = [...timeEntries].sort((a, b) => new Date(b.startTime) - new Date(a.startTime));
+
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-3">
+        <h3 className="text-lg font-medium text-gray-900">Time Entries</h3>
+        {editingId !== 'new' && (
+          <button
+            onClick={() => setEditingId('new')}
+            className="flex items-center space-x-1 text-sm text-gray-600 hover:text-gray-900"
+          >
+            <Plus size={14} />
+            <span>Log time</span>
+          </button>
+        )}
+      </div>
+
+      <div className="space-y-2">
+        {editingId === 'new' && (
+          <EntryForm
+            initial={newEntry()}
+            preferences={preferences}
+            onSave={(entry) => saveChange(() => taskService.addTimeEntry(taskId, entry), 'Add time entry')}
+            onCancel={() => setEditingId(null)}
+          />
+        )}
+
+        {sortedEntries.length === 0 && editingId !== 'new' && (
+          <p className="text-sm text-gray-500 italic">No time logged yet</p>
+        )}
+
+        {sortedEntries.map((entry) => (editingId === entry._id ? (
+          <EntryForm
+            key={entry._id}
+            initial={{
+              startTime: toUserDateTime(entry.startTime, preferences),
+              endTime: entry.endTime ? toUserDateTime(entry.endTime, preferences) : '',
+              description: entry.description || '',
+              isRunning: !entry.endTime,
+            }}
+            preferences={preferences}
+            onSave={(changes) => saveChange(() => taskService.updateTimeEntry(taskId, entry._id, changes), 'Update time entry')}
+            onCancel={() => setEditingId(null)}
+          />
+        ) : (
+          <div key={entry._id} className="flex items-center space-x-3 p-2 hover:bg-gray-50 rounded group">
+            <Avatar user={entry.user} size="xs" />
+            <div className="flex-1 min-w-0">
+              <div className="text-sm text-gray-900">
+                {getDisplayName(entry.user)}
+                <span className="text-gray-500">
+                  {' · '}
+                  {formatUserDate(entry.startTime, preferences, `${preferences.dateFormat} h:mm a`)}
+                  {entry.endTime ? ` – ${formatUserDate(entry.endTime, preferences, 'h:mm a')}` : ' – running'}
+                </span>
+              </div>
+              {entry.description && <div className="text-sm text-gray-600 truncate">{entry.description}</div>}
+            </div>
+            <span className="text-sm font-medium text-gray-900">
+              {entry.endTime ? formatDuration(entry.duration || 0) : ''}
+            </span>
+            {isOwn(entry) && (
+              <div className="flex items-center opacity-0 group-hover:opacity-100 transition-opacity duration-200">
+                <button
+                  onClick={() => setEditingId(entry._id)}
+                  className="p-1 text-gray-400 hover:text-gray-700"
+                  title="Edit entry"
+                >
+                  <Pencil size={14} />
+                </button>
+                <button
+                  onClick={() => saveChange(() => taskService.deleteTimeEntry(taskId, entry._id), 'Delete time entry')}
+                  className="p-1 text-gray-400 hover:text-red-600"
+                  title="Delete entry"
+                >
+                  <Trash2 size={14} />
+                </button>
+              </div>
+            )}
+          </div>
+        )))}
+      </div>
+    </div>
+  );
+};
+
+export default TaskTimeEntries;
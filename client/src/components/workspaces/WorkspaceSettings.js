@@ -0,0 +1,350 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { Link, useNavigate, useParams } from 'react-router-dom';
+import { useSelector } from 'react-redux';
+import { ArrowLeft, Building2, Trash2, UserPlus } from 'lucide-react';
+import toast from 'react-hot-toast';
+import organizationService from '../../services/organizationService';
+import LoadingSpinner from '../common/LoadingSpinner';
+import Avatar, { getDisplayName } from '../common/Avatar';
+
+const ROLE_DESCRIPTIONS = {
+  owner: 'Manages the workspace and every board in it',
+  admin: 'Manages members and every board in the workspace',
+  member: 'Opens workspace boards and creates new ones',
+  guest: 'Only sees boards they are added to',
+};
+
+const ROLE_BADGES = {
+  owner: 'bg-purple-100 text-purple-800',
+  admin: 'bg-red-100 text-red-800',
+  member: 'bg-green-100 text-green-800',
+  guest: 'bg-gray-100 text-gray-800',
+};
+
+const inputClass = 'w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md focus:outline-none focus:ring-blue-500 focus:border-blue-500 bg-white dark:bg-gray-700 text-gray-900 dark:text-white';
+
+const Section = ({ title, danger = false, children }) => (
+  <section className={`bg-white dark:bg-gray-800 shadow rounded-lg p-6 mb-6 ${danger ? 'border border-red-300' : ''}`}>
+    <h2 className={`text-lg font-medium mb-4 ${danger ? 'text-red-600' : 'text-gray-900 dark:text-white'}`}>{title}</h2>
+    {children}
+  </section>
+);
+
+const WorkspaceSettings = () => {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const { user } = useSelector((state) => state.auth);
+
+  const [organization, setOrganization] = useState(null);
+  const [details, setDetails] = useState({ name: '', description: '', defaultBoardVisibility: 'workspace' });
+  const [newMember, setNewMember] = useState({ email: '', role: 'member' });
+  const [isLoading, setIsLoading] = useState(true);
+  const [isSaving, setIsSaving] = useState(false);
+  const [processingMemberId, setProcessingMemberId] = useState(null);
+
+  const applyOrganization = useCallback((data) => {
+    setOrganization(data);
+    setDetails({
+      name: data.name,
+      description: data.description || '',
+      defaultBoardVisibility: data.settings.defaultBoardVisibility,
+    });
+  }, []);
+
+  useEffect(() => {
+    organizationService.getOrganization(id)
+      .then((data) => applyOrganization(data.organization))
+      .catch((error) => {
+        toast.error(error.response?.data?.message || 'Failed to load workspace');
+        navigate('/dashboard');
+      })
+      .finally(() => setIsLoading(false));
+  }, [id, navigate, applyOrganization]);
+
+  if (isLoading || !organization) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <LoadingSpinner size="large" />
+      </div>
+    );
+  }
+
+  const isOwner = organization.userRole === 'owner';
+  const isAdmin = isOwner || organization.userRole === 'admin';
+  const assignableRoles = isOwner ? ['owner', 'admin', 'member', 'guest'] : ['member', 'guest'];
+
+  // Admins manage members and guests, owners manage everyone
+  const canManageMember = (member) => isAdmin && member.user._id !== user._id &&
+    (isOwner || !['owner', 'admin'].includes(member.role));
+
+  const handleSaveDetails = async (e) => {
+    e.preventDefault();
+    try {
+      setIsSaving(true);
+      const data = await organizationService.updateOrganization(organization._id, details);
+      applyOrganization({ ...organization, ...data.organization });
+      toast.success('Workspace updated');
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to update workspace');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleAddMember = async (e) => {
+    e.preventDefault();
+    if (!newMember.email.trim()) return;
+
+    try {
+      setIsSaving(true);
+      const data = await organizationService.addMember(organization._id, newMember);
+      applyOrganization({ ...organization, ...data.organization });
+      setNewMember({ email: '', role: 'member' });
+      toast.success('Member added');
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to add member');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleRoleChange = async (memberId, role) => {
+    try {
+      setProcessingMemberId(memberId);
+      const data = await organizationService.updateMemberRole(organization._id, memberId, role);
+      applyOrganization({ ...organization, ...data.organization });
+      toast.success('Member role updated');
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to update member role');
+    } finally {
+      setProcessingMemberId(null);
+    }
+  };
+
+  const handleRemoveMember = async (member) => {
+    const isSelf = member.user._id === user._id;
+    const confirmation = isSelf
+      ? `Leave ${organization.name}? You keep access to boards you were added to directly.`
+      : `Remove ${getDisplayName(member.user)} from ${organization.name}?`;
+    if (!window.confirm(confirmation)) return;
+
+    try {
+      setProcessingMemberId(member.user._id);
+      await organizationService.removeMember(organization._id, member.user._id);
+
+      if (isSelf) {
+        toast.success('You left the workspace');
+        navigate('/dashboard');
+        return;
+      }
+
+      setOrganization({
+        ...organization,
+        members: organization.members.filter((m) => m.user._id !== member.user._id),
+      });
+      toast.success('Member removed');
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to remove member');
+    } finally {
+      setProcessingMemberId(null);
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!window.confirm(`Delete ${organization.name}? Its boards stay with their owners as personal boards.`)) return;
+
+    try {
+      await organizationService.deleteOrganization(organization._id);
+      toast.success('Workspace deleted');
+      navigate('/dashboard');
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to delete workspace');
+    }
+  };
+
+  const currentMember = organization.members.find((member) => member.user._id === user._id);
+
+  return (
+    <div className="min-h-screen bg-gray-50 dark:bg-gray-900">
+      <div className="max-w-3xl mx-auto py-6 px-4 sm:px-6 lg:px-8">
+        <Link to="/dashboard" className="inline-flex items-center text-sm text-gray-500 hover:text-gray-700 dark:text-gray-400 mb-4">
+          <ArrowLeft className="w-4 h-4 mr-1" />
+          Back to dashboard
+        </Link>
+
+        <div className="flex items-center mb-8">
+          <Building2 className="w-8 h-8 mr-3 text-gray-500" />
+          <div>
+            <h1 className="text-3xl font-bold text-gray-900 dark:text-white">{organization.name}</h1>
+            <p className="text-sm text-gray-500 dark:text-gray-400">
+              {organization.members.length} members · {organization.boardCount} boards · You are {organization.userRole === 'admin' ? 'an' : 'a'} {organization.userRole}
+            </p>
+          </div>
+        </div>
+
+        {isAdmin && (
+          <Section title="Workspace Details">
+            <form onSubmit={handleSaveDetails} className="space-y-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">Name</label>
+                <input
+                  type="text"
+                  required
+                  maxLength={100}
+                  className={inputClass}
+                  value={details.name}
+                  onChange={(e) => setDetails({ ...details, name: e.target.value })}
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">Description</label>
+                <textarea
+                  rows="2"
+                  maxLength={500}
+                  className={inputClass}
+                  value={details.description}
+                  onChange={(e) => setDetails({ ...details, description: e.target.value })}
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">Default board visibility</label>
+                <select
+                  className={inputClass}
+                  value={details.defaultBoardVisibility}
+                  onChange={(e) => setDetails({ ...details, defaultBoardVisibility: e.target.value })}
+                >
+                  <option value="workspace">Workspace - every member can open new boards</option>
+                  <option value="private">Private - only people added to each board</option>
+                </select>
+                <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">
+                  Applies to boards created from now on. Existing boards keep their visibility.
+                </p>
+              </div>
+              <div className="flex justify-end">
+                <button
+                  type="submit"
+                  disabled={isSaving}
+                  className="px-4 py-2 text-sm font-medium text-white bg-blue-500 hover:bg-blue-600 rounded-md disabled:opacity-50"
+                >
+                  Save Changes
+                </button>
+              </div>
+            </form>
+          </Section>
+        )}
+
+        <Section title="Members">
+          {isAdmin && (
+            <form onSubmit={handleAddMember} className="flex flex-col sm:flex-row gap-3 mb-6">
+              <input
+                type="email"
+                required
+                placeholder="Email address"
+                className={inputClass}
+                value={newMember.email}
+                onChange={(e) => setNewMember({ ...newMember, email: e.target.value })}
+              />
+              <select
+                className={`${inputClass} sm:w-40`}
+                value={newMember.role}
+                onChange={(e) => setNewMember({ ...newMember, role: e.target.value })}
+              >
+                {assignableRoles.map((role) => (
+                  <option key={role} value={role}>{role.charAt(0).toUpperCase() + role.slice(1)}</option>
+                ))}
+              </select>
+              <button
+                type="submit"
+                disabled={isSaving}
+                className="inline-flex items-center justify-center px-4 py-2 text-sm font-medium text-white bg-blue-500 hover:bg-blue-600 rounded-md disabled:opacity-50"
+              >
+                <UserPlus className="w-4 h-4 mr-1" />
+                Add
+              </button>
+            </form>
+          )}
+
+          <ul className="divide-y divide-gray-200 dark:divide-gray-700">
+            {organization.members.map((member) => (
+              <li key={member.user._id} className="flex items-center justify-between py-3">
+                <div className="flex items-center space-x-3">
+                  <Avatar user={member.user} size="md" />
+                  <div>
+                    <div className="font-medium text-gray-900 dark:text-white">
+                      {getDisplayName(member.user)}
+                      {member.user._id === user._id && <span className="ml-1 text-sm text-gray-500">(you)</span>}
+                    </div>
+                    <div className="text-xs text-gray-500 dark:text-gray-400">{ROLE_DESCRIPTIONS[member.role]}</div>
+                  </div>
+                </div>
+
+                <div className="flex items-center space-x-3">
+                  {canManageMember(member) ? (
+                    <select
+                      value={member.role}
+                      onChange={(e) => handleRoleChange(member.user._id, e.target.value)}
+                      disabled={processingMemberId === member.user._id}
+                      className="text-sm border border-gray-300 rounded-md px-2 py-1 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent disabled:opacity-50"
+                    >
+                      {assignableRoles.map((role) => (
+                        <option key={role} value={role}>{role.charAt(0).toUpperCase() + role.slice(1)}</option>
+                      ))}
+                    </select>
+                  ) : (
+                    <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${ROLE_BADGES[member.role]}`}>
+                      {member.role.charAt(0).toUpperCase() + member.role.slice(1)}
+                    </span>
+                  )}
+
+                  {canManageMember(member) && (
+                    <button
+                      onClick={() => handleRemoveMember(member)}
+                      disabled={processingMemberId === member.user._id}
+                      className="text-red-600 hover:text-red-800 disabled:opacity-50"
+                      title="Remove member"
+                    >
+                      <Trash2 className="w-4 h-4" />
+                    </button>
+                  )}
+                </div>
+              </li>
+            ))}
+          </ul>
+        </Section>
+
+        <Section title="Danger Zone" danger>
+          <div className="space-y-4">
+            {currentMember && (
+              <div className="flex items-center justify-between">
+                <p className="text-sm text-gray-600 dark:text-gray-300">
+                  Leave this workspace. Boards you were added to directly stay on your dashboard.
+                </p>
+                <button
+                  onClick={() => handleRemoveMember(currentMember)}
+                  className="ml-4 px-4 py-2 text-sm font-medium text-red-600 border border-red-300 hover:bg-red-50 rounded-md"
+                >
+                  Leave
+                </button>
+              </div>
+            )}
+            {isOwner && (
+              <div className="flex items-center justify-between">
+                <p className="text-sm text-gray-600 dark:text-gray-300">
+                  Delete this workspace. Its boards are not deleted, they become personal boards of their owners.
+                </p>
+                <button
+                  onClick={handleDelete}
+                  className="ml-4 px-4 py-2 text-sm font-medium text-white bg-red-500 hover:bg-red-600 rounded-md"
+                >
+                  Delete
+                </button>
+              </div>
+            )}
+          </div>
+        </Section>
+      </div>
+    </div>
+  );
+};
+
+export default WorkspaceSettings;
@@ -0,0 +1,27 @@
+import { createApiClient } from './apiClient';
+
+// Create axios instance
+const api = createApiClient();
+
+const accountService = {
+  // Download a ZIP of everything stored about the current user
+  exportData: async () => {
+    const response = await api.get('/account/export', { responseType: 'blob' });
+    return response.data;
+  },
+
+  // Get owned boards and the members they can be transferred to
+  getOwnedBoards: async () => {
+    const response = await api.get('/account/owned-boards');
+    return response.data;
+  },
+
+  // Delete the account; boardTransfers maps board IDs to their new owner. Confirmed with the
+  // password, or for single sign-on accounts with a two-factor code or a single sign-on code.
+  deleteAccount: async ({ password, code, ssoCode, boardTransfers }) => {
+    const response = await api.delete('/account', { data: { password, code, ssoCode, boardTransfers } });
+    return response.data;
+  },
+};
+
+export default accountService;
@@ -0,0 +1,90 @@
+import axios from 'axios';
+
+export const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000/api';
+
+// Shared refresh request so parallel 401s only trigger one token rotation
+let refreshPromise = null;
+
+export const getAccessToken = () => localStorage.getItem('token');
+
+export const storeTokens = ({ token, refreshToken }) => {
+  if (token) localStorage.setItem('token', token);
+  if (refreshToken) localStorage.setItem('refreshToken', refreshToken);
+};
+
+export const clearTokens = () => {
+  localStorage.removeItem('token');
+  localStorage.removeItem('refreshToken');
+};
+
+// Exchange the stored refresh token for a new token pair
+export const refreshAccessToken = () => {
+  if (!refreshPromise) {
+    const refreshToken = localStorage.getItem('refreshToken');
+
+    refreshPromise = (refreshToken
+      ? axios.post(`${API_URL}/auth/refresh`, { refreshToken })
+      : Promise.reject(new Error('No refresh token found'))
+    )
+      .then((response) => {
+        storeTokens(response.data);
+        return response.data.token;
+      })
+      .catch((error) => {
+        clearTokens();
+        throw error;
+      })
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+
+  return refreshPromise;
+};
+
+const isExpiredTokenResponse = (error) =>
+  error.response?.status === 401 && error.response?.data?.message === 'Token has expired';
+
+// Create an axios instance that sends the access token and refreshes it silently
+export const createApiClient = () => {
+  const api = axios.create({
+    baseURL: API_URL,
+  });
+
+  // Add token to requests
+  api.interceptors.request.use((config) => {
+    const token = getAccessToken();
+    if (token) {
+      config.headers.Authorization = `Bearer ${token}`;
+    }
+    return config;
+  });
+
+  // Retry once with a fresh token when the access token has expired
+  api.interceptors.response.use(
+    (response) => response,
+    async (error) => {
+      const originalRequest = error.config;
+
+      if (!isExpiredTokenResponse(error) || !originalRequest || originalRequest._retry) {
+        return Promise.reject(error);
+      }
+
+      originalRequest._retry = true;
+
+      try {
+        const token = await refreshAccessToken();
+        originalRequest.headers.Authorization = `Bearer ${token}`;
+        return api(originalRequest);
+      } catch (refreshError) {
+        // Session is gone for good, send the user back to the login page
+        if (window.location.pathname !== '/login') {
+          window.location.assign('/login');
+        }
+        return Promise.reject(error);
+      }
+    }
+  );
+
+  return api;
+};
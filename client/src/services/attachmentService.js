@@ -0,0 +1,38 @@
+import { createApiClient } from './apiClient';
+
+// Create axios instance
+const api = createApiClient();
+
+const attachmentsUrl = (boardId, taskId) => `/boards/${boardId}/tasks/${taskId}/attachments`;
+
+const attachmentService = {
+  // Get the files attached to a task and the board's storage usage
+  getAttachments: async (boardId, taskId) => {
+    const response = await api.get(attachmentsUrl(boardId, taskId));
+    return response.data;
+  },
+
+  // Upload files and attach them to a task
+  uploadAttachments: async (boardId, taskId, files, onProgress) => {
+    const formData = new FormData();
+    files.forEach((file) => formData.append('files', file));
+    const response = await api.post(attachmentsUrl(boardId, taskId), formData, {
+      onUploadProgress: (event) => onProgress?.(event.total ? event.loaded / event.total : 0),
+    });
+    return response.data;
+  },
+
+  // Download an attached file
+  downloadAttachment: async (boardId, taskId, attachmentId) => {
+    const response = await api.get(`${attachmentsUrl(boardId, taskId)}/${attachmentId}/download`, { responseType: 'blob' });
+    return response.data;
+  },
+
+  // Delete an attachment
+  deleteAttachment: async (boardId, taskId, attachmentId) => {
+    const response = await api.delete(`${attachmentsUrl(boardId, taskId)}/${attachmentId}`);
+    return response.data;
+  },
+};
+
+export default attachmentService;
@@ -1,20 +1,7 @@
-import axios from 'axios';
-
-const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000/api';
+import { createApiClient } from './apiClient';
 
 // Create axios instance
-const api = axios.create({
-  baseURL: API_URL,
-});
-
-// Add token to requests
-api.interceptors.request.use((config) => {
-  const token = localStorage.getItem('token');
-  if (token) {
-    config.headers.Authorization = `Bearer ${token}`;
-  }
-  return config;
-});
+const api = createApiClient();
 
 const authService = {
   // Register user
@@ -29,6 +16,54 @@ const authService = {
     return response.data;
   },
 
+  // Get single sign-on availability
+  getSsoConfig: async () => {
+    const response = await api.get('/auth/sso/config');
+    return response.data;
+  },
+
+  // Exchange the one-time code from a single sign-on redirect for tokens
+  exchangeSsoCode: async (code) => {
+    const response = await api.post('/auth/sso/exchange', { code });
+    return response.data;
+  },
+
+  // Complete a two-factor login
+  verifyTwoFactor: async ({ challengeToken, code }) => {
+    const response = await api.post('/auth/2fa/verify', { challengeToken, code });
+    return response.data;
+  },
+
+  // Get two-factor authentication status
+  getTwoFactorStatus: async () => {
+    const response = await api.get('/auth/2fa');
+    return response.data;
+  },
+
+  // Start two-factor enrollment
+  setupTwoFactor: async () => {
+    const response = await api.post('/auth/2fa/setup');
+    return response.data;
+  },
+
+  // Confirm two-factor enrollment with a first code
+  enableTwoFactor: async (code) => {
+    const response = await api.post('/auth/2fa/enable', { code });
+    return response.data;
+  },
+
+  // Turn off two-factor authentication
+  disableTwoFactor: async (password, code) => {
+    const response = await api.post('/auth/2fa/disable', { password, code });
+    return response.data;
+  },
+
+  // Replace recovery codes
+  regenerateRecoveryCodes: async (code) => {
+    const response = await api.post('/auth/2fa/recovery-codes', { code });
+    return response.data;
+  },
+
   // Get current user
   getCurrentUser: async () => {
     const response = await api.get('/auth/me');
@@ -41,6 +76,74 @@ const authService = {
     return response.data;
   },
 
+  // Upload an avatar image
+  uploadAvatar: async (file) => {
+    const formData = new FormData();
+    formData.append('avatar', file);
+    const response = await api.post('/auth/avatar', formData);
+    return response.data;
+  },
+
+  // Remove the avatar
+  removeAvatar: async () => {
+    const response = await api.delete('/auth/avatar');
+    return response.data;
+  },
+
+  // Verify email address with the token from the verification link
+  verifyEmail: async (token) => {
+    const response = await api.post('/auth/verify-email', { token });
+    return response.data;
+  },
+
+  // Send a new verification email
+  resendVerification: async () => {
+    const response = await api.post('/auth/resend-verification');
+    return response.data;
+  },
+
+  // Revoke the current session
+  logout: async () => {
+    const response = await api.post('/auth/logout');
+    return response.data;
+  },
+
+  // Get active sessions
+  getSessions: async () => {
+    const response = await api.get('/auth/sessions');
+    return response.data;
+  },
+
+  // Revoke a single session
+  revokeSession: async (sessionId) => {
+    const response = await api.delete(`/auth/sessions/${sessionId}`);
+    return response.data;
+  },
+
+  // Revoke all sessions, optionally keeping the current one
+  revokeAllSessions: async (keepCurrent = false) => {
+    const response = await api.delete('/auth/sessions', { params: { keepCurrent } });
+    return response.data;
+  },
+
+  // Request a password reset email
+  forgotPassword: async (email) => {
+    const response = await api.post('/auth/forgot-password', { email });
+    return response.data;
+  },
+
+  // Set a new password with a reset token
+  resetPassword: async (token, password) => {
+    const response = await api.post('/auth/reset-password', { token, password });
+    return response.data;
+  },
+
+  // Lift a login lockout with the token from the "account locked" email
+  unlockAccount: async (token) => {
+    const response = await api.post('/auth/unlock-account', { token });
+    return response.data;
+  },
+
   // Change password
   changePassword: async (passwordData) => {
     const response = await api.post('/auth/change-password', passwordData);
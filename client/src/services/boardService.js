@@ -1,20 +1,7 @@
-import axios from 'axios';
-
-const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000/api';
+import { createApiClient } from './apiClient';
 
 // Create axios instance
-const api = axios.create({
-  baseURL: API_URL,
-});
-
-// Add token to requests
-api.interceptors.request.use((config) => {
-  const token = localStorage.getItem('token');
-  if (token) {
-    config.headers.Authorization = `Bearer ${token}`;
-  }
-  return config;
-});
+const api = createApiClient();
 
 const boardService = {
   // Get all boards
@@ -64,6 +51,24 @@ const boardService = {
     const response = await api.put(`/boards/${boardId}/members/${userId}`, { role });
     return response.data;
   },
+
+  // Add group to board
+  addGroup: async (boardId, groupId, role) => {
+    const response = await api.post(`/boards/${boardId}/groups`, { groupId, role });
+    return response.data;
+  },
+
+  // Update group role
+  updateGroupRole: async (boardId, groupId, role) => {
+    const response = await api.put(`/boards/${boardId}/groups/${groupId}`, { role });
+    return response.data;
+  },
+
+  // Remove group from board
+  removeGroup: async (boardId, groupId) => {
+    const response = await api.delete(`/boards/${boardId}/groups/${groupId}`);
+    return response.data;
+  },
 };
 
 export default boardService;
\ No newline at end of file
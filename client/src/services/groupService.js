@@ -0,0 +1,44 @@
+import { createApiClient } from './apiClient';
+
+// Create axios instance
+const api = createApiClient();
+
+const groupService = {
+  // Get the groups the user owns, belongs to or sees through a workspace
+  getGroups: async () => {
+    const response = await api.get('/groups');
+    return response.data;
+  },
+
+  // Create group
+  createGroup: async (groupData) => {
+    const response = await api.post('/groups', groupData);
+    return response.data;
+  },
+
+  // Update group
+  updateGroup: async (groupId, groupData) => {
+    const response = await api.put(`/groups/${groupId}`, groupData);
+    return response.data;
+  },
+
+  // Delete group
+  deleteGroup: async (groupId) => {
+    const response = await api.delete(`/groups/${groupId}`);
+    return response.data;
+  },
+
+  // Add member to group
+  addMember: async (groupId, email) => {
+    const response = await api.post(`/groups/${groupId}/members`, { email });
+    return response.data;
+  },
+
+  // Remove member from group, or leave it
+  removeMember: async (groupId, userId) => {
+    const response = await api.delete(`/groups/${groupId}/members/${userId}`);
+    return response.data;
+  },
+};
+
+export default groupService;
@@ -1,27 +1,13 @@
-import axios from 'axios';
+import { createApiClient } from './apiClient';
 
-const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000/api';
-
-// Get auth token from localStorage
-const getAuthToken = () => {
-  return localStorage.getItem('token');
-};
-
-// Create axios instance with auth header
-const createAuthRequest = () => {
-  const token = getAuthToken();
-  return {
-    headers: {
-      Authorization: `Bearer ${token}`
-    }
-  };
-};
+// Create axios instance
+const api = createApiClient();
 
 const invitationService = {
   // Get all invitations for the current user
   getInvitations: async () => {
     try {
-      const response = await axios.get(`${API_URL}/invitations/received`, createAuthRequest());
+      const response = await api.get('/invitations/received');
       return response.data;
     } catch (error) {
       throw error.response?.data || error;
@@ -31,11 +17,7 @@ const invitationService = {
   // Accept an invitation
   acceptInvitation: async (invitationId) => {
     try {
-      const response = await axios.put(
-        `${API_URL}/invitations/${invitationId}/accept`,
-        {},
-        createAuthRequest()
-      );
+      const response = await api.put(`/invitations/${invitationId}/accept`);
       return response.data;
     } catch (error) {
       throw error.response?.data || error;
@@ -45,11 +27,7 @@ const invitationService = {
   // Decline an invitation
   declineInvitation: async (invitationId) => {
     try {
-      const response = await axios.put(
-        `${API_URL}/invitations/${invitationId}/decline`,
-        {},
-        createAuthRequest()
-      );
+      const response = await api.put(`/invitations/${invitationId}/decline`);
       return response.data;
     } catch (error) {
       throw error.response?.data || error;
@@ -59,11 +37,7 @@ const invitationService = {
   // Send an invitation (already implemented in Board.js, but adding here for completeness)
   sendInvitation: async (boardId, username, role = 'member') => {
     try {
-      const response = await axios.post(
-        `${API_URL}/invitations`,
-        { boardId, username, role },
-        createAuthRequest()
-      );
+      const response = await api.post('/invitations', { boardId, username, role });
       return response.data;
     } catch (error) {
       throw error.response?.data || error;
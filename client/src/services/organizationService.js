@@ -0,0 +1,56 @@
+import { createApiClient } from './apiClient';
+
+// Create axios instance
+const api = createApiClient();
+
+const organizationService = {
+  // Get the workspaces the user belongs to
+  getOrganizations: async () => {
+    const response = await api.get('/organizations');
+    return response.data;
+  },
+
+  // Get a workspace with its members
+  getOrganization: async (organizationId) => {
+    const response = await api.get(`/organizations/${organizationId}`);
+    return response.data;
+  },
+
+  // Create workspace
+  createOrganization: async (organizationData) => {
+    const response = await api.post('/organizations', organizationData);
+    return response.data;
+  },
+
+  // Update workspace details and settings
+  updateOrganization: async (organizationId, organizationData) => {
+    const response = await api.put(`/organizations/${organizationId}`, organizationData);
+    return response.data;
+  },
+
+  // Delete workspace
+  deleteOrganization: async (organizationId) => {
+    const response = await api.delete(`/organizations/${organizationId}`);
+    return response.data;
+  },
+
+  // Add member to workspace
+  addMember: async (organizationId, memberData) => {
+    const response = await api.post(`/organizations/${organizationId}/members`, memberData);
+    return response.data;
+  },
+
+  // Update workspace member role
+  updateMemberRole: async (organizationId, userId, role) => {
+    const response = await api.put(`/organizations/${organizationId}/members/${userId}`, { role });
+    return response.data;
+  },
+
+  // Remove member from workspace, or leave it
+  removeMember: async (organizationId, userId) => {
+    const response = await api.delete(`/organizations/${organizationId}/members/${userId}`);
+    return response.data;
+  },
+};
+
+export default organizationService;
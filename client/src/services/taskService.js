@@ -1,20 +1,7 @@
-import axios from 'axios';
-
-const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000/api';
+import { createApiClient } from './apiClient';
 
 // Create axios instance
-const api = axios.create({
-  baseURL: API_URL,
-});
-
-// Add token to requests
-api.interceptors.request.use((config) => {
-  const token = localStorage.getItem('token');
-  if (token) {
-    config.headers.Authorization = `Bearer ${token}`;
-  }
-  return config;
-});
+const api = createApiClient();
 
 const taskService = {
   // Get task by ID
@@ -52,14 +39,116 @@ const taskService = {
   },
 
   // Add comment to task
-  addComment: async (taskId, comment) => {
-    const response = await api.post(`/tasks/${taskId}/comments`, { text: comment });
+  addComment: async (taskId, comment, parentId = null) => {
+    const response = await api.post(`/tasks/${taskId}/comments`, { text: comment, parentId });
+    return response.data;
+  },
+
+  // Get a page of comment threads, the newest unless before names a comment
+  getComments: async (taskId, before) => {
+    const response = await api.get(`/tasks/${taskId}/comments`, { params: { before } });
+    return response.data;
+  },
+
+  // Edit one of your comments
+  updateComment: async (taskId, commentId, text) => {
+    const response = await api.put(`/tasks/${taskId}/comments/${commentId}`, { text });
+    return response.data;
+  },
+
+  // Delete a comment and its replies
+  deleteComment: async (taskId, commentId) => {
+    const response = await api.delete(`/tasks/${taskId}/comments/${commentId}`);
+    return response.data;
+  },
+
+  // Add your emoji reaction to a comment, or take it back
+  toggleCommentReaction: async (taskId, commentId, emoji) => {
+    const response = await api.post(`/tasks/${taskId}/comments/${commentId}/reactions`, { emoji });
+    return response.data;
+  },
+
+  // Add a named checklist to a task
+  addChecklist: async (taskId, title) => {
+    const response = await api.post(`/tasks/${taskId}/checklists`, { title });
+    return response.data;
+  },
+
+  // Rename a checklist
+  renameChecklist: async (taskId, checklistId, title) => {
+    const response = await api.put(`/tasks/${taskId}/checklists/${checklistId}`, { title });
+    return response.data;
+  },
+
+  // Delete a checklist with its items
+  deleteChecklist: async (taskId, checklistId) => {
+    const response = await api.delete(`/tasks/${taskId}/checklists/${checklistId}`);
+    return response.data;
+  },
+
+  // Reorder the checklists of a task
+  reorderChecklists: async (taskId, checklistIds) => {
+    const response = await api.put(`/tasks/${taskId}/checklists/reorder`, { checklistIds });
+    return response.data;
+  },
+
+  // Add checklist item, to the task's first checklist when no checklist is given
+  addChecklistItem: async (taskId, text, checklistId = null) => {
+    const response = await api.post(`/tasks/${taskId}/checklist`, { text, checklistId });
+    return response.data;
+  },
+
+  // Edit the text of a checklist item
+  updateChecklistItem: async (taskId, itemId, text) => {
+    const response = await api.put(`/tasks/${taskId}/checklist/${itemId}`, { text });
+    return response.data;
+  },
+
+  // Check or uncheck a checklist item
+  toggleChecklistItem: async (taskId, itemId) => {
+    const response = await api.post(`/tasks/${taskId}/checklist/${itemId}/toggle`);
+    return response.data;
+  },
+
+  // Delete checklist item
+  deleteChecklistItem: async (taskId, itemId) => {
+    const response = await api.delete(`/tasks/${taskId}/checklist/${itemId}`);
+    return response.data;
+  },
+
+  // Reorder the items of a checklist
+  reorderChecklistItems: async (taskId, checklistId, itemIds) => {
+    const response = await api.put(`/tasks/${taskId}/checklist/reorder`, { checklistId, itemIds });
+    return response.data;
+  },
+
+  // Start a timer on a task, fails with 409 while one runs on another task
+  startTimer: async (taskId, description = '') => {
+    const response = await api.post(`/tasks/${taskId}/time-entries/start`, { description });
+    return response.data;
+  },
+
+  // Stop the timer on a task
+  stopTimer: async (taskId) => {
+    const response = await api.post(`/tasks/${taskId}/time-entries/stop`);
+    return response.data;
+  },
+
+  // Log time spent without the timer
+  addTimeEntry: async (taskId, entry) => {
+    const response = await api.post(`/tasks/${taskId}/time-entries`, entry);
+    return response.data;
+  },
+
+  // Change the times or description of a time entry
+  updateTimeEntry: async (taskId, entryId, changes) => {
+    const response = await api.put(`/tasks/${taskId}/time-entries/${entryId}`, changes);
     return response.data;
   },
 
-  // Update task checklist
-  updateChecklist: async (taskId, checklistData) => {
-    const response = await api.put(`/tasks/${taskId}/checklist`, checklistData);
+  // Delete a time entry
+  deleteTimeEntry: async (taskId, entryId) => {
+    const response = await api.delete(`/tasks/${taskId}/time-entries/${entryId}`);
     return response.data;
   },
 
@@ -0,0 +1,26 @@
+import { createApiClient } from './apiClient';
+
+// Create axios instance
+const api = createApiClient();
+
+const timeEntryService = {
+  // Get the timer the current user has running, on any board
+  getRunningTimer: async () => {
+    const response = await api.get('/time-entries/running');
+    return response.data;
+  },
+
+  // Get the current user's time entries of the week that contains a day (yyyy-MM-dd)
+  getTimesheet: async (week) => {
+    const response = await api.get('/time-entries/timesheet', { params: { week } });
+    return response.data;
+  },
+
+  // Download the time entries of a week as CSV
+  exportTimesheet: async (week) => {
+    const response = await api.get('/time-entries/timesheet/export', { params: { week }, responseType: 'blob' });
+    return response.data;
+  },
+};
+
+export default timeEntryService;
@@ -0,0 +1,26 @@
+import { createApiClient } from './apiClient';
+
+// Create axios instance
+const api = createApiClient();
+
+const tokenService = {
+  // Get personal access tokens and the available scopes
+  getTokens: async () => {
+    const response = await api.get('/tokens');
+    return response.data;
+  },
+
+  // Create a personal access token
+  createToken: async (tokenData) => {
+    const response = await api.post('/tokens', tokenData);
+    return response.data;
+  },
+
+  // Revoke a personal access token
+  revokeToken: async (tokenId) => {
+    const response = await api.delete(`/tokens/${tokenId}`);
+    return response.data;
+  },
+};
+
+export default tokenService;
@@ -1,14 +1,27 @@
 import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
 import authService from '../../services/authService';
+import { clearTokens, refreshAccessToken, storeTokens } from '../../services/apiClient';
 
 // Initial state
 const initialState = {
   user: null,
   token: localStorage.getItem('token'),
+  twoFactorChallenge: null,
+  // Epoch ms until which login attempts are refused by brute-force protection
+  loginRetryAt: null,
+  isInitialized: false,
   isLoading: false,
   error: null,
 };
 
+// Reject a login step, keeping how long the server asked us to wait
+const rejectLogin = (error, fallback, rejectWithValue) => {
+  const retryAfter = error.response?.data?.retryAfter;
+  return rejectWithValue(error.response?.data?.message || fallback, {
+    retryAt: retryAfter ? Date.now() + retryAfter * 1000 : null,
+  });
+};
+
 // Async thunks
 export const register = createAsyncThunk(
   'auth/register',
@@ -29,7 +42,32 @@ export const login = createAsyncThunk(
       const response = await authService.login(credentials);
       return response;
     } catch (error) {
-      return rejectWithValue(error.response?.data?.message || 'Login failed');
+      return rejectLogin(error, 'Login failed', rejectWithValue);
+    }
+  }
+);
+
+export const verifyTwoFactor = createAsyncThunk(
+  'auth/verifyTwoFactor',
+  async (code, { getState, rejectWithValue }) => {
+    try {
+      const { twoFactorChallenge } = getState().auth;
+      const response = await authService.verifyTwoFactor({ challengeToken: twoFactorChallenge, code });
+      return response;
+    } catch (error) {
+      return rejectLogin(error, 'Verification failed', rejectWithValue);
+    }
+  }
+);
+
+export const exchangeSsoCode = createAsyncThunk(
+  'auth/exchangeSsoCode',
+  async (code, { rejectWithValue }) => {
+    try {
+      const response = await authService.exchangeSsoCode(code);
+      return response;
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Single sign-on failed');
     }
   }
 );
@@ -40,17 +78,33 @@ export const checkAuth = createAsyncThunk(
     try {
       const token = localStorage.getItem('token');
       if (!token) {
-        return rejectWithValue('No token found');
+        if (!localStorage.getItem('refreshToken')) {
+          return rejectWithValue('No token found');
+        }
+        // Access token is gone but the session may still be alive
+        await refreshAccessToken();
       }
       const response = await authService.getCurrentUser();
-      return response;
+      return { ...response, token: localStorage.getItem('token') };
     } catch (error) {
-      localStorage.removeItem('token');
+      clearTokens();
       return rejectWithValue(error.response?.data?.message || 'Authentication failed');
     }
   }
 );
 
+export const logout = createAsyncThunk(
+  'auth/logout',
+  async () => {
+    try {
+      await authService.logout();
+    } catch (error) {
+      // The session may already be revoked or expired, sign out locally anyway
+      console.error('Logout error:', error);
+    }
+  }
+);
+
 export const updateProfile = createAsyncThunk(
   'auth/updateProfile',
   async (profileData, { rejectWithValue }) => {
@@ -68,18 +122,24 @@ const authSlice = createSlice({
   name: 'auth',
   initialState,
   reducers: {
-    logout: (state) => {
-      localStorage.removeItem('token');
-      state.user = null;
-      state.token = null;
-      state.error = null;
-    },
     clearError: (state) => {
       state.error = null;
     },
     setLoading: (state, action) => {
       state.isLoading = action.payload;
     },
+    clearLoginRetry: (state) => {
+      state.loginRetryAt = null;
+    },
+    cancelTwoFactor: (state) => {
+      state.twoFactorChallenge = null;
+      state.error = null;
+    },
+    updateUser: (state, action) => {
+      if (state.user) {
+        state.user = { ...state.user, ...action.payload };
+      }
+    },
   },
   extraReducers: (builder) => {
     builder
@@ -92,7 +152,7 @@ const authSlice = createSlice({
         state.isLoading = false;
         state.user = action.payload.user;
         state.token = action.payload.token;
-        localStorage.setItem('token', action.payload.token);
+        storeTokens(action.payload);
       })
       .addCase(register.rejected, (state, action) => {
         state.isLoading = false;
@@ -105,13 +165,52 @@ const authSlice = createSlice({
       })
       .addCase(login.fulfilled, (state, action) => {
         state.isLoading = false;
+        state.loginRetryAt = null;
+        // Password was accepted but a second factor is needed before we get tokens
+        if (action.payload.twoFactorRequired) {
+          state.twoFactorChallenge = action.payload.challengeToken;
+          return;
+        }
         state.user = action.payload.user;
         state.token = action.payload.token;
-        localStorage.setItem('token', action.payload.token);
+        storeTokens(action.payload);
       })
       .addCase(login.rejected, (state, action) => {
         state.isLoading = false;
         state.error = action.payload;
+        state.loginRetryAt = action.meta.retryAt || null;
+      })
+      // Two-factor login
+      .addCase(verifyTwoFactor.pending, (state) => {
+        state.isLoading = true;
+        state.error = null;
+      })
+      .addCase(verifyTwoFactor.fulfilled, (state, action) => {
+        state.isLoading = false;
+        state.twoFactorChallenge = null;
+        state.loginRetryAt = null;
+        state.user = action.payload.user;
+        state.token = action.payload.token;
+        storeTokens(action.payload);
+      })
+      .addCase(verifyTwoFactor.rejected, (state, action) => {
+        state.isLoading = false;
+        state.error = action.payload;
+        state.loginRetryAt = action.meta.retryAt || null;
+      })
+      // Single sign-on (no pending state, the callback page shows its own progress)
+      .addCase(exchangeSsoCode.fulfilled, (state, action) => {
+        // Accounts with two-factor authentication finish signing in on the login page
+        if (action.payload.twoFactorRequired) {
+          state.twoFactorChallenge = action.payload.challengeToken;
+          return;
+        }
+        state.user = action.payload.user;
+        state.token = action.payload.token;
+        storeTokens(action.payload);
+      })
+      .addCase(exchangeSsoCode.rejected, (state, action) => {
+        state.error = action.payload;
       })
       // Check Auth
       .addCase(checkAuth.pending, (state) => {
@@ -119,10 +218,13 @@ const authSlice = createSlice({
       })
       .addCase(checkAuth.fulfilled, (state, action) => {
         state.isLoading = false;
+        state.isInitialized = true;
         state.user = action.payload.user;
+        state.token = action.payload.token;
       })
       .addCase(checkAuth.rejected, (state) => {
         state.isLoading = false;
+        state.isInitialized = true;
         state.user = null;
         state.token = null;
       })
@@ -138,9 +240,16 @@ const authSlice = createSlice({
       .addCase(updateProfile.rejected, (state, action) => {
         state.isLoading = false;
         state.error = action.payload;
+      })
+      // Logout
+      .addCase(logout.fulfilled, (state) => {
+        clearTokens();
+        state.user = null;
+        state.token = null;
+        state.error = null;
       });
   },
 });
 
-export const { logout, clearError, setLoading } = authSlice.actions;
+export const { clearError, setLoading, clearLoginRetry, cancelTwoFactor, updateUser } = authSlice.actions;
 export default authSlice.reducer;
\ No newline at end of file
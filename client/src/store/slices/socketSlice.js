@@ -1,5 +1,8 @@
 import { createSlice } from '@reduxjs/toolkit';
 import io from 'socket.io-client';
+import toast from 'react-hot-toast';
+import { refreshAccessToken } from '../../services/apiClient';
+import { fetchRunningTimer, setRunningTimer } from './timerSlice';
 
 const initialState = {
   socket: null,
@@ -32,19 +35,48 @@ export const initializeSocket = () => (dispatch, getState) => {
   
   if (auth.user && !getState().socket.socket) {
     const socket = io(process.env.REACT_APP_SERVER_URL || 'http://localhost:5000', {
-      auth: {
-        token: auth.token,
+      // Read the token on every (re)connect so refreshed tokens are picked up
+      auth: (cb) => {
+        cb({ token: localStorage.getItem('token') });
       },
+      // HTTP long-polling needs every request to reach the same server instance, a WebSocket
+      // stays on the one it connected to, so no sticky sessions are needed behind a load balancer
+      transports: ['websocket'],
     });
 
     socket.on('connect', () => {
       console.log('Connected to server');
+      // Catch up on a timer started or stopped while we were disconnected
+      dispatch(fetchRunningTimer());
     });
 
     socket.on('disconnect', () => {
       console.log('Disconnected from server');
     });
 
+    // The server refuses the handshake with the same messages as the API, an expired
+    // token is refreshed and the connection retried, anything else stays disconnected
+    socket.on('connect_error', (error) => {
+      if (error.message !== 'Token has expired') {
+        console.error('Socket connection refused:', error.message);
+        return;
+      }
+
+      refreshAccessToken()
+        .then(() => socket.connect())
+        .catch(() => console.error('Could not refresh token for socket connection'));
+    });
+
+    // In-app notifications for events the user has not turned off
+    socket.on('notification', (notification) => {
+      toast(notification.body, { icon: '🔔' });
+    });
+
+    // The running timer changed, in this tab or another
+    socket.on('timer:updated', ({ timer }) => {
+      dispatch(setRunningTimer(timer));
+    });
+
     dispatch(setSocket(socket));
   }
 };
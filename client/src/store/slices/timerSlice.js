@@ -0,0 +1,43 @@
+import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
+import timeEntryService from '../../services/timeEntryService';
+import { logout } from './authSlice';
+
+const initialState = {
+  // { entryId, taskId, taskTitle, boardId, boardTitle, startTime, description } or null
+  timer: null,
+};
+
+export const fetchRunningTimer = createAsyncThunk(
+  'timer/fetchRunningTimer',
+  async (_, { rejectWithValue }) => {
+    try {
+      const response = await timeEntryService.getRunningTimer();
+      return response.timer;
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to fetch running timer');
+    }
+  }
+);
+
+// The user's running timer, the same in every tab: the server sends changes to all of them
+const timerSlice = createSlice({
+  name: 'timer',
+  initialState,
+  reducers: {
+    setRunningTimer: (state, action) => {
+      state.timer = action.payload;
+    },
+  },
+  extraReducers: (builder) => {
+    builder
+      .addCase(fetchRunningTimer.fulfilled, (state, action) => {
+        state.timer = action.payload;
+      })
+      .addCase(logout.fulfilled, (state) => {
+        state.timer = null;
+      });
+  },
+});
+
+export const { setRunningTimer } = timerSlice.actions;
+export default timerSlice.reducer;
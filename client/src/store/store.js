@@ -2,12 +2,14 @@ import { configureStore } from '@reduxjs/toolkit';
 import authReducer from './slices/authSlice';
 import boardReducer from './slices/boardSlice';
 import socketReducer from './slices/socketSlice';
+import timerReducer from './slices/timerSlice';
 
 export const store = configureStore({
   reducer: {
     auth: authReducer,
     boards: boardReducer,
     socket: socketReducer,
+    timer: timerReducer,
   },
   middleware: (getDefaultMiddleware) =>
     getDefaultMiddleware({
@@ -0,0 +1,98 @@
+// Socket.IO event the server sends board changes on
+export const BOARD_EVENT = 'board-event';
+
+const mapLists = (board, update) => ({ ...board, lists: board.lists.map(update) });
+
+const mapTasks = (board, update) => mapLists(board, (list) => ({ ...list, tasks: list.tasks.map(update) }));
+
+const removeTask = (list, taskId) => ({ ...list, tasks: list.tasks.filter((task) => task._id !== taskId) });
+
+// Put items in the order of ids, items the order does not mention keep their place at the end
+const orderBy = (items, ids) => [
+  ...ids.map((id) => items.find((item) => item._id === id)).filter(Boolean),
+  ...items.filter((item) => !ids.includes(item._id)),
+];
+
+// How each event changes the board being shown. Member and group changes are missing on
+// purpose: they can change our own role, so the board is fetched again instead.
+const handlers = {
+  'board.updated': (board, data) => {
+    // Lists and groups arrive as bare IDs, keep the populated ones we have
+    const { lists, groups, ...fields } = data.board;
+    return { ...board, ...fields };
+  },
+  'list.created': (board, data) => {
+    if (board.lists.some((list) => list._id === data.list._id)) return board;
+    return { ...board, lists: [...board.lists, { ...data.list, tasks: [] }] };
+  },
+  'list.updated': (board, data) => mapLists(board, (list) => (list._id === data.list._id
+    ? { ...list, title: data.list.title, color: data.list.color, isArchived: data.list.isArchived, version: data.list.version }
+    : list)),
+  'list.deleted': (board, data) => ({ ...board, lists: board.lists.filter((list) => list._id !== data.listId) }),
+  'list.reordered': (board, data) => ({ ...board, lists: orderBy(board.lists, data.listIds) }),
+  'task.created': (board, data) => mapLists(board, (list) => (
+    list._id === data.listId && !list.tasks.some((task) => task._id === data.task._id)
+      ? { ...list, tasks: [...list.tasks, data.task] }
+      : list
+  )),
+  'task.updated': (board, data) => mapTasks(board, (task) => (task._id === data.task._id ? { ...task, ...data.task } : task)),
+  'task.assigned': (board, data) => mapTasks(board, (task) => (task._id === data.task._id
+    ? { ...task, assignedTo: data.task.assignedTo }
+    : task)),
+  'task.unassigned': (board, data) => mapTasks(board, (task) => (task._id === data.taskId
+    ? { ...task, assignedTo: (task.assignedTo || []).filter((user) => (user._id || user) !== data.userId) }
+    : task)),
+  'task.deleted': (board, data) => mapLists(board, (list) => removeTask(list, data.taskId)),
+  'task.moved': (board, data) => {
+    // The moved task is sent unpopulated, keep the copy we have when there is one
+    const existing = board.lists.flatMap((list) => list.tasks).find((task) => task._id === data.task._id);
+    const moved = existing
+      ? { ...existing, list: data.destinationListId, position: data.position }
+      : data.task;
+
+    return mapLists(board, (list) => {
+      const tasks = removeTask(list, moved._id).tasks;
+      if (list._id === data.destinationListId) {
+        tasks.splice(data.position, 0, moved);
+      }
+      return { ...list, tasks };
+    });
+  },
+  'task.reordered': (board, data) => mapLists(board, (list) => (list._id === data.listId
+    ? { ...list, tasks: orderBy(list.tasks, data.taskIds) }
+    : list)),
+  'checklist.updated': (board, data) => mapTasks(board, (task) => (task._id === data.taskId
+    ? { ...task, checklists: data.checklists, checklist: data.checklist, checklistProgress: data.checklistProgress }
+    : task)),
+  'time.updated': (board, data) => mapTasks(board, (task) => (task._id === data.taskId
+    ? { ...task, timeEntries: data.timeEntries, actualHours: data.actualHours }
+    : task)),
+  'attachment.added': (board, data) => mapTasks(board, (task) => (task._id === data.taskId
+    ? {
+      ...task,
+      attachments: [
+        ...(task.attachments || []).filter((file) => !data.attachments.some((added) => added._id === file._id)),
+        ...data.attachments,
+      ],
+    }
+    : task)),
+  'attachment.deleted': (board, data) => mapTasks(board, (task) => (task._id === data.taskId
+    ? { ...task, attachments: (task.attachments || []).filter((file) => file._id !== data.attachmentId) }
+    : task)),
+  // Tasks come without their comments, the board only shows how many there are
+  'comment.added': (board, data) => mapTasks(board, (task) => (task._id === data.taskId
+    ? { ...task, commentCount: data.commentCount }
+    : task)),
+  'comment.updated': (board) => board,
+  'comment.deleted': (board, data) => mapTasks(board, (task) => (task._id === data.taskId
+    ? { ...task, commentCount: data.commentCount }
+    : task)),
+  'comment.reacted': (board) => board,
+};
+handlers['list.archived'] = handlers['list.updated'];
+
+// Whether an event can be applied to the board we have, otherwise fetch the board again
+export const canApplyBoardEvent = (type) => Boolean(handlers[type]);
+
+// Apply a board event from the server to the board being shown
+export const applyBoardEvent = (board, { type, data }) => handlers[type](board, data);
@@ -0,0 +1,66 @@
+import { formatInTimeZone, fromZonedTime } from 'date-fns-tz';
+import { enUS, enGB, de, fr, es } from 'date-fns/locale';
+
+export const DEFAULT_PREFERENCES = {
+  timezone: 'UTC',
+  dateFormat: 'MMM d, yyyy',
+  weekStartsOn: 1,
+  locale: 'en-US',
+  defaultBoard: null,
+};
+
+export const LOCALES = {
+  'en-US': { label: 'English (US)', locale: enUS },
+  'en-GB': { label: 'English (UK)', locale: enGB },
+  de: { label: 'Deutsch', locale: de },
+  fr: { label: 'Français', locale: fr },
+  es: { label: 'Español', locale: es },
+};
+
+export const getPreferences = (user) => ({
+  ...DEFAULT_PREFERENCES,
+  ...(user?.preferences || {}),
+});
+
+// Format a date in the user's time zone and locale (defaults to their preferred date format)
+export const formatUserDate = (date, preferences, pattern = preferences.dateFormat) =>
+  formatInTimeZone(new Date(date), preferences.timezone, pattern, {
+    locale: (LOCALES[preferences.locale] || LOCALES['en-US']).locale,
+  });
+
+// Calendar day (yyyy-MM-dd) of a date in the user's time zone
+export const toUserDay = (date, preferences) =>
+  formatInTimeZone(new Date(date), preferences.timezone, 'yyyy-MM-dd');
+
+// Turn a yyyy-MM-dd date input into the start of that day in the user's time zone
+export const fromUserDay = (day, preferences) =>
+  fromZonedTime(`${day}T00:00:00`, preferences.timezone).toISOString();
+
+// Date and time (yyyy-MM-ddTHH:mm) of a date in the user's time zone, for datetime-local inputs
+export const toUserDateTime = (date, preferences) =>
+  formatInTimeZone(new Date(date), preferences.timezone, "yyyy-MM-dd'T'HH:mm");
+
+// Turn a datetime-local input into that moment in the user's time zone
+export const fromUserDateTime = (value, preferences) =>
+  fromZonedTime(value, preferences.timezone).toISOString();
+
+// Minutes as "1h 5m" or "5m"
+export const formatDuration = (minutes) => {
+  const hours = Math.floor(minutes / 60);
+  const mins = minutes % 60;
+  return hours > 0 ? `${hours}h ${mins}m` : `${mins}m`;
+};
+
+// 'past', 'today' or 'future' for a due date, judged by the user's calendar
+export const getDueState = (date, preferences) => {
+  const day = toUserDay(date, preferences);
+  const today = toUserDay(new Date(), preferences);
+  if (day < today) return 'past';
+  return day === today ? 'today' : 'future';
+};
+
+// Where signed in users land: their default board or the dashboard
+export const getHomePath = (user) => {
+  const { defaultBoard } = getPreferences(user);
+  return defaultBoard ? `/board/${defaultBoard}` : '/dashboard';
+};
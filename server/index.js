@@ -3,6 +3,7 @@ const mongoose = require('mongoose');
 const cors = require('cors');
 const http = require('http');
 const socketIo = require('socket.io');
+const cron = require('node-cron');
 require('dotenv').config();
 
 // Import routes
@@ -11,18 +12,36 @@ const boardRoutes = require('./routes/boards');
 const listRoutes = require('./routes/lists');
 const taskRoutes = require('./routes/tasks');
 const invitationRoutes = require('./routes/invitations');
+const analyticsRoutes = require('./routes/analytics');
+const tokenRoutes = require('./routes/tokens');
+const accountRoutes = require('./routes/account');
+const organizationRoutes = require('./routes/organizations');
+const groupRoutes = require('./routes/groups');
+const timeEntryRoutes = require('./routes/timeEntries');
+const attachmentRoutes = require('./routes/attachments');
+const Task = require('./models/Task');
+const notificationService = require('./services/notificationService');
+const fileUploadService = require('./services/fileUploadService');
+const { sessionOnly } = require('./middleware/auth');
+const { registerSocketHandlers } = require('./sockets');
+const { createSocketAdapter } = require('./sockets/adapter');
 
 const app = express();
 const server = http.createServer(app);
 
-// Socket.IO setup
+// Socket.IO setup, SOCKET_ADAPTER=mongo when several instances run behind a load balancer
+const socketAdapter = createSocketAdapter(process.env.SOCKET_ADAPTER);
 const io = socketIo(server, {
   cors: {
     origin: process.env.CORS_ORIGIN || "http://localhost:3000",
     methods: ["GET", "POST", "PUT", "DELETE"]
-  }
+  },
+  ...(socketAdapter && { adapter: socketAdapter })
 });
 
+// In-app notifications are delivered over Socket.IO
+notificationService.setSocketServer(io);
+
 // Middleware
 app.use(cors({
   origin: process.env.CORS_ORIGIN || "http://localhost:3000",
@@ -30,72 +49,49 @@ app.use(cors({
 }));
 app.use(express.json());
 
+// Public files stored on local disk. Private ones, like task attachments, are kept in a dot
+// folder and only sent through their API routes.
+app.use('/uploads', express.static(fileUploadService.uploadDir, { maxAge: '30d', dotfiles: 'ignore' }));
+
 // Make io accessible to routes
 app.use((req, res, next) => {
   req.io = io;
   next();
 });
 
-// Routes
-app.use('/api/auth', authRoutes);
+// Routes (personal API tokens are only accepted by the board, list, task and analytics APIs)
+app.use('/api/auth', sessionOnly, authRoutes);
+app.use('/api/boards/:boardId/tasks/:taskId/attachments', attachmentRoutes);
 app.use('/api/boards', boardRoutes);
 app.use('/api/lists', listRoutes);
 app.use('/api/tasks', taskRoutes);
-app.use('/api/invitations', invitationRoutes);
+app.use('/api/invitations', sessionOnly, invitationRoutes);
+app.use('/api/analytics', analyticsRoutes);
+app.use('/api/tokens', sessionOnly, tokenRoutes);
+app.use('/api/account', sessionOnly, accountRoutes);
+app.use('/api/organizations', sessionOnly, organizationRoutes);
+app.use('/api/groups', sessionOnly, groupRoutes);
+app.use('/api/time-entries', sessionOnly, timeEntryRoutes);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
   res.json({ message: 'Server is running!', timestamp: new Date().toISOString() });
 });
 
-// Socket.IO connection handling
-io.on('connection', (socket) => {
-  console.log('User connected:', socket.id);
-
-  // Join board room
-  socket.on('join-board', (boardId) => {
-    socket.join(boardId);
-    console.log(`User ${socket.id} joined board ${boardId}`);
-  });
-
-  // Leave board room
-  socket.on('leave-board', (boardId) => {
-    socket.leave(boardId);
-    console.log(`User ${socket.id} left board ${boardId}`);
-  });
-
-  // Handle task updates
-  socket.on('task-updated', (data) => {
-    socket.to(data.boardId).emit('task-updated', data);
-  });
-
-  // Handle list updates
-  socket.on('list-updated', (data) => {
-    socket.to(data.boardId).emit('list-updated', data);
-  });
-
-  // Handle board updates
-  socket.on('board-updated', (data) => {
-    socket.to(data.boardId).emit('board-updated', data);
-  });
-  
-
-
-  // Handle user presence
-  socket.on('user-active', (data) => {
-    socket.to(data.boardId).emit('user-active', data);
-  });
-
-  // Handle disconnection
-  socket.on('disconnect', () => {
-    console.log('User disconnected:', socket.id);
-  });
-});
+// Socket.IO authentication, rooms and event handlers
+registerSocketHandlers(io);
 
 // MongoDB connection
 mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/collab-app')
   .then(() => {
     console.log('Connected to MongoDB');
+
+    Task.backfillCommentCounts().catch((error) => {
+      console.error('Comment count backfill error:', error);
+    });
+
+    // Hourly, so every time zone gets its reminders at the same local time
+    cron.schedule('0 * * * *', () => notificationService.scheduleTaskDueReminders());
   })
   .catch((error) => {
     console.error('MongoDB connection error:', error);
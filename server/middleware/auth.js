@@ -1,5 +1,10 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const ApiToken = require('../models/ApiToken');
+
+// How often the lastUsedAt of a session or API token is refreshed by regular API calls
+const SESSION_TOUCH_INTERVAL = 5 * 60 * 1000;
 
 // Middleware to verify JWT token
 const auth = async (req, res, next) => {
@@ -13,8 +18,21 @@ const auth = async (req, res, next) => {
       });
     }
 
+    // Personal access tokens are looked up instead of verified as JWTs
+    if (ApiToken.isApiToken(token)) {
+      return await authenticateApiToken(token, req, res, next);
+    }
+
     // Verify token
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    // Make sure the session behind the token has not been revoked
+    const session = await findActiveSession(decoded);
+    if (!session) {
+      return res.status(401).json({ 
+        message: 'Session has been revoked' 
+      });
+    }
     
     // Get user from database
     const user = await User.findById(decoded.userId).select('-password');
@@ -31,8 +49,11 @@ const auth = async (req, res, next) => {
       });
     }
 
-    // Add user to request object
+    touchSession(session);
+
+    // Add user and session to request object
     req.user = user;
+    req.authSession = session;
     next();
   } catch (error) {
     console.error('Auth middleware error:', error);
@@ -65,11 +86,22 @@ const optionalAuth = async (req, res, next) => {
       return next();
     }
 
+    if (ApiToken.isApiToken(token)) {
+      const apiToken = await ApiToken.findActiveByToken(token);
+      const user = apiToken ? await User.findById(apiToken.user).select('-password') : null;
+
+      req.user = user && user.isActive ? user : null;
+      req.apiToken = req.user ? apiToken : undefined;
+      return next();
+    }
+
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    const user = await User.findById(decoded.userId).select('-password');
+    const session = await findActiveSession(decoded);
+    const user = session ? await User.findById(decoded.userId).select('-password') : null;
     
     if (user && user.isActive) {
       req.user = user;
+      req.authSession = session;
     } else {
       req.user = null;
     }
@@ -82,15 +114,146 @@ const optionalAuth = async (req, res, next) => {
   }
 };
 
-// Generate JWT token
-const generateToken = (userId) => {
+// Authenticate a request made with a personal access token
+const authenticateApiToken = async (token, req, res, next) => {
+  const apiToken = await ApiToken.findActiveByToken(token);
+  if (!apiToken) {
+    return res.status(401).json({ 
+      message: 'API token is not valid, expired or revoked' 
+    });
+  }
+
+  const user = await User.findById(apiToken.user).select('-password');
+  if (!user || !user.isActive) {
+    return res.status(401).json({ 
+      message: 'Account is deactivated' 
+    });
+  }
+
+  touchApiToken(apiToken, req.ip);
+
+  req.user = user;
+  req.apiToken = apiToken;
+  next();
+};
+
+// Middleware to require a scope when the request uses an API token (sessions have every scope)
+const requireScope = (scope) => {
+  return (req, res, next) => {
+    if (req.apiToken && !req.apiToken.hasScope(scope)) {
+      return res.status(403).json({ 
+        message: `Access denied - API token is missing the ${scope} scope` 
+      });
+    }
+
+    next();
+  };
+};
+
+// Middleware to keep API tokens away from account management routes
+const sessionOnly = (req, res, next) => {
+  const token = req.header('Authorization')?.replace('Bearer ', '');
+
+  if (req.apiToken || ApiToken.isApiToken(token)) {
+    return res.status(403).json({ 
+      message: 'This endpoint cannot be used with an API token' 
+    });
+  }
+
+  next();
+};
+
+// Look up the session a decoded access token belongs to, null if it is no longer usable
+const findActiveSession = async (decoded) => {
+  if (!decoded.sessionId) {
+    return null;
+  }
+
+  const session = await Session.findById(decoded.sessionId);
+  if (!session || !session.isActive || session.user.toString() !== decoded.userId.toString()) {
+    return null;
+  }
+
+  return session;
+};
+
+// Record session activity without writing on every request
+const touchSession = (session) => {
+  if (Date.now() - session.lastUsedAt.getTime() < SESSION_TOUCH_INTERVAL) {
+    return;
+  }
+
+  Session.updateOne({ _id: session._id }, { $set: { lastUsedAt: new Date() } })
+    .catch(error => console.error('Session touch error:', error));
+};
+
+// Record API token usage without writing on every request
+const touchApiToken = (apiToken, ip) => {
+  if (apiToken.lastUsedAt && Date.now() - apiToken.lastUsedAt.getTime() < SESSION_TOUCH_INTERVAL) {
+    return;
+  }
+
+  ApiToken.updateOne({ _id: apiToken._id }, { $set: { lastUsedAt: new Date(), lastUsedIp: ip || '' } })
+    .catch(error => console.error('API token touch error:', error));
+};
+
+// Generate short-lived JWT access token
+const generateToken = (userId, sessionId) => {
+  return jwt.sign(
+    { userId, sessionId },
+    process.env.JWT_SECRET,
+    { expiresIn: process.env.ACCESS_TOKEN_EXPIRES_IN || '15m' }
+  );
+};
+
+// Start a new session for a user and issue its access and refresh tokens
+const createSessionTokens = async (user, req) => {
+  const { session, refreshToken } = await Session.createForUser(user._id, {
+    userAgent: req.get('User-Agent') || '',
+    ip: req.ip
+  });
+
+  return {
+    token: generateToken(user._id, session._id),
+    refreshToken,
+    session
+  };
+};
+
+// Generate signed email verification token, bound to the address it was sent to
+const generateEmailVerificationToken = (user) => {
+  return jwt.sign(
+    { userId: user._id, email: user.email, purpose: 'email-verification' },
+    process.env.JWT_SECRET,
+    { expiresIn: process.env.EMAIL_VERIFICATION_EXPIRES_IN || '24h' }
+  );
+};
+
+// Verify email verification token, returns null if it is invalid or expired
+const verifyEmailVerificationToken = (token) => verifyPurposeToken(token, 'email-verification');
+
+// Generate short-lived token proving the password step of a two-factor login succeeded
+const generateTwoFactorChallengeToken = (userId) => {
   return jwt.sign(
-    { userId },
+    { userId, purpose: 'two-factor-challenge' },
     process.env.JWT_SECRET,
-    { expiresIn: '7d' } // Token expires in 7 days
+    { expiresIn: '5m' }
   );
 };
 
+// Verify two-factor challenge token, returns null if it is invalid or expired
+const verifyTwoFactorChallengeToken = (token) => verifyPurposeToken(token, 'two-factor-challenge');
+
+// Verify a single-purpose token so it cannot be used in place of another kind
+const verifyPurposeToken = (token, purpose) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded.purpose === purpose ? decoded : null;
+  } catch (error) {
+    return null;
+  }
+};
+
 // Verify token without middleware (utility function)
 const verifyToken = (token) => {
   try {
@@ -103,6 +266,14 @@ const verifyToken = (token) => {
 module.exports = {
   auth,
   optionalAuth,
+  requireScope,
+  sessionOnly,
+  findActiveSession,
   generateToken,
+  createSessionTokens,
+  generateEmailVerificationToken,
+  verifyEmailVerificationToken,
+  generateTwoFactorChallengeToken,
+  verifyTwoFactorChallengeToken,
   verifyToken
 };
\ No newline at end of file
@@ -1,7 +1,51 @@
 const Board = require('../models/Board');
 
+// API token scope needed for a board role requirement when no scope is given
+const scopeForRole = (role) => (role === 'viewer' ? 'boards:read' : 'boards:write');
+
+// Check the scope and board restriction of an API token, returns an error message or null
+const getApiTokenDenial = (req, boardId, scope) => {
+  if (!req.apiToken) {
+    return null;
+  }
+
+  if (!req.apiToken.hasScope(scope)) {
+    return `Access denied - API token is missing the ${scope} scope`;
+  }
+
+  if (!req.apiToken.canAccessBoard(boardId)) {
+    return 'Access denied - API token is not allowed on this board';
+  }
+
+  return null;
+};
+
+// Check if the request may use a board: board or workspace membership plus any API token board restriction
+const canAccessBoard = async (req, board) => {
+  if (req.apiToken && !req.apiToken.canAccessBoard(board._id)) {
+    return false;
+  }
+
+  return Boolean(await board.getEffectiveRole(req.user._id));
+};
+
+// Role a user sees a board with: their own role, or viewer when the board is public
+const getVisibleBoardRole = async (board, userId) => {
+  const userRole = userId ? await board.getEffectiveRole(userId) : null;
+  return userRole || (board.isPrivate ? null : 'viewer');
+};
+
+// Empty the tasks of populated lists when an API token may not read tasks
+const filterListsForScope = (req, lists) => {
+  if (!req.apiToken || req.apiToken.hasScope('tasks:read')) {
+    return lists;
+  }
+
+  return lists.map(list => ({ ...list.toObject(), tasks: [] }));
+};
+
 // Middleware to check if user has access to a board
-const checkBoardAccess = (requiredRole = 'member') => {
+const checkBoardAccess = (requiredRole = 'member', scope = scopeForRole(requiredRole)) => {
   return async (req, res, next) => {
     try {
       const boardId = req.params.boardId || req.params.id;
@@ -22,6 +66,14 @@ const checkBoardAccess = (requiredRole = 'member') => {
         });
       }
 
+      // Check API token scope and board restriction
+      const tokenDenial = getApiTokenDenial(req, board._id, scope);
+      if (tokenDenial) {
+        return res.status(403).json({ 
+          message: tokenDenial 
+        });
+      }
+
       // Check if board is archived
       if (board.isArchived) {
         return res.status(403).json({ 
@@ -29,8 +81,8 @@ const checkBoardAccess = (requiredRole = 'member') => {
         });
       }
 
-      // Check if user has access to the board
-      const userRole = board.getUserRole(userId);
+      // Check if user has access to the board, directly or through its workspace
+      const userRole = await board.getEffectiveRole(userId);
       
       if (!userRole) {
         return res.status(403).json({ 
@@ -39,15 +91,8 @@ const checkBoardAccess = (requiredRole = 'member') => {
       }
 
       // Check role permissions
-      const roleHierarchy = {
-        'viewer': 1,
-        'member': 2,
-        'admin': 3,
-        'owner': 4
-      };
-
-      const requiredLevel = roleHierarchy[requiredRole] || 1;
-      const userLevel = roleHierarchy[userRole] || 0;
+      const requiredLevel = Board.ROLE_LEVELS[requiredRole] || 1;
+      const userLevel = Board.ROLE_LEVELS[userRole] || 0;
 
       if (userLevel < requiredLevel) {
         return res.status(403).json({ 
@@ -83,6 +128,13 @@ const checkBoardOwnership = async (req, res, next) => {
       });
     }
 
+    const tokenDenial = getApiTokenDenial(req, board._id, 'boards:write');
+    if (tokenDenial) {
+      return res.status(403).json({ 
+        message: tokenDenial 
+      });
+    }
+
     if (board.owner.toString() !== userId.toString()) {
       return res.status(403).json({ 
         message: 'Access denied - only board owner can perform this action' 
@@ -113,22 +165,23 @@ const checkBoardVisibility = async (req, res, next) => {
       });
     }
 
-    // If board is public, allow access
-    if (!board.isPrivate) {
-      req.board = board;
-      req.userRole = userId ? board.getUserRole(userId) || 'viewer' : 'viewer';
-      return next();
+    const tokenDenial = getApiTokenDenial(req, board._id, 'boards:read');
+    if (tokenDenial) {
+      return res.status(403).json({ 
+        message: tokenDenial 
+      });
     }
 
-    // If board is private, check membership
-    if (!userId || !board.isMember(userId)) {
+    // Public boards can be viewed by anyone, private ones need a role
+    const userRole = await getVisibleBoardRole(board, userId);
+    if (!userRole) {
       return res.status(403).json({ 
         message: 'Access denied - this is a private board' 
       });
     }
 
     req.board = board;
-    req.userRole = board.getUserRole(userId);
+    req.userRole = userRole;
     next();
   } catch (error) {
     console.error('Board visibility middleware error:', error);
@@ -152,7 +205,14 @@ const checkBoardDeletionAccess = async (req, res, next) => {
       });
     }
 
-    const userRole = board.getUserRole(userId);
+    const tokenDenial = getApiTokenDenial(req, board._id, 'boards:write');
+    if (tokenDenial) {
+      return res.status(403).json({ 
+        message: tokenDenial 
+      });
+    }
+
+    const userRole = await board.getEffectiveRole(userId);
     
     // Allow owners and admins to delete
     if (userRole !== 'owner' && userRole !== 'admin') {
@@ -173,6 +233,9 @@ const checkBoardDeletionAccess = async (req, res, next) => {
 };
 
 module.exports = {
+  canAccessBoard,
+  getVisibleBoardRole,
+  filterListsForScope,
   checkBoardAccess,
   checkBoardOwnership,
   checkBoardVisibility,
@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+const Organization = require('../models/Organization');
+
+// Organization roles from least to most privileged
+const roleHierarchy = {
+  guest: 1,
+  member: 2,
+  admin: 3,
+  owner: 4
+};
+
+// Middleware to check if user has a role in an organization
+const checkOrganizationAccess = (requiredRole = 'guest') => {
+  return async (req, res, next) => {
+    try {
+      const organizationId = req.params.organizationId || req.params.id;
+
+      if (!mongoose.Types.ObjectId.isValid(organizationId)) {
+        return res.status(404).json({
+          message: 'Workspace not found'
+        });
+      }
+
+      const organization = await Organization.findById(organizationId);
+
+      if (!organization) {
+        return res.status(404).json({
+          message: 'Workspace not found'
+        });
+      }
+
+      const userRole = organization.getMemberRole(req.user._id);
+
+      if (!userRole) {
+        return res.status(403).json({
+          message: 'Access denied - you are not a member of this workspace'
+        });
+      }
+
+      if (roleHierarchy[userRole] < roleHierarchy[requiredRole]) {
+        return res.status(403).json({
+          message: `Access denied - workspace ${requiredRole} role required`
+        });
+      }
+
+      // Add organization and user role to request
+      req.organization = organization;
+      req.organizationRole = userRole;
+
+      next();
+    } catch (error) {
+      console.error('Organization access middleware error:', error);
+      res.status(500).json({
+        message: 'Server error checking workspace access'
+      });
+    }
+  };
+};
+
+module.exports = {
+  checkOrganizationAccess
+};
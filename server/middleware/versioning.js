@@ -0,0 +1,42 @@
+const { header, body } = require('express-validator');
+
+// Validation for the version a client based its changes on, sent as an If-Match header
+// ("3", W/"3" or 3) or a version field in the body
+const versionValidators = [
+  header('if-match')
+    .optional()
+    .matches(/^(W\/)?"?\d+"?$/)
+    .withMessage('If-Match must be a version number'),
+  body('version')
+    .optional({ nullable: true })
+    .isInt({ min: 0 })
+    .withMessage('Version must be a non-negative integer')
+];
+
+// Version the client expects to change, or null when it does not check and the last write wins
+const getExpectedVersion = (req) => {
+  const ifMatch = req.get('If-Match');
+  if (ifMatch) {
+    return parseInt(ifMatch.replace(/\D/g, ''), 10);
+  }
+
+  const { version } = req.body;
+  return version === undefined || version === null ? null : parseInt(version, 10);
+};
+
+// A save that lost the race against another one changing the same document
+const isVersionConflict = (error) => Boolean(error) && error.name === 'DocumentNotFoundError';
+
+// 409 with the document as it is now and a field-level diff of the requested changes
+const sendVersionConflict = (res, name, document, diff) => res.status(409).json({
+  message: `This ${name} was changed by someone else`,
+  [name]: document,
+  diff
+});
+
+module.exports = {
+  versionValidators,
+  getExpectedVersion,
+  isVersionConflict,
+  sendVersionConflict
+};
@@ -0,0 +1,147 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// Personal access tokens are recognisable by this prefix
+const TOKEN_PREFIX = 'cat_';
+
+const API_TOKEN_SCOPES = [
+  'boards:read',
+  'boards:write',
+  'tasks:read',
+  'tasks:write',
+  'analytics:read'
+];
+
+const apiTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User reference is required']
+  },
+  name: {
+    type: String,
+    required: [true, 'Token name is required'],
+    trim: true,
+    maxlength: [100, 'Token name cannot exceed 100 characters']
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // First characters of the raw token, so users can tell their tokens apart
+  tokenPreview: {
+    type: String,
+    required: true
+  },
+  scopes: {
+    type: [{
+      type: String,
+      enum: API_TOKEN_SCOPES
+    }],
+    validate: [scopes => scopes.length > 0, 'At least one scope is required']
+  },
+  // Empty means the token works on every board the user can access
+  boards: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Board'
+  }],
+  expiresAt: {
+    type: Date
+  },
+  lastUsedAt: {
+    type: Date
+  },
+  lastUsedIp: {
+    type: String,
+    default: ''
+  },
+  revokedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+apiTokenSchema.index({ user: 1, revokedAt: 1 });
+
+// Hash a raw token for storage and lookup
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Virtual for checking if token can still be used
+apiTokenSchema.virtual('isActive').get(function() {
+  return !this.revokedAt && (!this.expiresAt || this.expiresAt > new Date());
+});
+
+// Instance method to check if token grants a scope
+apiTokenSchema.methods.hasScope = function(scope) {
+  return this.scopes.includes(scope);
+};
+
+// Instance method to check if token is allowed on a board
+apiTokenSchema.methods.canAccessBoard = function(boardId) {
+  if (!this.boards || this.boards.length === 0) {
+    return true;
+  }
+
+  return this.boards.some(board => (board._id || board).toString() === boardId.toString());
+};
+
+// Instance method to revoke token
+apiTokenSchema.methods.revoke = function() {
+  if (!this.revokedAt) {
+    this.revokedAt = new Date();
+  }
+  return this;
+};
+
+// Instance method to get the data shown in the tokens list
+apiTokenSchema.methods.getPublicData = function() {
+  return {
+    _id: this._id,
+    name: this.name,
+    tokenPreview: this.tokenPreview,
+    scopes: this.scopes,
+    boards: this.boards,
+    expiresAt: this.expiresAt,
+    lastUsedAt: this.lastUsedAt,
+    lastUsedIp: this.lastUsedIp,
+    createdAt: this.createdAt,
+    isActive: this.isActive
+  };
+};
+
+// Static method to create a token, returns the token and its raw value (only shown once)
+apiTokenSchema.statics.createForUser = async function(userId, { name, scopes, boards = [], expiresAt }) {
+  const rawToken = `${TOKEN_PREFIX}${crypto.randomBytes(24).toString('hex')}`;
+
+  const apiToken = new this({
+    user: userId,
+    name,
+    scopes,
+    boards,
+    expiresAt,
+    tokenHash: hashToken(rawToken),
+    tokenPreview: rawToken.slice(0, TOKEN_PREFIX.length + 6)
+  });
+
+  await apiToken.save();
+
+  return { apiToken, rawToken };
+};
+
+// Static method to find a usable token by its raw value
+apiTokenSchema.statics.findActiveByToken = async function(rawToken) {
+  const apiToken = await this.findOne({ tokenHash: hashToken(rawToken) });
+  return apiToken && apiToken.isActive ? apiToken : null;
+};
+
+// Static method to check if a bearer value looks like a personal access token
+apiTokenSchema.statics.isApiToken = function(token) {
+  return typeof token === 'string' && token.startsWith(TOKEN_PREFIX);
+};
+
+apiTokenSchema.statics.SCOPES = API_TOKEN_SCOPES;
+
+module.exports = mongoose.model('ApiToken', apiTokenSchema);
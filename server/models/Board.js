@@ -1,4 +1,19 @@
 const mongoose = require('mongoose');
+const versioned = require('./plugins/versioned');
+
+// Board roles from least to most privileged
+const ROLE_LEVELS = {
+  viewer: 1,
+  member: 2,
+  admin: 3,
+  owner: 4
+};
+
+// Most privileged of the given roles, ignoring empty ones
+const highestRole = (roles) => roles.reduce((highest, role) => {
+  if (!role) return highest;
+  return !highest || ROLE_LEVELS[role] > ROLE_LEVELS[highest] ? role : highest;
+}, null);
 
 const boardSchema = new mongoose.Schema({
   title: {
@@ -17,6 +32,18 @@ const boardSchema = new mongoose.Schema({
     ref: 'User',
     required: [true, 'Board owner is required']
   },
+  // Workspace the board belongs to, personal boards have none
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    default: null
+  },
+  // Whether every workspace member can open the board or only its own members
+  visibility: {
+    type: String,
+    enum: ['workspace', 'private'],
+    default: 'workspace'
+  },
   members: [{
     user: {
       type: mongoose.Schema.Types.ObjectId,
@@ -33,6 +60,23 @@ const boardSchema = new mongoose.Schema({
       default: Date.now
     }
   }],
+  // Groups whose members all get a role on the board
+  groups: [{
+    group: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Group',
+      required: true
+    },
+    role: {
+      type: String,
+      enum: ['admin', 'member', 'viewer'],
+      default: 'member'
+    },
+    addedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   lists: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'List'
@@ -53,6 +97,11 @@ const boardSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  // Sequence number of the last real-time event published for the board
+  eventSeq: {
+    type: Number,
+    default: 0
+  },
   settings: {
     allowComments: {
       type: Boolean,
@@ -88,9 +137,14 @@ const boardSchema = new mongoose.Schema({
   timestamps: true
 });
 
+// Fields people edit, changes to them need the latest version
+boardSchema.plugin(versioned, { fields: ['title', 'description', 'backgroundColor', 'isPrivate', 'visibility', 'organization'] });
+
 // Indexes for better query performance
 boardSchema.index({ owner: 1 });
 boardSchema.index({ 'members.user': 1 });
+boardSchema.index({ organization: 1 });
+boardSchema.index({ 'groups.group': 1 });
 boardSchema.index({ createdAt: -1 });
 boardSchema.index({ title: 'text', description: 'text' });
 
@@ -120,6 +174,55 @@ boardSchema.methods.getUserRole = function(userId) {
   return member ? member.role : null;
 };
 
+// Instance method to get the role a user gets through the board's workspace
+boardSchema.methods.getWorkspaceRole = async function(userId) {
+  if (!this.organization) {
+    return null;
+  }
+
+  const organization = await mongoose.model('Organization')
+    .findById(this.organization._id || this.organization)
+    .select('members');
+  return organization ? organization.getBoardRole(userId, this.visibility) : null;
+};
+
+// Instance method to get the highest role a user gets through the groups added to the board
+boardSchema.methods.getGroupRole = async function(userId) {
+  if (this.groups.length === 0) {
+    return null;
+  }
+
+  const groups = await mongoose.model('Group')
+    .find({ _id: { $in: this.groups.map(grant => grant.group._id || grant.group) }, 'members.user': userId })
+    .select('_id');
+  const groupIds = groups.map(group => group._id.toString());
+
+  return highestRole(this.groups
+    .filter(grant => groupIds.includes((grant.group._id || grant.group).toString()))
+    .map(grant => grant.role));
+};
+
+// Instance method to get the highest role a user has, directly, through the board's workspace
+// or through one of its groups
+boardSchema.methods.getEffectiveRole = async function(userId) {
+  const directRole = this.getUserRole(userId);
+  if (directRole === 'owner') {
+    return directRole;
+  }
+
+  const [workspaceRole, groupRole] = await Promise.all([
+    this.getWorkspaceRole(userId),
+    this.getGroupRole(userId)
+  ]);
+
+  return highestRole([directRole, workspaceRole, groupRole]);
+};
+
+// Instance method to check if a group is added to the board
+boardSchema.methods.hasGroup = function(groupId) {
+  return this.groups.some(grant => (grant.group._id || grant.group).toString() === groupId.toString());
+};
+
 // Instance method to add member
 boardSchema.methods.addMember = function(userId, role = 'member') {
   // Check if user is already a member
@@ -159,19 +262,40 @@ boardSchema.methods.addActivity = function(userId, action, details = '') {
   return this;
 };
 
-// Static method to find boards by user
-boardSchema.statics.findByUser = function(userId) {
+// Static method to find boards by user, including the boards their workspaces and groups open to them
+boardSchema.statics.findByUser = async function(userId) {
+  const [organizations, groups] = await Promise.all([
+    mongoose.model('Organization').findByUser(userId).select('members'),
+    mongoose.model('Group').find({ 'members.user': userId }).select('_id')
+  ]);
+
+  const adminOrganizations = [];
+  const memberOrganizations = [];
+  organizations.forEach(organization => {
+    if (organization.getBoardRole(userId, 'private')) {
+      adminOrganizations.push(organization._id);
+    } else if (organization.getBoardRole(userId, 'workspace')) {
+      memberOrganizations.push(organization._id);
+    }
+  });
+
   return this.find({
     $or: [
       { owner: userId },
-      { 'members.user': userId }
+      { 'members.user': userId },
+      { organization: { $in: adminOrganizations } },
+      { organization: { $in: memberOrganizations }, visibility: 'workspace' },
+      { 'groups.group': { $in: groups.map(group => group._id) } }
     ],
     isArchived: false
   }).populate('owner', 'username email firstName lastName avatar')
     .populate('members.user', 'username email firstName lastName avatar')
+    .populate('organization', 'name slug')
     .sort({ updatedAt: -1 });
 };
 
+boardSchema.statics.ROLE_LEVELS = ROLE_LEVELS;
+
 // Pre-save middleware to ensure owner is not in members array
 boardSchema.pre('save', function(next) {
   if (this.owner) {
@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+
+// Events kept per board so reconnecting clients can catch up on what they missed
+const BOARD_EVENT_LOG_SIZE = parseInt(process.env.BOARD_EVENT_LOG_SIZE, 10) || 500;
+
+// Log of the real-time events published for a board, numbered by the board's eventSeq
+const boardEventSchema = new mongoose.Schema({
+  board: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Board',
+    required: [true, 'Board is required']
+  },
+  seq: {
+    type: Number,
+    required: [true, 'Sequence number is required']
+  },
+  type: {
+    type: String,
+    required: [true, 'Event type is required']
+  },
+  actor: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+  minimize: false
+});
+
+// Indexes for better query performance
+boardEventSchema.index({ board: 1, seq: 1 }, { unique: true });
+
+// Instance method to turn a logged event back into what clients receive
+boardEventSchema.methods.toEnvelope = function() {
+  return {
+    type: this.type,
+    boardId: this.board.toString(),
+    seq: this.seq,
+    actor: this.actor,
+    data: this.data,
+    createdAt: this.createdAt.toISOString()
+  };
+};
+
+// Static method to log an event and drop the ones that fell out of the log
+boardEventSchema.statics.record = async function(event) {
+  await this.create({
+    board: event.boardId,
+    seq: event.seq,
+    type: event.type,
+    actor: event.actor,
+    data: event.data,
+    createdAt: event.createdAt
+  });
+
+  await this.deleteMany({ board: event.boardId, seq: { $lte: event.seq - BOARD_EVENT_LOG_SIZE } });
+};
+
+// Static method to find the events after a sequence number up to the current one, null when
+// some of them are not in the log (dropped from it, or never logged) and the client has to
+// fetch the board again
+boardEventSchema.statics.findMissed = async function(boardId, since, currentSeq) {
+  if (since >= currentSeq) {
+    return [];
+  }
+
+  if (currentSeq - since > BOARD_EVENT_LOG_SIZE) {
+    return null;
+  }
+
+  const events = await this.find({ board: boardId, seq: { $gt: since, $lte: currentSeq } }).sort({ seq: 1 });
+  if (events.some((event, index) => event.seq !== since + 1 + index) || events.length !== currentSeq - since) {
+    return null;
+  }
+
+  return events.map(event => event.toEnvelope());
+};
+
+module.exports = mongoose.model('BoardEvent', boardEventSchema);
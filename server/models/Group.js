@@ -0,0 +1,128 @@
+const mongoose = require('mongoose');
+
+const groupSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Group name is required'],
+    trim: true,
+    maxlength: [50, 'Group name cannot exceed 50 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Group description cannot exceed 200 characters']
+  },
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Group owner is required']
+  },
+  // Workspace the group belongs to, its admins can manage the group as well
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    default: null
+  },
+  members: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    joinedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }]
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+groupSchema.index({ owner: 1 });
+groupSchema.index({ organization: 1 });
+groupSchema.index({ 'members.user': 1 });
+
+// Virtual for member count
+groupSchema.virtual('memberCount').get(function() {
+  return this.members.length;
+});
+
+// Instance method to check if user is member
+groupSchema.methods.isMember = function(userId) {
+  return this.members.some(member => {
+    const memberId = member.user._id || member.user;
+    return memberId.toString() === userId.toString();
+  });
+};
+
+// Instance method to check if user may change the group
+groupSchema.methods.canManage = async function(userId) {
+  const ownerId = this.owner._id || this.owner;
+  if (ownerId.toString() === userId.toString()) {
+    return true;
+  }
+
+  if (!this.organization) {
+    return false;
+  }
+
+  const organization = await mongoose.model('Organization')
+    .findById(this.organization._id || this.organization)
+    .select('members');
+  return Boolean(organization && organization.isAdmin(userId));
+};
+
+// Instance method to check if user may see the group and add it to boards
+groupSchema.methods.canView = async function(userId) {
+  const ownerId = this.owner._id || this.owner;
+  if (ownerId.toString() === userId.toString() || this.isMember(userId)) {
+    return true;
+  }
+
+  if (!this.organization) {
+    return false;
+  }
+
+  return Boolean(await mongoose.model('Organization').exists({
+    _id: this.organization._id || this.organization,
+    'members.user': userId
+  }));
+};
+
+// Instance method to add member
+groupSchema.methods.addMember = function(userId) {
+  if (!this.isMember(userId)) {
+    this.members.push({
+      user: userId,
+      joinedAt: new Date()
+    });
+  }
+
+  return this;
+};
+
+// Instance method to remove member
+groupSchema.methods.removeMember = function(userId) {
+  this.members = this.members.filter(member => {
+    const memberId = member.user._id || member.user;
+    return memberId.toString() !== userId.toString();
+  });
+  return this;
+};
+
+// Static method to find the groups a user can see: their own, the ones they are in
+// and the groups of their workspaces
+groupSchema.statics.findVisibleToUser = async function(userId) {
+  const organizations = await mongoose.model('Organization').findByUser(userId).select('_id');
+
+  return this.find({
+    $or: [
+      { owner: userId },
+      { 'members.user': userId },
+      { organization: { $in: organizations.map(organization => organization._id) } }
+    ]
+  }).sort({ name: 1 });
+};
+
+module.exports = mongoose.model('Group', groupSchema);
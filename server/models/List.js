@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const versioned = require('./plugins/versioned');
 
 const listSchema = new mongoose.Schema({
   title: {
@@ -33,6 +34,9 @@ const listSchema = new mongoose.Schema({
   timestamps: true
 });
 
+// Fields people edit, changes to them need the latest version
+listSchema.plugin(versioned, { fields: ['title', 'color'] });
+
 // Indexes for better query performance
 listSchema.index({ board: 1, position: 1 });
 listSchema.index({ board: 1, isArchived: 1 });
@@ -75,11 +79,13 @@ listSchema.statics.findByBoard = function(boardId) {
   }).populate({
     path: 'tasks',
     match: { isArchived: false },
+    // Comments are loaded a page at a time when a task is opened
+    select: '-comments',
     options: { sort: { position: 1 } },
-    populate: {
-      path: 'assignedTo',
-      select: 'username email firstName lastName avatar'
-    }
+    populate: [
+      { path: 'assignedTo', select: 'username email firstName lastName avatar' },
+      { path: 'descriptionMentions', select: 'username firstName lastName avatar' }
+    ]
   }).sort({ position: 1 });
 };
 
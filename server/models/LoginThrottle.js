@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+// Failed login counter for one IP address
+const loginThrottleSchema = new mongoose.Schema({
+  ip: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  failedAttempts: {
+    type: Number,
+    default: 0
+  },
+  windowStartedAt: {
+    type: Date,
+    default: Date.now
+  },
+  blockedUntil: {
+    type: Date
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Let MongoDB forget IPs that stopped failing
+loginThrottleSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Virtual for checking if the IP is currently blocked
+loginThrottleSchema.virtual('isBlocked').get(function() {
+  return Boolean(this.blockedUntil && this.blockedUntil > new Date());
+});
+
+module.exports = mongoose.model('LoginThrottle', loginThrottleSchema);
@@ -0,0 +1,148 @@
+const mongoose = require('mongoose');
+
+const ORGANIZATION_ROLES = ['owner', 'admin', 'member', 'guest'];
+const BOARD_VISIBILITIES = ['workspace', 'private'];
+
+// Board role an organization role grants on the organization's boards.
+// Guests only reach boards they were added to directly.
+const BOARD_ROLE_FOR_ORGANIZATION_ROLE = {
+  owner: { workspace: 'admin', private: 'admin' },
+  admin: { workspace: 'admin', private: 'admin' },
+  member: { workspace: 'member', private: null },
+  guest: { workspace: null, private: null }
+};
+
+const organizationSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Workspace name is required'],
+    trim: true,
+    maxlength: [100, 'Workspace name cannot exceed 100 characters']
+  },
+  slug: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Workspace description cannot exceed 500 characters']
+  },
+  members: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    role: {
+      type: String,
+      enum: ORGANIZATION_ROLES,
+      default: 'member'
+    },
+    joinedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  settings: {
+    // Visibility new boards in the workspace start with
+    defaultBoardVisibility: {
+      type: String,
+      enum: BOARD_VISIBILITIES,
+      default: 'workspace'
+    }
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+organizationSchema.index({ 'members.user': 1 });
+
+// Virtual for member count
+organizationSchema.virtual('memberCount').get(function() {
+  return this.members.length;
+});
+
+// Instance method to get a user's organization role
+organizationSchema.methods.getMemberRole = function(userId) {
+  const member = this.members.find(member => {
+    const memberId = member.user._id || member.user;
+    return memberId.toString() === userId.toString();
+  });
+  return member ? member.role : null;
+};
+
+// Instance method to check if user is member
+organizationSchema.methods.isMember = function(userId) {
+  return Boolean(this.getMemberRole(userId));
+};
+
+// Instance method to check if user may manage the workspace
+organizationSchema.methods.isAdmin = function(userId) {
+  return ['owner', 'admin'].includes(this.getMemberRole(userId));
+};
+
+// Instance method to count the owners left
+organizationSchema.methods.countOwners = function() {
+  return this.members.filter(member => member.role === 'owner').length;
+};
+
+// Instance method to add member
+organizationSchema.methods.addMember = function(userId, role = 'member') {
+  if (!this.isMember(userId)) {
+    this.members.push({
+      user: userId,
+      role,
+      joinedAt: new Date()
+    });
+  }
+
+  return this;
+};
+
+// Instance method to remove member
+organizationSchema.methods.removeMember = function(userId) {
+  this.members = this.members.filter(member => {
+    const memberId = member.user._id || member.user;
+    return memberId.toString() !== userId.toString();
+  });
+  return this;
+};
+
+// Instance method to get the board role a user gets through the workspace
+organizationSchema.methods.getBoardRole = function(userId, visibility = 'private') {
+  const role = this.getMemberRole(userId);
+  return role ? BOARD_ROLE_FOR_ORGANIZATION_ROLE[role][visibility] || null : null;
+};
+
+// Static method to find organizations by user
+organizationSchema.statics.findByUser = function(userId) {
+  return this.find({ 'members.user': userId }).sort({ name: 1 });
+};
+
+// Static method to build a unique slug from a name
+organizationSchema.statics.generateSlug = async function(name) {
+  const base = name
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 50) || 'workspace';
+
+  let slug = base;
+  let suffix = 1;
+  while (await this.exists({ slug })) {
+    suffix += 1;
+    slug = `${base}-${suffix}`;
+  }
+
+  return slug;
+};
+
+organizationSchema.statics.ROLES = ORGANIZATION_ROLES;
+organizationSchema.statics.BOARD_VISIBILITIES = BOARD_VISIBILITIES;
+
+module.exports = mongoose.model('Organization', organizationSchema);
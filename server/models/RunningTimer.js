@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+// The timer a user has running. There is one per user: starting a timer has to claim it,
+// whatever task the timer runs on.
+const runningTimerSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    unique: true
+  },
+  task: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task',
+    required: true
+  },
+  // The time entry of the task the timer records into
+  entry: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  claimedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('RunningTimer', runningTimerSchema);
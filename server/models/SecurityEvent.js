@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+
+const SECURITY_LOG_RETENTION_DAYS = parseInt(process.env.SECURITY_LOG_RETENTION_DAYS, 10) || 90;
+
+// Security log of login protection events
+const securityEventSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: [
+      'login_failed',
+      'login_throttled',
+      'account_locked',
+      'account_unlocked',
+      'ip_blocked'
+    ],
+    required: [true, 'Event type is required']
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Email or username that was tried, for failures that match no account
+  identifier: {
+    type: String,
+    trim: true,
+    maxlength: 200
+  },
+  ip: {
+    type: String,
+    default: ''
+  },
+  userAgent: {
+    type: String,
+    default: ''
+  },
+  details: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes for better query performance
+securityEventSchema.index({ user: 1, createdAt: -1 });
+securityEventSchema.index({ ip: 1, createdAt: -1 });
+securityEventSchema.index({ createdAt: 1 }, { expireAfterSeconds: SECURITY_LOG_RETENTION_DAYS * 24 * 60 * 60 });
+
+// Static method to write an event for a request; logging failures never break the request
+securityEventSchema.statics.record = function(type, req, { user, identifier, details } = {}) {
+  return this.create({
+    type,
+    user: user ? user._id || user : undefined,
+    identifier,
+    ip: req.ip || '',
+    userAgent: req.get('User-Agent') || '',
+    details
+  }).catch(error => console.error('Security event error:', error));
+};
+
+module.exports = mongoose.model('SecurityEvent', securityEventSchema);
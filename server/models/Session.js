@@ -0,0 +1,182 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30;
+
+// How long a rotated refresh token is still taken from refreshes that raced the rotation, like
+// those of other tabs sharing the token, before presenting it counts as reuse
+const REFRESH_TOKEN_REUSE_GRACE_MS = 30 * 1000;
+
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User reference is required']
+  },
+  refreshTokenHash: {
+    type: String,
+    required: true
+  },
+  // Hash of the refresh token this one replaced, used to detect reuse of a rotated token
+  previousRefreshTokenHash: {
+    type: String
+  },
+  // When the refresh token was last replaced
+  rotatedAt: {
+    type: Date
+  },
+  device: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Device description cannot exceed 200 characters'],
+    default: 'Unknown device'
+  },
+  userAgent: {
+    type: String,
+    default: ''
+  },
+  ip: {
+    type: String,
+    default: ''
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+sessionSchema.index({ user: 1, revokedAt: 1 });
+sessionSchema.index({ refreshTokenHash: 1 });
+sessionSchema.index({ previousRefreshTokenHash: 1 });
+// Let MongoDB clean up sessions some time after they expire
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+// Hash a raw refresh token for storage and lookup
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Derive a short, human readable device name from a user agent string
+const describeDevice = (userAgent = '') => {
+  if (!userAgent) return 'Unknown device';
+
+  const browser = (userAgent.match(/(Edg|Chrome|Firefox|Safari|Opera|OPR)\/[\d.]+/) || [])[1];
+  const os = (userAgent.match(/(Windows|Mac OS X|Android|iPhone|iPad|Linux)/) || [])[1];
+
+  if (!browser && !os) return userAgent.slice(0, 200);
+
+  const browserNames = { Edg: 'Edge', OPR: 'Opera' };
+  return [browserNames[browser] || browser, os].filter(Boolean).join(' on ');
+};
+
+// Virtual for checking if session can still be used
+sessionSchema.virtual('isActive').get(function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+// A new raw refresh token and the session fields that go with it
+const newRefreshToken = () => {
+  const refreshToken = crypto.randomBytes(48).toString('hex');
+  const now = new Date();
+
+  return {
+    refreshToken,
+    fields: {
+      refreshTokenHash: hashToken(refreshToken),
+      lastUsedAt: now,
+      expiresAt: new Date(now.getTime() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000)
+    }
+  };
+};
+
+// Instance method to check if the previous refresh token was replaced so recently that a
+// refresh presenting it probably raced the one that replaced it
+sessionSchema.methods.isRecentlyRotated = function() {
+  return Boolean(this.rotatedAt) && this.rotatedAt > new Date(Date.now() - REFRESH_TOKEN_REUSE_GRACE_MS);
+};
+
+// Instance method to revoke session
+sessionSchema.methods.revoke = function() {
+  if (!this.revokedAt) {
+    this.revokedAt = new Date();
+  }
+  return this;
+};
+
+// Instance method to get the data shown in the sessions list
+sessionSchema.methods.getPublicData = function(currentSessionId) {
+  return {
+    _id: this._id,
+    device: this.device,
+    ip: this.ip,
+    lastUsedAt: this.lastUsedAt,
+    createdAt: this.createdAt,
+    expiresAt: this.expiresAt,
+    isCurrent: currentSessionId ? this._id.toString() === currentSessionId.toString() : false
+  };
+};
+
+// Static method to start a new session, returns the session and its raw refresh token
+sessionSchema.statics.createForUser = async function(userId, { userAgent = '', ip = '' } = {}) {
+  const { refreshToken, fields } = newRefreshToken();
+  const session = new this({
+    user: userId,
+    userAgent,
+    ip,
+    device: describeDevice(userAgent),
+    ...fields
+  });
+
+  await session.save();
+
+  return { session, refreshToken };
+};
+
+// Static method to replace the refresh token of an active session in one step, so that of
+// refreshes presenting the same token only one gets a new one. Returns the session and its
+// new raw refresh token, or null when the token is no longer current.
+sessionSchema.statics.rotateRefreshToken = async function(tokenHash) {
+  const { refreshToken, fields } = newRefreshToken();
+  const session = await this.findOneAndUpdate(
+    { refreshTokenHash: tokenHash, revokedAt: { $exists: false }, expiresAt: { $gt: new Date() } },
+    { $set: { ...fields, previousRefreshTokenHash: tokenHash, rotatedAt: fields.lastUsedAt } },
+    { new: true }
+  );
+
+  return session ? { session, refreshToken } : null;
+};
+
+// Static method to find active sessions for a user
+sessionSchema.statics.findActiveByUser = function(userId) {
+  return this.find({
+    user: userId,
+    revokedAt: { $exists: false },
+    expiresAt: { $gt: new Date() }
+  }).sort({ lastUsedAt: -1 });
+};
+
+// Static method to revoke every active session of a user, optionally keeping one
+sessionSchema.statics.revokeAllForUser = function(userId, exceptSessionId = null) {
+  const query = {
+    user: userId,
+    revokedAt: { $exists: false }
+  };
+
+  if (exceptSessionId) {
+    query._id = { $ne: exceptSessionId };
+  }
+
+  return this.updateMany(query, { $set: { revokedAt: new Date() } });
+};
+
+sessionSchema.statics.hashToken = hashToken;
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -0,0 +1,90 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const SSO_LOGIN_TTL = 10 * 60 * 1000; // 10 minutes
+
+// Tracks one single sign-on attempt from the redirect to the identity provider
+// until the client exchanges the one-time code for a session, or uses it to confirm who
+// they are (purpose 'reauth', e.g. before deleting their account)
+const ssoLoginSchema = new mongoose.Schema({
+  purpose: {
+    type: String,
+    enum: ['login', 'reauth'],
+    default: 'login'
+  },
+  state: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  nonce: {
+    type: String,
+    required: true
+  },
+  codeVerifier: {
+    type: String,
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  exchangeCodeHash: {
+    type: String
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+ssoLoginSchema.index({ exchangeCodeHash: 1 });
+// Let MongoDB remove abandoned attempts
+ssoLoginSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Hash a raw exchange code for storage and lookup
+const hashCode = (code) => crypto.createHash('sha256').update(code).digest('hex');
+
+// Instance method to attach the signed in user, returns the raw one-time exchange code
+ssoLoginSchema.methods.complete = function(userId) {
+  const exchangeCode = crypto.randomBytes(32).toString('hex');
+
+  this.user = userId;
+  this.exchangeCodeHash = hashCode(exchangeCode);
+  this.expiresAt = new Date(Date.now() + SSO_LOGIN_TTL);
+
+  return exchangeCode;
+};
+
+// Static method to start a login attempt
+ssoLoginSchema.statics.start = function({ state, nonce, codeVerifier, purpose = 'login' }) {
+  return this.create({
+    purpose,
+    state,
+    nonce,
+    codeVerifier,
+    expiresAt: new Date(Date.now() + SSO_LOGIN_TTL)
+  });
+};
+
+// Static method to find a pending attempt by the state returned from the provider
+ssoLoginSchema.statics.findPendingByState = function(state) {
+  return this.findOne({
+    state,
+    exchangeCodeHash: { $exists: false },
+    expiresAt: { $gt: new Date() }
+  });
+};
+
+// Static method to use up an exchange code, returns the completed attempt or null
+ssoLoginSchema.statics.consumeExchangeCode = function(code) {
+  return this.findOneAndDelete({
+    exchangeCodeHash: hashCode(code),
+    expiresAt: { $gt: new Date() }
+  });
+};
+
+module.exports = mongoose.model('SsoLogin', ssoLoginSchema);
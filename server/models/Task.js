@@ -1,4 +1,15 @@
 const mongoose = require('mongoose');
+const versioned = require('./plugins/versioned');
+
+// Longest task description, the same whether it is saved through the API or edited together
+// in the task dialog
+const DESCRIPTION_MAX_LENGTH = 20000;
+
+// Title of the checklist items go to when a task has no named checklist yet
+const DEFAULT_CHECKLIST_TITLE = 'Checklist';
+
+// Emoji people can react to comments with
+const COMMENT_REACTIONS = ['👍', '👎', '😄', '🎉', '😕', '❤️', '🚀', '👀'];
 
 const taskSchema = new mongoose.Schema({
   title: {
@@ -10,8 +21,18 @@ const taskSchema = new mongoose.Schema({
   description: {
     type: String,
     trim: true,
-    maxlength: [2000, 'Task description cannot exceed 2000 characters']
+    maxlength: [DESCRIPTION_MAX_LENGTH, `Task description cannot exceed ${DESCRIPTION_MAX_LENGTH} characters`]
   },
+  // Merged state of the collaborative description document (Yjs), description holds its text
+  descriptionState: {
+    type: Buffer,
+    select: false
+  },
+  // Board members the description mentions with @username
+  descriptionMentions: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
   list: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'List',
@@ -72,7 +93,20 @@ const taskSchema = new mongoose.Schema({
       default: '#61bd4f'
     }
   }],
+  // Named checklists, in display order. Their items are all kept in checklist.
+  checklists: [{
+    title: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: [100, 'Checklist title cannot exceed 100 characters']
+    }
+  }],
   checklist: [{
+    // The named checklist the item is in, items added before tasks had several have none
+    checklistId: {
+      type: mongoose.Schema.Types.ObjectId
+    },
     text: {
       type: String,
       required: true,
@@ -112,6 +146,11 @@ const taskSchema = new mongoose.Schema({
       type: String,
       required: true
     },
+    // Where the storage driver keeps the file, never sent to clients
+    key: {
+      type: String,
+      select: false
+    },
     uploadedBy: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User',
@@ -134,6 +173,28 @@ const taskSchema = new mongoose.Schema({
       ref: 'User',
       required: true
     },
+    // Board members the comment mentions with @username
+    mentions: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }],
+    // The comment this one replies to, replies are one level deep
+    parent: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null
+    },
+    reactions: [{
+      _id: false,
+      emoji: {
+        type: String,
+        enum: COMMENT_REACTIONS,
+        required: true
+      },
+      users: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      }]
+    }],
     createdAt: {
       type: Date,
       default: Date.now
@@ -147,6 +208,11 @@ const taskSchema = new mongoose.Schema({
       default: false
     }
   }],
+  // How many comments there are, so tasks can be sent without them. Comments are loaded a
+  // page at a time.
+  commentCount: {
+    type: Number
+  },
   cover: {
     type: String,
     default: ''
@@ -203,9 +269,13 @@ const taskSchema = new mongoose.Schema({
     type: Date
   }
 }, {
-  timestamps: true
+  timestamps: true,
+  toJSON: { virtuals: true }
 });
 
+// Fields people edit, changes to them need the latest version
+taskSchema.plugin(versioned, { fields: ['title', 'description', 'priority', 'dueDate', 'status', 'isCompleted'] });
+
 // Indexes for better query performance
 taskSchema.index({ list: 1, position: 1 });
 taskSchema.index({ board: 1 });
@@ -214,6 +284,7 @@ taskSchema.index({ createdBy: 1 });
 taskSchema.index({ dueDate: 1 });
 taskSchema.index({ priority: 1 });
 taskSchema.index({ status: 1 });
+taskSchema.index({ 'timeEntries.user': 1, 'timeEntries.startTime': 1 });
 taskSchema.index({ title: 'text', description: 'text' });
 
 // Virtual for overdue status
@@ -223,30 +294,158 @@ taskSchema.virtual('isOverdue').get(function() {
 
 // Virtual for checklist completion percentage
 taskSchema.virtual('checklistProgress').get(function() {
-  if (this.checklist.length === 0) return 0;
+  if (!this.checklist || this.checklist.length === 0) return 0;
   const completed = this.checklist.filter(item => item.isCompleted).length;
   return Math.round((completed / this.checklist.length) * 100);
 });
 
-// Instance method to add comment
-taskSchema.methods.addComment = function(userId, text) {
+// Instance method to add comment, a reply to a reply goes to the comment that starts the thread
+taskSchema.methods.addComment = function(userId, text, parentId = null, mentions = []) {
+  const parent = parentId && this.comments.id(parentId);
   this.comments.push({
     text: text,
     author: userId,
+    mentions: mentions,
+    parent: parent ? parent.parent || parent._id : null,
     createdAt: new Date()
   });
   return this;
 };
 
-// Instance method to add checklist item
-taskSchema.methods.addChecklistItem = function(text) {
+// Instance method to change the text of a comment and who it mentions
+taskSchema.methods.editComment = function(commentId, text, mentions = []) {
+  const comment = this.comments.id(commentId);
+  if (comment) {
+    comment.text = text;
+    comment.mentions = mentions;
+    comment.isEdited = true;
+    comment.updatedAt = new Date();
+  }
+  return comment;
+};
+
+// Instance method to remove a comment together with its replies, returns the removed IDs
+taskSchema.methods.removeComment = function(commentId) {
+  const removedIds = this.comments
+    .filter(comment => comment._id.equals(commentId) || (comment.parent && comment.parent.equals(commentId)))
+    .map(comment => comment._id);
+
+  removedIds.forEach(id => this.comments.pull(id));
+  return removedIds;
+};
+
+// Instance method to add a user's reaction to a comment, or take it back when already there
+taskSchema.methods.toggleCommentReaction = function(commentId, userId, emoji) {
+  const comment = this.comments.id(commentId);
+  if (!comment) {
+    return null;
+  }
+
+  const reaction = comment.reactions.find(existing => existing.emoji === emoji);
+  if (!reaction) {
+    comment.reactions.push({ emoji, users: [userId] });
+  } else if (reaction.users.some(id => id.equals(userId))) {
+    reaction.users.pull(userId);
+    if (reaction.users.length === 0) {
+      comment.reactions.pull(reaction);
+    }
+  } else {
+    reaction.users.push(userId);
+  }
+
+  return comment;
+};
+
+// Instance method to get a page of comment threads: up to `limit` top-level comments that came
+// before another one (the newest ones by default), oldest first, each followed by its replies.
+// Returns null when the comment to start before is gone.
+taskSchema.methods.getCommentPage = function(beforeId = null, limit = 20) {
+  const threads = this.comments.filter(comment => !comment.parent);
+  const end = beforeId ? threads.findIndex(comment => comment._id.equals(beforeId)) : threads.length;
+  if (end === -1) {
+    return null;
+  }
+
+  const start = Math.max(0, end - limit);
+  const threadIds = threads.slice(start, end).map(comment => comment._id.toString());
+
+  return {
+    comments: this.comments.filter(comment => threadIds.includes((comment.parent || comment._id).toString())),
+    hasMore: start > 0
+  };
+};
+
+// Instance method to put checklist items that are in no named checklist in the first one,
+// which is created when the task has none
+taskSchema.methods.groupChecklistItems = function() {
+  const checklistIds = this.checklists.map(checklist => checklist._id.toString());
+  const loose = this.checklist.filter(item => !item.checklistId || !checklistIds.includes(item.checklistId.toString()));
+  if (loose.length === 0) {
+    return this;
+  }
+
+  if (this.checklists.length === 0) {
+    this.checklists.push({ title: DEFAULT_CHECKLIST_TITLE });
+  }
+  loose.forEach(item => {
+    item.checklistId = this.checklists[0]._id;
+  });
+  return this;
+};
+
+// Instance method to add a named checklist
+taskSchema.methods.addChecklist = function(title) {
+  this.groupChecklistItems();
+  this.checklists.push({ title });
+  return this;
+};
+
+// Instance method to remove a named checklist with its items
+taskSchema.methods.removeChecklist = function(checklistId) {
+  this.checklists = this.checklists.filter(checklist => checklist._id.toString() !== checklistId.toString());
+  this.checklist = this.checklist.filter(item => !item.checklistId || item.checklistId.toString() !== checklistId.toString());
+  return this;
+};
+
+// Instance method to get the items of a named checklist, in order
+taskSchema.methods.getChecklistItems = function(checklistId) {
+  return this.checklist.filter(item => item.checklistId && item.checklistId.toString() === checklistId.toString());
+};
+
+// Instance method to add checklist item, to the first checklist unless one is given
+taskSchema.methods.addChecklistItem = function(text, checklistId) {
+  this.groupChecklistItems();
+  if (!checklistId && this.checklists.length === 0) {
+    this.checklists.push({ title: DEFAULT_CHECKLIST_TITLE });
+  }
+
   this.checklist.push({
+    checklistId: checklistId || this.checklists[0]._id,
     text: text,
     isCompleted: false
   });
   return this;
 };
 
+// Instance method to put the items of a named checklist in the given order. Items keep the
+// places the checklist's items had among all items.
+taskSchema.methods.reorderChecklistItems = function(checklistId, itemIds) {
+  const items = this.getChecklistItems(checklistId);
+  const ordered = itemIds.map(itemId => items.find(item => item._id.toString() === itemId.toString()));
+  let next = 0;
+
+  this.checklist = this.checklist.map(item => (
+    items.includes(item) ? ordered[next++] : item
+  ));
+  return this;
+};
+
+// Instance method to put the named checklists in the given order
+taskSchema.methods.reorderChecklists = function(checklistIds) {
+  this.checklists = checklistIds.map(checklistId => this.checklists.id(checklistId));
+  return this;
+};
+
 // Instance method to toggle checklist item
 taskSchema.methods.toggleChecklistItem = function(itemId, userId) {
   const item = this.checklist.id(itemId);
@@ -310,14 +509,17 @@ taskSchema.methods.markIncomplete = function() {
   return this;
 };
 
+// Instance method to get a user's running time entry, if any
+taskSchema.methods.getActiveTimeEntry = function(userId) {
+  return this.timeEntries.find(entry =>
+    entry.user.toString() === userId.toString() && !entry.endTime
+  );
+};
+
 // Instance method to start time tracking
 taskSchema.methods.startTimeTracking = function(userId, description = '') {
   // Check if user already has an active time entry
-  const activeEntry = this.timeEntries.find(entry => 
-    entry.user.toString() === userId.toString() && !entry.endTime
-  );
-  
-  if (activeEntry) {
+  if (this.getActiveTimeEntry(userId)) {
     throw new Error('User already has an active time entry for this task');
   }
 
@@ -331,9 +533,7 @@ taskSchema.methods.startTimeTracking = function(userId, description = '') {
 
 // Instance method to stop time tracking
 taskSchema.methods.stopTimeTracking = function(userId) {
-  const activeEntry = this.timeEntries.find(entry => 
-    entry.user.toString() === userId.toString() && !entry.endTime
-  );
+  const activeEntry = this.getActiveTimeEntry(userId);
   
   if (!activeEntry) {
     throw new Error('No active time entry found for this user');
@@ -342,9 +542,40 @@ taskSchema.methods.stopTimeTracking = function(userId) {
   activeEntry.endTime = new Date();
   activeEntry.duration = Math.round((activeEntry.endTime - activeEntry.startTime) / (1000 * 60)); // in minutes
   
-  // Update actual hours
-  this.actualHours = (this.actualHours || 0) + (activeEntry.duration / 60);
-  
+  return this.updateActualHours();
+};
+
+// Instance method to add a finished time entry, e.g. time that was not tracked with the timer
+taskSchema.methods.addTimeEntry = function(userId, startTime, endTime, description = '') {
+  this.timeEntries.push({
+    user: userId,
+    startTime: startTime,
+    endTime: endTime,
+    duration: Math.round((endTime - startTime) / (1000 * 60)),
+    description: description
+  });
+  return this.updateActualHours();
+};
+
+// Instance method to change a time entry, a running entry stays running unless it gets an end
+taskSchema.methods.updateTimeEntry = function(entryId, { startTime, endTime, description }) {
+  const entry = this.timeEntries.id(entryId);
+  if (startTime !== undefined) entry.startTime = startTime;
+  if (endTime !== undefined) entry.endTime = endTime;
+  if (description !== undefined) entry.description = description;
+  entry.duration = entry.endTime ? Math.round((entry.endTime - entry.startTime) / (1000 * 60)) : 0;
+  return this.updateActualHours();
+};
+
+// Instance method to remove a time entry
+taskSchema.methods.removeTimeEntry = function(entryId) {
+  this.timeEntries.pull(entryId);
+  return this.updateActualHours();
+};
+
+// Instance method to set actual hours from the finished time entries
+taskSchema.methods.updateActualHours = function() {
+  this.actualHours = Math.round((this.getTotalTimeSpent() / 60) * 100) / 100;
   return this;
 };
 
@@ -362,6 +593,9 @@ taskSchema.methods.getTimeSpentByUser = function(userId) {
     .reduce((total, entry) => total + (entry.duration || 0), 0);
 };
 
+taskSchema.statics.DESCRIPTION_MAX_LENGTH = DESCRIPTION_MAX_LENGTH;
+taskSchema.statics.COMMENT_REACTIONS = COMMENT_REACTIONS;
+
 // Static method to find tasks by list
 taskSchema.statics.findByList = function(listId) {
   return this.find({ 
@@ -369,7 +603,7 @@ taskSchema.statics.findByList = function(listId) {
     isArchived: false 
   }).populate('assignedTo', 'username email firstName lastName avatar')
     .populate('createdBy', 'username email firstName lastName avatar')
-    .populate('comments.author', 'username email firstName lastName avatar')
+    .select('-comments')
     .sort({ position: 1 });
 };
 
@@ -384,6 +618,32 @@ taskSchema.statics.findByBoard = function(boardId) {
     .sort({ createdAt: -1 });
 };
 
+// Static method to find the task a user has a timer running on, there is at most one
+taskSchema.statics.findRunningTimer = function(userId) {
+  return this.findOne({
+    timeEntries: { $elemMatch: { user: userId, endTime: null } }
+  });
+};
+
+// Static method to sum the sizes of all files attached to a board's tasks, in bytes
+taskSchema.statics.getAttachmentBytes = async function(boardId) {
+  const [usage] = await this.aggregate([
+    { $match: { board: new mongoose.Types.ObjectId(boardId.toString()) } },
+    { $unwind: '$attachments' },
+    { $group: { _id: null, bytes: { $sum: '$attachments.size' } } }
+  ]);
+
+  return usage ? usage.bytes : 0;
+};
+
+// Static method to count the comments of tasks saved before the count was stored
+taskSchema.statics.backfillCommentCounts = function() {
+  return this.updateMany(
+    { commentCount: { $exists: false } },
+    [{ $set: { commentCount: { $size: { $ifNull: ['$comments', []] } } } }]
+  );
+};
+
 // Static method to get next position in list
 taskSchema.statics.getNextPosition = async function(listId) {
   const lastTask = await this.findOne({ list: listId })
@@ -400,6 +660,10 @@ taskSchema.pre('save', function(next) {
   } else if (!this.isCompleted && this.completedAt) {
     this.completedAt = undefined;
   }
+  // Tasks loaded without their comments keep the count they have
+  if (this.isSelected('comments')) {
+    this.commentCount = this.comments.length;
+  }
   next();
 });
 
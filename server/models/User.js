@@ -1,5 +1,36 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+
+const PASSWORD_RESET_TTL = 60 * 60 * 1000; // 1 hour
+
+// Events a user can choose notification channels for
+const NOTIFICATION_EVENTS = ['taskAssigned', 'taskDue', 'taskComment', 'mention', 'boardInvitation'];
+const NOTIFICATION_CHANNELS = ['inApp', 'email', 'push'];
+const DATE_FORMATS = ['MMM d, yyyy', 'd MMM yyyy', 'MM/dd/yyyy', 'dd/MM/yyyy', 'yyyy-MM-dd'];
+const LOCALES = ['en-US', 'en-GB', 'de', 'fr', 'es'];
+
+// Username of the "Deleted user" account, with a space the usernames people choose cannot have
+const DELETED_USER_USERNAME = 'deleted user';
+
+// IANA time zone names, e.g. "Europe/Berlin"
+const isValidTimezone = (timezone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Every channel is on until the user turns it off
+const notificationChannelsSchema = new mongoose.Schema(
+  NOTIFICATION_CHANNELS.reduce((fields, channel) => ({
+    ...fields,
+    [channel]: { type: Boolean, default: true }
+  }), {}),
+  { _id: false }
+);
 
 const userSchema = new mongoose.Schema({
   username: {
@@ -37,13 +68,135 @@ const userSchema = new mongoose.Schema({
     type: String,
     default: ''
   },
+  // Square renditions of an uploaded avatar (32, 64 and 256px); avatar holds the largest
+  avatarVariants: {
+    small: String,
+    medium: String,
+    large: String
+  },
+  // Storage keys of the uploaded avatar files, to delete them when the avatar changes
+  avatarKeys: {
+    type: [String],
+    select: false
+  },
   isActive: {
     type: Boolean,
     default: true
   },
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  emailVerifiedAt: {
+    type: Date
+  },
+  emailVerificationSentAt: {
+    type: Date
+  },
   lastLogin: {
     type: Date,
     default: Date.now
+  },
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    secret: {
+      type: String,
+      select: false
+    },
+    pendingSecret: {
+      type: String,
+      select: false
+    },
+    // Last TOTP time step accepted, so a code cannot be used twice
+    lastUsedStep: {
+      type: Number,
+      select: false
+    },
+    recoveryCodes: {
+      type: [{
+        codeHash: String,
+        usedAt: Date
+      }],
+      select: false
+    },
+    enabledAt: Date
+  },
+  // Failed login tracking for brute-force protection
+  loginProtection: {
+    failedAttempts: {
+      type: Number,
+      default: 0
+    },
+    lastFailedAt: Date,
+    lockedUntil: Date,
+    unlockToken: {
+      type: String,
+      select: false
+    }
+  },
+  // Accounts at external OpenID Connect providers this user signs in with
+  ssoIdentities: [{
+    issuer: {
+      type: String,
+      required: true
+    },
+    subject: {
+      type: String,
+      required: true
+    },
+    linkedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  preferences: {
+    timezone: {
+      type: String,
+      default: 'UTC',
+      validate: [isValidTimezone, 'Timezone must be a valid IANA time zone']
+    },
+    dateFormat: {
+      type: String,
+      enum: DATE_FORMATS,
+      default: 'MMM d, yyyy'
+    },
+    // 0 = Sunday, 1 = Monday, 6 = Saturday
+    weekStartsOn: {
+      type: Number,
+      enum: [0, 1, 6],
+      default: 1
+    },
+    locale: {
+      type: String,
+      enum: LOCALES,
+      default: 'en-US'
+    },
+    // Board opened after signing in instead of the dashboard
+    defaultBoard: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Board',
+      default: null
+    },
+    notifications: NOTIFICATION_EVENTS.reduce((fields, event) => ({
+      ...fields,
+      [event]: { type: notificationChannelsSchema, default: () => ({}) }
+    }), {})
+  },
+  // Marks the shared account that content of deleted users is reassigned to
+  isDeletedUserPlaceholder: {
+    type: Boolean,
+    default: false
+  },
+  passwordResetToken: {
+    type: String,
+    select: false
+  },
+  passwordResetExpires: {
+    type: Date,
+    select: false
   }
 }, {
   timestamps: true
@@ -52,6 +205,7 @@ const userSchema = new mongoose.Schema({
 // Index for better query performance
 userSchema.index({ email: 1 });
 userSchema.index({ username: 1 });
+userSchema.index({ 'ssoIdentities.issuer': 1, 'ssoIdentities.subject': 1 });
 
 // Hash password before saving
 userSchema.pre('save', async function(next) {
@@ -82,12 +236,147 @@ userSchema.methods.getPublicProfile = function() {
     firstName: this.firstName,
     lastName: this.lastName,
     avatar: this.avatar,
+    avatarVariants: this.avatarVariants,
     isActive: this.isActive,
+    emailVerified: this.emailVerified,
+    twoFactorEnabled: Boolean(this.twoFactor && this.twoFactor.enabled),
+    ssoLinked: Boolean(this.ssoIdentities && this.ssoIdentities.length > 0),
+    preferences: this.preferences,
     createdAt: this.createdAt,
     lastLogin: this.lastLogin
   };
 };
 
+// Instance method to replace the avatar, returns the storage keys of files no longer used
+userSchema.methods.setAvatar = function(avatar, variants = {}, keys = []) {
+  const previousKeys = this.avatarKeys || [];
+
+  this.avatar = avatar;
+  this.avatarVariants = variants;
+  this.avatarKeys = keys;
+
+  return previousKeys;
+};
+
+// Instance method to create a single-use password reset token, returns the raw token
+userSchema.methods.createPasswordResetToken = function() {
+  const resetToken = crypto.randomBytes(32).toString('hex');
+
+  this.passwordResetToken = crypto.createHash('sha256').update(resetToken).digest('hex');
+  this.passwordResetExpires = new Date(Date.now() + PASSWORD_RESET_TTL);
+
+  return resetToken;
+};
+
+// Instance method to invalidate the password reset token
+userSchema.methods.clearPasswordResetToken = function() {
+  this.passwordResetToken = undefined;
+  this.passwordResetExpires = undefined;
+  return this;
+};
+
+// Instance method to mark the current email address as verified
+userSchema.methods.markEmailVerified = function() {
+  this.emailVerified = true;
+  this.emailVerifiedAt = new Date();
+  return this;
+};
+
+// Instance method to accept a TOTP time step once, returns false for a replayed code
+userSchema.methods.consumeTwoFactorStep = function(step) {
+  if (step === null || (this.twoFactor.lastUsedStep && step <= this.twoFactor.lastUsedStep)) {
+    return false;
+  }
+
+  this.twoFactor.lastUsedStep = step;
+  return true;
+};
+
+// Instance method to mark a recovery code as used, returns false if it is unknown or already used
+userSchema.methods.consumeRecoveryCode = function(codeHash) {
+  const recoveryCode = (this.twoFactor.recoveryCodes || [])
+    .find(entry => entry.codeHash === codeHash && !entry.usedAt);
+
+  if (!recoveryCode) {
+    return false;
+  }
+
+  recoveryCode.usedAt = new Date();
+  return true;
+};
+
+// Instance method to turn off two-factor authentication and forget its secrets
+userSchema.methods.disableTwoFactor = function() {
+  this.twoFactor = { enabled: false };
+  return this;
+};
+
+// Instance method to check whether the user wants an event delivered over a channel
+userSchema.methods.wantsNotification = function(event, channel) {
+  const channels = this.preferences && this.preferences.notifications && this.preferences.notifications[event];
+  return !channels || channels[channel] !== false;
+};
+
+// Instance method to check whether the email verification policy blocks an action for this user
+userSchema.methods.isBlockedByEmailPolicy = function(action) {
+  return !this.emailVerified && this.constructor.requiresVerifiedEmailFor(action);
+};
+
+// Static method to check whether REQUIRE_VERIFIED_EMAIL lists an action ('invitations', 'notifications')
+userSchema.statics.requiresVerifiedEmailFor = function(action) {
+  return (process.env.REQUIRE_VERIFIED_EMAIL || '')
+    .split(',')
+    .map(entry => entry.trim())
+    .includes(action);
+};
+
+// Static method to find user by a raw, unexpired password reset token
+userSchema.statics.findByPasswordResetToken = function(resetToken) {
+  return this.findOne({
+    passwordResetToken: crypto.createHash('sha256').update(resetToken).digest('hex'),
+    passwordResetExpires: { $gt: new Date() }
+  }).select('+passwordResetToken +passwordResetExpires');
+};
+
+// Instance method to create a token for the "unlock your account" email, returns the raw token
+userSchema.methods.createUnlockToken = function() {
+  const unlockToken = crypto.randomBytes(32).toString('hex');
+  this.loginProtection.unlockToken = crypto.createHash('sha256').update(unlockToken).digest('hex');
+  return unlockToken;
+};
+
+// Instance method to reset failed login tracking and lift a lockout
+userSchema.methods.clearLoginFailures = function() {
+  this.loginProtection = { failedAttempts: 0 };
+  return this;
+};
+
+// Static method to find a locked user by a raw unlock token
+userSchema.statics.findByUnlockToken = function(unlockToken) {
+  return this.findOne({
+    'loginProtection.unlockToken': crypto.createHash('sha256').update(unlockToken).digest('hex')
+  });
+};
+
+// Instance method to link an external SSO account
+userSchema.methods.linkSsoIdentity = function(issuer, subject) {
+  const alreadyLinked = this.ssoIdentities.some(identity =>
+    identity.issuer === issuer && identity.subject === subject
+  );
+
+  if (!alreadyLinked) {
+    this.ssoIdentities.push({ issuer, subject });
+  }
+  return this;
+};
+
+// Static method to find user by a linked SSO account
+userSchema.statics.findBySsoIdentity = function(issuer, subject) {
+  return this.findOne({
+    ssoIdentities: { $elemMatch: { issuer, subject } }
+  });
+};
+
 // Static method to find user by email or username
 userSchema.statics.findByEmailOrUsername = function(identifier) {
   return this.findOne({
@@ -98,4 +387,36 @@ userSchema.statics.findByEmailOrUsername = function(identifier) {
   });
 };
 
+// Static method to get (or create) the inactive "Deleted user" account that keeps
+// comments, activity and time entries of deleted users anonymous but intact. No one can
+// register its username, or guess its email on a reserved domain, before it is created.
+userSchema.statics.getDeletedUserPlaceholder = function() {
+  return this.findOneAndUpdate(
+    { isDeletedUserPlaceholder: true },
+    {
+      // Also renames placeholders created with a name people can register
+      $set: {
+        username: DELETED_USER_USERNAME
+      },
+      $setOnInsert: {
+        email: `deleted-user-${crypto.randomBytes(8).toString('hex')}@example.com`,
+        // Not a bcrypt hash, so no password ever matches it
+        password: crypto.randomBytes(32).toString('hex'),
+        firstName: 'Deleted',
+        lastName: 'user',
+        isActive: false
+      }
+    },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+};
+
+// Two-factor fields are not selected by default
+userSchema.statics.TWO_FACTOR_FIELDS = '+twoFactor.secret +twoFactor.lastUsedStep +twoFactor.recoveryCodes';
+userSchema.statics.NOTIFICATION_EVENTS = NOTIFICATION_EVENTS;
+userSchema.statics.NOTIFICATION_CHANNELS = NOTIFICATION_CHANNELS;
+userSchema.statics.DATE_FORMATS = DATE_FORMATS;
+userSchema.statics.LOCALES = LOCALES;
+userSchema.statics.isValidTimezone = isValidTimezone;
+
 module.exports = mongoose.model('User', userSchema);
\ No newline at end of file
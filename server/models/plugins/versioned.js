@@ -0,0 +1,49 @@
+// Same value for the purpose of a version conflict: dates by time, everything else as text
+const isSameValue = (value, current) => {
+  if (current instanceof Date) {
+    return Boolean(value) && new Date(value).getTime() === current.getTime();
+  }
+
+  const asText = (item) => (item === undefined || item === null ? '' : String(item));
+  return asText(value) === asText(current);
+};
+
+// Schema plugin for documents people edit at the same time. Adds a version number that goes up
+// whenever one of the given fields changes, and makes such a save fail with a
+// DocumentNotFoundError when someone else changed them since the document was loaded.
+const versioned = (schema, { fields }) => {
+  schema.add({
+    version: {
+      type: Number,
+      default: 0
+    }
+  });
+
+  schema.pre('save', function(next) {
+    // Only this save is conditional, not later ones of the same document
+    this.$where = { ...this.$where };
+    delete this.$where.version;
+
+    if (!this.isNew && fields.some(field => this.isModified(field))) {
+      // Documents from before versioning have no version stored yet
+      this.$where.version = this.version || { $in: [0, null] };
+      this.version += 1;
+    }
+    next();
+  });
+
+  // Instance method to check changes made to an older version. Returns the versioned fields
+  // they would change that differ from this document, as { field, yours, current }, or an
+  // empty array when they can be applied.
+  schema.methods.getVersionConflicts = function(expectedVersion, changes) {
+    if (expectedVersion === null || expectedVersion === this.version) {
+      return [];
+    }
+
+    return fields
+      .filter(field => changes[field] !== undefined && !isSameValue(changes[field], this.get(field)))
+      .map(field => ({ field, yours: changes[field], current: this.get(field) }));
+  };
+};
+
+module.exports = versioned;
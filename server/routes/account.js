@@ -0,0 +1,165 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, validationResult } = require('express-validator');
+const User = require('../models/User');
+const SsoLogin = require('../models/SsoLogin');
+const accountService = require('../services/accountService');
+const twoFactorService = require('../services/twoFactorService');
+const { auth } = require('../middleware/auth');
+const { closeBoardRoom, userRoom } = require('../sockets/boardRooms');
+const { publishBoardEvent } = require('../sockets/boardEvents');
+
+const router = express.Router();
+
+// Check that the person deleting an account is its owner: with the password, or for accounts
+// linked to single sign-on, which may never have had a password, with a fresh sign-in at the
+// provider or a two-factor code. Returns an error message or null.
+const confirmAccountOwner = async (user, { password, code, ssoCode }) => {
+  if (password) {
+    return (await user.comparePassword(password)) ? null : 'Password is incorrect';
+  }
+
+  const ssoLinked = user.ssoIdentities.length > 0;
+  if (ssoLinked && ssoCode) {
+    const ssoLogin = await SsoLogin.consumeExchangeCode(ssoCode);
+    const confirmed = ssoLogin && ssoLogin.purpose === 'reauth' && ssoLogin.user && ssoLogin.user.equals(user._id);
+    return confirmed ? null : 'Single sign-on confirmation has expired, please try again';
+  }
+
+  if (ssoLinked && code && user.twoFactor.enabled) {
+    if (!twoFactorService.verifyUserCode(user, code)) {
+      return 'Invalid authentication code';
+    }
+    await user.save();
+    return null;
+  }
+
+  return 'Password is required';
+};
+
+// @route   GET /api/account/export
+// @desc    Download everything stored about the current user as a ZIP of JSON files
+// @access  Private
+router.get('/export', auth, async (req, res) => {
+  try {
+    const date = new Date().toISOString().slice(0, 10);
+
+    res.set({
+      'Content-Type': 'application/zip',
+      'Content-Disposition': `attachment; filename="collab-app-export-${req.user.username}-${date}.zip"`
+    });
+
+    await accountService.writeExportArchive(req.user, res);
+
+  } catch (error) {
+    console.error('Export account data error:', error);
+    // Once the ZIP started streaming the status can no longer change
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+    res.status(500).json({
+      message: 'Server error exporting account data'
+    });
+  }
+});
+
+// @route   GET /api/account/owned-boards
+// @desc    Get boards owned by the current user and who ownership could go to
+// @access  Private
+router.get('/owned-boards', auth, async (req, res) => {
+  try {
+    const boards = await accountService.getOwnedBoards(req.user._id);
+
+    res.json({
+      message: 'Owned boards retrieved successfully',
+      boards
+    });
+
+  } catch (error) {
+    console.error('Get owned boards error:', error);
+    res.status(500).json({
+      message: 'Server error retrieving owned boards'
+    });
+  }
+});
+
+// @route   DELETE /api/account
+// @desc    Delete the current user's account
+// @access  Private
+router.delete('/', [
+  auth,
+  body('password')
+    .optional()
+    .isString()
+    .withMessage('Password must be a string'),
+  body('code')
+    .optional()
+    .isString()
+    .withMessage('Authentication code must be a string'),
+  body('ssoCode')
+    .optional()
+    .isString()
+    .withMessage('Single sign-on code must be a string'),
+  body('boardTransfers')
+    .optional()
+    .isObject()
+    .withMessage('Board transfers must map board IDs to new owner IDs')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { boardTransfers = {} } = req.body;
+
+    const user = await User.findById(req.user._id).select(User.TWO_FACTOR_FIELDS);
+    const refusal = await confirmAccountOwner(user, req.body);
+    if (refusal) {
+      return res.status(400).json({
+        message: refusal
+      });
+    }
+
+    // Ownership can only go to a current member of a board the user owns
+    const ownedBoards = await accountService.getOwnedBoards(user._id);
+    for (const [boardId, newOwnerId] of Object.entries(boardTransfers)) {
+      const board = ownedBoards.find(owned => owned._id.toString() === boardId);
+      const isMember = board && mongoose.Types.ObjectId.isValid(newOwnerId) &&
+        board.members.some(member => member.user && member.user._id.toString() === newOwnerId);
+
+      if (!isMember) {
+        return res.status(400).json({
+          message: 'Boards can only be transferred to one of their members'
+        });
+      }
+    }
+
+    const { deletedBoards, transferredBoards } = await accountService.deleteAccount(user, boardTransfers);
+
+    // Emit real-time events
+    deletedBoards.forEach(boardId => {
+      publishBoardEvent(req.io, boardId, 'board.deleted', {}, user);
+      closeBoardRoom(req.io, boardId);
+    });
+    req.io.in(userRoom(user._id)).disconnectSockets(true);
+
+    res.json({
+      message: 'Your account has been deleted',
+      deletedBoards: deletedBoards.length,
+      transferredBoards: transferredBoards.length
+    });
+
+  } catch (error) {
+    console.error('Delete account error:', error);
+    res.status(500).json({
+      message: 'Server error deleting account'
+    });
+  }
+});
+
+module.exports = router;
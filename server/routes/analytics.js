@@ -1,11 +1,11 @@
 const express = require('express');
 const router = express.Router();
-const auth = require('../middleware/auth');
-const boardAccess = require('../middleware/boardAccess');
+const { auth, requireScope } = require('../middleware/auth');
+const { checkBoardAccess } = require('../middleware/boardAccess');
 const analyticsService = require('../services/analyticsService');
 
 // Get board analytics
-router.get('/board/:boardId', auth, boardAccess, async (req, res) => {
+router.get('/board/:boardId', auth, checkBoardAccess('viewer', 'analytics:read'), async (req, res) => {
   try {
     const { boardId } = req.params;
     const analytics = await analyticsService.getBoardAnalytics(boardId, req.user.id);
@@ -18,7 +18,7 @@ router.get('/board/:boardId', auth, boardAccess, async (req, res) => {
 });
 
 // Get user productivity analytics
-router.get('/user/productivity', auth, async (req, res) => {
+router.get('/user/productivity', auth, requireScope('analytics:read'), async (req, res) => {
   try {
     const { timeframe = '30d' } = req.query;
     
@@ -90,7 +90,7 @@ router.get('/user/productivity', auth, async (req, res) => {
 });
 
 // Get team analytics for a board
-router.get('/team/:boardId', auth, boardAccess, async (req, res) => {
+router.get('/team/:boardId', auth, checkBoardAccess('viewer', 'analytics:read'), async (req, res) => {
   try {
     const { boardId } = req.params;
     const Board = require('../models/Board');
@@ -145,7 +145,7 @@ router.get('/team/:boardId', auth, boardAccess, async (req, res) => {
 });
 
 // Get time tracking analytics
-router.get('/time-tracking/:boardId', auth, boardAccess, async (req, res) => {
+router.get('/time-tracking/:boardId', auth, checkBoardAccess('viewer', 'analytics:read'), async (req, res) => {
   try {
     const { boardId } = req.params;
     const Board = require('../models/Board');
@@ -191,7 +191,7 @@ router.get('/time-tracking/:boardId', auth, boardAccess, async (req, res) => {
 });
 
 // Export analytics data
-router.get('/export/:boardId', auth, boardAccess, async (req, res) => {
+router.get('/export/:boardId', auth, checkBoardAccess('viewer', 'analytics:read'), async (req, res) => {
   try {
     const { boardId } = req.params;
     const { format = 'json' } = req.query;
@@ -200,7 +200,7 @@ router.get('/export/:boardId', auth, boardAccess, async (req, res) => {
     
     if (format === 'csv') {
       // Convert to CSV format
-      const csv = this.convertToCSV(analytics);
+      const csv = convertToCSV(analytics);
       res.setHeader('Content-Type', 'text/csv');
       res.setHeader('Content-Disposition', `attachment; filename="board-analytics-${boardId}.csv"`);
       res.send(csv);
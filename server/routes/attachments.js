@@ -0,0 +1,201 @@
+const express = require('express');
+const Task = require('../models/Task');
+const Board = require('../models/Board');
+const { auth } = require('../middleware/auth');
+const { checkBoardAccess } = require('../middleware/boardAccess');
+const { publishBoardEvent } = require('../sockets/boardEvents');
+const fileUploadService = require('../services/fileUploadService');
+const attachmentService = require('../services/attachmentService');
+
+// Mounted under /api/boards/:boardId/tasks/:taskId/attachments
+const router = express.Router({ mergeParams: true });
+
+const MAX_FILES_PER_UPLOAD = 10;
+
+const UPLOADER_FIELDS = 'username email firstName lastName avatar';
+
+// Accept up to ten files in the "files" field, answering upload problems with a 400
+const receiveFiles = (req, res, next) => {
+  fileUploadService.upload.array('files', MAX_FILES_PER_UPLOAD)(req, res, (error) => {
+    if (error) {
+      const messages = {
+        LIMIT_FILE_SIZE: 'Files cannot exceed 10MB',
+        LIMIT_UNEXPECTED_FILE: `At most ${MAX_FILES_PER_UPLOAD} files can be uploaded at once`
+      };
+      return res.status(400).json({
+        message: messages[error.code] || error.message
+      });
+    }
+    next();
+  });
+};
+
+// The task of the URL, as long as it is on the board of the URL
+const findBoardTask = async (req, res, select = '') => {
+  const task = await Task.findOne({ _id: req.params.taskId, board: req.board._id }).select(select);
+  if (!task) {
+    res.status(404).json({
+      message: 'Task not found'
+    });
+  }
+  return task;
+};
+
+// @route   GET /api/boards/:boardId/tasks/:taskId/attachments
+// @desc    Get the files attached to a task and how much of the board's quota is used
+// @access  Private
+router.get('/', auth, checkBoardAccess('viewer', 'tasks:read'), async (req, res) => {
+  try {
+    const task = await findBoardTask(req, res);
+    if (!task) return;
+
+    await task.populate('attachments.uploadedBy', UPLOADER_FIELDS);
+
+    res.json({
+      attachments: task.attachments,
+      usage: await attachmentService.getBoardUsage(req.board._id)
+    });
+
+  } catch (error) {
+    console.error('Get attachments error:', error);
+    res.status(500).json({
+      message: 'Server error retrieving attachments'
+    });
+  }
+});
+
+// @route   POST /api/boards/:boardId/tasks/:taskId/attachments
+// @desc    Upload files and attach them to a task
+// @access  Private
+router.post('/', auth, checkBoardAccess('member', 'tasks:write'), receiveFiles, async (req, res) => {
+  try {
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({
+        message: 'At least one file is required'
+      });
+    }
+
+    const task = await findBoardTask(req, res, '+attachments.key');
+    if (!task) return;
+
+    const added = await attachmentService.addAttachments(task, req.files, req.user._id);
+    await task.populate('attachments.uploadedBy', UPLOADER_FIELDS);
+    const attachments = added.map(attachment => attachmentService.toClient(attachment));
+
+    req.board.addActivity(
+      req.user._id,
+      'added attachment',
+      `Attached ${attachments.map(attachment => `"${attachment.originalName}"`).join(', ')} to task "${task.title}"`
+    );
+    await req.board.save();
+
+    publishBoardEvent(req.io, req.board._id, 'attachment.added', {
+      taskId: task._id,
+      attachments
+    }, req.user);
+
+    res.status(201).json({
+      message: 'Files attached successfully',
+      attachments,
+      usage: await attachmentService.getBoardUsage(req.board._id)
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        message: error.message
+      });
+    }
+
+    console.error('Upload attachments error:', error);
+    res.status(500).json({
+      message: 'Server error uploading attachments'
+    });
+  }
+});
+
+// @route   GET /api/boards/:boardId/tasks/:taskId/attachments/:attachmentId/download
+// @desc    Download an attached file
+// @access  Private
+router.get('/:attachmentId/download', auth, checkBoardAccess('viewer', 'tasks:read'), async (req, res) => {
+  try {
+    const task = await findBoardTask(req, res, '+attachments.key');
+    if (!task) return;
+
+    const file = await attachmentService.openAttachment(task, req.params.attachmentId);
+    if (!file) {
+      return res.status(404).json({
+        message: 'Attachment not found'
+      });
+    }
+
+    if (file.redirect) {
+      return res.redirect(file.redirect);
+    }
+
+    res.attachment(file.attachment.originalName);
+    res.set('Content-Type', file.attachment.mimetype);
+    file.stream.on('error', (error) => {
+      console.error('Download attachment error:', error);
+      res.destroy(error);
+    });
+    file.stream.pipe(res);
+
+  } catch (error) {
+    console.error('Download attachment error:', error);
+    res.status(500).json({
+      message: 'Server error downloading attachment'
+    });
+  }
+});
+
+// @route   DELETE /api/boards/:boardId/tasks/:taskId/attachments/:attachmentId
+// @desc    Delete an attachment, by whoever uploaded it or a board admin
+// @access  Private
+router.delete('/:attachmentId', auth, checkBoardAccess('member', 'tasks:write'), async (req, res) => {
+  try {
+    const task = await findBoardTask(req, res, '+attachments.key');
+    if (!task) return;
+
+    const attachment = task.attachments.id(req.params.attachmentId);
+    if (!attachment) {
+      return res.status(404).json({
+        message: 'Attachment not found'
+      });
+    }
+
+    const isUploader = attachment.uploadedBy.toString() === req.user._id.toString();
+    if (!isUploader && Board.ROLE_LEVELS[req.userRole] < Board.ROLE_LEVELS.admin) {
+      return res.status(403).json({
+        message: 'Only the uploader or a board admin can delete this attachment'
+      });
+    }
+
+    await attachmentService.removeAttachment(task, attachment._id);
+
+    req.board.addActivity(
+      req.user._id,
+      'deleted attachment',
+      `Removed "${attachment.originalName}" from task "${task.title}"`
+    );
+    await req.board.save();
+
+    publishBoardEvent(req.io, req.board._id, 'attachment.deleted', {
+      taskId: task._id,
+      attachmentId: attachment._id
+    }, req.user);
+
+    res.json({
+      message: 'Attachment deleted successfully',
+      usage: await attachmentService.getBoardUsage(req.board._id)
+    });
+
+  } catch (error) {
+    console.error('Delete attachment error:', error);
+    res.status(500).json({
+      message: 'Server error deleting attachment'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,10 +1,79 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const { body, validationResult } = require('express-validator');
 const User = require('../models/User');
-const { auth, generateToken } = require('../middleware/auth');
+const Session = require('../models/Session');
+const SsoLogin = require('../models/SsoLogin');
+const Board = require('../models/Board');
+const notificationService = require('../services/notificationService');
+const twoFactorService = require('../services/twoFactorService');
+const oidcService = require('../services/oidcService');
+const loginProtectionService = require('../services/loginProtectionService');
+const fileUploadService = require('../services/fileUploadService');
+const {
+  auth,
+  generateToken,
+  createSessionTokens,
+  generateEmailVerificationToken,
+  verifyEmailVerificationToken,
+  generateTwoFactorChallengeToken,
+  verifyTwoFactorChallengeToken
+} = require('../middleware/auth');
+const { disconnectSession, disconnectUserSessions } = require('../sockets/boardRooms');
 
 const router = express.Router();
 
+// Minimum time between two verification emails for the same user
+const VERIFICATION_RESEND_INTERVAL = 60 * 1000;
+
+// Email a signed verification link for the user's current address
+const sendVerificationEmail = async (user) => {
+  const verificationToken = generateEmailVerificationToken(user);
+  const verifyUrl = `${process.env.CLIENT_URL || 'http://localhost:3000'}/verify-email?token=${verificationToken}`;
+
+  await notificationService.sendEmailVerificationEmail(user, verifyUrl);
+
+  user.emailVerificationSentAt = new Date();
+  await user.save();
+};
+
+// Send the browser back to the client app, e.g. after a single sign-on attempt
+const redirectToClient = (res, path, params) => {
+  const url = new URL(path, process.env.CLIENT_URL || 'http://localhost:3000');
+  Object.entries(params).forEach(([key, value]) => url.searchParams.set(key, value));
+  res.redirect(url.toString());
+};
+
+// Answer a login attempt refused by brute-force protection
+const sendLoginRefusal = (res, refusal) => {
+  const { status, body } = loginProtectionService.buildRefusal(refusal);
+  res.set('Retry-After', String(refusal.retryAfter));
+  res.status(status).json(body);
+};
+
+// Delete the files of a replaced avatar; a failure only leaves orphaned files behind
+const deleteAvatarFiles = (keys) => {
+  keys.forEach(key => {
+    fileUploadService.deleteStoredFile(key).catch(error => {
+      console.error('Delete avatar file error:', error);
+    });
+  });
+};
+
+// Accept a single image in the "avatar" field, answering upload problems with a 400
+const receiveAvatar = (req, res, next) => {
+  fileUploadService.imageUpload.single('avatar')(req, res, (error) => {
+    if (error) {
+      return res.status(400).json({
+        message: error.code === 'LIMIT_FILE_SIZE' ? 'Avatar image cannot exceed 5MB' : error.message
+      });
+    }
+    next();
+  });
+};
+
+const { TWO_FACTOR_FIELDS } = User;
+
 // @route   POST /api/auth/register
 // @desc    Register a new user
 // @access  Public
@@ -64,13 +133,21 @@ router.post('/register', [
 
     await user.save();
 
-    // Generate token
-    const token = generateToken(user._id);
+    // A failed verification email should not fail the signup, it can be resent
+    try {
+      await sendVerificationEmail(user);
+    } catch (error) {
+      console.error('Verification email error:', error);
+    }
+
+    // Start a session and generate tokens
+    const { token, refreshToken } = await createSessionTokens(user, req);
 
-    // Return user data and token
+    // Return user data and tokens
     res.status(201).json({
       message: 'User registered successfully',
       token,
+      refreshToken,
       user: user.getPublicProfile()
     });
 
@@ -117,7 +194,15 @@ router.post('/login', [
 
     // Find user by email or username
     const user = await User.findByEmailOrUsername(identifier);
+
+    // Refuse blocked IPs and locked or cooling-down accounts before looking at the password
+    const refusal = await loginProtectionService.checkAttempt(req, user);
+    if (refusal) {
+      return sendLoginRefusal(res, refusal);
+    }
+
     if (!user) {
+      await loginProtectionService.recordFailure(req, null, identifier);
       return res.status(400).json({
         message: 'Invalid credentials'
       });
@@ -133,21 +218,37 @@ router.post('/login', [
     // Check password
     const isMatch = await user.comparePassword(password);
     if (!isMatch) {
+      const lockout = await loginProtectionService.recordFailure(req, user, identifier);
+      if (lockout) {
+        return sendLoginRefusal(res, lockout);
+      }
+
       return res.status(400).json({
         message: 'Invalid credentials'
       });
     }
 
+    // Password is correct, but the second factor still has to be checked
+    if (user.twoFactor && user.twoFactor.enabled) {
+      return res.json({
+        message: 'Two-factor authentication required',
+        twoFactorRequired: true,
+        challengeToken: generateTwoFactorChallengeToken(user._id)
+      });
+    }
+
     // Update last login
+    loginProtectionService.recordSuccess(user);
     user.lastLogin = new Date();
     await user.save();
 
-    // Generate token
-    const token = generateToken(user._id);
+    // Start a session and generate tokens
+    const { token, refreshToken } = await createSessionTokens(user, req);
 
     res.json({
       message: 'Login successful',
       token,
+      refreshToken,
       user: user.getPublicProfile()
     });
 
@@ -159,41 +260,304 @@ router.post('/login', [
   }
 });
 
-// @route   GET /api/auth/me
-// @desc    Get current user
+// @route   GET /api/auth/sso/config
+// @desc    Tell the client whether single sign-on is available
+// @access  Public
+router.get('/sso/config', (req, res) => {
+  res.json({
+    enabled: oidcService.isEnabled(),
+    providerName: oidcService.getProviderName()
+  });
+});
+
+// @route   GET /api/auth/sso/login
+// @desc    Redirect to the OpenID Connect provider (authorization code flow with PKCE),
+//          ?purpose=reauth to confirm who a signed in user is instead of signing in
+// @access  Public
+router.get('/sso/login', async (req, res) => {
+  try {
+    if (!oidcService.isEnabled()) {
+      return res.status(404).json({
+        message: 'Single sign-on is not configured'
+      });
+    }
+
+    const purpose = req.query.purpose === 'reauth' ? 'reauth' : 'login';
+    const { url, state, nonce, codeVerifier } = await oidcService.createAuthorizationRequest({
+      reauthenticate: purpose === 'reauth'
+    });
+    await SsoLogin.start({ state, nonce, codeVerifier, purpose });
+
+    res.redirect(url);
+
+  } catch (error) {
+    console.error('SSO login error:', error);
+    redirectToClient(res, '/login', { ssoError: 'Single sign-on is unavailable right now' });
+  }
+});
+
+// @route   GET /api/auth/sso/callback
+// @desc    Handle the provider redirect and hand a one-time code to the client
+// @access  Public
+router.get('/sso/callback', async (req, res) => {
+  try {
+    if (req.query.error) {
+      return redirectToClient(res, '/login', {
+        ssoError: req.query.error_description || 'Single sign-on was cancelled'
+      });
+    }
+
+    const ssoLogin = await SsoLogin.findPendingByState(req.query.state || '');
+    if (!ssoLogin) {
+      return redirectToClient(res, '/login', { ssoError: 'Login attempt has expired, please try again' });
+    }
+
+    const claims = await oidcService.handleCallback(req, ssoLogin);
+
+    // Confirming who someone is only works for accounts already linked to the provider
+    if (ssoLogin.purpose === 'reauth') {
+      const linkedUser = await User.findBySsoIdentity(claims.issuer, claims.sub);
+      if (!linkedUser) {
+        return redirectToClient(res, '/sso/reauth', { ssoError: 'This account is not linked to single sign-on' });
+      }
+
+      const reauthCode = ssoLogin.complete(linkedUser._id);
+      await ssoLogin.save();
+      return redirectToClient(res, '/sso/reauth', { code: reauthCode });
+    }
+
+    const user = await oidcService.findOrCreateUser(claims);
+
+    if (!user.isActive) {
+      return redirectToClient(res, '/login', { ssoError: 'Account is deactivated' });
+    }
+
+    // Board roles from group claims should not block the login itself
+    try {
+      await oidcService.applyGroupRoles(user, claims);
+    } catch (error) {
+      console.error('SSO group role error:', error);
+    }
+
+    const exchangeCode = ssoLogin.complete(user._id);
+    await ssoLogin.save();
+
+    redirectToClient(res, '/sso/callback', { code: exchangeCode });
+
+  } catch (error) {
+    console.error('SSO callback error:', error);
+    redirectToClient(res, '/login', {
+      ssoError: error.expose ? error.message : 'Single sign-on failed'
+    });
+  }
+});
+
+// @route   POST /api/auth/sso/exchange
+// @desc    Exchange the one-time single sign-on code for tokens
+// @access  Public
+router.post('/sso/exchange', [
+  body('code')
+    .isString()
+    .notEmpty()
+    .withMessage('Code is required')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    // Codes that confirm who someone is do not start sessions
+    const ssoLogin = await SsoLogin.consumeExchangeCode(req.body.code);
+    if (!ssoLogin || !ssoLogin.user || ssoLogin.purpose === 'reauth') {
+      return res.status(401).json({
+        message: 'Login attempt has expired, please try again'
+      });
+    }
+
+    const user = await User.findById(ssoLogin.user);
+    if (!user || !user.isActive) {
+      return res.status(401).json({
+        message: 'Account is deactivated'
+      });
+    }
+
+    // The provider vouched for the user, but the second factor still has to be checked
+    if (user.twoFactor && user.twoFactor.enabled) {
+      return res.json({
+        message: 'Two-factor authentication required',
+        twoFactorRequired: true,
+        challengeToken: generateTwoFactorChallengeToken(user._id)
+      });
+    }
+
+    // Update last login
+    user.lastLogin = new Date();
+    await user.save();
+
+    // Start a session and generate tokens
+    const { token, refreshToken } = await createSessionTokens(user, req);
+
+    res.json({
+      message: 'Login successful',
+      token,
+      refreshToken,
+      user: user.getPublicProfile()
+    });
+
+  } catch (error) {
+    console.error('SSO exchange error:', error);
+    res.status(500).json({
+      message: 'Server error during login'
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/verify
+// @desc    Complete a two-factor login with an authenticator or recovery code
+// @access  Public
+router.post('/2fa/verify', [
+  body('challengeToken')
+    .isString()
+    .notEmpty()
+    .withMessage('Challenge token is required'),
+  body('code')
+    .trim()
+    .notEmpty()
+    .withMessage('Authentication code is required')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const decoded = verifyTwoFactorChallengeToken(req.body.challengeToken);
+    if (!decoded) {
+      return res.status(401).json({
+        message: 'Login attempt has expired, please sign in again'
+      });
+    }
+
+    const user = await User.findById(decoded.userId).select(TWO_FACTOR_FIELDS);
+    if (!user || !user.isActive || !user.twoFactor.enabled) {
+      return res.status(401).json({
+        message: 'Login attempt has expired, please sign in again'
+      });
+    }
+
+    // Wrong codes count towards the same lockout as wrong passwords
+    const refusal = await loginProtectionService.checkAttempt(req, user);
+    if (refusal) {
+      return sendLoginRefusal(res, refusal);
+    }
+
+    if (!twoFactorService.verifyUserCode(user, req.body.code)) {
+      const lockout = await loginProtectionService.recordFailure(req, user);
+      if (lockout) {
+        return sendLoginRefusal(res, lockout);
+      }
+
+      return res.status(400).json({
+        message: 'Invalid authentication code'
+      });
+    }
+
+    // Update last login
+    loginProtectionService.recordSuccess(user);
+    user.lastLogin = new Date();
+    await user.save();
+
+    // Start a session and generate tokens
+    const { token, refreshToken } = await createSessionTokens(user, req);
+
+    res.json({
+      message: 'Login successful',
+      token,
+      refreshToken,
+      user: user.getPublicProfile()
+    });
+
+  } catch (error) {
+    console.error('Two-factor verification error:', error);
+    res.status(500).json({
+      message: 'Server error during login'
+    });
+  }
+});
+
+// @route   GET /api/auth/2fa
+// @desc    Get two-factor authentication status
 // @access  Private
-router.get('/me', auth, async (req, res) => {
+router.get('/2fa', auth, async (req, res) => {
   try {
+    const user = await User.findById(req.user._id).select('+twoFactor.recoveryCodes');
+
     res.json({
-      user: req.user.getPublicProfile()
+      enabled: user.twoFactor.enabled,
+      enabledAt: user.twoFactor.enabledAt,
+      recoveryCodesRemaining: (user.twoFactor.recoveryCodes || []).filter(entry => !entry.usedAt).length
     });
+
   } catch (error) {
-    console.error('Get user error:', error);
+    console.error('Get two-factor status error:', error);
     res.status(500).json({
-      message: 'Server error getting user data'
+      message: 'Server error getting two-factor status'
     });
   }
 });
 
-// @route   PUT /api/auth/profile
-// @desc    Update user profile
+// @route   POST /api/auth/2fa/setup
+// @desc    Start two-factor enrollment and get the provisioning URI and QR code
 // @access  Private
-router.put('/profile', [
+router.post('/2fa/setup', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('+twoFactor.pendingSecret');
+
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    const secret = twoFactorService.generateSecret();
+    const provisioningUri = twoFactorService.getProvisioningUri(user, secret);
+
+    user.twoFactor.pendingSecret = secret;
+    await user.save();
+
+    res.json({
+      message: 'Scan the QR code with your authenticator app',
+      secret,
+      provisioningUri,
+      qrCode: await twoFactorService.generateQrCode(provisioningUri)
+    });
+
+  } catch (error) {
+    console.error('Two-factor setup error:', error);
+    res.status(500).json({
+      message: 'Server error setting up two-factor authentication'
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/enable
+// @desc    Confirm enrollment with a first code and get recovery codes
+// @access  Private
+router.post('/2fa/enable', [
   auth,
-  body('firstName')
-    .optional()
-    .trim()
-    .isLength({ max: 50 })
-    .withMessage('First name cannot exceed 50 characters'),
-  body('lastName')
-    .optional()
+  body('code')
     .trim()
-    .isLength({ max: 50 })
-    .withMessage('Last name cannot exceed 50 characters'),
-  body('avatar')
-    .optional()
-    .isURL()
-    .withMessage('Avatar must be a valid URL')
+    .notEmpty()
+    .withMessage('Authentication code is required')
 ], async (req, res) => {
   try {
     // Check for validation errors
@@ -205,40 +569,67 @@ router.put('/profile', [
       });
     }
 
-    const { firstName, lastName, avatar } = req.body;
-    const user = req.user;
+    const user = await User.findById(req.user._id).select(`${TWO_FACTOR_FIELDS} +twoFactor.pendingSecret`);
 
-    // Update user fields
-    if (firstName !== undefined) user.firstName = firstName;
-    if (lastName !== undefined) user.lastName = lastName;
-    if (avatar !== undefined) user.avatar = avatar;
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    if (!user.twoFactor.pendingSecret) {
+      return res.status(400).json({
+        message: 'Start two-factor setup first'
+      });
+    }
+
+    const step = twoFactorService.verifyCode(user.twoFactor.pendingSecret, req.body.code);
+    if (step === null) {
+      return res.status(400).json({
+        message: 'Invalid authentication code'
+      });
+    }
 
+    const recoveryCodes = twoFactorService.generateRecoveryCodes();
+
+    user.twoFactor = {
+      enabled: true,
+      secret: user.twoFactor.pendingSecret,
+      lastUsedStep: step,
+      recoveryCodes: recoveryCodes.map(code => ({ codeHash: twoFactorService.hashRecoveryCode(code) })),
+      enabledAt: new Date()
+    };
     await user.save();
 
+    // Sign out every other device so they have to pass the second factor
+    await Session.revokeAllForUser(user._id, req.authSession._id);
+    disconnectUserSessions(req.io, user._id, req.authSession._id);
+
     res.json({
-      message: 'Profile updated successfully',
-      user: user.getPublicProfile()
+      message: 'Two-factor authentication enabled',
+      recoveryCodes
     });
 
   } catch (error) {
-    console.error('Profile update error:', error);
+    console.error('Two-factor enable error:', error);
     res.status(500).json({
-      message: 'Server error updating profile'
+      message: 'Server error enabling two-factor authentication'
     });
   }
 });
 
-// @route   POST /api/auth/change-password
-// @desc    Change user password
+// @route   POST /api/auth/2fa/disable
+// @desc    Turn off two-factor authentication
 // @access  Private
-router.post('/change-password', [
+router.post('/2fa/disable', [
   auth,
-  body('currentPassword')
+  body('password')
     .notEmpty()
-    .withMessage('Current password is required'),
-  body('newPassword')
-    .isLength({ min: 6 })
-    .withMessage('New password must be at least 6 characters long')
+    .withMessage('Password is required'),
+  body('code')
+    .trim()
+    .notEmpty()
+    .withMessage('Authentication code is required')
 ], async (req, res) => {
   try {
     // Check for validation errors
@@ -250,29 +641,745 @@ router.post('/change-password', [
       });
     }
 
-    const { currentPassword, newPassword } = req.body;
-    const user = await User.findById(req.user._id);
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
 
-    // Verify current password
-    const isMatch = await user.comparePassword(currentPassword);
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    const isMatch = await user.comparePassword(req.body.password);
     if (!isMatch) {
       return res.status(400).json({
-        message: 'Current password is incorrect'
+        message: 'Password is incorrect'
       });
     }
 
-    // Update password
-    user.password = newPassword;
+    if (!twoFactorService.verifyUserCode(user, req.body.code)) {
+      return res.status(400).json({
+        message: 'Invalid authentication code'
+      });
+    }
+
+    user.disableTwoFactor();
     await user.save();
 
     res.json({
-      message: 'Password changed successfully'
+      message: 'Two-factor authentication disabled'
     });
 
   } catch (error) {
-    console.error('Password change error:', error);
+    console.error('Two-factor disable error:', error);
     res.status(500).json({
-      message: 'Server error changing password'
+      message: 'Server error disabling two-factor authentication'
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/recovery-codes
+// @desc    Replace all recovery codes with a new set
+// @access  Private
+router.post('/2fa/recovery-codes', [
+  auth,
+  body('code')
+    .trim()
+    .notEmpty()
+    .withMessage('Authentication code is required')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    // Only an authenticator code is accepted here, not a recovery code
+    const step = twoFactorService.verifyCode(user.twoFactor.secret, req.body.code);
+    if (!user.consumeTwoFactorStep(step)) {
+      return res.status(400).json({
+        message: 'Invalid authentication code'
+      });
+    }
+
+    const recoveryCodes = twoFactorService.generateRecoveryCodes();
+    user.twoFactor.recoveryCodes = recoveryCodes.map(code => ({ codeHash: twoFactorService.hashRecoveryCode(code) }));
+    await user.save();
+
+    res.json({
+      message: 'Recovery codes regenerated',
+      recoveryCodes
+    });
+
+  } catch (error) {
+    console.error('Recovery codes error:', error);
+    res.status(500).json({
+      message: 'Server error regenerating recovery codes'
+    });
+  }
+});
+
+// @route   POST /api/auth/verify-email
+// @desc    Verify email address with a signed verification token
+// @access  Public
+router.post('/verify-email', [
+  body('token')
+    .isString()
+    .notEmpty()
+    .withMessage('Verification token is required')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const decoded = verifyEmailVerificationToken(req.body.token);
+    if (!decoded) {
+      return res.status(400).json({
+        message: 'Verification link is invalid or has expired'
+      });
+    }
+
+    // The link only verifies the address it was sent to
+    const user = await User.findById(decoded.userId);
+    if (!user || user.email !== decoded.email) {
+      return res.status(400).json({
+        message: 'Verification link is invalid or has expired'
+      });
+    }
+
+    if (!user.emailVerified) {
+      user.markEmailVerified();
+      await user.save();
+    }
+
+    res.json({
+      message: 'Email verified successfully',
+      user: user.getPublicProfile()
+    });
+
+  } catch (error) {
+    console.error('Email verification error:', error);
+    res.status(500).json({
+      message: 'Server error verifying email'
+    });
+  }
+});
+
+// @route   POST /api/auth/resend-verification
+// @desc    Send a new email verification link to the current user
+// @access  Private
+router.post('/resend-verification', auth, async (req, res) => {
+  try {
+    const user = req.user;
+
+    if (user.emailVerified) {
+      return res.status(400).json({
+        message: 'Email is already verified'
+      });
+    }
+
+    if (user.emailVerificationSentAt &&
+        Date.now() - user.emailVerificationSentAt.getTime() < VERIFICATION_RESEND_INTERVAL) {
+      return res.status(429).json({
+        message: 'Please wait a minute before requesting another verification email'
+      });
+    }
+
+    await sendVerificationEmail(user);
+
+    res.json({
+      message: 'Verification email sent'
+    });
+
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({
+      message: 'Server error sending verification email'
+    });
+  }
+});
+
+// @route   POST /api/auth/refresh
+// @desc    Exchange a refresh token for a new access token and refresh token
+// @access  Public
+router.post('/refresh', [
+  body('refreshToken')
+    .isString()
+    .notEmpty()
+    .withMessage('Refresh token is required')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const tokenHash = Session.hashToken(req.body.refreshToken);
+
+    let session = await Session.findOne({ refreshTokenHash: tokenHash });
+    const rotatedBefore = !session;
+    if (rotatedBefore) {
+      session = await Session.findOne({ previousRefreshTokenHash: tokenHash });
+    }
+    if (!session) {
+      return res.status(401).json({
+        message: 'Refresh token is not valid'
+      });
+    }
+
+    // A rotated token being presented again, other than by a refresh that raced the rotation
+    // (e.g. from another tab), means it was copied - end that session
+    if (rotatedBefore && !session.isRecentlyRotated()) {
+      session.revoke();
+      await session.save();
+      disconnectSession(req.io, session._id);
+
+      return res.status(401).json({
+        message: 'Refresh token is not valid'
+      });
+    }
+
+    if (!session.isActive) {
+      return res.status(401).json({
+        message: 'Session has expired or been revoked'
+      });
+    }
+
+    const user = await User.findById(session.user);
+    if (!user || !user.isActive) {
+      return res.status(401).json({
+        message: 'Account is deactivated'
+      });
+    }
+
+    // Rotate refresh token, unless a refresh that raced this one just did
+    const rotated = rotatedBefore ? null : await Session.rotateRefreshToken(tokenHash);
+
+    // A refresh that lost the race gets an access token only, the client keeps the refresh
+    // token the winning refresh stored
+    res.json({
+      message: 'Token refreshed successfully',
+      token: generateToken(user._id, session._id),
+      ...(rotated && { refreshToken: rotated.refreshToken })
+    });
+
+  } catch (error) {
+    console.error('Token refresh error:', error);
+    res.status(500).json({
+      message: 'Server error refreshing token'
+    });
+  }
+});
+
+// @route   POST /api/auth/logout
+// @desc    Revoke the current session
+// @access  Private
+router.post('/logout', auth, async (req, res) => {
+  try {
+    req.authSession.revoke();
+    await req.authSession.save();
+    disconnectSession(req.io, req.authSession._id);
+
+    res.json({
+      message: 'Logged out successfully'
+    });
+
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({
+      message: 'Server error during logout'
+    });
+  }
+});
+
+// @route   GET /api/auth/sessions
+// @desc    Get active sessions for the current user
+// @access  Private
+router.get('/sessions', auth, async (req, res) => {
+  try {
+    const sessions = await Session.findActiveByUser(req.user._id);
+
+    res.json({
+      message: 'Sessions retrieved successfully',
+      sessions: sessions.map(session => session.getPublicData(req.authSession._id))
+    });
+
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({
+      message: 'Server error retrieving sessions'
+    });
+  }
+});
+
+// @route   DELETE /api/auth/sessions/:sessionId
+// @desc    Revoke one of the current user's sessions
+// @access  Private
+router.delete('/sessions/:sessionId', auth, async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(sessionId)) {
+      return res.status(400).json({
+        message: 'Invalid session ID'
+      });
+    }
+
+    const session = await Session.findOne({ _id: sessionId, user: req.user._id });
+    if (!session) {
+      return res.status(404).json({
+        message: 'Session not found'
+      });
+    }
+
+    session.revoke();
+    await session.save();
+    disconnectSession(req.io, session._id);
+
+    res.json({
+      message: 'Session revoked successfully'
+    });
+
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({
+      message: 'Server error revoking session'
+    });
+  }
+});
+
+// @route   DELETE /api/auth/sessions
+// @desc    Revoke all sessions of the current user (keeps the current one with ?keepCurrent=true)
+// @access  Private
+router.delete('/sessions', auth, async (req, res) => {
+  try {
+    const keepCurrent = req.query.keepCurrent === 'true';
+
+    const result = await Session.revokeAllForUser(
+      req.user._id,
+      keepCurrent ? req.authSession._id : null
+    );
+    disconnectUserSessions(req.io, req.user._id, keepCurrent ? req.authSession._id : null);
+
+    res.json({
+      message: 'Sessions revoked successfully',
+      revokedCount: result.modifiedCount
+    });
+
+  } catch (error) {
+    console.error('Revoke sessions error:', error);
+    res.status(500).json({
+      message: 'Server error revoking sessions'
+    });
+  }
+});
+
+// @route   GET /api/auth/me
+// @desc    Get current user
+// @access  Private
+router.get('/me', auth, async (req, res) => {
+  try {
+    res.json({
+      user: req.user.getPublicProfile()
+    });
+  } catch (error) {
+    console.error('Get user error:', error);
+    res.status(500).json({
+      message: 'Server error getting user data'
+    });
+  }
+});
+
+// @route   PUT /api/auth/profile
+// @desc    Update user profile and preferences
+// @access  Private
+router.put('/profile', [
+  auth,
+  body('firstName')
+    .optional()
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage('First name cannot exceed 50 characters'),
+  body('lastName')
+    .optional()
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage('Last name cannot exceed 50 characters'),
+  body('avatar')
+    .optional()
+    .isURL()
+    .withMessage('Avatar must be a valid URL'),
+  body('preferences.timezone')
+    .optional()
+    .custom(User.isValidTimezone)
+    .withMessage('Timezone must be a valid IANA time zone'),
+  body('preferences.dateFormat')
+    .optional()
+    .isIn(User.DATE_FORMATS)
+    .withMessage(`Date format must be one of: ${User.DATE_FORMATS.join(', ')}`),
+  body('preferences.weekStartsOn')
+    .optional()
+    .isIn([0, 1, 6])
+    .withMessage('Week must start on Sunday (0), Monday (1) or Saturday (6)'),
+  body('preferences.locale')
+    .optional()
+    .isIn(User.LOCALES)
+    .withMessage(`Locale must be one of: ${User.LOCALES.join(', ')}`),
+  body('preferences.defaultBoard')
+    .optional({ nullable: true })
+    .isMongoId()
+    .withMessage('Invalid default board ID'),
+  body('preferences.notifications')
+    .optional()
+    .isObject()
+    .withMessage('Notification settings must be an object'),
+  body('preferences.notifications.*')
+    .isObject()
+    .withMessage('Notification channels must be an object'),
+  body('preferences.notifications.*.*')
+    .isBoolean()
+    .withMessage('Notification channels must be turned on or off')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { firstName, lastName, avatar, preferences = {} } = req.body;
+    const user = req.user;
+
+    // Update user fields
+    if (firstName !== undefined) user.firstName = firstName;
+    if (lastName !== undefined) user.lastName = lastName;
+    if (avatar !== undefined) {
+      // A linked avatar replaces any uploaded one
+      const { avatarKeys = [] } = await User.findById(user._id).select('+avatarKeys');
+      user.avatarKeys = avatarKeys;
+      deleteAvatarFiles(user.setAvatar(avatar));
+    }
+
+    // Update preferences, only the fields that were sent
+    ['timezone', 'dateFormat', 'weekStartsOn', 'locale'].forEach(field => {
+      if (preferences[field] !== undefined) user.preferences[field] = preferences[field];
+    });
+
+    if (preferences.defaultBoard !== undefined) {
+      if (preferences.defaultBoard) {
+        const board = await Board.findById(preferences.defaultBoard);
+        if (!board || !(await board.getEffectiveRole(user._id))) {
+          return res.status(400).json({
+            message: 'Default board must be a board you are a member of'
+          });
+        }
+      }
+      user.preferences.defaultBoard = preferences.defaultBoard || null;
+    }
+
+    Object.entries(preferences.notifications || {}).forEach(([event, channels]) => {
+      if (!User.NOTIFICATION_EVENTS.includes(event)) return;
+
+      User.NOTIFICATION_CHANNELS.forEach(channel => {
+        if (typeof channels[channel] === 'boolean') {
+          user.preferences.notifications[event][channel] = channels[channel];
+        }
+      });
+    });
+
+    await user.save();
+
+    res.json({
+      message: 'Profile updated successfully',
+      user: user.getPublicProfile()
+    });
+
+  } catch (error) {
+    console.error('Profile update error:', error);
+    res.status(500).json({
+      message: 'Server error updating profile'
+    });
+  }
+});
+
+// @route   POST /api/auth/avatar
+// @desc    Upload an avatar image, stored as 32, 64 and 256px squares
+// @access  Private
+router.post('/avatar', auth, receiveAvatar, async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        message: 'Avatar image is required'
+      });
+    }
+
+    const user = await User.findById(req.user._id).select('+avatarKeys');
+    const { urls, keys } = await fileUploadService.uploadAvatar(req.file, user._id);
+
+    deleteAvatarFiles(user.setAvatar(urls.large, urls, keys));
+    await user.save();
+
+    res.json({
+      message: 'Avatar updated successfully',
+      avatar: user.avatar,
+      avatarVariants: urls,
+      user: user.getPublicProfile()
+    });
+
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({
+        message: error.message
+      });
+    }
+    console.error('Avatar upload error:', error);
+    res.status(500).json({
+      message: 'Server error uploading avatar'
+    });
+  }
+});
+
+// @route   DELETE /api/auth/avatar
+// @desc    Remove the avatar
+// @access  Private
+router.delete('/avatar', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('+avatarKeys');
+
+    deleteAvatarFiles(user.setAvatar(''));
+    await user.save();
+
+    res.json({
+      message: 'Avatar removed successfully',
+      user: user.getPublicProfile()
+    });
+
+  } catch (error) {
+    console.error('Avatar removal error:', error);
+    res.status(500).json({
+      message: 'Server error removing avatar'
+    });
+  }
+});
+
+// @route   POST /api/auth/change-password
+// @desc    Change user password
+// @access  Private
+router.post('/change-password', [
+  auth,
+  body('currentPassword')
+    .notEmpty()
+    .withMessage('Current password is required'),
+  body('newPassword')
+    .isLength({ min: 6 })
+    .withMessage('New password must be at least 6 characters long')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { currentPassword, newPassword } = req.body;
+    const user = await User.findById(req.user._id);
+
+    // Verify current password
+    const isMatch = await user.comparePassword(currentPassword);
+    if (!isMatch) {
+      return res.status(400).json({
+        message: 'Current password is incorrect'
+      });
+    }
+
+    // Update password
+    user.password = newPassword;
+    await user.save();
+
+    // Sign out every other device
+    await Session.revokeAllForUser(user._id, req.authSession._id);
+    disconnectUserSessions(req.io, user._id, req.authSession._id);
+
+    res.json({
+      message: 'Password changed successfully'
+    });
+
+  } catch (error) {
+    console.error('Password change error:', error);
+    res.status(500).json({
+      message: 'Server error changing password'
+    });
+  }
+});
+
+// @route   POST /api/auth/forgot-password
+// @desc    Email a password reset link
+// @access  Public
+router.post('/forgot-password', [
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    // Same response whether or not the account exists, so emails cannot be probed
+    const genericResponse = {
+      message: 'If an account exists for that email, a password reset link has been sent'
+    };
+
+    const user = await User.findOne({ email: req.body.email });
+    if (!user || !user.isActive) {
+      return res.json(genericResponse);
+    }
+
+    const resetToken = user.createPasswordResetToken();
+    await user.save();
+
+    const resetUrl = `${process.env.CLIENT_URL || 'http://localhost:3000'}/reset-password?token=${resetToken}`;
+
+    try {
+      await notificationService.sendPasswordResetEmail(user, resetUrl);
+    } catch (error) {
+      console.error('Password reset email error:', error);
+      user.clearPasswordResetToken();
+      await user.save();
+    }
+
+    res.json(genericResponse);
+
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({
+      message: 'Server error requesting password reset'
+    });
+  }
+});
+
+// @route   POST /api/auth/unlock-account
+// @desc    Lift a login lockout with the token from the "account locked" email
+// @access  Public
+router.post('/unlock-account', [
+  body('token')
+    .isString()
+    .notEmpty()
+    .withMessage('Unlock token is required')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await loginProtectionService.unlockWithToken(req, req.body.token);
+    if (!user) {
+      return res.status(400).json({
+        message: 'Unlock link is invalid or has already been used'
+      });
+    }
+
+    res.json({
+      message: 'Your account has been unlocked. You can sign in again'
+    });
+
+  } catch (error) {
+    console.error('Unlock account error:', error);
+    res.status(500).json({
+      message: 'Server error unlocking account'
+    });
+  }
+});
+
+// @route   POST /api/auth/reset-password
+// @desc    Set a new password using an emailed reset token
+// @access  Public
+router.post('/reset-password', [
+  body('token')
+    .isString()
+    .notEmpty()
+    .withMessage('Reset token is required'),
+  body('password')
+    .isLength({ min: 6 })
+    .withMessage('Password must be at least 6 characters long')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { token, password } = req.body;
+
+    const user = await User.findByPasswordResetToken(token);
+    if (!user || !user.isActive) {
+      return res.status(400).json({
+        message: 'Password reset link is invalid or has expired'
+      });
+    }
+
+    // Update password and make the token unusable
+    user.password = password;
+    user.clearPasswordResetToken();
+    await user.save();
+
+    // Whoever had access before the reset should not keep it
+    await Session.revokeAllForUser(user._id);
+    disconnectUserSessions(req.io, user._id);
+
+    // Proving access to the email also lifts a lockout
+    await loginProtectionService.unlock(req, user, 'Unlocked by password reset');
+
+    res.json({
+      message: 'Password has been reset successfully'
+    });
+
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({
+      message: 'Server error resetting password'
     });
   }
 });
@@ -4,17 +4,28 @@ const Board = require('../models/Board');
 const List = require('../models/List');
 const Task = require('../models/Task');
 const User = require('../models/User');
-const { auth } = require('../middleware/auth');
-const { checkBoardAccess, checkBoardOwnership, checkBoardVisibility, checkBoardDeletionAccess } = require('../middleware/boardAccess');
+const Organization = require('../models/Organization');
+const Group = require('../models/Group');
+const { auth, requireScope } = require('../middleware/auth');
+const { checkBoardAccess, checkBoardOwnership, checkBoardVisibility, checkBoardDeletionAccess, filterListsForScope } = require('../middleware/boardAccess');
+const { versionValidators, getExpectedVersion, isVersionConflict, sendVersionConflict } = require('../middleware/versioning');
+const { revalidateBoardRoom, closeBoardRoom } = require('../sockets/boardRooms');
+const { publishBoardEvent } = require('../sockets/boardEvents');
+const attachmentService = require('../services/attachmentService');
 
 const router = express.Router();
 
 // @route   GET /api/boards
 // @desc    Get all boards for the current user
 // @access  Private
-router.get('/', auth, async (req, res) => {
+router.get('/', auth, requireScope('boards:read'), async (req, res) => {
   try {
-    const boards = await Board.findByUser(req.user._id);
+    let boards = await Board.findByUser(req.user._id);
+
+    // Tokens restricted to some boards only list those
+    if (req.apiToken) {
+      boards = boards.filter(board => req.apiToken.canAccessBoard(board._id));
+    }
     
     res.json({
       message: 'Boards retrieved successfully',
@@ -33,6 +44,7 @@ router.get('/', auth, async (req, res) => {
 // @access  Private
 router.post('/', [
   auth,
+  requireScope('boards:write'),
   body('title')
     .trim()
     .notEmpty()
@@ -51,7 +63,15 @@ router.post('/', [
   body('isPrivate')
     .optional()
     .isBoolean()
-    .withMessage('isPrivate must be a boolean')
+    .withMessage('isPrivate must be a boolean'),
+  body('organization')
+    .optional({ nullable: true })
+    .isMongoId()
+    .withMessage('Workspace must be a valid ID'),
+  body('visibility')
+    .optional()
+    .isIn(Organization.BOARD_VISIBILITIES)
+    .withMessage('Visibility must be workspace or private')
 ], async (req, res) => {
   try {
     // Check for validation errors
@@ -63,7 +83,25 @@ router.post('/', [
       });
     }
 
-    const { title, description, backgroundColor, isPrivate } = req.body;
+    // A token limited to some boards cannot create new ones
+    if (req.apiToken && req.apiToken.boards.length > 0) {
+      return res.status(403).json({
+        message: 'Access denied - API token is restricted to specific boards'
+      });
+    }
+
+    const { title, description, backgroundColor, isPrivate, organization: organizationId, visibility } = req.body;
+
+    // Boards in a workspace can be created by its members, not its guests
+    let organization = null;
+    if (organizationId) {
+      organization = await Organization.findById(organizationId);
+      if (!organization || !organization.getBoardRole(req.user._id, 'workspace')) {
+        return res.status(403).json({
+          message: 'You cannot create boards in this workspace'
+        });
+      }
+    }
 
     // Create new board
     const board = new Board({
@@ -71,7 +109,10 @@ router.post('/', [
       description: description || '',
       owner: req.user._id,
       backgroundColor: backgroundColor || '#0079bf',
-      isPrivate: isPrivate || false
+      // Workspace boards are shared through the workspace rather than made public
+      isPrivate: isPrivate !== undefined ? isPrivate : Boolean(organization),
+      organization: organization ? organization._id : null,
+      visibility: visibility || (organization ? organization.settings.defaultBoardVisibility : 'workspace')
     });
 
     // Add activity
@@ -79,14 +120,11 @@ router.post('/', [
 
     await board.save();
 
-    // Populate owner information
-    await board.populate('owner', 'username email firstName lastName avatar');
-
-    // Emit real-time event
-    req.io.emit('board-created', {
-      board,
-      userId: req.user._id
-    });
+    // Populate owner and workspace information
+    await board.populate([
+      { path: 'owner', select: 'username email firstName lastName avatar' },
+      { path: 'organization', select: 'name slug' }
+    ]);
 
     res.status(201).json({
       message: 'Board created successfully',
@@ -109,12 +147,14 @@ router.get('/:id', auth, checkBoardVisibility, async (req, res) => {
     const board = req.board;
 
     // Get lists with tasks
-    const lists = await List.findByBoard(board._id);
+    const lists = filterListsForScope(req, await List.findByBoard(board._id));
 
     // Populate board with additional data
     await board.populate([
       { path: 'owner', select: 'username email firstName lastName avatar' },
-      { path: 'members.user', select: 'username email firstName lastName avatar' }
+      { path: 'members.user', select: 'username email firstName lastName avatar' },
+      { path: 'organization', select: 'name slug' },
+      { path: 'groups.group', select: 'name description members' }
     ]);
 
     res.json({
@@ -159,7 +199,16 @@ router.put('/:id', [
   body('isPrivate')
     .optional()
     .isBoolean()
-    .withMessage('isPrivate must be a boolean')
+    .withMessage('isPrivate must be a boolean'),
+  body('organization')
+    .optional({ nullable: true })
+    .isMongoId()
+    .withMessage('Workspace must be a valid ID'),
+  body('visibility')
+    .optional()
+    .isIn(Organization.BOARD_VISIBILITIES)
+    .withMessage('Visibility must be workspace or private'),
+  ...versionValidators
 ], async (req, res) => {
   try {
     // Check for validation errors
@@ -172,7 +221,38 @@ router.put('/:id', [
     }
 
     const board = req.board;
-    const { title, description, backgroundColor, isPrivate } = req.body;
+    const { title, description, backgroundColor, isPrivate, organization: organizationId, visibility } = req.body;
+    const boardPopulate = [
+      { path: 'owner', select: 'username email firstName lastName avatar' },
+      { path: 'members.user', select: 'username email firstName lastName avatar' },
+      { path: 'organization', select: 'name slug' }
+    ];
+
+    // Changes made to an older version must not undo someone else's
+    const diff = board.getVersionConflicts(getExpectedVersion(req), req.body);
+    if (diff.length > 0) {
+      await board.populate(boardPopulate);
+      return sendVersionConflict(res, 'board', board, diff);
+    }
+
+    // Moving a board between workspaces is up to its owner, who must be able to create boards there
+    if (organizationId !== undefined && String(organizationId || '') !== String(board.organization || '')) {
+      if (req.userRole !== 'owner') {
+        return res.status(403).json({
+          message: 'Access denied - only the board owner can move it to another workspace'
+        });
+      }
+
+      const organization = organizationId ? await Organization.findById(organizationId) : null;
+      if (organizationId && (!organization || !organization.getBoardRole(req.user._id, 'workspace'))) {
+        return res.status(403).json({
+          message: 'You cannot move boards into this workspace'
+        });
+      }
+
+      board.addActivity(req.user._id, 'moved board', organization ? `Moved board to workspace "${organization.name}"` : 'Moved board out of its workspace');
+      board.organization = organization ? organization._id : null;
+    }
 
     // Update board fields
     if (title !== undefined) {
@@ -182,20 +262,22 @@ router.put('/:id', [
     if (description !== undefined) board.description = description;
     if (backgroundColor !== undefined) board.backgroundColor = backgroundColor;
     if (isPrivate !== undefined) board.isPrivate = isPrivate;
+    if (visibility !== undefined) board.visibility = visibility;
+
+    // Making the board private or moving it can lock out people who have it open
+    const accessChanged = ['isPrivate', 'visibility', 'organization'].some(path => board.isModified(path));
 
     await board.save();
 
     // Populate board data
-    await board.populate([
-      { path: 'owner', select: 'username email firstName lastName avatar' },
-      { path: 'members.user', select: 'username email firstName lastName avatar' }
-    ]);
+    await board.populate(boardPopulate);
 
     // Emit real-time event
-    req.io.to(board._id.toString()).emit('board-updated', {
-      board,
-      userId: req.user._id
-    });
+    publishBoardEvent(req.io, board._id, 'board.updated', { board }, req.user);
+
+    if (accessChanged) {
+      revalidateBoardRoom(req.io, board._id);
+    }
 
     res.json({
       message: 'Board updated successfully',
@@ -203,6 +285,12 @@ router.put('/:id', [
     });
 
   } catch (error) {
+    if (isVersionConflict(error)) {
+      return res.status(409).json({
+        message: 'This board was changed by someone else, please try again'
+      });
+    }
+
     console.error('Update board error:', error);
     res.status(500).json({
       message: 'Server error updating board'
@@ -217,7 +305,8 @@ router.delete('/:id', auth, checkBoardDeletionAccess, async (req, res) => {
   try {
     const board = req.board;
 
-    // Delete all tasks in the board
+    // Delete all tasks in the board and their attached files
+    await attachmentService.deleteTaskFiles({ board: board._id });
     await Task.deleteMany({ board: board._id });
 
     // Delete all lists in the board
@@ -226,11 +315,12 @@ router.delete('/:id', auth, checkBoardDeletionAccess, async (req, res) => {
     // Delete the board
     await Board.findByIdAndDelete(board._id);
 
+    // Nobody should land on a board that is gone
+    await User.updateMany({ 'preferences.defaultBoard': board._id }, { $set: { 'preferences.defaultBoard': null } });
+
     // Emit real-time event
-    req.io.emit('board-deleted', {
-      boardId: board._id,
-      userId: req.user._id
-    });
+    publishBoardEvent(req.io, board._id, 'board.deleted', {}, req.user);
+    closeBoardRoom(req.io, board._id);
 
     res.json({
       message: 'Board deleted successfully'
@@ -280,6 +370,13 @@ router.post('/:id/members', [
       });
     }
 
+    // Unverified accounts cannot be added when the verification policy requires it
+    if (user.isBlockedByEmailPolicy('invitations')) {
+      return res.status(400).json({
+        message: 'This user has not verified their email address yet'
+      });
+    }
+
     // Check if user is already a member
     if (board.isMember(user._id)) {
       return res.status(400).json({
@@ -297,12 +394,9 @@ router.post('/:id/members', [
     await board.populate('members.user', 'username email firstName lastName avatar');
 
     // Emit real-time event
-    req.io.to(board._id.toString()).emit('member-added', {
-      board,
-      newMember: user,
-      role,
-      addedBy: req.user._id
-    });
+    publishBoardEvent(req.io, board._id, 'member.added', {
+      member: board.members.find(member => member.user._id.toString() === user._id.toString())
+    }, req.user);
 
     res.json({
       message: 'Member added successfully',
@@ -379,12 +473,7 @@ router.put('/:id/members/:userId', [
     ]);
 
     // Emit real-time event
-    req.io.to(board._id.toString()).emit('member-role-updated', {
-      boardId: board._id,
-      userId: userId,
-      newRole: role,
-      updatedBy: req.user._id
-    });
+    publishBoardEvent(req.io, board._id, 'member.role-updated', { userId, role }, req.user);
 
     res.json({
       message: 'Member role updated successfully',
@@ -431,11 +520,10 @@ router.delete('/:id/members/:userId', auth, checkBoardAccess('admin'), async (re
     await board.save();
 
     // Emit real-time event
-    req.io.to(board._id.toString()).emit('member-removed', {
-      boardId: board._id,
-      removedUserId: userId,
-      removedBy: req.user._id
-    });
+    publishBoardEvent(req.io, board._id, 'member.removed', { userId }, req.user);
+
+    // Their open board closes unless a workspace or group still gives them access
+    revalidateBoardRoom(req.io, board._id, [userId]);
 
     res.json({
       message: 'Member removed successfully'
@@ -449,6 +537,162 @@ router.delete('/:id/members/:userId', auth, checkBoardAccess('admin'), async (re
   }
 });
 
+// @route   POST /api/boards/:id/groups
+// @desc    Give every member of a group a role on the board
+// @access  Private
+router.post('/:id/groups', [
+  auth,
+  checkBoardAccess('admin'),
+  body('groupId')
+    .isMongoId()
+    .withMessage('Valid group ID is required'),
+  body('role')
+    .optional()
+    .isIn(['member', 'admin', 'viewer'])
+    .withMessage('Role must be member, admin, or viewer')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const board = req.board;
+    const { groupId, role = 'member' } = req.body;
+
+    // Only groups the user can see may be added
+    const group = await Group.findById(groupId);
+    if (!group || !(await group.canView(req.user._id))) {
+      return res.status(404).json({
+        message: 'Group not found'
+      });
+    }
+
+    if (board.hasGroup(group._id)) {
+      return res.status(400).json({
+        message: 'Group is already added to this board'
+      });
+    }
+
+    board.groups.push({ group: group._id, role, addedAt: new Date() });
+    board.addActivity(req.user._id, 'added group', `Added group ${group.name} as ${role}`);
+
+    await board.save();
+    await board.populate('groups.group', 'name description members');
+
+    // Emit real-time event
+    publishBoardEvent(req.io, board._id, 'group.added', { groupId: group._id, role }, req.user);
+
+    res.json({
+      message: 'Group added successfully',
+      groups: board.groups
+    });
+
+  } catch (error) {
+    console.error('Add group error:', error);
+    res.status(500).json({
+      message: 'Server error adding group'
+    });
+  }
+});
+
+// @route   PUT /api/boards/:id/groups/:groupId
+// @desc    Update the role a group has on the board
+// @access  Private
+router.put('/:id/groups/:groupId', [
+  auth,
+  checkBoardAccess('admin'),
+  body('role')
+    .isIn(['member', 'admin', 'viewer'])
+    .withMessage('Role must be member, admin, or viewer')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const board = req.board;
+    const { groupId } = req.params;
+    const { role } = req.body;
+
+    const grant = board.groups.find(grant => grant.group.toString() === groupId);
+    if (!grant) {
+      return res.status(400).json({
+        message: 'Group is not added to this board'
+      });
+    }
+
+    const oldRole = grant.role;
+    grant.role = role;
+
+    const group = await Group.findById(groupId).select('name');
+    board.addActivity(req.user._id, 'updated group role', `Changed group ${group?.name || 'group'} role from ${oldRole} to ${role}`);
+
+    await board.save();
+    await board.populate('groups.group', 'name description members');
+
+    // Emit real-time event
+    publishBoardEvent(req.io, board._id, 'group.role-updated', { groupId, role }, req.user);
+
+    res.json({
+      message: 'Group role updated successfully',
+      groups: board.groups
+    });
+
+  } catch (error) {
+    console.error('Update group role error:', error);
+    res.status(500).json({
+      message: 'Server error updating group role'
+    });
+  }
+});
+
+// @route   DELETE /api/boards/:id/groups/:groupId
+// @desc    Remove a group from the board
+// @access  Private
+router.delete('/:id/groups/:groupId', auth, checkBoardAccess('admin'), async (req, res) => {
+  try {
+    const board = req.board;
+    const { groupId } = req.params;
+
+    if (!board.hasGroup(groupId)) {
+      return res.status(400).json({
+        message: 'Group is not added to this board'
+      });
+    }
+
+    const group = await Group.findById(groupId).select('name');
+
+    board.groups = board.groups.filter(grant => grant.group.toString() !== groupId);
+    board.addActivity(req.user._id, 'removed group', `Removed group ${group?.name || 'group'} from board`);
+
+    await board.save();
+
+    // Emit real-time event
+    publishBoardEvent(req.io, board._id, 'group.removed', { groupId }, req.user);
+    revalidateBoardRoom(req.io, board._id);
+
+    res.json({
+      message: 'Group removed successfully'
+    });
+
+  } catch (error) {
+    console.error('Remove group error:', error);
+    res.status(500).json({
+      message: 'Server error removing group'
+    });
+  }
+});
+
 // @route   GET /api/boards/:id/activity
 // @desc    Get board activity
 // @access  Private
@@ -0,0 +1,362 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, validationResult } = require('express-validator');
+const Group = require('../models/Group');
+const Organization = require('../models/Organization');
+const Board = require('../models/Board');
+const User = require('../models/User');
+const { auth } = require('../middleware/auth');
+const { revalidateBoardRoom, revalidateUserBoards } = require('../sockets/boardRooms');
+const { publishBoardEvent } = require('../sockets/boardEvents');
+
+const router = express.Router();
+
+const MEMBER_FIELDS = 'username email firstName lastName avatar';
+
+// Load a group the current user can see, and whether they may change it
+const loadGroup = async (req, res, next) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({
+        message: 'Group not found'
+      });
+    }
+
+    const group = await Group.findById(req.params.id);
+    if (!group) {
+      return res.status(404).json({
+        message: 'Group not found'
+      });
+    }
+
+    const canManage = await group.canManage(req.user._id);
+    if (!canManage && !(await group.canView(req.user._id))) {
+      return res.status(403).json({
+        message: 'Access denied - you cannot see this group'
+      });
+    }
+
+    req.group = group;
+    req.canManageGroup = canManage;
+    next();
+  } catch (error) {
+    console.error('Load group error:', error);
+    res.status(500).json({
+      message: 'Server error retrieving group'
+    });
+  }
+};
+
+const requireGroupManager = (req, res, next) => {
+  if (!req.canManageGroup) {
+    return res.status(403).json({
+      message: 'Access denied - only the group owner or workspace admins can change this group'
+    });
+  }
+  next();
+};
+
+const populateGroup = (group) => group.populate([
+  { path: 'owner', select: MEMBER_FIELDS },
+  { path: 'members.user', select: MEMBER_FIELDS },
+  { path: 'organization', select: 'name slug' }
+]);
+
+// @route   GET /api/groups
+// @desc    Get the groups the current user owns, belongs to or can see through a workspace
+// @access  Private
+router.get('/', auth, async (req, res) => {
+  try {
+    const groups = await Group.populate(await Group.findVisibleToUser(req.user._id), [
+      { path: 'members.user', select: MEMBER_FIELDS },
+      { path: 'organization', select: 'name slug' }
+    ]);
+
+    const withPermissions = await Promise.all(groups.map(async group => ({
+      ...group.toObject({ virtuals: true }),
+      canManage: await group.canManage(req.user._id)
+    })));
+
+    res.json({
+      message: 'Groups retrieved successfully',
+      groups: withPermissions
+    });
+  } catch (error) {
+    console.error('Get groups error:', error);
+    res.status(500).json({
+      message: 'Server error retrieving groups'
+    });
+  }
+});
+
+// @route   POST /api/groups
+// @desc    Create a group
+// @access  Private
+router.post('/', [
+  auth,
+  body('name')
+    .trim()
+    .notEmpty()
+    .withMessage('Group name is required')
+    .isLength({ max: 50 })
+    .withMessage('Group name cannot exceed 50 characters'),
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Group description cannot exceed 200 characters'),
+  body('organization')
+    .optional({ nullable: true })
+    .isMongoId()
+    .withMessage('Workspace must be a valid ID')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { name, description, organization: organizationId } = req.body;
+
+    // Only workspace admins can create groups in a workspace
+    if (organizationId) {
+      const organization = await Organization.findById(organizationId);
+      if (!organization || !organization.isAdmin(req.user._id)) {
+        return res.status(403).json({
+          message: 'Only workspace owners and admins can create workspace groups'
+        });
+      }
+    }
+
+    const group = new Group({
+      name,
+      description: description || '',
+      owner: req.user._id,
+      organization: organizationId || null,
+      members: [{ user: req.user._id }]
+    });
+
+    await group.save();
+    await populateGroup(group);
+
+    res.status(201).json({
+      message: 'Group created successfully',
+      group: { ...group.toObject({ virtuals: true }), canManage: true }
+    });
+
+  } catch (error) {
+    console.error('Create group error:', error);
+    res.status(500).json({
+      message: 'Server error creating group'
+    });
+  }
+});
+
+// @route   GET /api/groups/:id
+// @desc    Get a group with its members
+// @access  Private
+router.get('/:id', auth, loadGroup, async (req, res) => {
+  try {
+    const group = req.group;
+    await populateGroup(group);
+
+    res.json({
+      message: 'Group retrieved successfully',
+      group: { ...group.toObject({ virtuals: true }), canManage: req.canManageGroup }
+    });
+
+  } catch (error) {
+    console.error('Get group error:', error);
+    res.status(500).json({
+      message: 'Server error retrieving group'
+    });
+  }
+});
+
+// @route   PUT /api/groups/:id
+// @desc    Rename a group or change its description
+// @access  Private
+router.put('/:id', [
+  auth,
+  loadGroup,
+  requireGroupManager,
+  body('name')
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage('Group name cannot be empty')
+    .isLength({ max: 50 })
+    .withMessage('Group name cannot exceed 50 characters'),
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Group description cannot exceed 200 characters')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const group = req.group;
+    const { name, description } = req.body;
+
+    if (name !== undefined) group.name = name;
+    if (description !== undefined) group.description = description;
+
+    await group.save();
+    await populateGroup(group);
+
+    res.json({
+      message: 'Group updated successfully',
+      group: { ...group.toObject({ virtuals: true }), canManage: true }
+    });
+
+  } catch (error) {
+    console.error('Update group error:', error);
+    res.status(500).json({
+      message: 'Server error updating group'
+    });
+  }
+});
+
+// @route   DELETE /api/groups/:id
+// @desc    Delete a group and remove it from every board
+// @access  Private
+router.delete('/:id', auth, loadGroup, requireGroupManager, async (req, res) => {
+  try {
+    const group = req.group;
+
+    const boards = await Board.find({ 'groups.group': group._id }).select('_id');
+    await Board.updateMany({ 'groups.group': group._id }, { $pull: { groups: { group: group._id } } });
+    await Group.findByIdAndDelete(group._id);
+
+    // Emit real-time event
+    boards.forEach(board => {
+      publishBoardEvent(req.io, board._id, 'group.removed', { groupId: group._id }, req.user);
+      revalidateBoardRoom(req.io, board._id);
+    });
+
+    res.json({
+      message: 'Group deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete group error:', error);
+    res.status(500).json({
+      message: 'Server error deleting group'
+    });
+  }
+});
+
+// @route   POST /api/groups/:id/members
+// @desc    Add a user to a group, giving them the group's role on all its boards
+// @access  Private
+router.post('/:id/members', [
+  auth,
+  loadGroup,
+  requireGroupManager,
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Valid email is required')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const group = req.group;
+
+    // Find user by email
+    const user = await User.findOne({ email: req.body.email });
+    if (!user) {
+      return res.status(404).json({
+        message: 'User not found with this email'
+      });
+    }
+
+    // Unverified accounts cannot be added when the verification policy requires it
+    if (user.isBlockedByEmailPolicy('invitations')) {
+      return res.status(400).json({
+        message: 'This user has not verified their email address yet'
+      });
+    }
+
+    if (group.isMember(user._id)) {
+      return res.status(400).json({
+        message: 'User is already a member of this group'
+      });
+    }
+
+    group.addMember(user._id);
+    await group.save();
+    await populateGroup(group);
+
+    res.json({
+      message: 'Member added successfully',
+      group: { ...group.toObject({ virtuals: true }), canManage: true }
+    });
+
+  } catch (error) {
+    console.error('Add group member error:', error);
+    res.status(500).json({
+      message: 'Server error adding group member'
+    });
+  }
+});
+
+// @route   DELETE /api/groups/:id/members/:userId
+// @desc    Remove a user from a group, or leave it
+// @access  Private
+router.delete('/:id/members/:userId', auth, loadGroup, async (req, res) => {
+  try {
+    const group = req.group;
+    const { userId } = req.params;
+
+    // Anyone can leave a group, removing others needs a group manager
+    if (userId !== req.user._id.toString() && !req.canManageGroup) {
+      return res.status(403).json({
+        message: 'Access denied - only the group owner or workspace admins can change this group'
+      });
+    }
+
+    if (!group.isMember(userId)) {
+      return res.status(400).json({
+        message: 'User is not a member of this group'
+      });
+    }
+
+    group.removeMember(userId);
+    await group.save();
+
+    // Close the boards the group gave them access to
+    revalidateUserBoards(req.io, userId);
+
+    res.json({
+      message: 'Member removed successfully'
+    });
+
+  } catch (error) {
+    console.error('Remove group member error:', error);
+    res.status(500).json({
+      message: 'Server error removing group member'
+    });
+  }
+});
+
+module.exports = router;
@@ -4,6 +4,8 @@ const Invitation = require('../models/Invitation');
 const Board = require('../models/Board');
 const User = require('../models/User');
 const { auth } = require('../middleware/auth');
+const { userRoom } = require('../sockets/boardRooms');
+const { publishBoardEvent } = require('../sockets/boardEvents');
 
 const router = express.Router();
 
@@ -54,7 +56,7 @@ router.post('/', [
     }
 
     // Check if user has permission to invite (must be admin or owner)
-    const userRole = board.getUserRole(req.user._id);
+    const userRole = await board.getEffectiveRole(req.user._id);
     if (!userRole || (userRole !== 'admin' && board.owner.toString() !== req.user._id.toString())) {
       return res.status(403).json({
         message: 'You do not have permission to invite members to this board'
@@ -62,13 +64,20 @@ router.post('/', [
     }
 
     // Find the user to invite
-    const invitee = await User.findOne({ username }).select('_id username email firstName lastName');
+    const invitee = await User.findOne({ username }).select('_id username email emailVerified firstName lastName');
     if (!invitee) {
       return res.status(404).json({
         message: 'User not found'
       });
     }
 
+    // Unverified accounts cannot be invited when the verification policy requires it
+    if (invitee.isBlockedByEmailPolicy('invitations')) {
+      return res.status(400).json({
+        message: 'This user has not verified their email address yet'
+      });
+    }
+
     // Check if user is trying to invite themselves
     if (invitee._id.toString() === req.user._id.toString()) {
       return res.status(400).json({
@@ -110,7 +119,7 @@ router.post('/', [
     ]);
 
     // Emit real-time event to invitee
-    req.io.to(invitee._id.toString()).emit('invitation-received', {
+    req.io.to(userRoom(invitee._id)).emit('invitation-received', {
       invitation,
       message: `${req.user.username} invited you to join "${board.title}"`
     });
@@ -221,19 +230,20 @@ router.put('/:id/accept', auth, async (req, res) => {
     await board.save();
 
     // Emit real-time events
-    req.io.to(board._id.toString()).emit('member-joined', {
-      user: {
-        _id: req.user._id,
-        username: req.user.username,
-        firstName: req.user.firstName,
-        lastName: req.user.lastName,
-        avatar: req.user.avatar
-      },
-      role: invitation.role,
-      boardId: board._id
-    });
+    publishBoardEvent(req.io, board._id, 'member.added', {
+      member: {
+        user: {
+          _id: req.user._id,
+          username: req.user.username,
+          firstName: req.user.firstName,
+          lastName: req.user.lastName,
+          avatar: req.user.avatar
+        },
+        role: invitation.role
+      }
+    }, req.user);
 
-    req.io.to(invitation.inviter.toString()).emit('invitation-accepted', {
+    req.io.to(userRoom(invitation.inviter)).emit('invitation-accepted', {
       invitation,
       message: `${req.user.username} accepted your invitation to join "${board.title}"`
     });
@@ -293,7 +303,7 @@ router.put('/:id/decline', auth, async (req, res) => {
     await invitation.save();
 
     // Emit real-time event to inviter
-    req.io.to(invitation.inviter._id.toString()).emit('invitation-declined', {
+    req.io.to(userRoom(invitation.inviter._id)).emit('invitation-declined', {
       invitation,
       message: `${req.user.username} declined your invitation to join "${invitation.board.title}"`
     });
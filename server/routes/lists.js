@@ -3,8 +3,11 @@ const { body, validationResult } = require('express-validator');
 const List = require('../models/List');
 const Task = require('../models/Task');
 const Board = require('../models/Board');
-const { auth } = require('../middleware/auth');
-const { checkBoardAccess } = require('../middleware/boardAccess');
+const { auth, requireScope } = require('../middleware/auth');
+const { canAccessBoard, filterListsForScope } = require('../middleware/boardAccess');
+const { versionValidators, getExpectedVersion, isVersionConflict, sendVersionConflict } = require('../middleware/versioning');
+const { publishBoardEvent } = require('../sockets/boardEvents');
+const attachmentService = require('../services/attachmentService');
 
 const router = express.Router();
 
@@ -13,6 +16,7 @@ const router = express.Router();
 // @access  Private
 router.post('/', [
   auth,
+  requireScope('boards:write'),
   body('title')
     .trim()
     .notEmpty()
@@ -49,7 +53,7 @@ router.post('/', [
       });
     }
 
-    if (!board.isMember(req.user._id)) {
+    if (!(await canAccessBoard(req, board))) {
       return res.status(403).json({
         message: 'Access denied - you are not a member of this board'
       });
@@ -73,11 +77,7 @@ router.post('/', [
     await board.save();
 
     // Emit real-time event
-    req.io.to(boardId).emit('list-created', {
-      list,
-      boardId,
-      userId: req.user._id
-    });
+    publishBoardEvent(req.io, boardId, 'list.created', { list }, req.user);
 
     res.status(201).json({
       message: 'List created successfully',
@@ -95,7 +95,7 @@ router.post('/', [
 // @route   GET /api/lists/board/:boardId/archived
 // @desc    Get archived lists for a board
 // @access  Private
-router.get('/board/:boardId/archived', auth, async (req, res) => {
+router.get('/board/:boardId/archived', auth, requireScope('boards:read'), async (req, res) => {
   try {
     const { boardId } = req.params;
 
@@ -107,7 +107,7 @@ router.get('/board/:boardId/archived', auth, async (req, res) => {
       });
     }
 
-    if (!board.isMember(req.user._id)) {
+    if (!(await canAccessBoard(req, board))) {
       return res.status(403).json({
         message: 'Access denied - you are not a member of this board'
       });
@@ -119,6 +119,7 @@ router.get('/board/:boardId/archived', auth, async (req, res) => {
       isArchived: true 
     }).populate({
       path: 'tasks',
+      select: '-comments',
       options: { sort: { position: 1 } },
       populate: {
         path: 'assignedTo',
@@ -128,7 +129,7 @@ router.get('/board/:boardId/archived', auth, async (req, res) => {
 
     res.json({
       message: 'Archived lists retrieved successfully',
-      lists
+      lists: filterListsForScope(req, lists)
     });
 
   } catch (error) {
@@ -142,7 +143,7 @@ router.get('/board/:boardId/archived', auth, async (req, res) => {
 // @route   GET /api/lists/board/:boardId
 // @desc    Get all lists for a board
 // @access  Private
-router.get('/board/:boardId', auth, async (req, res) => {
+router.get('/board/:boardId', auth, requireScope('boards:read'), async (req, res) => {
   try {
     const { boardId } = req.params;
 
@@ -154,14 +155,14 @@ router.get('/board/:boardId', auth, async (req, res) => {
       });
     }
 
-    if (!board.isMember(req.user._id)) {
+    if (!(await canAccessBoard(req, board))) {
       return res.status(403).json({
         message: 'Access denied - you are not a member of this board'
       });
     }
 
     // Get lists with tasks
-    const lists = await List.findByBoard(boardId);
+    const lists = filterListsForScope(req, await List.findByBoard(boardId));
 
     res.json({
       message: 'Lists retrieved successfully',
@@ -181,6 +182,7 @@ router.get('/board/:boardId', auth, async (req, res) => {
 // @access  Private
 router.put('/:id', [
   auth,
+  requireScope('boards:write'),
   body('title')
     .optional()
     .trim()
@@ -195,7 +197,8 @@ router.put('/:id', [
   body('color')
     .optional()
     .matches(/^#[0-9A-F]{6}$/i)
-    .withMessage('Color must be a valid hex color')
+    .withMessage('Color must be a valid hex color'),
+  ...versionValidators
 ], async (req, res) => {
   try {
     // Check for validation errors
@@ -220,12 +223,18 @@ router.put('/:id', [
 
     // Check board access
     const board = await Board.findById(list.board);
-    if (!board || !board.isMember(req.user._id)) {
+    if (!board || !(await canAccessBoard(req, board))) {
       return res.status(403).json({
         message: 'Access denied'
       });
     }
 
+    // Changes made to an older version must not undo someone else's
+    const diff = list.getVersionConflicts(getExpectedVersion(req), req.body);
+    if (diff.length > 0) {
+      return sendVersionConflict(res, 'list', list, diff);
+    }
+
     // Update list fields
     const oldTitle = list.title;
     if (title !== undefined) list.title = title;
@@ -241,11 +250,7 @@ router.put('/:id', [
     }
 
     // Emit real-time event
-    req.io.to(list.board.toString()).emit('list-updated', {
-      list,
-      boardId: list.board,
-      userId: req.user._id
-    });
+    publishBoardEvent(req.io, list.board, 'list.updated', { list }, req.user);
 
     res.json({
       message: 'List updated successfully',
@@ -253,6 +258,12 @@ router.put('/:id', [
     });
 
   } catch (error) {
+    if (isVersionConflict(error)) {
+      return res.status(409).json({
+        message: 'This list was changed by someone else, please try again'
+      });
+    }
+
     console.error('Update list error:', error);
     res.status(500).json({
       message: 'Server error updating list'
@@ -263,7 +274,7 @@ router.put('/:id', [
 // @route   DELETE /api/lists/:id
 // @desc    Delete a list
 // @access  Private
-router.delete('/:id', auth, async (req, res) => {
+router.delete('/:id', auth, requireScope('boards:write'), async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -277,21 +288,22 @@ router.delete('/:id', auth, async (req, res) => {
 
     // Check board access
     const board = await Board.findById(list.board);
-    if (!board || !board.isMember(req.user._id)) {
+    if (!board || !(await canAccessBoard(req, board))) {
       return res.status(403).json({
         message: 'Access denied'
       });
     }
 
     // Check if user has admin role
-    const userRole = board.getUserRole(req.user._id);
+    const userRole = await board.getEffectiveRole(req.user._id);
     if (!['admin', 'owner'].includes(userRole)) {
       return res.status(403).json({
         message: 'Access denied - admin role required'
       });
     }
 
-    // Delete all tasks in the list
+    // Delete all tasks in the list and their attached files
+    await attachmentService.deleteTaskFiles({ list: list._id });
     await Task.deleteMany({ list: list._id });
 
     // Remove list from board
@@ -303,11 +315,7 @@ router.delete('/:id', auth, async (req, res) => {
     await List.findByIdAndDelete(list._id);
 
     // Emit real-time event
-    req.io.to(list.board.toString()).emit('list-deleted', {
-      listId: list._id,
-      boardId: list.board,
-      userId: req.user._id
-    });
+    publishBoardEvent(req.io, list.board, 'list.deleted', { listId: list._id }, req.user);
 
     res.json({
       message: 'List deleted successfully'
@@ -326,6 +334,7 @@ router.delete('/:id', auth, async (req, res) => {
 // @access  Private
 router.post('/:id/tasks', [
   auth,
+  requireScope('tasks:write'),
   body('title')
     .trim()
     .notEmpty()
@@ -335,8 +344,8 @@ router.post('/:id/tasks', [
   body('description')
     .optional()
     .trim()
-    .isLength({ max: 2000 })
-    .withMessage('Task description cannot exceed 2000 characters'),
+    .isLength({ max: Task.DESCRIPTION_MAX_LENGTH })
+    .withMessage(`Task description cannot exceed ${Task.DESCRIPTION_MAX_LENGTH} characters`),
   body('priority')
     .optional()
     .isIn(['low', 'medium', 'high', 'urgent'])
@@ -369,7 +378,7 @@ router.post('/:id/tasks', [
 
     // Check board access
     const board = await Board.findById(list.board);
-    if (!board || !board.isMember(req.user._id)) {
+    if (!board || !(await canAccessBoard(req, board))) {
       return res.status(403).json({
         message: 'Access denied'
       });
@@ -407,12 +416,7 @@ router.post('/:id/tasks', [
     ]);
 
     // Emit real-time event
-    req.io.to(list.board.toString()).emit('task-created', {
-      task,
-      listId: list._id,
-      boardId: list.board,
-      userId: req.user._id
-    });
+    publishBoardEvent(req.io, list.board, 'task.created', { task, listId: list._id }, req.user);
 
     res.status(201).json({
       message: 'Task created successfully',
@@ -430,7 +434,7 @@ router.post('/:id/tasks', [
 // @route   PUT /api/lists/:id/archive
 // @desc    Archive/unarchive a list
 // @access  Private
-router.put('/:id/archive', auth, async (req, res) => {
+router.put('/:id/archive', auth, requireScope('boards:write'), async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -444,7 +448,7 @@ router.put('/:id/archive', auth, async (req, res) => {
 
     // Check board access
     const board = await Board.findById(list.board);
-    if (!board || !board.isMember(req.user._id)) {
+    if (!board || !(await canAccessBoard(req, board))) {
       return res.status(403).json({
         message: 'Access denied'
       });
@@ -460,11 +464,7 @@ router.put('/:id/archive', auth, async (req, res) => {
     await board.save();
 
     // Emit real-time event
-    req.io.to(list.board.toString()).emit('list-archived', {
-      list,
-      boardId: list.board,
-      userId: req.user._id
-    });
+    publishBoardEvent(req.io, list.board, 'list.archived', { list }, req.user);
 
     res.json({
       message: `List ${action} successfully`,
@@ -484,6 +484,7 @@ router.put('/:id/archive', auth, async (req, res) => {
 // @access  Private
 router.put('/reorder', [
   auth,
+  requireScope('boards:write'),
   body('boardId')
     .notEmpty()
     .withMessage('Board ID is required')
@@ -513,12 +514,20 @@ router.put('/reorder', [
 
     // Check board access
     const board = await Board.findById(boardId);
-    if (!board || !board.isMember(req.user._id)) {
+    if (!board || !(await canAccessBoard(req, board))) {
       return res.status(403).json({
         message: 'Access denied'
       });
     }
 
+    // Validate that all listIds exist and belong to this board
+    const lists = await List.find({ _id: { $in: listIds }, board: boardId });
+    if (lists.length !== listIds.length) {
+      return res.status(400).json({
+        message: 'Some lists do not exist or do not belong to this board'
+      });
+    }
+
     // Update list positions
     const updatePromises = listIds.map((listId, index) => 
       List.findByIdAndUpdate(listId, { position: index })
@@ -527,11 +536,7 @@ router.put('/reorder', [
     await Promise.all(updatePromises);
 
     // Emit real-time event
-    req.io.to(boardId).emit('lists-reordered', {
-      boardId,
-      listIds,
-      userId: req.user._id
-    });
+    publishBoardEvent(req.io, boardId, 'list.reordered', { listIds }, req.user);
 
     res.json({
       message: 'Lists reordered successfully'
@@ -0,0 +1,407 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Organization = require('../models/Organization');
+const Board = require('../models/Board');
+const Group = require('../models/Group');
+const User = require('../models/User');
+const { auth } = require('../middleware/auth');
+const { checkOrganizationAccess } = require('../middleware/organizationAccess');
+const { revalidateBoardRoom, revalidateUserBoards } = require('../sockets/boardRooms');
+
+const router = express.Router();
+
+const MEMBER_FIELDS = 'username email firstName lastName avatar';
+
+// Admins manage members and guests, only owners can hand out or take away admin and owner roles
+const canManageRole = (actorRole, role) => actorRole === 'owner' || !['owner', 'admin'].includes(role);
+
+// @route   GET /api/organizations
+// @desc    Get the workspaces the current user belongs to
+// @access  Private
+router.get('/', auth, async (req, res) => {
+  try {
+    const organizations = await Organization.findByUser(req.user._id);
+
+    res.json({
+      message: 'Workspaces retrieved successfully',
+      organizations: organizations.map(organization => ({
+        _id: organization._id,
+        name: organization.name,
+        slug: organization.slug,
+        description: organization.description,
+        settings: organization.settings,
+        memberCount: organization.memberCount,
+        userRole: organization.getMemberRole(req.user._id)
+      }))
+    });
+  } catch (error) {
+    console.error('Get workspaces error:', error);
+    res.status(500).json({
+      message: 'Server error retrieving workspaces'
+    });
+  }
+});
+
+// @route   POST /api/organizations
+// @desc    Create a workspace owned by the current user
+// @access  Private
+router.post('/', [
+  auth,
+  body('name')
+    .trim()
+    .notEmpty()
+    .withMessage('Workspace name is required')
+    .isLength({ max: 100 })
+    .withMessage('Workspace name cannot exceed 100 characters'),
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Workspace description cannot exceed 500 characters'),
+  body('defaultBoardVisibility')
+    .optional()
+    .isIn(Organization.BOARD_VISIBILITIES)
+    .withMessage('Default board visibility must be workspace or private')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { name, description, defaultBoardVisibility } = req.body;
+
+    const organization = new Organization({
+      name,
+      slug: await Organization.generateSlug(name),
+      description: description || '',
+      members: [{ user: req.user._id, role: 'owner' }],
+      settings: {
+        defaultBoardVisibility: defaultBoardVisibility || 'workspace'
+      }
+    });
+
+    await organization.save();
+    await organization.populate('members.user', MEMBER_FIELDS);
+
+    res.status(201).json({
+      message: 'Workspace created successfully',
+      organization: {
+        ...organization.toObject(),
+        userRole: 'owner'
+      }
+    });
+
+  } catch (error) {
+    console.error('Create workspace error:', error);
+    res.status(500).json({
+      message: 'Server error creating workspace'
+    });
+  }
+});
+
+// @route   GET /api/organizations/:id
+// @desc    Get a workspace with its members
+// @access  Private
+router.get('/:id', auth, checkOrganizationAccess('guest'), async (req, res) => {
+  try {
+    const organization = req.organization;
+
+    await organization.populate('members.user', MEMBER_FIELDS);
+    const boardCount = await Board.countDocuments({ organization: organization._id, isArchived: false });
+
+    res.json({
+      message: 'Workspace retrieved successfully',
+      organization: {
+        ...organization.toObject(),
+        boardCount,
+        userRole: req.organizationRole
+      }
+    });
+
+  } catch (error) {
+    console.error('Get workspace error:', error);
+    res.status(500).json({
+      message: 'Server error retrieving workspace'
+    });
+  }
+});
+
+// @route   PUT /api/organizations/:id
+// @desc    Update a workspace's details and settings
+// @access  Private
+router.put('/:id', [
+  auth,
+  checkOrganizationAccess('admin'),
+  body('name')
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage('Workspace name cannot be empty')
+    .isLength({ max: 100 })
+    .withMessage('Workspace name cannot exceed 100 characters'),
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Workspace description cannot exceed 500 characters'),
+  body('defaultBoardVisibility')
+    .optional()
+    .isIn(Organization.BOARD_VISIBILITIES)
+    .withMessage('Default board visibility must be workspace or private')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const organization = req.organization;
+    const { name, description, defaultBoardVisibility } = req.body;
+
+    if (name !== undefined) organization.name = name;
+    if (description !== undefined) organization.description = description;
+    if (defaultBoardVisibility !== undefined) organization.settings.defaultBoardVisibility = defaultBoardVisibility;
+
+    await organization.save();
+    await organization.populate('members.user', MEMBER_FIELDS);
+
+    res.json({
+      message: 'Workspace updated successfully',
+      organization: {
+        ...organization.toObject(),
+        userRole: req.organizationRole
+      }
+    });
+
+  } catch (error) {
+    console.error('Update workspace error:', error);
+    res.status(500).json({
+      message: 'Server error updating workspace'
+    });
+  }
+});
+
+// @route   DELETE /api/organizations/:id
+// @desc    Delete a workspace, its boards and groups stay with their owners
+// @access  Private
+router.delete('/:id', auth, checkOrganizationAccess('owner'), async (req, res) => {
+  try {
+    const organization = req.organization;
+    const boards = await Board.find({ organization: organization._id }).select('_id');
+
+    await Board.updateMany(
+      { organization: organization._id },
+      { $set: { organization: null, visibility: 'workspace' } }
+    );
+    await Group.updateMany({ organization: organization._id }, { $set: { organization: null } });
+    await Organization.findByIdAndDelete(organization._id);
+
+    // Workspace members lose the boards they only reached through the workspace
+    boards.forEach(board => revalidateBoardRoom(req.io, board._id));
+
+    res.json({
+      message: 'Workspace deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete workspace error:', error);
+    res.status(500).json({
+      message: 'Server error deleting workspace'
+    });
+  }
+});
+
+// @route   POST /api/organizations/:id/members
+// @desc    Add a member to a workspace
+// @access  Private
+router.post('/:id/members', [
+  auth,
+  checkOrganizationAccess('admin'),
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Valid email is required'),
+  body('role')
+    .optional()
+    .isIn(Organization.ROLES)
+    .withMessage('Role must be owner, admin, member, or guest')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const organization = req.organization;
+    const { email, role = 'member' } = req.body;
+
+    if (!canManageRole(req.organizationRole, role)) {
+      return res.status(403).json({
+        message: 'Only workspace owners can add owners and admins'
+      });
+    }
+
+    // Find user by email
+    const user = await User.findOne({ email });
+    if (!user) {
+      return res.status(404).json({
+        message: 'User not found with this email'
+      });
+    }
+
+    // Unverified accounts cannot be added when the verification policy requires it
+    if (user.isBlockedByEmailPolicy('invitations')) {
+      return res.status(400).json({
+        message: 'This user has not verified their email address yet'
+      });
+    }
+
+    if (organization.isMember(user._id)) {
+      return res.status(400).json({
+        message: 'User is already a member of this workspace'
+      });
+    }
+
+    organization.addMember(user._id, role);
+    await organization.save();
+    await organization.populate('members.user', MEMBER_FIELDS);
+
+    res.json({
+      message: 'Member added successfully',
+      organization: {
+        ...organization.toObject(),
+        userRole: req.organizationRole
+      }
+    });
+
+  } catch (error) {
+    console.error('Add workspace member error:', error);
+    res.status(500).json({
+      message: 'Server error adding workspace member'
+    });
+  }
+});
+
+// @route   PUT /api/organizations/:id/members/:userId
+// @desc    Update a workspace member's role
+// @access  Private
+router.put('/:id/members/:userId', [
+  auth,
+  checkOrganizationAccess('admin'),
+  body('role')
+    .isIn(Organization.ROLES)
+    .withMessage('Role must be owner, admin, member, or guest')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const organization = req.organization;
+    const { userId } = req.params;
+    const { role } = req.body;
+
+    const member = organization.members.find(member => member.user.toString() === userId);
+    if (!member) {
+      return res.status(400).json({
+        message: 'User is not a member of this workspace'
+      });
+    }
+
+    if (!canManageRole(req.organizationRole, member.role) || !canManageRole(req.organizationRole, role)) {
+      return res.status(403).json({
+        message: 'Only workspace owners can change owner and admin roles'
+      });
+    }
+
+    if (member.role === 'owner' && role !== 'owner' && organization.countOwners() === 1) {
+      return res.status(400).json({
+        message: 'A workspace needs at least one owner'
+      });
+    }
+
+    member.role = role;
+    await organization.save();
+    revalidateUserBoards(req.io, userId);
+    await organization.populate('members.user', MEMBER_FIELDS);
+
+    res.json({
+      message: 'Member role updated successfully',
+      organization: {
+        ...organization.toObject(),
+        userRole: organization.getMemberRole(req.user._id)
+      }
+    });
+
+  } catch (error) {
+    console.error('Update workspace member role error:', error);
+    res.status(500).json({
+      message: 'Server error updating workspace member role'
+    });
+  }
+});
+
+// @route   DELETE /api/organizations/:id/members/:userId
+// @desc    Remove a member from a workspace, or leave it
+// @access  Private
+router.delete('/:id/members/:userId', auth, checkOrganizationAccess('guest'), async (req, res) => {
+  try {
+    const organization = req.organization;
+    const { userId } = req.params;
+    const isSelf = userId === req.user._id.toString();
+
+    const member = organization.members.find(member => member.user.toString() === userId);
+    if (!member) {
+      return res.status(400).json({
+        message: 'User is not a member of this workspace'
+      });
+    }
+
+    // Anyone can leave, removing others needs an admin allowed to manage their role
+    if (!isSelf && (!organization.isAdmin(req.user._id) || !canManageRole(req.organizationRole, member.role))) {
+      return res.status(403).json({
+        message: 'You do not have permission to remove this member'
+      });
+    }
+
+    if (member.role === 'owner' && organization.countOwners() === 1) {
+      return res.status(400).json({
+        message: 'A workspace needs at least one owner'
+      });
+    }
+
+    organization.removeMember(userId);
+    await organization.save();
+    revalidateUserBoards(req.io, userId);
+
+    res.json({
+      message: isSelf ? 'You left the workspace' : 'Member removed successfully'
+    });
+
+  } catch (error) {
+    console.error('Remove workspace member error:', error);
+    res.status(500).json({
+      message: 'Server error removing workspace member'
+    });
+  }
+});
+
+module.exports = router;
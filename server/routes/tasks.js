@@ -1,23 +1,33 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, query, validationResult } = require('express-validator');
 const Task = require('../models/Task');
 const List = require('../models/List');
 const Board = require('../models/Board');
-const { auth } = require('../middleware/auth');
+const { auth, requireScope } = require('../middleware/auth');
+const { canAccessBoard } = require('../middleware/boardAccess');
+const { versionValidators, getExpectedVersion, isVersionConflict, sendVersionConflict } = require('../middleware/versioning');
+const { publishBoardEvent } = require('../sockets/boardEvents');
+const { userRoom } = require('../sockets/boardRooms');
+const descriptions = require('../sockets/descriptions');
+const timeTrackingService = require('../services/timeTrackingService');
+const attachmentService = require('../services/attachmentService');
+const mentionService = require('../services/mentionService');
 
 const router = express.Router();
 
 // @route   GET /api/tasks/:id
 // @desc    Get a specific task
 // @access  Private
-router.get('/:id', auth, async (req, res) => {
+router.get('/:id', auth, requireScope('tasks:read'), async (req, res) => {
   try {
     const { id } = req.params;
 
+    // Comments are loaded a page at a time from GET /api/tasks/:id/comments
     const task = await Task.findById(id)
+      .select('-comments')
       .populate('assignedTo', 'username email firstName lastName avatar')
       .populate('createdBy', 'username email firstName lastName avatar')
-      .populate('comments.author', 'username email firstName lastName avatar')
+      .populate('descriptionMentions', 'username firstName lastName avatar')
       .populate('list', 'title')
       .populate('board', 'title');
 
@@ -29,7 +39,7 @@ router.get('/:id', auth, async (req, res) => {
 
     // Check if user has access to the board
     const board = await Board.findById(task.board);
-    if (!board || !board.isMember(req.user._id)) {
+    if (!board || !(await canAccessBoard(req, board))) {
       return res.status(403).json({
         message: 'Access denied'
       });
@@ -53,6 +63,7 @@ router.get('/:id', auth, async (req, res) => {
 // @access  Private
 router.put('/:id', [
   auth,
+  requireScope('tasks:write'),
   body('title')
     .optional()
     .trim()
@@ -63,8 +74,8 @@ router.put('/:id', [
   body('description')
     .optional()
     .trim()
-    .isLength({ max: 2000 })
-    .withMessage('Task description cannot exceed 2000 characters'),
+    .isLength({ max: Task.DESCRIPTION_MAX_LENGTH })
+    .withMessage(`Task description cannot exceed ${Task.DESCRIPTION_MAX_LENGTH} characters`),
   body('priority')
     .optional()
     .isIn(['low', 'medium', 'high', 'urgent'])
@@ -76,7 +87,8 @@ router.put('/:id', [
   body('status')
     .optional()
     .isIn(['todo', 'in-progress', 'review', 'done'])
-    .withMessage('Status must be todo, in-progress, review, or done')
+    .withMessage('Status must be todo, in-progress, review, or done'),
+  ...versionValidators
 ], async (req, res) => {
   try {
     // Check for validation errors
@@ -90,9 +102,14 @@ router.put('/:id', [
 
     const { id } = req.params;
     const { title, description, priority, dueDate, status, isCompleted } = req.body;
+    const taskPopulate = [
+      { path: 'assignedTo', select: 'username email firstName lastName avatar' },
+      { path: 'createdBy', select: 'username email firstName lastName avatar' },
+      { path: 'descriptionMentions', select: 'username firstName lastName avatar' }
+    ];
 
-    // Find task
-    const task = await Task.findById(id);
+    // Find task, without its comments
+    const task = await Task.findById(id).select('-comments');
     if (!task) {
       return res.status(404).json({
         message: 'Task not found'
@@ -101,16 +118,32 @@ router.put('/:id', [
 
     // Check board access
     const board = await Board.findById(task.board);
-    if (!board || !board.isMember(req.user._id)) {
+    if (!board || !(await canAccessBoard(req, board))) {
       return res.status(403).json({
         message: 'Access denied'
       });
     }
 
+    // Changes made to an older version must not undo someone else's
+    const diff = task.getVersionConflicts(getExpectedVersion(req), req.body);
+    if (diff.length > 0) {
+      await task.populate(taskPopulate);
+      return sendVersionConflict(res, 'task', task, diff);
+    }
+
     // Update task fields
     const oldTitle = task.title;
     if (title !== undefined) task.title = title;
     if (description !== undefined) task.description = description;
+    // A new text replaces what people are editing together, their document starts over
+    const descriptionReplaced = task.isModified('description');
+    if (descriptionReplaced) task.descriptionState = undefined;
+    // Who the new text mentions, the newly mentioned are notified once it is saved
+    const previousMentions = [...task.descriptionMentions];
+    const { members: mentioned, nonMembers } = descriptionReplaced
+      ? await mentionService.resolve(task.description, board)
+      : { members: [], nonMembers: [] };
+    if (descriptionReplaced) task.descriptionMentions = mentioned.map(user => user._id);
     if (priority !== undefined) task.priority = priority;
     if (dueDate !== undefined) task.dueDate = dueDate ? new Date(dueDate) : null;
     if (status !== undefined) task.status = status;
@@ -131,26 +164,28 @@ router.put('/:id', [
     }
 
     // Populate task data
-    await task.populate([
-      { path: 'assignedTo', select: 'username email firstName lastName avatar' },
-      { path: 'createdBy', select: 'username email firstName lastName avatar' },
-      { path: 'comments.author', select: 'username email firstName lastName avatar' }
-    ]);
+    await task.populate(taskPopulate);
 
     // Emit real-time event
-    req.io.to(task.board.toString()).emit('task-updated', {
-      task,
-      listId: task.list,
-      boardId: task.board,
-      userId: req.user._id
-    });
+    publishBoardEvent(req.io, task.board, 'task.updated', { task }, req.user);
+    if (descriptionReplaced) {
+      descriptions.reset(req.io, task);
+      mentionService.notifyNewMentions(previousMentions, mentioned, task, board, req.user, 'description', task.description);
+    }
 
     res.json({
       message: 'Task updated successfully',
-      task
+      task,
+      nonMembers: mentionService.toInviteCandidates(nonMembers)
     });
 
   } catch (error) {
+    if (isVersionConflict(error)) {
+      return res.status(409).json({
+        message: 'This task was changed by someone else, please try again'
+      });
+    }
+
     console.error('Update task error:', error);
     res.status(500).json({
       message: 'Server error updating task'
@@ -161,7 +196,7 @@ router.put('/:id', [
 // @route   DELETE /api/tasks/:id
 // @desc    Delete a task
 // @access  Private
-router.delete('/:id', auth, async (req, res) => {
+router.delete('/:id', auth, requireScope('tasks:write'), async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -175,7 +210,7 @@ router.delete('/:id', auth, async (req, res) => {
 
     // Check board access
     const board = await Board.findById(task.board);
-    if (!board || !board.isMember(req.user._id)) {
+    if (!board || !(await canAccessBoard(req, board))) {
       return res.status(403).json({
         message: 'Access denied'
       });
@@ -192,16 +227,15 @@ router.delete('/:id', auth, async (req, res) => {
     board.addActivity(req.user._id, 'deleted task', `Deleted task "${task.title}"`);
     await board.save();
 
-    // Delete the task
+    // Delete the task and its attached files
+    await attachmentService.deleteTaskFiles({ _id: task._id });
     await Task.findByIdAndDelete(task._id);
 
     // Emit real-time event
-    req.io.to(task.board.toString()).emit('task-deleted', {
+    publishBoardEvent(req.io, task.board, 'task.deleted', {
       taskId: task._id,
-      listId: task.list,
-      boardId: task.board,
-      userId: req.user._id
-    });
+      listId: task.list
+    }, req.user);
 
     res.json({
       message: 'Task deleted successfully'
@@ -220,6 +254,7 @@ router.delete('/:id', auth, async (req, res) => {
 // @access  Private
 router.put('/:id/move', [
   auth,
+  requireScope('tasks:write'),
   body('sourceListId')
     .notEmpty()
     .withMessage('Source list ID is required')
@@ -248,7 +283,7 @@ router.put('/:id/move', [
     const { sourceListId, destinationListId, newPosition } = req.body;
 
     // Find task
-    const task = await Task.findById(id);
+    const task = await Task.findById(id).select('-comments');
     if (!task) {
       return res.status(404).json({
         message: 'Task not found'
@@ -257,7 +292,7 @@ router.put('/:id/move', [
 
     // Check board access
     const board = await Board.findById(task.board);
-    if (!board || !board.isMember(req.user._id)) {
+    if (!board || !(await canAccessBoard(req, board))) {
       return res.status(403).json({
         message: 'Access denied'
       });
@@ -273,6 +308,13 @@ router.put('/:id/move', [
       });
     }
 
+    // Tasks can only move between lists of their own board
+    if (sourceList.board.toString() !== board._id.toString() || destinationList.board.toString() !== board._id.toString()) {
+      return res.status(400).json({
+        message: 'Lists do not belong to this board'
+      });
+    }
+
     // Remove task from source list
     sourceList.removeTask(task._id);
     await sourceList.save();
@@ -294,14 +336,12 @@ router.put('/:id/move', [
     }
 
     // Emit real-time event
-    req.io.to(task.board.toString()).emit('task-moved', {
-      taskId: task._id,
+    publishBoardEvent(req.io, task.board, 'task.moved', {
+      task,
       sourceListId,
       destinationListId,
-      newPosition,
-      boardId: task.board,
-      userId: req.user._id
-    });
+      position: newPosition
+    }, req.user);
 
     res.json({
       message: 'Task moved successfully',
@@ -321,6 +361,7 @@ router.put('/:id/move', [
 // @access  Private
 router.put('/reorder', [
   auth,
+  requireScope('tasks:write'),
   body('listId')
     .notEmpty()
     .withMessage('List ID is required')
@@ -358,7 +399,7 @@ router.put('/reorder', [
 
     // Check board access
     const board = await Board.findById(list.board);
-    if (!board || !board.isMember(req.user._id)) {
+    if (!board || !(await canAccessBoard(req, board))) {
       return res.status(403).json({
         message: 'Access denied'
       });
@@ -384,12 +425,7 @@ router.put('/reorder', [
     await list.save();
 
     // Emit real-time event
-    req.io.to(list.board.toString()).emit('tasks-reordered', {
-      listId,
-      taskIds,
-      boardId: list.board,
-      userId: req.user._id
-    });
+    publishBoardEvent(req.io, list.board, 'task.reordered', { listId, taskIds }, req.user);
 
     res.json({
       message: 'Tasks reordered successfully'
@@ -405,17 +441,36 @@ router.put('/reorder', [
   }
 });
 
+const COMMENT_AUTHOR_FIELDS = 'username email firstName lastName avatar';
+const COMMENT_MENTION_FIELDS = 'username firstName lastName avatar';
+
+// Comments with their authors and the people they mention
+const COMMENT_POPULATE = [
+  { path: 'comments.author', select: COMMENT_AUTHOR_FIELDS },
+  { path: 'comments.mentions', select: COMMENT_MENTION_FIELDS }
+];
+
+// Top-level comments sent per page, with all their replies
+const COMMENT_PAGE_SIZE = 20;
+
+const commentTextValidator = body('text')
+  .trim()
+  .notEmpty()
+  .withMessage('Comment text is required')
+  .isLength({ max: 1000 })
+  .withMessage('Comment cannot exceed 1000 characters');
+
 // @route   POST /api/tasks/:id/comments
-// @desc    Add comment to task
+// @desc    Add comment to task, or a reply to another comment
 // @access  Private
 router.post('/:id/comments', [
   auth,
-  body('text')
-    .trim()
-    .notEmpty()
-    .withMessage('Comment text is required')
-    .isLength({ max: 1000 })
-    .withMessage('Comment cannot exceed 1000 characters')
+  requireScope('tasks:write'),
+  commentTextValidator,
+  body('parentId')
+    .optional({ nullable: true })
+    .isMongoId()
+    .withMessage('Parent comment ID must be valid')
 ], async (req, res) => {
   try {
     // Check for validation errors
@@ -428,7 +483,7 @@ router.post('/:id/comments', [
     }
 
     const { id } = req.params;
-    const { text } = req.body;
+    const { text, parentId } = req.body;
 
     // Find task
     const task = await Task.findById(id);
@@ -440,34 +495,44 @@ router.post('/:id/comments', [
 
     // Check board access
     const board = await Board.findById(task.board);
-    if (!board || !board.isMember(req.user._id)) {
+    if (!board || !(await canAccessBoard(req, board))) {
       return res.status(403).json({
         message: 'Access denied'
       });
     }
 
-    // Add comment
-    task.addComment(req.user._id, text);
+    if (parentId && !task.comments.id(parentId)) {
+      return res.status(404).json({
+        message: 'Comment not found'
+      });
+    }
+
+    // Add comment, with the board members it mentions
+    const { members: mentioned, nonMembers } = await mentionService.resolve(text, board);
+    task.addComment(req.user._id, text, parentId, mentioned.map(user => user._id));
     await task.save();
 
     // Populate the new comment
-    await task.populate('comments.author', 'username email firstName lastName avatar');
+    await task.populate(COMMENT_POPULATE);
+    const comment = task.comments[task.comments.length - 1];
 
     // Add activity to board
     board.addActivity(req.user._id, 'commented on task', `Commented on task "${task.title}"`);
     await board.save();
 
     // Emit real-time event
-    req.io.to(task.board.toString()).emit('task-comment-added', {
+    publishBoardEvent(req.io, task.board, 'comment.added', {
       taskId: task._id,
-      comment: task.comments[task.comments.length - 1],
-      boardId: task.board,
-      userId: req.user._id
-    });
+      comment,
+      commentCount: task.commentCount
+    }, req.user);
+
+    mentionService.notifyComment(task, board, req.user, comment, mentioned);
 
     res.json({
       message: 'Comment added successfully',
-      comment: task.comments[task.comments.length - 1]
+      comment,
+      nonMembers: mentionService.toInviteCandidates(nonMembers)
     });
 
   } catch (error) {
@@ -483,6 +548,7 @@ router.post('/:id/comments', [
 // @access  Private
 router.post('/:id/assign', [
   auth,
+  requireScope('tasks:write'),
   body('userId')
     .notEmpty()
     .withMessage('User ID is required')
@@ -503,7 +569,7 @@ router.post('/:id/assign', [
     const { userId } = req.body;
 
     // Find task
-    const task = await Task.findById(id);
+    const task = await Task.findById(id).select('-comments');
     if (!task) {
       return res.status(404).json({
         message: 'Task not found'
@@ -512,14 +578,14 @@ router.post('/:id/assign', [
 
     // Check board access
     const board = await Board.findById(task.board);
-    if (!board || !board.isMember(req.user._id)) {
+    if (!board || !(await canAccessBoard(req, board))) {
       return res.status(403).json({
         message: 'Access denied'
       });
     }
 
-    // Check if user to be assigned is a board member
-    if (!board.isMember(userId)) {
+    // Check if user to be assigned can access the board
+    if (!(await board.getEffectiveRole(userId))) {
       return res.status(400).json({
         message: 'User is not a member of this board'
       });
@@ -533,12 +599,7 @@ router.post('/:id/assign', [
     await task.populate('assignedTo', 'username email firstName lastName avatar');
 
     // Emit real-time event
-    req.io.to(task.board.toString()).emit('task-assigned', {
-      taskId: task._id,
-      userId,
-      assignedBy: req.user._id,
-      boardId: task.board
-    });
+    publishBoardEvent(req.io, task.board, 'task.assigned', { task, userId }, req.user);
 
     res.json({
       message: 'User assigned successfully',
@@ -556,7 +617,7 @@ router.post('/:id/assign', [
 // @route   DELETE /api/tasks/:id/assign/:userId
 // @desc    Unassign user from task
 // @access  Private
-router.delete('/:id/assign/:userId', auth, async (req, res) => {
+router.delete('/:id/assign/:userId', auth, requireScope('tasks:write'), async (req, res) => {
   try {
     const { id, userId } = req.params;
 
@@ -570,7 +631,7 @@ router.delete('/:id/assign/:userId', auth, async (req, res) => {
 
     // Check board access
     const board = await Board.findById(task.board);
-    if (!board || !board.isMember(req.user._id)) {
+    if (!board || !(await canAccessBoard(req, board))) {
       return res.status(403).json({
         message: 'Access denied'
       });
@@ -581,12 +642,7 @@ router.delete('/:id/assign/:userId', auth, async (req, res) => {
     await task.save();
 
     // Emit real-time event
-    req.io.to(task.board.toString()).emit('task-unassigned', {
-      taskId: task._id,
-      userId,
-      unassignedBy: req.user._id,
-      boardId: task.board
-    });
+    publishBoardEvent(req.io, task.board, 'task.unassigned', { taskId: task._id, userId }, req.user);
 
     res.json({
       message: 'User unassigned successfully'
@@ -600,4 +656,890 @@ router.delete('/:id/assign/:userId', auth, async (req, res) => {
   }
 });
 
+// Find the task a request reads or changes and check the request may access it. Sends the
+// error response and returns null otherwise.
+const findTaskToChange = async (req, res) => {
+  const task = await Task.findById(req.params.id);
+  if (!task) {
+    res.status(404).json({
+      message: 'Task not found'
+    });
+    return null;
+  }
+
+  const board = await Board.findById(task.board);
+  if (!board || !(await canAccessBoard(req, board))) {
+    res.status(403).json({
+      message: 'Access denied'
+    });
+    return null;
+  }
+
+  return task;
+};
+
+const findChecklistTask = async (req, res) => {
+  const task = await findTaskToChange(req, res);
+  // Items from before tasks had named checklists are moved into one
+  return task && task.groupChecklistItems();
+};
+
+// Save a task's checklists, send them to the board and answer the request with them
+const saveChecklists = async (req, res, task, message, status = 200) => {
+  await task.save();
+  await task.populate('checklist.completedBy', 'username email firstName lastName avatar');
+
+  const data = {
+    taskId: task._id,
+    checklists: task.checklists,
+    checklist: task.checklist,
+    checklistProgress: task.checklistProgress
+  };
+  publishBoardEvent(req.io, task.board, 'checklist.updated', data, req.user);
+
+  res.status(status).json({
+    message,
+    ...data
+  });
+};
+
+const idArrayValidator = (field, name) => body(field)
+  .isArray()
+  .withMessage(`${name} IDs must be an array`)
+  .custom((ids) => {
+    if (ids.some(id => typeof id !== 'string')) {
+      throw new Error(`All ${name.toLowerCase()} IDs must be strings`);
+    }
+    return true;
+  });
+
+const checklistTitleValidator = body('title')
+  .trim()
+  .notEmpty()
+  .withMessage('Checklist title is required')
+  .isLength({ max: 100 })
+  .withMessage('Checklist title cannot exceed 100 characters');
+
+const checklistItemTextValidator = body('text')
+  .trim()
+  .notEmpty()
+  .withMessage('Checklist item text is required')
+  .isLength({ max: 200 })
+  .withMessage('Checklist item cannot exceed 200 characters');
+
+// @route   POST /api/tasks/:id/checklists
+// @desc    Add a named checklist to a task
+// @access  Private
+router.post('/:id/checklists', [
+  auth,
+  requireScope('tasks:write'),
+  checklistTitleValidator
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const task = await findChecklistTask(req, res);
+    if (!task) return;
+
+    task.addChecklist(req.body.title);
+    await saveChecklists(req, res, task, 'Checklist added successfully', 201);
+
+  } catch (error) {
+    console.error('Add checklist error:', error);
+    res.status(500).json({
+      message: 'Server error adding checklist'
+    });
+  }
+});
+
+// @route   PUT /api/tasks/:id/checklists/reorder
+// @desc    Reorder the checklists of a task
+// @access  Private
+router.put('/:id/checklists/reorder', [
+  auth,
+  requireScope('tasks:write'),
+  idArrayValidator('checklistIds', 'Checklist')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { checklistIds } = req.body;
+
+    const task = await findChecklistTask(req, res);
+    if (!task) return;
+
+    // The new order must list every checklist of the task once
+    const currentIds = task.checklists.map(checklist => checklist._id.toString());
+    if (checklistIds.length !== currentIds.length || !currentIds.every(id => checklistIds.includes(id))) {
+      return res.status(400).json({
+        message: 'Checklist IDs must be the checklists of this task'
+      });
+    }
+
+    task.reorderChecklists(checklistIds);
+    await saveChecklists(req, res, task, 'Checklists reordered successfully');
+
+  } catch (error) {
+    console.error('Reorder checklists error:', error);
+    res.status(500).json({
+      message: 'Server error reordering checklists'
+    });
+  }
+});
+
+// @route   PUT /api/tasks/:id/checklists/:checklistId
+// @desc    Rename a checklist
+// @access  Private
+router.put('/:id/checklists/:checklistId', [
+  auth,
+  requireScope('tasks:write'),
+  checklistTitleValidator
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const task = await findChecklistTask(req, res);
+    if (!task) return;
+
+    const checklist = task.checklists.id(req.params.checklistId);
+    if (!checklist) {
+      return res.status(404).json({
+        message: 'Checklist not found'
+      });
+    }
+
+    checklist.title = req.body.title;
+    await saveChecklists(req, res, task, 'Checklist renamed successfully');
+
+  } catch (error) {
+    console.error('Rename checklist error:', error);
+    res.status(500).json({
+      message: 'Server error renaming checklist'
+    });
+  }
+});
+
+// @route   DELETE /api/tasks/:id/checklists/:checklistId
+// @desc    Delete a checklist and its items
+// @access  Private
+router.delete('/:id/checklists/:checklistId', auth, requireScope('tasks:write'), async (req, res) => {
+  try {
+    const task = await findChecklistTask(req, res);
+    if (!task) return;
+
+    if (!task.checklists.id(req.params.checklistId)) {
+      return res.status(404).json({
+        message: 'Checklist not found'
+      });
+    }
+
+    task.removeChecklist(req.params.checklistId);
+    await saveChecklists(req, res, task, 'Checklist deleted successfully');
+
+  } catch (error) {
+    console.error('Delete checklist error:', error);
+    res.status(500).json({
+      message: 'Server error deleting checklist'
+    });
+  }
+});
+
+// @route   POST /api/tasks/:id/checklist
+// @desc    Add an item to a checklist of a task, the first one unless checklistId is given
+// @access  Private
+router.post('/:id/checklist', [
+  auth,
+  requireScope('tasks:write'),
+  checklistItemTextValidator,
+  body('checklistId')
+    .optional({ nullable: true })
+    .isMongoId()
+    .withMessage('Invalid checklist ID')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { text, checklistId } = req.body;
+
+    const task = await findChecklistTask(req, res);
+    if (!task) return;
+
+    if (checklistId && !task.checklists.id(checklistId)) {
+      return res.status(404).json({
+        message: 'Checklist not found'
+      });
+    }
+
+    task.addChecklistItem(text, checklistId);
+    await saveChecklists(req, res, task, 'Checklist item added successfully', 201);
+
+  } catch (error) {
+    console.error('Add checklist item error:', error);
+    res.status(500).json({
+      message: 'Server error adding checklist item'
+    });
+  }
+});
+
+// @route   PUT /api/tasks/:id/checklist/reorder
+// @desc    Reorder the items of a checklist
+// @access  Private
+router.put('/:id/checklist/reorder', [
+  auth,
+  requireScope('tasks:write'),
+  body('checklistId')
+    .notEmpty()
+    .withMessage('Checklist ID is required')
+    .isMongoId()
+    .withMessage('Invalid checklist ID'),
+  idArrayValidator('itemIds', 'Item')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { checklistId, itemIds } = req.body;
+
+    const task = await findChecklistTask(req, res);
+    if (!task) return;
+
+    if (!task.checklists.id(checklistId)) {
+      return res.status(404).json({
+        message: 'Checklist not found'
+      });
+    }
+
+    // The new order must list every item of the checklist once
+    const currentIds = task.getChecklistItems(checklistId).map(item => item._id.toString());
+    if (itemIds.length !== currentIds.length || !currentIds.every(id => itemIds.includes(id))) {
+      return res.status(400).json({
+        message: 'Item IDs must be the items of this checklist'
+      });
+    }
+
+    task.reorderChecklistItems(checklistId, itemIds);
+    await saveChecklists(req, res, task, 'Checklist items reordered successfully');
+
+  } catch (error) {
+    console.error('Reorder checklist items error:', error);
+    res.status(500).json({
+      message: 'Server error reordering checklist items'
+    });
+  }
+});
+
+// @route   PUT /api/tasks/:id/checklist/:itemId
+// @desc    Edit the text of a checklist item
+// @access  Private
+router.put('/:id/checklist/:itemId', [
+  auth,
+  requireScope('tasks:write'),
+  checklistItemTextValidator
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const task = await findChecklistTask(req, res);
+    if (!task) return;
+
+    const item = task.checklist.id(req.params.itemId);
+    if (!item) {
+      return res.status(404).json({
+        message: 'Checklist item not found'
+      });
+    }
+
+    item.text = req.body.text;
+    await saveChecklists(req, res, task, 'Checklist item updated successfully');
+
+  } catch (error) {
+    console.error('Update checklist item error:', error);
+    res.status(500).json({
+      message: 'Server error updating checklist item'
+    });
+  }
+});
+
+// @route   POST /api/tasks/:id/checklist/:itemId/toggle
+// @desc    Check or uncheck a checklist item, checking records who did it
+// @access  Private
+router.post('/:id/checklist/:itemId/toggle', auth, requireScope('tasks:write'), async (req, res) => {
+  try {
+    const task = await findChecklistTask(req, res);
+    if (!task) return;
+
+    if (!task.checklist.id(req.params.itemId)) {
+      return res.status(404).json({
+        message: 'Checklist item not found'
+      });
+    }
+
+    task.toggleChecklistItem(req.params.itemId, req.user._id);
+    await saveChecklists(req, res, task, 'Checklist item toggled successfully');
+
+  } catch (error) {
+    console.error('Toggle checklist item error:', error);
+    res.status(500).json({
+      message: 'Server error toggling checklist item'
+    });
+  }
+});
+
+// @route   DELETE /api/tasks/:id/checklist/:itemId
+// @desc    Delete a checklist item
+// @access  Private
+router.delete('/:id/checklist/:itemId', auth, requireScope('tasks:write'), async (req, res) => {
+  try {
+    const task = await findChecklistTask(req, res);
+    if (!task) return;
+
+    const item = task.checklist.id(req.params.itemId);
+    if (!item) {
+      return res.status(404).json({
+        message: 'Checklist item not found'
+      });
+    }
+
+    item.deleteOne();
+    await saveChecklists(req, res, task, 'Checklist item deleted successfully');
+
+  } catch (error) {
+    console.error('Delete checklist item error:', error);
+    res.status(500).json({
+      message: 'Server error deleting checklist item'
+    });
+  }
+});
+
+// Save a task's time entries, send them to the board and the user's running timer to all
+// their tabs, and answer the request with them. The claim of a time entry of the user's that
+// stopped running is released before the answer, so a failed release fails the request.
+const saveTimeEntries = async (req, res, task, message, status = 200, stoppedEntryId = null) => {
+  try {
+    await task.save();
+  } catch (error) {
+    if (stoppedEntryId) {
+      // The save may have gone through all the same
+      await timeTrackingService.releaseStoppedTimer(req.user._id, stoppedEntryId)
+        .catch(releaseError => console.error('Release timer error:', releaseError));
+    }
+    throw error;
+  }
+  if (stoppedEntryId) {
+    await timeTrackingService.releaseTimer(req.user._id, stoppedEntryId);
+  }
+  await task.populate('timeEntries.user', 'username email firstName lastName avatar');
+
+  const data = {
+    taskId: task._id,
+    timeEntries: task.timeEntries,
+    actualHours: task.actualHours || 0
+  };
+  publishBoardEvent(req.io, task.board, 'time.updated', data, req.user);
+  req.io.to(userRoom(req.user._id)).emit('timer:updated', {
+    timer: await timeTrackingService.getRunningTimer(req.user._id)
+  });
+
+  res.status(status).json({
+    message,
+    ...data
+  });
+};
+
+const timeEntryDescriptionValidator = body('description')
+  .optional()
+  .trim()
+  .isLength({ max: 200 })
+  .withMessage('Description cannot exceed 200 characters');
+
+// A time entry's start and end as dates, or an error message
+const getEntryTimes = ({ startTime, endTime }) => {
+  if (endTime && endTime <= startTime) {
+    return { error: 'End time must be after start time' };
+  }
+  if (startTime > new Date()) {
+    return { error: 'Start time cannot be in the future' };
+  }
+  return { startTime, endTime };
+};
+
+// Find a time entry of the task that belongs to the current user. Sends the error response
+// and returns null otherwise.
+const findOwnTimeEntry = (req, res, task) => {
+  const entry = task.timeEntries.id(req.params.entryId);
+  if (!entry) {
+    res.status(404).json({
+      message: 'Time entry not found'
+    });
+    return null;
+  }
+
+  if (entry.user.toString() !== req.user._id.toString()) {
+    res.status(403).json({
+      message: 'You can only change your own time entries'
+    });
+    return null;
+  }
+
+  return entry;
+};
+
+// @route   POST /api/tasks/:id/time-entries/start
+// @desc    Start a timer on a task, a user can only have one running across all boards
+// @access  Private
+router.post('/:id/time-entries/start', [
+  auth,
+  requireScope('tasks:write'),
+  timeEntryDescriptionValidator
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const task = await findTaskToChange(req, res);
+    if (!task) return;
+
+    const timer = await timeTrackingService.getRunningTimer(req.user._id);
+    if (timer) {
+      return res.status(409).json({
+        message: `You already have a timer running on "${timer.taskTitle}"`,
+        timer
+      });
+    }
+
+    // Starts that run at the same time, on any tasks, cannot both claim the user's timer
+    task.startTimeTracking(req.user._id, req.body.description);
+    const entry = task.getActiveTimeEntry(req.user._id);
+    if (!(await timeTrackingService.claimTimer(req.user._id, task._id, entry._id))) {
+      return res.status(409).json({
+        message: 'You already have a timer running',
+        timer: await timeTrackingService.getRunningTimer(req.user._id)
+      });
+    }
+
+    try {
+      await task.save();
+    } catch (error) {
+      await timeTrackingService.releaseTimer(req.user._id, entry._id);
+      throw error;
+    }
+    await saveTimeEntries(req, res, task, 'Timer started successfully', 201);
+
+  } catch (error) {
+    console.error('Start timer error:', error);
+    res.status(500).json({
+      message: 'Server error starting timer'
+    });
+  }
+});
+
+// @route   POST /api/tasks/:id/time-entries/stop
+// @desc    Stop the current user's timer on a task
+// @access  Private
+router.post('/:id/time-entries/stop', auth, requireScope('tasks:write'), async (req, res) => {
+  try {
+    const task = await findTaskToChange(req, res);
+    if (!task) return;
+
+    const entry = task.getActiveTimeEntry(req.user._id);
+    if (!entry) {
+      return res.status(400).json({
+        message: 'You have no timer running on this task'
+      });
+    }
+
+    task.stopTimeTracking(req.user._id);
+    await saveTimeEntries(req, res, task, 'Timer stopped successfully', 200, entry._id);
+
+  } catch (error) {
+    console.error('Stop timer error:', error);
+    res.status(500).json({
+      message: 'Server error stopping timer'
+    });
+  }
+});
+
+// @route   POST /api/tasks/:id/time-entries
+// @desc    Log time spent on a task without the timer
+// @access  Private
+router.post('/:id/time-entries', [
+  auth,
+  requireScope('tasks:write'),
+  body('startTime')
+    .isISO8601()
+    .withMessage('Start time must be a valid date')
+    .toDate(),
+  body('endTime')
+    .isISO8601()
+    .withMessage('End time must be a valid date')
+    .toDate(),
+  timeEntryDescriptionValidator
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { startTime, endTime, error } = getEntryTimes(req.body);
+    if (error) {
+      return res.status(400).json({
+        message: error
+      });
+    }
+
+    const task = await findTaskToChange(req, res);
+    if (!task) return;
+
+    task.addTimeEntry(req.user._id, startTime, endTime, req.body.description);
+    await saveTimeEntries(req, res, task, 'Time entry added successfully', 201);
+
+  } catch (error) {
+    console.error('Add time entry error:', error);
+    res.status(500).json({
+      message: 'Server error adding time entry'
+    });
+  }
+});
+
+// @route   PUT /api/tasks/:id/time-entries/:entryId
+// @desc    Change the times or description of one of the current user's time entries
+// @access  Private
+router.put('/:id/time-entries/:entryId', [
+  auth,
+  requireScope('tasks:write'),
+  body('startTime')
+    .optional()
+    .isISO8601()
+    .withMessage('Start time must be a valid date')
+    .toDate(),
+  body('endTime')
+    .optional()
+    .isISO8601()
+    .withMessage('End time must be a valid date')
+    .toDate(),
+  timeEntryDescriptionValidator
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const task = await findTaskToChange(req, res);
+    if (!task) return;
+
+    const entry = findOwnTimeEntry(req, res, task);
+    if (!entry) return;
+
+    const { startTime = entry.startTime, endTime = entry.endTime, description } = req.body;
+    const times = getEntryTimes({ startTime, endTime });
+    if (times.error) {
+      return res.status(400).json({
+        message: times.error
+      });
+    }
+
+    task.updateTimeEntry(entry._id, { ...times, description });
+    await saveTimeEntries(req, res, task, 'Time entry updated successfully', 200, times.endTime ? entry._id : null);
+
+  } catch (error) {
+    console.error('Update time entry error:', error);
+    res.status(500).json({
+      message: 'Server error updating time entry'
+    });
+  }
+});
+
+// @route   DELETE /api/tasks/:id/time-entries/:entryId
+// @desc    Delete one of the current user's time entries
+// @access  Private
+router.delete('/:id/time-entries/:entryId', auth, requireScope('tasks:write'), async (req, res) => {
+  try {
+    const task = await findTaskToChange(req, res);
+    if (!task) return;
+
+    const entry = findOwnTimeEntry(req, res, task);
+    if (!entry) return;
+
+    task.removeTimeEntry(entry._id);
+    await saveTimeEntries(req, res, task, 'Time entry deleted successfully', 200, entry._id);
+
+  } catch (error) {
+    console.error('Delete time entry error:', error);
+    res.status(500).json({
+      message: 'Server error deleting time entry'
+    });
+  }
+});
+
+// Find a comment of the task. Sends the error response and returns null when there is none.
+const findComment = (req, res, task) => {
+  const comment = task.comments.id(req.params.commentId);
+  if (!comment) {
+    res.status(404).json({
+      message: 'Comment not found'
+    });
+  }
+  return comment;
+};
+
+// @route   GET /api/tasks/:id/comments
+// @desc    Get a page of comment threads, the newest unless ?before names a comment
+// @access  Private
+router.get('/:id/comments', [
+  auth,
+  requireScope('tasks:read'),
+  query('before')
+    .optional()
+    .isMongoId()
+    .withMessage('Before must be a comment ID'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+    .toInt()
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const task = await findTaskToChange(req, res);
+    if (!task) return;
+
+    await task.populate(COMMENT_POPULATE);
+    const page = task.getCommentPage(req.query.before, req.query.limit || COMMENT_PAGE_SIZE);
+    if (!page) {
+      return res.status(404).json({
+        message: 'Comment not found'
+      });
+    }
+
+    res.json({
+      comments: page.comments,
+      hasMore: page.hasMore,
+      total: task.comments.length
+    });
+
+  } catch (error) {
+    console.error('Get comments error:', error);
+    res.status(500).json({
+      message: 'Server error retrieving comments'
+    });
+  }
+});
+
+// @route   PUT /api/tasks/:id/comments/:commentId
+// @desc    Edit one of the current user's comments
+// @access  Private
+router.put('/:id/comments/:commentId', [
+  auth,
+  requireScope('tasks:write'),
+  commentTextValidator
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const task = await findTaskToChange(req, res);
+    if (!task) return;
+
+    const comment = findComment(req, res, task);
+    if (!comment) return;
+
+    if (comment.author.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        message: 'You can only edit your own comments'
+      });
+    }
+
+    const board = await Board.findById(task.board);
+    const { members: mentioned, nonMembers } = await mentionService.resolve(req.body.text, board);
+    const previousMentions = [...comment.mentions];
+
+    task.editComment(comment._id, req.body.text, mentioned.map(user => user._id));
+    await task.save();
+    await task.populate(COMMENT_POPULATE);
+
+    publishBoardEvent(req.io, task.board, 'comment.updated', {
+      taskId: task._id,
+      comment
+    }, req.user);
+
+    // Only people the edit adds are notified
+    mentionService.notifyNewMentions(previousMentions, mentioned, task, board, req.user, 'comment', comment.text);
+
+    res.json({
+      message: 'Comment updated successfully',
+      comment,
+      nonMembers: mentionService.toInviteCandidates(nonMembers)
+    });
+
+  } catch (error) {
+    console.error('Update comment error:', error);
+    res.status(500).json({
+      message: 'Server error updating comment'
+    });
+  }
+});
+
+// @route   DELETE /api/tasks/:id/comments/:commentId
+// @desc    Delete a comment and its replies, by its author or a board admin
+// @access  Private
+router.delete('/:id/comments/:commentId', auth, requireScope('tasks:write'), async (req, res) => {
+  try {
+    const task = await findTaskToChange(req, res);
+    if (!task) return;
+
+    const comment = findComment(req, res, task);
+    if (!comment) return;
+
+    if (comment.author.toString() !== req.user._id.toString()) {
+      const board = await Board.findById(task.board);
+      const userRole = await board.getEffectiveRole(req.user._id);
+      if ((Board.ROLE_LEVELS[userRole] || 0) < Board.ROLE_LEVELS.admin) {
+        return res.status(403).json({
+          message: 'Only the author or a board admin can delete this comment'
+        });
+      }
+    }
+
+    const commentIds = task.removeComment(comment._id);
+    await task.save();
+
+    publishBoardEvent(req.io, task.board, 'comment.deleted', {
+      taskId: task._id,
+      commentIds,
+      commentCount: task.commentCount
+    }, req.user);
+
+    res.json({
+      message: 'Comment deleted successfully',
+      commentIds
+    });
+
+  } catch (error) {
+    console.error('Delete comment error:', error);
+    res.status(500).json({
+      message: 'Server error deleting comment'
+    });
+  }
+});
+
+// @route   POST /api/tasks/:id/comments/:commentId/reactions
+// @desc    Add the current user's emoji reaction to a comment, or take it back
+// @access  Private
+router.post('/:id/comments/:commentId/reactions', [
+  auth,
+  requireScope('tasks:write'),
+  body('emoji')
+    .isIn(Task.COMMENT_REACTIONS)
+    .withMessage(`Emoji must be one of ${Task.COMMENT_REACTIONS.join(' ')}`)
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const task = await findTaskToChange(req, res);
+    if (!task) return;
+
+    const comment = findComment(req, res, task);
+    if (!comment) return;
+
+    task.toggleCommentReaction(comment._id, req.user._id, req.body.emoji);
+    await task.save();
+
+    const data = {
+      taskId: task._id,
+      commentId: comment._id,
+      reactions: comment.reactions
+    };
+    publishBoardEvent(req.io, task.board, 'comment.reacted', data, req.user);
+
+    res.json({
+      message: 'Reaction updated successfully',
+      ...data
+    });
+
+  } catch (error) {
+    console.error('Toggle comment reaction error:', error);
+    res.status(500).json({
+      message: 'Server error updating reaction'
+    });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,89 @@
+const express = require('express');
+const { query, validationResult } = require('express-validator');
+const timeTrackingService = require('../services/timeTrackingService');
+const { auth } = require('../middleware/auth');
+
+const router = express.Router();
+
+const weekValidator = query('week')
+  .optional()
+  .isISO8601({ strict: true })
+  .withMessage('Week must be a date (YYYY-MM-DD)')
+  .isLength({ min: 10, max: 10 })
+  .withMessage('Week must be a date (YYYY-MM-DD)');
+
+// @route   GET /api/time-entries/running
+// @desc    Get the timer the current user has running, on any board
+// @access  Private
+router.get('/running', auth, async (req, res) => {
+  try {
+    res.json({
+      timer: await timeTrackingService.getRunningTimer(req.user._id)
+    });
+
+  } catch (error) {
+    console.error('Get running timer error:', error);
+    res.status(500).json({
+      message: 'Server error retrieving running timer'
+    });
+  }
+});
+
+// @route   GET /api/time-entries/timesheet
+// @desc    Get the current user's time entries of a week, grouped by day, board and task
+// @access  Private
+router.get('/timesheet', [auth, weekValidator], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    res.json({
+      message: 'Timesheet retrieved successfully',
+      timesheet: await timeTrackingService.getTimesheet(req.user, req.query.week)
+    });
+
+  } catch (error) {
+    console.error('Get timesheet error:', error);
+    res.status(500).json({
+      message: 'Server error retrieving timesheet'
+    });
+  }
+});
+
+// @route   GET /api/time-entries/timesheet/export
+// @desc    Download the current user's time entries of a week as CSV
+// @access  Private
+router.get('/timesheet/export', [auth, weekValidator], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const timesheet = await timeTrackingService.getTimesheet(req.user, req.query.week);
+
+    res.set({
+      'Content-Type': 'text/csv',
+      'Content-Disposition': `attachment; filename="timesheet-${timesheet.weekStart}.csv"`
+    });
+    res.send(timeTrackingService.toCSV(timesheet, req.user.preferences));
+
+  } catch (error) {
+    console.error('Export timesheet error:', error);
+    res.status(500).json({
+      message: 'Server error exporting timesheet'
+    });
+  }
+});
+
+module.exports = router;
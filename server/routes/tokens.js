@@ -0,0 +1,155 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, validationResult } = require('express-validator');
+const ApiToken = require('../models/ApiToken');
+const Board = require('../models/Board');
+const { auth } = require('../middleware/auth');
+
+const router = express.Router();
+
+// @route   GET /api/tokens
+// @desc    Get personal access tokens of the current user
+// @access  Private
+router.get('/', auth, async (req, res) => {
+  try {
+    const tokens = await ApiToken.find({
+      user: req.user._id,
+      revokedAt: { $exists: false }
+    })
+      .populate('boards', 'title')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      message: 'API tokens retrieved successfully',
+      tokens: tokens.map(token => token.getPublicData()),
+      scopes: ApiToken.SCOPES
+    });
+
+  } catch (error) {
+    console.error('Get API tokens error:', error);
+    res.status(500).json({
+      message: 'Server error retrieving API tokens'
+    });
+  }
+});
+
+// @route   POST /api/tokens
+// @desc    Create a personal access token
+// @access  Private
+router.post('/', [
+  auth,
+  body('name')
+    .trim()
+    .notEmpty()
+    .withMessage('Token name is required')
+    .isLength({ max: 100 })
+    .withMessage('Token name cannot exceed 100 characters'),
+  body('scopes')
+    .isArray({ min: 1 })
+    .withMessage('At least one scope is required'),
+  body('scopes.*')
+    .isIn(ApiToken.SCOPES)
+    .withMessage(`Scopes must be one of: ${ApiToken.SCOPES.join(', ')}`),
+  body('boards')
+    .optional()
+    .isArray()
+    .withMessage('Boards must be an array of board IDs'),
+  body('boards.*')
+    .isMongoId()
+    .withMessage('Invalid board ID'),
+  body('expiresAt')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('Expiry must be a valid date')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { name, scopes, boards = [], expiresAt } = req.body;
+
+    if (expiresAt && new Date(expiresAt) <= new Date()) {
+      return res.status(400).json({
+        message: 'Expiry date must be in the future'
+      });
+    }
+
+    // A token can only be limited to boards its owner belongs to
+    const boardIds = [...new Set(boards)];
+    if (boardIds.length > 0) {
+      const accessibleBoards = await Board.find({ _id: { $in: boardIds } });
+      const roles = await Promise.all(accessibleBoards.map(board => board.getEffectiveRole(req.user._id)));
+      const allAccessible = accessibleBoards.length === boardIds.length && roles.every(Boolean);
+
+      if (!allAccessible) {
+        return res.status(403).json({
+          message: 'You can only restrict a token to boards you are a member of'
+        });
+      }
+    }
+
+    const { apiToken, rawToken } = await ApiToken.createForUser(req.user._id, {
+      name,
+      scopes: [...new Set(scopes)],
+      boards: boardIds,
+      expiresAt: expiresAt ? new Date(expiresAt) : undefined
+    });
+
+    await apiToken.populate('boards', 'title');
+
+    res.status(201).json({
+      message: 'API token created successfully. Copy it now, it will not be shown again',
+      token: rawToken,
+      apiToken: apiToken.getPublicData()
+    });
+
+  } catch (error) {
+    console.error('Create API token error:', error);
+    res.status(500).json({
+      message: 'Server error creating API token'
+    });
+  }
+});
+
+// @route   DELETE /api/tokens/:id
+// @desc    Revoke a personal access token
+// @access  Private
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        message: 'Invalid token ID'
+      });
+    }
+
+    const apiToken = await ApiToken.findOne({ _id: id, user: req.user._id });
+    if (!apiToken) {
+      return res.status(404).json({
+        message: 'API token not found'
+      });
+    }
+
+    apiToken.revoke();
+    await apiToken.save();
+
+    res.json({
+      message: 'API token revoked successfully'
+    });
+
+  } catch (error) {
+    console.error('Revoke API token error:', error);
+    res.status(500).json({
+      message: 'Server error revoking API token'
+    });
+  }
+});
+
+module.exports = router;
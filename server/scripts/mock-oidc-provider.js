@@ -0,0 +1,235 @@
+// Minimal OpenID Connect provider for trying out and testing single sign-on locally.
+// It implements discovery, the authorization code flow with PKCE, JWKS and userinfo,
+// and lets you type in whichever identity you want to sign in as.
+//
+//   npm run mock-oidc
+//
+// Server .env to use it:
+//   OIDC_ISSUER=http://localhost:4000
+//   OIDC_CLIENT_ID=collab-app
+//   OIDC_CLIENT_SECRET=collab-secret
+const crypto = require('crypto');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+
+const PORT = process.env.MOCK_OIDC_PORT || 4000;
+const ISSUER = process.env.MOCK_OIDC_ISSUER || `http://localhost:${PORT}`;
+const CLIENT_ID = process.env.MOCK_OIDC_CLIENT_ID || 'collab-app';
+const CLIENT_SECRET = process.env.MOCK_OIDC_CLIENT_SECRET || 'collab-secret';
+// Skip the login form and sign in as this email right away (handy for scripted tests)
+const AUTO_LOGIN_EMAIL = process.env.MOCK_OIDC_AUTO_LOGIN || '';
+const AUTO_LOGIN_GROUPS = process.env.MOCK_OIDC_AUTO_LOGIN_GROUPS || '';
+
+const CODE_TTL = 60 * 1000;
+const KEY_ID = 'mock-oidc-key';
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+
+// Issued authorization codes and access tokens, kept in memory
+const authorizationCodes = new Map();
+const accessTokens = new Map();
+
+const app = express();
+app.use(express.urlencoded({ extended: false }));
+
+const escapeHtml = (value = '') => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const base64url = (buffer) => buffer.toString('base64')
+  .replace(/\+/g, '-')
+  .replace(/\//g, '_')
+  .replace(/=+$/, '');
+
+// Build the claims of a signed in identity; the subject is stable per email
+const buildClaims = ({ email, name = '', groups = '', emailVerified = true }) => {
+  const [givenName = '', ...familyName] = name.trim().split(/\s+/);
+
+  return {
+    sub: crypto.createHash('sha256').update(email.toLowerCase()).digest('hex').slice(0, 24),
+    email,
+    email_verified: emailVerified,
+    name: name.trim() || email,
+    given_name: givenName,
+    family_name: familyName.join(' '),
+    preferred_username: email.split('@')[0],
+    groups: groups.split(',').map(group => group.trim()).filter(Boolean),
+  };
+};
+
+const sendError = (res, status, error, description) => {
+  res.status(status).json({ error, error_description: description });
+};
+
+app.get('/.well-known/openid-configuration', (req, res) => {
+  res.json({
+    issuer: ISSUER,
+    authorization_endpoint: `${ISSUER}/authorize`,
+    token_endpoint: `${ISSUER}/token`,
+    userinfo_endpoint: `${ISSUER}/userinfo`,
+    jwks_uri: `${ISSUER}/jwks`,
+    response_types_supported: ['code'],
+    grant_types_supported: ['authorization_code'],
+    subject_types_supported: ['public'],
+    id_token_signing_alg_values_supported: ['RS256'],
+    code_challenge_methods_supported: ['S256'],
+    scopes_supported: ['openid', 'email', 'profile', 'groups'],
+    token_endpoint_auth_methods_supported: ['client_secret_basic', 'client_secret_post', 'none'],
+    claims_supported: ['sub', 'email', 'email_verified', 'name', 'given_name', 'family_name', 'preferred_username', 'groups'],
+  });
+});
+
+app.get('/jwks', (req, res) => {
+  res.json({
+    keys: [{ ...publicKey.export({ format: 'jwk' }), kid: KEY_ID, alg: 'RS256', use: 'sig' }],
+  });
+});
+
+// Check an authorization request, returns an error description or null
+const validateAuthorizationRequest = (params) => {
+  if (params.response_type !== 'code') return 'Only response_type=code is supported';
+  if (params.client_id !== CLIENT_ID) return 'Unknown client_id';
+  if (!params.redirect_uri) return 'redirect_uri is required';
+  if (!params.code_challenge || params.code_challenge_method !== 'S256') return 'PKCE with S256 is required';
+  return null;
+};
+
+// Issue a code for the identity and send the browser back to the client
+const completeAuthorization = (res, params, identity) => {
+  const code = base64url(crypto.randomBytes(32));
+
+  authorizationCodes.set(code, {
+    clientId: params.client_id,
+    redirectUri: params.redirect_uri,
+    codeChallenge: params.code_challenge,
+    nonce: params.nonce,
+    claims: buildClaims(identity),
+    expiresAt: Date.now() + CODE_TTL,
+  });
+
+  const redirect = new URL(params.redirect_uri);
+  redirect.searchParams.set('code', code);
+  if (params.state) redirect.searchParams.set('state', params.state);
+
+  res.redirect(redirect.toString());
+};
+
+app.get('/authorize', (req, res) => {
+  const params = req.query;
+  const error = validateAuthorizationRequest(params);
+  if (error) {
+    return sendError(res, 400, 'invalid_request', error);
+  }
+
+  if (AUTO_LOGIN_EMAIL) {
+    return completeAuthorization(res, params, { email: AUTO_LOGIN_EMAIL, groups: AUTO_LOGIN_GROUPS });
+  }
+
+  const hiddenFields = Object.entries(params)
+    .map(([key, value]) => `<input type="hidden" name="${escapeHtml(key)}" value="${escapeHtml(value)}">`)
+    .join('\n');
+
+  res.send(`<!DOCTYPE html>
+<html>
+  <head><title>Mock OIDC Provider</title></head>
+  <body style="font-family: Arial, sans-serif; max-width: 420px; margin: 60px auto;">
+    <h2>Mock OIDC Provider</h2>
+    <p style="color: #666;">Sign in to <strong>${escapeHtml(params.client_id)}</strong> as any identity.</p>
+    <form method="post" action="/authorize">
+      ${hiddenFields}
+      <p><label>Email<br><input name="email" type="email" required style="width: 100%;"></label></p>
+      <p><label>Name<br><input name="name" style="width: 100%;"></label></p>
+      <p><label>Groups (comma separated)<br><input name="groups" style="width: 100%;"></label></p>
+      <p><label><input name="email_verified" type="checkbox" checked> Email verified</label></p>
+      <button type="submit">Sign in</button>
+    </form>
+  </body>
+</html>`);
+});
+
+app.post('/authorize', (req, res) => {
+  const params = req.body;
+  const error = validateAuthorizationRequest(params);
+  if (error) {
+    return sendError(res, 400, 'invalid_request', error);
+  }
+
+  completeAuthorization(res, params, {
+    email: params.email,
+    name: params.name,
+    groups: params.groups || '',
+    emailVerified: params.email_verified === 'on',
+  });
+});
+
+app.post('/token', (req, res) => {
+  // Client credentials may come in a Basic header or in the body
+  let clientId = req.body.client_id;
+  let clientSecret = req.body.client_secret;
+  const authorization = req.get('Authorization') || '';
+
+  if (authorization.startsWith('Basic ')) {
+    const decoded = Buffer.from(authorization.slice(6), 'base64').toString();
+    const separator = decoded.indexOf(':');
+    clientId = decodeURIComponent(decoded.slice(0, separator));
+    clientSecret = decodeURIComponent(decoded.slice(separator + 1));
+  }
+
+  if (clientId !== CLIENT_ID || (clientSecret !== undefined && clientSecret !== CLIENT_SECRET)) {
+    return sendError(res, 401, 'invalid_client', 'Client authentication failed');
+  }
+
+  if (req.body.grant_type !== 'authorization_code') {
+    return sendError(res, 400, 'unsupported_grant_type', 'Only authorization_code is supported');
+  }
+
+  const entry = authorizationCodes.get(req.body.code);
+  authorizationCodes.delete(req.body.code);
+
+  if (!entry || entry.expiresAt < Date.now() || entry.clientId !== clientId) {
+    return sendError(res, 400, 'invalid_grant', 'Authorization code is invalid or expired');
+  }
+
+  if (entry.redirectUri !== req.body.redirect_uri) {
+    return sendError(res, 400, 'invalid_grant', 'redirect_uri does not match');
+  }
+
+  const challenge = base64url(crypto.createHash('sha256').update(req.body.code_verifier || '').digest());
+  if (challenge !== entry.codeChallenge) {
+    return sendError(res, 400, 'invalid_grant', 'PKCE verification failed');
+  }
+
+  const accessToken = base64url(crypto.randomBytes(32));
+  accessTokens.set(accessToken, entry.claims);
+
+  const idToken = jwt.sign(
+    { ...entry.claims, nonce: entry.nonce },
+    privateKey.export({ format: 'pem', type: 'pkcs8' }),
+    { algorithm: 'RS256', keyid: KEY_ID, issuer: ISSUER, audience: clientId, expiresIn: '5m' }
+  );
+
+  res.json({
+    access_token: accessToken,
+    token_type: 'Bearer',
+    expires_in: 3600,
+    id_token: idToken,
+  });
+});
+
+app.get('/userinfo', (req, res) => {
+  const accessToken = (req.get('Authorization') || '').replace('Bearer ', '');
+  const claims = accessTokens.get(accessToken);
+
+  if (!claims) {
+    return sendError(res, 401, 'invalid_token', 'Access token is invalid');
+  }
+
+  res.json(claims);
+});
+
+app.listen(PORT, () => {
+  console.log(`Mock OIDC provider running at ${ISSUER}`);
+  console.log(`Client ID: ${CLIENT_ID}, client secret: ${CLIENT_SECRET}`);
+});
@@ -0,0 +1,227 @@
+const archiver = require('archiver');
+const User = require('../models/User');
+const Board = require('../models/Board');
+const List = require('../models/List');
+const Task = require('../models/Task');
+const Invitation = require('../models/Invitation');
+const Organization = require('../models/Organization');
+const Group = require('../models/Group');
+const BoardEvent = require('../models/BoardEvent');
+const Session = require('../models/Session');
+const ApiToken = require('../models/ApiToken');
+const SsoLogin = require('../models/SsoLogin');
+const SecurityEvent = require('../models/SecurityEvent');
+const RunningTimer = require('../models/RunningTimer');
+const fileUploadService = require('./fileUploadService');
+const attachmentService = require('./attachmentService');
+
+const USER_FIELDS = 'username email firstName lastName';
+
+class AccountService {
+  // Gather everything stored about a user, keyed by file name in the export
+  async collectExportData(user) {
+    const userId = user._id;
+
+    const [ownedBoards, tasks, commentedTasks, trackedTasks, invitations, organizations, groups, sessions, apiTokens] = await Promise.all([
+      Board.find({ owner: userId })
+        .populate('members.user', USER_FIELDS)
+        .populate('lists', 'title position isArchived')
+        .lean(),
+      Task.find({ $or: [{ createdBy: userId }, { assignedTo: userId }] })
+        .select('-comments -timeEntries')
+        .populate('board', 'title')
+        .populate('list', 'title')
+        .lean(),
+      Task.find({ 'comments.author': userId }).select('title board comments').populate('board', 'title').lean(),
+      Task.find({ 'timeEntries.user': userId }).select('title board timeEntries').populate('board', 'title').lean(),
+      Invitation.find({ $or: [{ inviter: userId }, { invitee: userId }] })
+        .populate('board', 'title')
+        .populate('inviter', USER_FIELDS)
+        .populate('invitee', USER_FIELDS)
+        .lean(),
+      Organization.findByUser(userId),
+      Group.find({ $or: [{ owner: userId }, { 'members.user': userId }] }).select('name description owner organization').lean(),
+      Session.find({ user: userId }),
+      ApiToken.find({ user: userId }).populate('boards', 'title')
+    ]);
+
+    const isOwn = (id) => id && id.toString() === userId.toString();
+    const taskRef = (task) => ({ taskId: task._id, taskTitle: task.title, board: task.board });
+
+    const { password, ...profile } = user.toObject();
+
+    return {
+      'profile.json': profile,
+      'boards.json': ownedBoards,
+      'tasks.json': tasks,
+      'comments.json': commentedTasks.flatMap(task => task.comments
+        .filter(comment => isOwn(comment.author))
+        .map(comment => ({ ...taskRef(task), ...comment }))),
+      'time-entries.json': trackedTasks.flatMap(task => task.timeEntries
+        .filter(entry => isOwn(entry.user))
+        .map(entry => ({ ...taskRef(task), ...entry }))),
+      'invitations.json': invitations,
+      'organizations.json': organizations.map(organization => ({
+        _id: organization._id,
+        name: organization.name,
+        slug: organization.slug,
+        role: organization.getMemberRole(userId)
+      })),
+      'groups.json': groups,
+      'sessions.json': sessions.map(session => session.getPublicData()),
+      'api-tokens.json': apiTokens.map(apiToken => apiToken.getPublicData())
+    };
+  }
+
+  // Write the export as a ZIP of JSON files to a stream (e.g. the response)
+  async writeExportArchive(user, output) {
+    const data = await this.collectExportData(user);
+    const archive = archiver('zip', { zlib: { level: 9 } });
+
+    archive.pipe(output);
+    archive.append(JSON.stringify({
+      exportedAt: new Date(),
+      userId: user._id,
+      files: Object.keys(data)
+    }, null, 2), { name: 'manifest.json' });
+
+    Object.entries(data).forEach(([name, content]) => {
+      archive.append(JSON.stringify(content, null, 2), { name });
+    });
+
+    await archive.finalize();
+  }
+
+  // Boards a user owns, with the members ownership can be handed to
+  getOwnedBoards(userId) {
+    return Board.find({ owner: userId })
+      .select('title members isArchived')
+      .populate('members.user', `${USER_FIELDS} avatar`);
+  }
+
+  // Delete a user. Owned boards listed in boardTransfers ({ boardId: newOwnerId }) move to
+  // that member, all other owned boards are deleted. Content the user left on other boards
+  // stays but is reassigned to the "Deleted user" placeholder.
+  // Every step can run again, and the user with their sessions goes last: when a deletion
+  // fails half way, the user can still sign in and delete their account again to finish it.
+  // Returns the IDs of the deleted and transferred boards.
+  async deleteAccount(user, boardTransfers = {}) {
+    const userId = user._id;
+    const placeholder = await User.getDeletedUserPlaceholder();
+    const ownedBoards = await Board.find({ owner: userId });
+
+    const deletedBoards = [];
+    const transferredBoards = [];
+
+    for (const board of ownedBoards) {
+      const newOwnerId = boardTransfers[board._id.toString()];
+
+      if (newOwnerId) {
+        board.owner = newOwnerId;
+        board.addActivity(placeholder._id, 'transferred board ownership', 'Previous owner deleted their account');
+        await board.save();
+        transferredBoards.push(board._id);
+      } else {
+        // The board itself goes last, so a retry finds it again
+        await attachmentService.deleteTaskFiles({ board: board._id });
+        await Task.deleteMany({ board: board._id });
+        await List.deleteMany({ board: board._id });
+        await BoardEvent.deleteMany({ board: board._id });
+        await User.updateMany({ 'preferences.defaultBoard': board._id }, { $set: { 'preferences.defaultBoard': null } });
+        await Board.findByIdAndDelete(board._id);
+        deletedBoards.push(board._id);
+      }
+    }
+
+    await this.leaveOrganizations(userId);
+    await this.leaveGroups(userId, placeholder._id);
+    await this.anonymizeContent(userId, placeholder._id);
+
+    await Promise.all([
+      Invitation.deleteMany({ $or: [{ inviter: userId }, { invitee: userId }] }),
+      ApiToken.deleteMany({ user: userId }),
+      SsoLogin.deleteMany({ user: userId }),
+      SecurityEvent.deleteMany({ user: userId }),
+      RunningTimer.deleteMany({ user: userId })
+    ]);
+
+    const { avatarKeys = [] } = await User.findById(userId).select('+avatarKeys');
+    await Session.deleteMany({ user: userId });
+    await User.deleteOne({ _id: userId });
+
+    await Promise.all(avatarKeys.map(key => fileUploadService.deleteStoredFile(key).catch(error => {
+      console.error('Delete avatar file error:', error);
+    })));
+
+    return { deletedBoards, transferredBoards };
+  }
+
+  // Leave every workspace. A workspace the user solely owns passes to its longest-standing
+  // admin or member, and is deleted when nobody else is left.
+  async leaveOrganizations(userId) {
+    const organizations = await Organization.findByUser(userId);
+
+    for (const organization of organizations) {
+      const isLastOwner = organization.getMemberRole(userId) === 'owner' && organization.countOwners() === 1;
+      organization.removeMember(userId);
+
+      if (organization.members.length === 0) {
+        await Board.updateMany({ organization: organization._id }, { $set: { organization: null, visibility: 'workspace' } });
+        await Group.updateMany({ organization: organization._id }, { $set: { organization: null } });
+        await Organization.findByIdAndDelete(organization._id);
+        continue;
+      }
+
+      if (isLastOwner) {
+        const successor = [...organization.members]
+          .sort((a, b) => Organization.ROLES.indexOf(a.role) - Organization.ROLES.indexOf(b.role) || a.joinedAt - b.joinedAt)[0];
+        successor.role = 'owner';
+      }
+
+      await organization.save();
+    }
+  }
+
+  // Leave every group. Workspace groups the user owns stay for the workspace admins to manage,
+  // other groups they own are removed from their boards and deleted.
+  async leaveGroups(userId, placeholderId) {
+    const ownedGroups = await Group.find({ owner: userId, organization: null }).select('_id');
+    const ownedGroupIds = ownedGroups.map(group => group._id);
+
+    await Board.updateMany({ 'groups.group': { $in: ownedGroupIds } }, { $pull: { groups: { group: { $in: ownedGroupIds } } } });
+    await Group.deleteMany({ _id: { $in: ownedGroupIds } });
+    await Group.updateMany({ owner: userId }, { $set: { owner: placeholderId } });
+    await Group.updateMany({ 'members.user': userId }, { $pull: { members: { user: userId } } });
+  }
+
+  // Reassign everything the user left on boards they did not own to the placeholder
+  async anonymizeContent(userId, placeholderId) {
+    const reassignInArray = (Model, arrayPath, field) => Model.updateMany(
+      { [`${arrayPath}.${field}`]: userId },
+      { $set: { [`${arrayPath}.$[entry].${field}`]: placeholderId } },
+      { arrayFilters: [{ [`entry.${field}`]: userId }] }
+    );
+
+    await Board.updateMany({ 'members.user': userId }, { $pull: { members: { user: userId } } });
+    await reassignInArray(Board, 'activity', 'user');
+    await BoardEvent.updateMany({ 'actor._id': userId.toString() }, { $set: { actor: null } });
+
+    await Task.updateMany({ assignedTo: userId }, { $pull: { assignedTo: userId } });
+    await Task.updateMany({ createdBy: userId }, { $set: { createdBy: placeholderId } });
+    await reassignInArray(Task, 'comments', 'author');
+    await Task.updateMany(
+      { 'comments.reactions.users': userId },
+      { $pull: { 'comments.$[].reactions.$[].users': userId } }
+    );
+    await Task.updateMany({ descriptionMentions: userId }, { $pull: { descriptionMentions: userId } });
+    await Task.updateMany(
+      { 'comments.mentions': userId },
+      { $pull: { 'comments.$[].mentions': userId } }
+    );
+    await reassignInArray(Task, 'timeEntries', 'user');
+    await reassignInArray(Task, 'checklist', 'completedBy');
+    await reassignInArray(Task, 'attachments', 'uploadedBy');
+  }
+}
+
+module.exports = new AccountService();
@@ -0,0 +1,145 @@
+const crypto = require('crypto');
+const path = require('path');
+const mongoose = require('mongoose');
+const Task = require('../models/Task');
+const storage = require('./storage');
+
+const MB = 1024 * 1024;
+const DEFAULT_BOARD_QUOTA_MB = 100;
+
+const statusError = (message, status) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+const quotaError = (used, quota) => statusError(
+  `These files would take the board over its ${Math.round(quota / MB)}MB attachment limit ` +
+  `(${Math.max(0, Math.floor((quota - used) / MB))}MB left)`,
+  413
+);
+
+// Files attached to tasks. They are stored privately and only handed out through the
+// attachment routes, so every download goes through the board's permission checks.
+class AttachmentService {
+  // Bytes the attachments of all tasks on one board may take up together
+  getBoardQuota() {
+    return (Number(process.env.BOARD_ATTACHMENT_QUOTA_MB) || DEFAULT_BOARD_QUOTA_MB) * MB;
+  }
+
+  async getBoardUsage(boardId) {
+    return {
+      used: await Task.getAttachmentBytes(boardId),
+      quota: this.getBoardQuota()
+    };
+  }
+
+  getDownloadUrl(task, attachmentId) {
+    return `/api/boards/${task.board}/tasks/${task._id}/attachments/${attachmentId}/download`;
+  }
+
+  // An attachment as clients get it, without its storage key
+  toClient(attachment) {
+    const { key, ...rest } = attachment.toObject();
+    return rest;
+  }
+
+  // Store uploaded files and attach them to a task, returns the new attachments. The task
+  // must have been loaded with +attachments.key, or saving it could drop the other keys.
+  // Throws a 413 when the files would take the board over its quota.
+  async addAttachments(task, files, userId) {
+    const { used, quota } = await this.getBoardUsage(task.board);
+    const incoming = files.reduce((sum, file) => sum + file.size, 0);
+    if (used + incoming > quota) {
+      throw quotaError(used, quota);
+    }
+
+    const added = [];
+    try {
+      for (const file of files) {
+        const extension = path.extname(file.originalname).slice(1).toLowerCase() || 'bin';
+        const name = crypto.randomBytes(16).toString('hex');
+        const { key } = await storage.save(file.buffer, {
+          folder: `attachments/${task.board}`,
+          name,
+          extension,
+          access: 'private'
+        });
+
+        const attachmentId = new mongoose.Types.ObjectId();
+        task.attachments.push({
+          _id: attachmentId,
+          filename: `${name}.${extension}`,
+          originalName: file.originalname,
+          mimetype: file.mimetype,
+          size: file.size,
+          url: this.getDownloadUrl(task, attachmentId),
+          key,
+          uploadedBy: userId
+        });
+        added.push(task.attachments.id(attachmentId));
+      }
+
+      await task.save();
+    } catch (error) {
+      // Nothing refers to the files that were stored, don't leave them behind
+      this.removeFiles(added.map(attachment => attachment.key));
+      throw error;
+    }
+
+    // Uploads to one board at the same time all pass the check above. Whichever of them find
+    // the board over its quota once their files are in take their files out again.
+    const usedAfter = await Task.getAttachmentBytes(task.board);
+    if (usedAfter > quota) {
+      const addedIds = added.map(attachment => attachment._id);
+      const keys = added.map(attachment => attachment.key);
+      await Task.updateOne({ _id: task._id }, { $pull: { attachments: { _id: { $in: addedIds } } } });
+      addedIds.forEach(attachmentId => task.attachments.pull(attachmentId));
+      this.removeFiles(keys);
+      throw quotaError(usedAfter - incoming, quota);
+    }
+
+    return added;
+  }
+
+  // The stored file of an attachment, see the storage drivers for what open() returns.
+  // The task must have been loaded with +attachments.key.
+  async openAttachment(task, attachmentId) {
+    const attachment = task.attachments.id(attachmentId);
+    if (!attachment || !attachment.key) {
+      return null;
+    }
+
+    const file = await storage.open(attachment.key);
+    return file && { attachment, ...file };
+  }
+
+  // Detach an attachment from a task and delete its file.
+  // The task must have been loaded with +attachments.key.
+  async removeAttachment(task, attachmentId) {
+    const attachment = task.attachments.id(attachmentId);
+    task.attachments.pull(attachmentId);
+    await task.save();
+
+    this.removeFiles([attachment.key]);
+  }
+
+  // Delete the files of all tasks matching a filter, call before deleting the tasks themselves
+  async deleteTaskFiles(filter) {
+    const tasks = await Task.find({ ...filter, 'attachments.0': { $exists: true } })
+      .select('+attachments.key');
+
+    this.removeFiles(tasks.flatMap(task => task.attachments.map(attachment => attachment.key)));
+  }
+
+  // A file that cannot be deleted is logged and left behind, it is no longer reachable
+  removeFiles(keys) {
+    keys.filter(Boolean).forEach(key => {
+      storage.remove(key).catch(error => {
+        console.error('Delete attachment file error:', error);
+      });
+    });
+  }
+}
+
+module.exports = new AttachmentService();
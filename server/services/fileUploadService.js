@@ -1,7 +1,11 @@
 const cloudinary = require('cloudinary').v2;
 const multer = require('multer');
 const sharp = require('sharp');
-const path = require('path');
+const storage = require('./storage');
+
+// Square avatar variants that get generated, by name and edge length in pixels
+const AVATAR_VARIANTS = { small: 32, medium: 64, large: 256 };
+const IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/gif', 'image/webp'];
 
 // Configure Cloudinary
 cloudinary.config({
@@ -20,6 +24,78 @@ class FileUploadService {
       },
       fileFilter: this.fileFilter,
     });
+
+    // Images only, for avatars
+    this.imageUpload = multer({
+      storage: multer.memoryStorage(),
+      limits: {
+        fileSize: 5 * 1024 * 1024, // 5MB limit
+      },
+      fileFilter: this.imageFileFilter,
+    });
+
+    this.uploadDir = storage.uploadDir;
+  }
+
+  imageFileFilter(req, file, cb) {
+    if (IMAGE_TYPES.includes(file.mimetype)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Invalid file type. Only JPEG, PNG, GIF and WebP images are allowed.'), false);
+    }
+  }
+
+  // Store an already processed buffer where anyone can open it, returns its URL and the key
+  // to delete it with
+  async storeBuffer(buffer, { folder, name, extension }) {
+    return storage.save(buffer, { folder, name, extension, access: 'public' });
+  }
+
+  async deleteStoredFile(key) {
+    await storage.remove(key);
+  }
+
+  // Crop an image to a centered square and render every avatar size as WebP
+  async processAvatar(buffer) {
+    const variants = {};
+
+    for (const [variant, size] of Object.entries(AVATAR_VARIANTS)) {
+      variants[variant] = await sharp(buffer)
+        .rotate() // respect EXIF orientation from phone cameras
+        .resize(size, size, { fit: 'cover', position: 'centre' })
+        .webp({ quality: 85 })
+        .toBuffer();
+    }
+
+    return variants;
+  }
+
+  // Process and store avatar variants, returns { urls: { small, medium, large }, keys }
+  async uploadAvatar(file, userId) {
+    let variants;
+    try {
+      variants = await this.processAvatar(file.buffer);
+    } catch (error) {
+      const invalidImage = new Error('The uploaded file is not a readable image');
+      invalidImage.status = 400;
+      throw invalidImage;
+    }
+
+    const version = Date.now();
+    const urls = {};
+    const keys = [];
+
+    for (const [variant, buffer] of Object.entries(variants)) {
+      const stored = await this.storeBuffer(buffer, {
+        folder: 'avatars',
+        name: `${userId}-${version}-${AVATAR_VARIANTS[variant]}`,
+        extension: 'webp',
+      });
+      urls[variant] = stored.url;
+      keys.push(stored.key);
+    }
+
+    return { urls, keys };
   }
 
   fileFilter(req, file, cb) {
@@ -181,4 +257,6 @@ class FileUploadService {
   }
 }
 
+FileUploadService.AVATAR_VARIANTS = AVATAR_VARIANTS;
+
 module.exports = new FileUploadService();
\ No newline at end of file
@@ -0,0 +1,241 @@
+const User = require('../models/User');
+const LoginThrottle = require('../models/LoginThrottle');
+const SecurityEvent = require('../models/SecurityEvent');
+const notificationService = require('./notificationService');
+
+const readInt = (name, fallback) => {
+  const value = parseInt(process.env[name], 10);
+  return Number.isNaN(value) ? fallback : value;
+};
+
+class LoginProtectionService {
+  // Thresholds are read on each use so they follow the environment
+  getConfig() {
+    return {
+      // Failures on an account before each further attempt has to wait
+      backoffAfter: readInt('LOGIN_BACKOFF_AFTER', 3),
+      backoffBaseSeconds: readInt('LOGIN_BACKOFF_BASE_SECONDS', 2),
+      backoffMaxSeconds: readInt('LOGIN_BACKOFF_MAX_SECONDS', 300),
+      // Failures on an account before it is locked
+      lockoutThreshold: readInt('LOGIN_LOCKOUT_THRESHOLD', 10),
+      lockoutMinutes: readInt('LOGIN_LOCKOUT_MINUTES', 30),
+      // Failures from one IP, across all accounts, before the IP is blocked
+      ipThreshold: readInt('LOGIN_IP_THRESHOLD', 50),
+      ipWindowMinutes: readInt('LOGIN_IP_WINDOW_MINUTES', 15),
+      ipBlockMinutes: readInt('LOGIN_IP_BLOCK_MINUTES', 15),
+    };
+  }
+
+  secondsUntil(date) {
+    return Math.max(1, Math.ceil((date.getTime() - Date.now()) / 1000));
+  }
+
+  // Seconds an account has to wait after its latest failure, growing exponentially
+  getBackoffSeconds(failedAttempts) {
+    const { backoffAfter, backoffBaseSeconds, backoffMaxSeconds } = this.getConfig();
+    if (failedAttempts < backoffAfter) {
+      return 0;
+    }
+
+    const exponent = failedAttempts - backoffAfter;
+    return Math.min(backoffBaseSeconds * 2 ** exponent, backoffMaxSeconds);
+  }
+
+  // Returns { status: 'ip_blocked' | 'locked' | 'backoff', retryAfter, lockedUntil } or null when allowed
+  async checkAttempt(req, user) {
+    const throttle = await LoginThrottle.findOne({ ip: req.ip });
+    if (throttle && throttle.isBlocked) {
+      return { status: 'ip_blocked', retryAfter: this.secondsUntil(throttle.blockedUntil) };
+    }
+
+    if (!user) {
+      return null;
+    }
+
+    const { failedAttempts, lastFailedAt, lockedUntil } = user.loginProtection || {};
+
+    if (lockedUntil && lockedUntil > new Date()) {
+      return { status: 'locked', retryAfter: this.secondsUntil(lockedUntil), lockedUntil };
+    }
+
+    const backoffSeconds = this.getBackoffSeconds(failedAttempts || 0);
+    if (backoffSeconds > 0 && lastFailedAt) {
+      const nextAttemptAt = new Date(lastFailedAt.getTime() + backoffSeconds * 1000);
+      if (nextAttemptAt > new Date()) {
+        await SecurityEvent.record('login_throttled', req, { user, details: `Retry after ${backoffSeconds}s` });
+        return { status: 'backoff', retryAfter: this.secondsUntil(nextAttemptAt) };
+      }
+    }
+
+    return null;
+  }
+
+  // Count a failed password or two-factor attempt; returns the lockout when it just started.
+  // The counters are changed in the database in one step each, so attempts made at the same
+  // time all count and only one of them locks the account.
+  async recordFailure(req, user, identifier) {
+    const config = this.getConfig();
+
+    await SecurityEvent.record('login_failed', req, { user, identifier });
+    await this.recordIpFailure(req, config);
+
+    if (!user) {
+      return null;
+    }
+
+    const now = new Date();
+    // A lockout that ran out starts the count over
+    await User.updateOne(
+      { _id: user._id, 'loginProtection.lockedUntil': { $lte: now } },
+      {
+        $set: { 'loginProtection.failedAttempts': 0 },
+        $unset: { 'loginProtection.lockedUntil': 1, 'loginProtection.unlockToken': 1 }
+      }
+    );
+
+    const updated = await User.findOneAndUpdate(
+      { _id: user._id },
+      { $inc: { 'loginProtection.failedAttempts': 1 }, $set: { 'loginProtection.lastFailedAt': now } },
+      { new: true }
+    ).select('loginProtection');
+    if (!updated) {
+      return null;
+    }
+
+    const { failedAttempts } = updated.loginProtection;
+    if (failedAttempts < config.lockoutThreshold) {
+      return null;
+    }
+
+    const lockedUntil = new Date(now.getTime() + config.lockoutMinutes * 60 * 1000);
+    const unlockToken = user.createUnlockToken();
+    const locked = await User.findOneAndUpdate(
+      { _id: user._id, 'loginProtection.lockedUntil': null },
+      { $set: { 'loginProtection.lockedUntil': lockedUntil, 'loginProtection.unlockToken': user.loginProtection.unlockToken } }
+    );
+
+    // Another attempt locked the account first and sent the email
+    if (!locked) {
+      const current = await User.findById(user._id).select('loginProtection');
+      const currentLock = current && current.loginProtection.lockedUntil;
+      return currentLock && currentLock > now
+        ? { status: 'locked', retryAfter: this.secondsUntil(currentLock), lockedUntil: currentLock }
+        : null;
+    }
+
+    await SecurityEvent.record('account_locked', req, {
+      user,
+      details: `Locked for ${config.lockoutMinutes} minutes after ${failedAttempts} failed attempts`
+    });
+
+    const unlockUrl = `${process.env.CLIENT_URL || 'http://localhost:3000'}/unlock-account?token=${unlockToken}`;
+    try {
+      await notificationService.sendAccountLockedEmail(user, unlockUrl, lockedUntil);
+    } catch (error) {
+      console.error('Account locked email error:', error);
+    }
+
+    return { status: 'locked', retryAfter: this.secondsUntil(lockedUntil), lockedUntil };
+  }
+
+  async recordIpFailure(req, config) {
+    const now = new Date();
+    const windowStart = new Date(now.getTime() - config.ipWindowMinutes * 60 * 1000);
+
+    // A window that ran out starts the count over
+    await LoginThrottle.updateOne(
+      { ip: req.ip, windowStartedAt: { $lt: windowStart } },
+      { $set: { failedAttempts: 0, windowStartedAt: now } }
+    );
+
+    const throttle = await LoginThrottle.findOneAndUpdate(
+      { ip: req.ip },
+      {
+        $inc: { failedAttempts: 1 },
+        $set: { expiresAt: new Date(now.getTime() + (config.ipWindowMinutes + config.ipBlockMinutes) * 60 * 1000) },
+        $setOnInsert: { windowStartedAt: now }
+      },
+      { new: true, upsert: true }
+    );
+
+    if (throttle.failedAttempts < config.ipThreshold) {
+      return;
+    }
+
+    const blocked = await LoginThrottle.findOneAndUpdate(
+      { ip: req.ip, $or: [{ blockedUntil: null }, { blockedUntil: { $lte: now } }] },
+      { $set: { blockedUntil: new Date(now.getTime() + config.ipBlockMinutes * 60 * 1000) } }
+    );
+    if (blocked) {
+      await SecurityEvent.record('ip_blocked', req, {
+        details: `Blocked for ${config.ipBlockMinutes} minutes after ${throttle.failedAttempts} failed attempts`
+      });
+    }
+  }
+
+  // Successful login resets the account counters, the caller saves the user
+  // (the IP counter is left alone so one good account cannot reset it)
+  recordSuccess(user) {
+    if (user.loginProtection && (user.loginProtection.failedAttempts || user.loginProtection.lockedUntil)) {
+      user.clearLoginFailures();
+    }
+  }
+
+  // Lift a lockout, e.g. from the unlock email or after a password reset
+  async unlock(req, user, reason) {
+    const wasLocked = Boolean(user.loginProtection && user.loginProtection.lockedUntil);
+
+    user.clearLoginFailures();
+    await user.save();
+
+    if (wasLocked) {
+      await SecurityEvent.record('account_unlocked', req, { user, details: reason });
+    }
+  }
+
+  async unlockWithToken(req, unlockToken) {
+    const user = await User.findByUnlockToken(unlockToken);
+    if (!user) {
+      return null;
+    }
+
+    await this.unlock(req, user, 'Unlocked from email link');
+    return user;
+  }
+
+  // Response body and status for a refused attempt
+  buildRefusal(refusal) {
+    const minutes = Math.ceil(refusal.retryAfter / 60);
+
+    switch (refusal.status) {
+      case 'locked':
+        return {
+          status: 423,
+          body: {
+            message: `Account is temporarily locked after too many failed attempts. Try again in ${minutes} minute${minutes === 1 ? '' : 's'} or use the link we emailed you`,
+            locked: true,
+            retryAfter: refusal.retryAfter,
+            lockedUntil: refusal.lockedUntil
+          }
+        };
+      case 'ip_blocked':
+        return {
+          status: 429,
+          body: {
+            message: `Too many failed login attempts from your network. Try again in ${minutes} minute${minutes === 1 ? '' : 's'}`,
+            retryAfter: refusal.retryAfter
+          }
+        };
+      default:
+        return {
+          status: 429,
+          body: {
+            message: `Too many failed attempts. Try again in ${refusal.retryAfter} second${refusal.retryAfter === 1 ? '' : 's'}`,
+            retryAfter: refusal.retryAfter
+          }
+        };
+    }
+  }
+}
+
+module.exports = new LoginProtectionService();
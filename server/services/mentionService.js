@@ -0,0 +1,140 @@
+const Task = require('../models/Task');
+const Board = require('../models/Board');
+const User = require('../models/User');
+const notificationService = require('./notificationService');
+
+// "@username" at the start of the text or after a character that cannot be part of an email
+// address or another username, with the characters usernames are made of
+const MENTION_PATTERN = /(^|[^\w@.-])@([a-zA-Z0-9_-]{3,30})/g;
+
+// Mentions looked up per text, the rest are ignored
+const MAX_MENTIONS = 20;
+
+const PUBLIC_USER_FIELDS = ['_id', 'username', 'firstName', 'lastName', 'avatar'];
+
+const toIdStrings = (ids) => ids.map(id => (id._id || id).toString());
+
+// Keep notifications from holding up or failing the request that caused them
+const notifyLater = (send, what) => {
+  send().catch(error => console.error(`Send ${what} notification error:`, error));
+};
+
+// @username mentions in comments and task descriptions. Mentions are stored as the IDs of the
+// board members they name, mentioned people are notified once, when the mention first appears.
+class MentionService {
+  // Usernames a text mentions, each once
+  getMentionedUsernames(text) {
+    const usernames = new Set();
+    for (const [, , username] of (text || '').matchAll(MENTION_PATTERN)) {
+      usernames.add(username);
+      if (usernames.size === MAX_MENTIONS) break;
+    }
+    return [...usernames];
+  }
+
+  // Users a text mentions, split into those who can use the board and those who cannot
+  async resolve(text, board) {
+    const usernames = this.getMentionedUsernames(text);
+    if (usernames.length === 0) {
+      return { members: [], nonMembers: [] };
+    }
+
+    const users = await User.find({
+      username: { $in: usernames },
+      isActive: { $ne: false },
+      isDeletedUserPlaceholder: { $ne: true }
+    });
+
+    const members = [];
+    const nonMembers = [];
+    for (const user of users) {
+      if (await board.getEffectiveRole(user._id)) {
+        members.push(user);
+      } else {
+        nonMembers.push(user);
+      }
+    }
+    return { members, nonMembers };
+  }
+
+  // Mentioned people who are not on the board, as clients get them to offer an invitation
+  toInviteCandidates(users) {
+    return users.map(user => Object.fromEntries(PUBLIC_USER_FIELDS.map(field => [field, user[field]])));
+  }
+
+  // Notify about a new comment: the people it mentions get a mention, the task's assignees,
+  // its creator and the author of the comment replied to get a comment notification if they
+  // can still see the board
+  notifyComment(task, board, author, comment, mentioned) {
+    const authorId = author._id.toString();
+    const mentionedIds = toIdStrings(mentioned);
+    const mentionedOthers = mentioned.filter(user => user._id.toString() !== authorId);
+
+    const parent = comment.parent && task.comments.id(comment.parent);
+    const followerIds = [...new Set(toIdStrings([
+      ...task.assignedTo,
+      task.createdBy,
+      ...(parent ? [parent.author] : [])
+    ]))].filter(id => id !== authorId && !mentionedIds.includes(id));
+
+    if (mentionedOthers.length > 0) {
+      notifyLater(() => notificationService.sendMentionNotification(
+        mentionedOthers, task, board, author, 'comment', comment.text
+      ), 'mention');
+    }
+
+    if (followerIds.length > 0) {
+      notifyLater(async () => {
+        const users = await User.find({
+          _id: { $in: followerIds },
+          isActive: { $ne: false },
+          isDeletedUserPlaceholder: { $ne: true }
+        });
+        const followers = [];
+        for (const user of users) {
+          if (await board.getEffectiveRole(user._id)) {
+            followers.push(user);
+          }
+        }
+        if (followers.length > 0) {
+          await notificationService.sendTaskCommentNotification(followers, task, board, author, comment);
+        }
+      }, 'comment');
+    }
+  }
+
+  // Notify the people an edited text mentions that it did not mention before
+  notifyNewMentions(previousIds, mentioned, task, board, author, source, text) {
+    const previous = toIdStrings(previousIds);
+    const added = mentioned.filter(user =>
+      !previous.includes(user._id.toString()) && user._id.toString() !== author._id.toString()
+    );
+
+    if (added.length > 0) {
+      notifyLater(() => notificationService.sendMentionNotification(added, task, board, author, source, text), 'mention');
+    }
+  }
+
+  // Store who a description edited together mentions, once the last editor has closed it and
+  // it was saved, and notify the newly mentioned. Returns the mentioned members and non-members.
+  async updateDescriptionMentions(task, author) {
+    const board = await Board.findById(task.board);
+    if (!board) {
+      return { members: [], nonMembers: [] };
+    }
+
+    const { members, nonMembers } = await this.resolve(task.description, board);
+    // Swapped in one step, so instances saving the same description notify only once
+    const previous = await Task.findOneAndUpdate(
+      { _id: task._id },
+      { $set: { descriptionMentions: members.map(user => user._id) } }
+    ).select('descriptionMentions');
+
+    if (previous) {
+      this.notifyNewMentions(previous.descriptionMentions, members, task, board, author, 'description', task.description);
+    }
+    return { members, nonMembers };
+  }
+}
+
+module.exports = new MentionService();
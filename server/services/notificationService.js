@@ -1,17 +1,78 @@
 const webpush = require('web-push');
 const nodemailer = require('nodemailer');
+const fs = require('fs');
+const path = require('path');
+const User = require('../models/User');
+
+// Text people wrote, safe to put into an email
+const escapeHtml = (text) => String(text || '').replace(/[&<>"']/g, (char) => ({
+  '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+})[char]);
+
+// Longest part of a comment or description quoted in notifications
+const EXCERPT_LENGTH = 300;
+
+const excerpt = (text) => (text.length > EXCERPT_LENGTH ? `${text.slice(0, EXCERPT_LENGTH)}…` : text);
 
 class NotificationService {
   constructor() {
-    // Configure Web Push
-    webpush.setVapidDetails(
-      'mailto:' + process.env.VAPID_EMAIL,
-      process.env.VAPID_PUBLIC_KEY,
-      process.env.VAPID_PRIVATE_KEY
-    );
+    // Configure Web Push (only when VAPID keys are set up)
+    if (process.env.VAPID_PUBLIC_KEY && process.env.VAPID_PRIVATE_KEY) {
+      webpush.setVapidDetails(
+        'mailto:' + process.env.VAPID_EMAIL,
+        process.env.VAPID_PUBLIC_KEY,
+        process.env.VAPID_PRIVATE_KEY
+      );
+    }
 
     // Configure Email
-    this.emailTransporter = nodemailer.createTransporter({
+    this.emailTransportType = process.env.EMAIL_TRANSPORT || 'smtp';
+    this.emailTransporter = this.createEmailTransporter(this.emailTransportType);
+
+    // Socket.IO server for in-app notifications, set once the server starts
+    this.io = null;
+  }
+
+  setSocketServer(io) {
+    this.io = io;
+  }
+
+  // Users choose per event which channels ('inApp', 'email', 'push') they get notified on
+  wantsNotification(user, event, channel) {
+    return typeof user.wantsNotification !== 'function' || user.wantsNotification(event, channel);
+  }
+
+  canPushUser(user, event) {
+    return Boolean(user.pushSubscriptions && user.pushSubscriptions.length > 0) &&
+      this.wantsNotification(user, event, 'push');
+  }
+
+  // In-app notifications go to the user's own socket room
+  sendInAppNotification(user, event, payload) {
+    if (this.io && this.wantsNotification(user, event, 'inApp')) {
+      this.io.to(`user:${user._id}`).emit('notification', payload);
+    }
+  }
+
+  // "json" logs messages, "file" writes them to EMAIL_OUTBOX_DIR, anything else sends over SMTP
+  createEmailTransporter(type) {
+    if (type === 'json' || type === 'file') {
+      return nodemailer.createTransport({ jsonTransport: true });
+    }
+
+    if (process.env.SMTP_HOST) {
+      return nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port: parseInt(process.env.SMTP_PORT, 10) || 587,
+        secure: process.env.SMTP_SECURE === 'true',
+        auth: {
+          user: process.env.EMAIL_USER,
+          pass: process.env.EMAIL_PASS,
+        },
+      });
+    }
+
+    return nodemailer.createTransport({
       service: 'gmail',
       auth: {
         user: process.env.EMAIL_USER,
@@ -66,17 +127,21 @@ class NotificationService {
       ],
     };
 
+    this.sendInAppNotification(user, 'taskAssigned', payload);
+
     // Send push notification if user has subscriptions
-    if (user.pushSubscriptions && user.pushSubscriptions.length > 0) {
+    if (this.canPushUser(user, 'taskAssigned')) {
       await this.sendBulkPushNotifications(user.pushSubscriptions, payload);
     }
 
     // Send email notification
-    await this.sendEmailNotification(
-      user.email,
-      'New Task Assignment',
-      this.generateTaskAssignmentEmail(user, task, board)
-    );
+    if (this.canEmailUser(user, 'taskAssigned')) {
+      await this.sendEmailNotification(
+        user.email,
+        'New Task Assignment',
+        this.generateTaskAssignmentEmail(user, task, board)
+      );
+    }
   }
 
   async sendTaskDueNotification(user, task, board) {
@@ -93,9 +158,19 @@ class NotificationService {
       },
     };
 
-    if (user.pushSubscriptions && user.pushSubscriptions.length > 0) {
+    this.sendInAppNotification(user, 'taskDue', payload);
+
+    if (this.canPushUser(user, 'taskDue')) {
       await this.sendBulkPushNotifications(user.pushSubscriptions, payload);
     }
+
+    if (this.canEmailUser(user, 'taskDue')) {
+      await this.sendEmailNotification(
+        user.email,
+        `Task due ${this.formatDateForUser(user, task.dueDate)}: ${task.title}`,
+        this.generateTaskDueEmail(user, task, board)
+      );
+    }
   }
 
   async sendBoardInvitationNotification(user, board, inviter) {
@@ -111,16 +186,20 @@ class NotificationService {
       },
     };
 
-    if (user.pushSubscriptions && user.pushSubscriptions.length > 0) {
+    this.sendInAppNotification(user, 'boardInvitation', payload);
+
+    if (this.canPushUser(user, 'boardInvitation')) {
       await this.sendBulkPushNotifications(user.pushSubscriptions, payload);
     }
 
     // Send email invitation
-    await this.sendEmailNotification(
-      user.email,
-      'Board Invitation',
-      this.generateBoardInvitationEmail(user, board, inviter)
-    );
+    if (this.canEmailUser(user, 'boardInvitation')) {
+      await this.sendEmailNotification(
+        user.email,
+        'Board Invitation',
+        this.generateBoardInvitationEmail(user, board, inviter)
+      );
+    }
   }
 
   async sendTaskCommentNotification(users, task, board, commenter, comment) {
@@ -138,22 +217,81 @@ class NotificationService {
     };
 
     for (const user of users) {
-      if (user.pushSubscriptions && user.pushSubscriptions.length > 0) {
+      this.sendInAppNotification(user, 'taskComment', payload);
+
+      if (this.canPushUser(user, 'taskComment')) {
+        await this.sendBulkPushNotifications(user.pushSubscriptions, payload);
+      }
+
+      if (this.canEmailUser(user, 'taskComment')) {
+        await this.sendEmailNotification(
+          user.email,
+          `New comment on ${task.title}`,
+          this.generateTaskCommentEmail(user, task, board, commenter, comment)
+        );
+      }
+    }
+  }
+
+  // source is 'comment' or 'description', text is what the mention was written in
+  async sendMentionNotification(users, task, board, author, source, text) {
+    const where = source === 'comment' ? 'a comment on' : 'the description of';
+    const payload = {
+      title: 'You were mentioned',
+      body: `${author.firstName || author.username} mentioned you in ${where} "${task.title}"`,
+      icon: '/icons/comment-icon.png',
+      badge: '/icons/badge-icon.png',
+      data: {
+        type: 'mention',
+        taskId: task._id,
+        boardId: board._id,
+        url: `/board/${board._id}`,
+      },
+    };
+
+    for (const user of users) {
+      this.sendInAppNotification(user, 'mention', payload);
+
+      if (this.canPushUser(user, 'mention')) {
         await this.sendBulkPushNotifications(user.pushSubscriptions, payload);
       }
+
+      if (this.canEmailUser(user, 'mention')) {
+        await this.sendEmailNotification(
+          user.email,
+          `${author.firstName || author.username} mentioned you on ${task.title}`,
+          this.generateMentionEmail(user, task, board, author, where, text)
+        );
+      }
     }
   }
 
+  // Unverified addresses only get notification emails when the verification policy allows it,
+  // and only for events the user gets email for
+  canEmailUser(user, event) {
+    if (event && !this.wantsNotification(user, event, 'email')) {
+      return false;
+    }
+    return user.emailVerified === true || !User.requiresVerifiedEmailFor('notifications');
+  }
+
   async sendEmailNotification(to, subject, html) {
     try {
       const mailOptions = {
-        from: process.env.EMAIL_USER,
+        from: process.env.EMAIL_FROM || process.env.EMAIL_USER,
         to: to,
         subject: subject,
         html: html,
       };
 
       const result = await this.emailTransporter.sendMail(mailOptions);
+
+      if (this.emailTransportType === 'file') {
+        await this.writeEmailToOutbox(result);
+      } else if (this.emailTransportType === 'json') {
+        console.log('Email notification:', result.message);
+      }
+
       return result;
     } catch (error) {
       console.error('Email notification error:', error);
@@ -161,6 +299,106 @@ class NotificationService {
     }
   }
 
+  async writeEmailToOutbox(result) {
+    const outboxDir = process.env.EMAIL_OUTBOX_DIR || path.join(__dirname, '..', 'outbox');
+    await fs.promises.mkdir(outboxDir, { recursive: true });
+
+    const messageId = (result.messageId || '').replace(/[^a-zA-Z0-9.-]/g, '');
+    const filename = `${Date.now()}-${messageId || 'message'}.json`;
+    await fs.promises.writeFile(path.join(outboxDir, filename), result.message);
+  }
+
+  async sendPasswordResetEmail(user, resetUrl) {
+    return this.sendEmailNotification(
+      user.email,
+      'Reset your password',
+      this.generatePasswordResetEmail(user, resetUrl)
+    );
+  }
+
+  async sendAccountLockedEmail(user, unlockUrl, lockedUntil) {
+    return this.sendEmailNotification(
+      user.email,
+      'Your account has been locked',
+      this.generateAccountLockedEmail(user, unlockUrl, lockedUntil)
+    );
+  }
+
+  generateAccountLockedEmail(user, unlockUrl, lockedUntil) {
+    return `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #333;">Account Temporarily Locked</h2>
+        <p>Hi ${user.firstName || user.username},</p>
+        <p>We locked your Collab App account after several failed sign in attempts. It unlocks by itself at ${lockedUntil.toUTCString()}.</p>
+        <p>If these attempts were you, you can unlock your account right away:</p>
+        
+        <a href="${unlockUrl}" 
+           style="background: #3498db; color: white; padding: 12px 24px; text-decoration: none; border-radius: 4px; display: inline-block;">
+          Unlock Account
+        </a>
+        
+        <p style="margin-top: 20px; color: #666;">If it wasn't you, someone may be trying to guess your password. We recommend changing it and turning on two-factor authentication.</p>
+        
+        <p style="margin-top: 30px; color: #666; font-size: 14px;">
+          Best regards,<br>
+          The Collab App Team
+        </p>
+      </div>
+    `;
+  }
+
+  async sendEmailVerificationEmail(user, verifyUrl) {
+    return this.sendEmailNotification(
+      user.email,
+      'Verify your email address',
+      this.generateEmailVerificationEmail(user, verifyUrl)
+    );
+  }
+
+  generateEmailVerificationEmail(user, verifyUrl) {
+    return `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #333;">Verify Your Email</h2>
+        <p>Hi ${user.firstName || user.username},</p>
+        <p>Please confirm that <strong>${user.email}</strong> is your email address.</p>
+        
+        <a href="${verifyUrl}" 
+           style="background: #3498db; color: white; padding: 12px 24px; text-decoration: none; border-radius: 4px; display: inline-block;">
+          Verify Email
+        </a>
+        
+        <p style="margin-top: 20px; color: #666;">If you didn't create a Collab App account, you can ignore this email.</p>
+        
+        <p style="margin-top: 30px; color: #666; font-size: 14px;">
+          Best regards,<br>
+          The Collab App Team
+        </p>
+      </div>
+    `;
+  }
+
+  generatePasswordResetEmail(user, resetUrl) {
+    return `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #333;">Reset Your Password</h2>
+        <p>Hi ${user.firstName || user.username},</p>
+        <p>We received a request to reset the password for your Collab App account. This link can be used once and expires in 1 hour.</p>
+        
+        <a href="${resetUrl}" 
+           style="background: #3498db; color: white; padding: 12px 24px; text-decoration: none; border-radius: 4px; display: inline-block;">
+          Reset Password
+        </a>
+        
+        <p style="margin-top: 20px; color: #666;">If you didn't ask for a password reset, you can ignore this email. Your password will not change.</p>
+        
+        <p style="margin-top: 30px; color: #666; font-size: 14px;">
+          Best regards,<br>
+          The Collab App Team
+        </p>
+      </div>
+    `;
+  }
+
   generateTaskAssignmentEmail(user, task, board) {
     return `
       <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
@@ -171,7 +409,119 @@ class NotificationService {
         <div style="background: #f5f5f5; padding: 20px; border-radius: 8px; margin: 20px 0;">
           <h3 style="margin: 0 0 10px 0; color: #333;">${task.title}</h3>
           <p style="margin: 0; color: #666;">${task.description || 'No description provided'}</p>
-          ${task.dueDate ? `<p style="margin: 10px 0 0 0; color: #e74c3c;"><strong>Due:</strong> ${new Date(task.dueDate).toLocaleDateString()}</p>` : ''}
+          ${task.dueDate ? `<p style="margin: 10px 0 0 0; color: #e74c3c;"><strong>Due:</strong> ${this.formatDateForUser(user, task.dueDate)}</p>` : ''}
+        </div>
+        
+        <a href="${process.env.CLIENT_URL}/board/${board._id}" 
+           style="background: #3498db; color: white; padding: 12px 24px; text-decoration: none; border-radius: 4px; display: inline-block;">
+          View Task
+        </a>
+        
+        <p style="margin-top: 30px; color: #666; font-size: 14px;">
+          Best regards,<br>
+          The Collab App Team
+        </p>
+      </div>
+    `;
+  }
+
+  generateTaskDueEmail(user, task, board) {
+    return `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #333;">Task Due Soon</h2>
+        <p>Hi ${user.firstName || user.username},</p>
+        <p>A task assigned to you in the board "<strong>${board.title}</strong>" is due ${this.formatDateForUser(user, task.dueDate)}:</p>
+        
+        <div style="background: #f5f5f5; padding: 20px; border-radius: 8px; margin: 20px 0;">
+          <h3 style="margin: 0 0 10px 0; color: #333;">${task.title}</h3>
+          <p style="margin: 0; color: #666;">${task.description || 'No description provided'}</p>
+        </div>
+        
+        <a href="${process.env.CLIENT_URL}/board/${board._id}" 
+           style="background: #e67e22; color: white; padding: 12px 24px; text-decoration: none; border-radius: 4px; display: inline-block;">
+          View Task
+        </a>
+        
+        <p style="margin-top: 30px; color: #666; font-size: 14px;">
+          Best regards,<br>
+          The Collab App Team
+        </p>
+      </div>
+    `;
+  }
+
+  // Dates in emails are shown in the recipient's time zone and locale
+  formatDateForUser(user, date) {
+    const { timezone = 'UTC', locale = 'en-US' } = user.preferences || {};
+    return new Intl.DateTimeFormat(locale, { timeZone: timezone, dateStyle: 'medium' }).format(new Date(date));
+  }
+
+  // Wall clock year, month, day and hour of a moment in a time zone
+  getZonedParts(date, timezone) {
+    return new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+    }).formatToParts(date).reduce((parts, { type, value }) => (
+      type === 'literal' ? parts : { ...parts, [type]: parseInt(value, 10) }
+    ), {});
+  }
+
+  // Minutes a time zone is ahead of UTC at a given moment
+  getTimezoneOffset(date, timezone) {
+    const parts = this.getZonedParts(date, timezone);
+    const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute);
+    return Math.round((wallClock - date.getTime()) / 60000);
+  }
+
+  // Midnight at the start of today (plus dayOffset days) in a time zone
+  getStartOfLocalDay(timezone, dayOffset = 0, now = new Date()) {
+    const today = this.getZonedParts(now, timezone);
+    const midnight = Date.UTC(today.year, today.month - 1, today.day + dayOffset);
+
+    // Apply the offset in effect at midnight itself, which differs from now around DST changes
+    let start = midnight - this.getTimezoneOffset(new Date(midnight), timezone) * 60000;
+    start = midnight - this.getTimezoneOffset(new Date(start), timezone) * 60000;
+    return new Date(start);
+  }
+
+  generateTaskCommentEmail(user, task, board, commenter, comment) {
+    return `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #333;">New Comment</h2>
+        <p>Hi ${escapeHtml(user.firstName || user.username)},</p>
+        <p><strong>${escapeHtml(commenter.firstName || commenter.username)}</strong> commented on "<strong>${escapeHtml(task.title)}</strong>" in the board "<strong>${escapeHtml(board.title)}</strong>":</p>
+        
+        <div style="background: #f5f5f5; padding: 20px; border-radius: 8px; margin: 20px 0;">
+          <p style="margin: 0; color: #333; white-space: pre-wrap;">${escapeHtml(excerpt(comment.text))}</p>
+        </div>
+        
+        <a href="${process.env.CLIENT_URL}/board/${board._id}" 
+           style="background: #3498db; color: white; padding: 12px 24px; text-decoration: none; border-radius: 4px; display: inline-block;">
+          View Task
+        </a>
+        
+        <p style="margin-top: 30px; color: #666; font-size: 14px;">
+          Best regards,<br>
+          The Collab App Team
+        </p>
+      </div>
+    `;
+  }
+
+  generateMentionEmail(user, task, board, author, where, text) {
+    return `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #333;">You Were Mentioned</h2>
+        <p>Hi ${escapeHtml(user.firstName || user.username)},</p>
+        <p><strong>${escapeHtml(author.firstName || author.username)}</strong> mentioned you in ${where} "<strong>${escapeHtml(task.title)}</strong>" in the board "<strong>${escapeHtml(board.title)}</strong>":</p>
+        
+        <div style="background: #f5f5f5; padding: 20px; border-radius: 8px; margin: 20px 0;">
+          <p style="margin: 0; color: #333; white-space: pre-wrap;">${escapeHtml(excerpt(text))}</p>
         </div>
         
         <a href="${process.env.CLIENT_URL}/board/${board._id}" 
@@ -212,44 +562,57 @@ class NotificationService {
     `;
   }
 
-  async scheduleTaskDueReminders() {
-    // This would be called by a cron job
+  // Runs every hour: users get reminders for tasks due tomorrow once it is
+  // DUE_REMINDER_HOUR (default 9:00) in their own time zone
+  async scheduleTaskDueReminders(now = new Date()) {
     try {
-      const tomorrow = new Date();
-      tomorrow.setDate(tomorrow.getDate() + 1);
-      tomorrow.setHours(0, 0, 0, 0);
+      const Task = require('../models/Task');
+      const configuredHour = parseInt(process.env.DUE_REMINDER_HOUR, 10);
+      const reminderHour = Number.isNaN(configuredHour) ? 9 : configuredHour;
 
-      const nextDay = new Date(tomorrow);
-      nextDay.setDate(nextDay.getDate() + 1);
+      // Users saved before preferences existed are on UTC
+      const timezones = [...new Set(['UTC', ...await User.distinct('preferences.timezone')])]
+        .filter(timezone => User.isValidTimezone(timezone))
+        .filter(timezone => this.getZonedParts(now, timezone).hour === reminderHour);
 
-      // Find tasks due tomorrow
-      const Task = require('../models/Task');
-      const tasksDueTomorrow = await Task.find({
-        dueDate: {
-          $gte: tomorrow,
-          $lt: nextDay,
-        },
-        isCompleted: false,
-      }).populate('assignedTo').populate({
-        path: 'list',
-        populate: {
-          path: 'board',
-          select: 'title',
-        },
-      });
+      if (timezones.length === 0) {
+        return;
+      }
+
+      const timezoneFilters = [{ 'preferences.timezone': { $in: timezones } }];
+      if (timezones.includes('UTC')) {
+        timezoneFilters.push({ 'preferences.timezone': { $exists: false } });
+      }
+
+      const users = await User.find({ isActive: true, $or: timezoneFilters });
+      let sent = 0;
+
+      for (const user of users) {
+        const timezone = user.preferences.timezone || 'UTC';
+
+        try {
+          const tasksDueTomorrow = await Task.find({
+            assignedTo: user._id,
+            dueDate: {
+              $gte: this.getStartOfLocalDay(timezone, 1, now),
+              $lt: this.getStartOfLocalDay(timezone, 2, now),
+            },
+            isCompleted: false,
+            isArchived: false,
+          }).populate('board', 'title');
 
-      // Send notifications for each task
-      for (const task of tasksDueTomorrow) {
-        if (task.assignedTo && task.list && task.list.board) {
-          await this.sendTaskDueNotification(
-            task.assignedTo,
-            task,
-            task.list.board
-          );
+          for (const task of tasksDueTomorrow) {
+            if (task.board) {
+              await this.sendTaskDueNotification(user, task, task.board);
+              sent += 1;
+            }
+          }
+        } catch (error) {
+          console.error(`Error sending due date reminders to ${user._id}:`, error);
         }
       }
 
-      console.log(`Sent ${tasksDueTomorrow.length} due date reminders`);
+      console.log(`Sent ${sent} due date reminders`);
     } catch (error) {
       console.error('Error sending due date reminders:', error);
     }
@@ -0,0 +1,223 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { Issuer, generators } = require('openid-client');
+const User = require('../models/User');
+const Board = require('../models/Board');
+
+const ROLE_LEVELS = {
+  viewer: 1,
+  member: 2,
+  admin: 3
+};
+
+// Errors whose message can be shown to the person signing in
+const createSsoError = (message) => {
+  const error = new Error(message);
+  error.expose = true;
+  return error;
+};
+
+class OidcService {
+  constructor() {
+    this.clientPromise = null;
+  }
+
+  isEnabled() {
+    return Boolean(process.env.OIDC_ISSUER && process.env.OIDC_CLIENT_ID);
+  }
+
+  getProviderName() {
+    return process.env.OIDC_PROVIDER_NAME || 'SSO';
+  }
+
+  getRedirectUri() {
+    return process.env.OIDC_REDIRECT_URI ||
+      `http://localhost:${process.env.PORT || 5000}/api/auth/sso/callback`;
+  }
+
+  // Discover the provider once and reuse the client; retry discovery after a failure
+  async getClient() {
+    if (!this.clientPromise) {
+      this.clientPromise = Issuer.discover(process.env.OIDC_ISSUER)
+        .then(issuer => new issuer.Client({
+          client_id: process.env.OIDC_CLIENT_ID,
+          client_secret: process.env.OIDC_CLIENT_SECRET || undefined,
+          redirect_uris: [this.getRedirectUri()],
+          response_types: ['code'],
+          token_endpoint_auth_method: process.env.OIDC_CLIENT_SECRET ? 'client_secret_basic' : 'none',
+        }))
+        .catch((error) => {
+          this.clientPromise = null;
+          throw error;
+        });
+    }
+
+    return this.clientPromise;
+  }
+
+  // Build the provider redirect for an authorization code flow with PKCE
+  async createAuthorizationRequest({ reauthenticate = false } = {}) {
+    const client = await this.getClient();
+
+    const state = generators.state();
+    const nonce = generators.nonce();
+    const codeVerifier = generators.codeVerifier();
+
+    const url = client.authorizationUrl({
+      scope: process.env.OIDC_SCOPES || 'openid email profile',
+      state,
+      nonce,
+      code_challenge: generators.codeChallenge(codeVerifier),
+      code_challenge_method: 'S256',
+      // Make the provider ask again instead of reusing its own session
+      ...(reauthenticate && { prompt: 'login' }),
+    });
+
+    return { url, state, nonce, codeVerifier };
+  }
+
+  // Exchange the authorization code and return the user's claims
+  async handleCallback(req, ssoLogin) {
+    const client = await this.getClient();
+    const params = client.callbackParams(req);
+
+    const tokenSet = await client.callback(this.getRedirectUri(), params, {
+      state: ssoLogin.state,
+      nonce: ssoLogin.nonce,
+      code_verifier: ssoLogin.codeVerifier,
+    });
+
+    const claims = tokenSet.claims();
+
+    // Some providers only return profile and group claims from the userinfo endpoint
+    if (tokenSet.access_token && client.issuer.userinfo_endpoint) {
+      const userinfo = await client.userinfo(tokenSet);
+      return { ...userinfo, ...claims, issuer: client.issuer.issuer };
+    }
+
+    return { ...claims, issuer: client.issuer.issuer };
+  }
+
+  // Find the user for a set of claims: linked identity first, then verified email, then provision
+  async findOrCreateUser(claims) {
+    const { issuer, sub } = claims;
+
+    const linkedUser = await User.findBySsoIdentity(issuer, sub);
+    if (linkedUser) {
+      return linkedUser;
+    }
+
+    if (!claims.email) {
+      throw createSsoError('The identity provider did not share an email address');
+    }
+
+    // Never link or create accounts for addresses the provider has not verified
+    if (claims.email_verified !== true) {
+      throw createSsoError('Your email address is not verified with the identity provider');
+    }
+
+    const email = claims.email.toLowerCase();
+    const existingUser = await User.findOne({ email });
+
+    if (existingUser) {
+      existingUser.linkSsoIdentity(issuer, sub);
+      if (!existingUser.emailVerified) {
+        existingUser.markEmailVerified();
+      }
+      await existingUser.save();
+      return existingUser;
+    }
+
+    if (process.env.OIDC_AUTO_PROVISION === 'false') {
+      throw createSsoError('No account exists for this email address');
+    }
+
+    const user = new User({
+      username: await this.generateUsername(claims),
+      email,
+      // Provisioned users sign in through SSO; they can set a password with "forgot password"
+      password: crypto.randomBytes(32).toString('hex'),
+      firstName: (claims.given_name || '').slice(0, 50),
+      lastName: (claims.family_name || '').slice(0, 50),
+    });
+
+    user.markEmailVerified();
+    user.linkSsoIdentity(issuer, sub);
+    await user.save();
+
+    return user;
+  }
+
+  // Derive a free username from the preferred username or email
+  async generateUsername(claims) {
+    const source = claims.preferred_username || claims.email.split('@')[0];
+    let base = source.replace(/[^a-zA-Z0-9_-]/g, '').slice(0, 24);
+
+    if (base.length < 3) {
+      base = `user${base}`;
+    }
+
+    let username = base;
+    for (let attempt = 0; attempt < 5; attempt++) {
+      const exists = await User.exists({ username });
+      if (!exists) {
+        return username;
+      }
+      username = `${base}${crypto.randomInt(1000, 10000)}`;
+    }
+
+    return `${base}${crypto.randomBytes(3).toString('hex')}`;
+  }
+
+  // OIDC_GROUP_ROLE_MAP maps group names to board roles, e.g.
+  // {"design": [{"board": "<board id>", "role": "member"}]}
+  getGroupRoleMap() {
+    if (!process.env.OIDC_GROUP_ROLE_MAP) {
+      return {};
+    }
+
+    try {
+      return JSON.parse(process.env.OIDC_GROUP_ROLE_MAP);
+    } catch (error) {
+      console.error('Invalid OIDC_GROUP_ROLE_MAP:', error.message);
+      return {};
+    }
+  }
+
+  // Give the user the highest board role their groups map to; existing higher roles are kept
+  async applyGroupRoles(user, claims) {
+    const groupRoleMap = this.getGroupRoleMap();
+    const groups = [].concat(claims[process.env.OIDC_GROUPS_CLAIM || 'groups'] || []);
+
+    const grants = {};
+    groups.forEach((group) => {
+      [].concat(groupRoleMap[group] || []).forEach(({ board, role }) => {
+        if (!ROLE_LEVELS[role] || !mongoose.Types.ObjectId.isValid(board)) return;
+        if (!grants[board] || ROLE_LEVELS[role] > ROLE_LEVELS[grants[board]]) {
+          grants[board] = role;
+        }
+      });
+    });
+
+    for (const [boardId, role] of Object.entries(grants)) {
+      const board = await Board.findById(boardId);
+      if (!board) continue;
+
+      const currentRole = board.getUserRole(user._id);
+      if (currentRole === 'owner' || (currentRole && ROLE_LEVELS[currentRole] >= ROLE_LEVELS[role])) {
+        continue;
+      }
+
+      if (currentRole) {
+        board.members.find(member => member.user.toString() === user._id.toString()).role = role;
+      } else {
+        board.addMember(user._id, role);
+      }
+
+      board.addActivity(user._id, 'added member', `${user.username} was given the ${role} role through SSO group membership`);
+      await board.save();
+    }
+  }
+}
+
+module.exports = new OidcService();
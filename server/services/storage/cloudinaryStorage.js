@@ -0,0 +1,77 @@
+const cloudinary = require('cloudinary').v2;
+
+const KEY_PREFIX = 'cloudinary:';
+
+// Signed download links of private files stop working after this long
+const DOWNLOAD_URL_TTL_SECONDS = 5 * 60;
+
+// Keys hold what deleting and signing need: "cloudinary:<resource type>:<delivery type>:<format>:<public ID>".
+// Keys stored before there were several drivers are bare public IDs of uploaded images.
+const parseKey = (key) => {
+  if (!key.startsWith(KEY_PREFIX)) {
+    return { resourceType: 'image', type: 'upload', format: '', publicId: key };
+  }
+
+  const [resourceType, type, format, ...publicId] = key.slice(KEY_PREFIX.length).split(':');
+  return { resourceType, type, format, publicId: publicId.join(':') };
+};
+
+// Files on Cloudinary. Public files get a CDN URL, private ones are uploaded as authenticated
+// and opened through short-lived signed links.
+class CloudinaryStorage {
+  constructor() {
+    cloudinary.config({
+      cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
+      api_key: process.env.CLOUDINARY_API_KEY,
+      api_secret: process.env.CLOUDINARY_API_SECRET,
+    });
+  }
+
+  static isConfigured() {
+    return Boolean(process.env.CLOUDINARY_CLOUD_NAME && process.env.CLOUDINARY_API_KEY);
+  }
+
+  async save(buffer, { folder, name, access = 'public' }) {
+    const type = access === 'private' ? 'authenticated' : 'upload';
+    const result = await new Promise((resolve, reject) => {
+      const uploadStream = cloudinary.uploader.upload_stream(
+        { folder: `collab-app/${folder}`, public_id: name, resource_type: 'auto', type },
+        (error, result) => {
+          if (error) reject(error);
+          else resolve(result);
+        }
+      );
+
+      uploadStream.end(buffer);
+    });
+
+    return {
+      url: access === 'private' ? null : result.secure_url,
+      key: `${KEY_PREFIX}${result.resource_type}:${type}:${result.format || ''}:${result.public_id}`
+    };
+  }
+
+  async open(key) {
+    const { resourceType, type, format, publicId } = parseKey(key);
+
+    if (type === 'upload') {
+      return { redirect: cloudinary.url(publicId, { resource_type: resourceType, format: format || undefined, secure: true }) };
+    }
+
+    return {
+      redirect: cloudinary.utils.private_download_url(publicId, format, {
+        resource_type: resourceType,
+        type,
+        attachment: true,
+        expires_at: Math.floor(Date.now() / 1000) + DOWNLOAD_URL_TTL_SECONDS
+      })
+    };
+  }
+
+  async remove(key) {
+    const { resourceType, type, publicId } = parseKey(key);
+    await cloudinary.uploader.destroy(publicId, { resource_type: resourceType, type });
+  }
+}
+
+module.exports = CloudinaryStorage;
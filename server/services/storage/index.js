@@ -0,0 +1,46 @@
+const path = require('path');
+const LocalStorage = require('./localStorage');
+const CloudinaryStorage = require('./cloudinaryStorage');
+
+// Every storage driver has the same three methods:
+//   save(buffer, { folder, name, extension, contentType, access }) -> { url, key }
+//     access 'public' gives a URL anyone can open, 'private' files get none (url is null)
+//   open(key) -> { stream } to send the file, { redirect } to send the client elsewhere,
+//     or null when the file is gone
+//   remove(key)
+// Keys say which driver stored the file, so files stay reachable after switching drivers.
+
+const uploadDir = path.resolve(process.env.UPLOAD_DIR || path.join(__dirname, '..', '..', 'uploads'));
+
+const drivers = {
+  local: null,
+  cloudinary: null
+};
+
+const getDriver = (name) => {
+  if (!drivers[name]) {
+    drivers[name] = name === 'cloudinary' ? new CloudinaryStorage() : new LocalStorage(uploadDir);
+  }
+  return drivers[name];
+};
+
+// New files go to local disk unless STORAGE_DRIVER asks for Cloudinary
+const getDriverName = () => {
+  if (process.env.STORAGE_DRIVER !== 'cloudinary') {
+    return 'local';
+  }
+  if (!CloudinaryStorage.isConfigured()) {
+    console.warn('STORAGE_DRIVER is cloudinary but Cloudinary is not configured, storing files locally');
+    return 'local';
+  }
+  return 'cloudinary';
+};
+
+const driverForKey = (key) => getDriver(LocalStorage.ownsKey(key) ? 'local' : 'cloudinary');
+
+module.exports = {
+  uploadDir,
+  save: (buffer, options) => getDriver(getDriverName()).save(buffer, options),
+  open: (key) => driverForKey(key).open(key),
+  remove: (key) => driverForKey(key).remove(key)
+};
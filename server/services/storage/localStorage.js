@@ -0,0 +1,64 @@
+const fs = require('fs');
+const fsp = require('fs/promises');
+const path = require('path');
+
+// Storage keys of files kept on local disk, as opposed to Cloudinary public IDs
+const KEY_PREFIX = 'local:';
+
+// Private files live in a dot folder, which the /uploads static handler never serves
+const PRIVATE_FOLDER = '.private';
+
+// Files on this server's disk under one directory. Public files are served from /uploads,
+// private ones only through open().
+class LocalStorage {
+  constructor(root) {
+    this.root = root;
+  }
+
+  static ownsKey(key) {
+    return key.startsWith(KEY_PREFIX);
+  }
+
+  async save(buffer, { folder, name, extension, access = 'public' }) {
+    const segments = access === 'private' ? [PRIVATE_FOLDER, folder] : [folder];
+    const relativePath = path.join(...segments, `${name}.${extension}`);
+    const filePath = path.join(this.root, relativePath);
+    await fsp.mkdir(path.dirname(filePath), { recursive: true });
+    await fsp.writeFile(filePath, buffer);
+
+    const serverUrl = process.env.SERVER_URL || `http://localhost:${process.env.PORT || 5000}`;
+    return {
+      url: access === 'private' ? null : `${serverUrl}/uploads/${relativePath.split(path.sep).join('/')}`,
+      key: `${KEY_PREFIX}${relativePath}`
+    };
+  }
+
+  // Path of a key's file, null for keys that point outside the storage directory
+  resolve(key) {
+    const filePath = path.join(this.root, key.slice(KEY_PREFIX.length));
+    return filePath.startsWith(this.root + path.sep) ? filePath : null;
+  }
+
+  async open(key) {
+    const filePath = this.resolve(key);
+    if (!filePath) {
+      return null;
+    }
+
+    try {
+      await fsp.access(filePath);
+    } catch (error) {
+      return null;
+    }
+    return { stream: fs.createReadStream(filePath) };
+  }
+
+  async remove(key) {
+    const filePath = this.resolve(key);
+    if (filePath) {
+      await fsp.rm(filePath, { force: true });
+    }
+  }
+}
+
+module.exports = LocalStorage;
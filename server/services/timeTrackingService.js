@@ -0,0 +1,225 @@
+const { formatInTimeZone, fromZonedTime } = require('date-fns-tz');
+const Task = require('../models/Task');
+const RunningTimer = require('../models/RunningTimer');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// How long a claimed timer may take to show up on its task before the claim counts as abandoned
+const CLAIM_GRACE_MS = 60 * 1000;
+
+const CSV_COLUMNS = ['Date', 'Board', 'Task', 'Start', 'End', 'Minutes', 'Description'];
+
+// Calendar arithmetic on yyyy-MM-dd days, which belong to no time zone
+const addDays = (day, amount) => new Date(Date.parse(`${day}T00:00:00Z`) + amount * DAY_MS).toISOString().slice(0, 10);
+
+const minutesBetween = (start, end) => Math.round((end - start) / (1000 * 60));
+
+// Quote a CSV field when it holds a separator, quote or line break. Text that spreadsheets
+// would run as a formula gets a leading ' so it stays text.
+const csvField = (value) => {
+  let text = value === null || value === undefined ? '' : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Find the group with the given ID in a list, adding it when missing
+const findOrAdd = (groups, id, create) => {
+  let group = groups.find(existing => existing._id.toString() === id.toString());
+  if (!group) {
+    group = create();
+    groups.push(group);
+  }
+  return group;
+};
+
+class TimeTrackingService {
+  // The timer a user has running, with the task and board it runs on, or null
+  async getRunningTimer(userId) {
+    const task = await Task.findRunningTimer(userId)
+      .select('title board timeEntries')
+      .populate('board', 'title');
+    if (!task || !task.board) {
+      return null;
+    }
+
+    const entry = task.getActiveTimeEntry(userId);
+    return {
+      entryId: entry._id,
+      taskId: task._id,
+      taskTitle: task.title,
+      boardId: task.board._id,
+      boardTitle: task.board.title,
+      startTime: entry.startTime,
+      description: entry.description
+    };
+  }
+
+  // Claim the user's one running timer for a new time entry on a task. Returns false when
+  // another timer is running. Claims of timers that are no longer running are taken over.
+  async claimTimer(userId, taskId, entryId) {
+    try {
+      await RunningTimer.create({ user: userId, task: taskId, entry: entryId });
+      return true;
+    } catch (error) {
+      if (error.code !== 11000) {
+        throw error;
+      }
+    }
+
+    const claim = await RunningTimer.findOne({ user: userId });
+    if (!claim) {
+      // Released in the meantime
+      return this.claimTimer(userId, taskId, entryId);
+    }
+    if (!(await this.isAbandoned(claim))) {
+      return false;
+    }
+
+    // Taken over only if no one else took it over in the meantime
+    const taken = await RunningTimer.findOneAndUpdate(
+      { _id: claim._id, entry: claim.entry },
+      { $set: { task: taskId, entry: entryId, claimedAt: new Date() } },
+      { new: true }
+    );
+    return Boolean(taken);
+  }
+
+  // Whether the timer of a claim is no longer running: its time entry ended, or its task is
+  // gone, or the entry never showed up
+  async isAbandoned(claim) {
+    const task = await Task.findById(claim.task).select('timeEntries');
+    const entry = task && task.timeEntries.id(claim.entry);
+    if (entry) {
+      return Boolean(entry.endTime);
+    }
+    return !task || claim.claimedAt < new Date(Date.now() - CLAIM_GRACE_MS);
+  }
+
+  // Let the user start another timer once the time entry of theirs that was running has
+  // ended or was deleted
+  releaseTimer(userId, entryId) {
+    return RunningTimer.deleteOne({ user: userId, entry: entryId });
+  }
+
+  // Release the claim of a time entry only if it is no longer running, for when it is not
+  // known whether the change that stopped it was saved
+  async releaseStoppedTimer(userId, entryId) {
+    const claim = await RunningTimer.findOne({ user: userId, entry: entryId });
+    if (claim && await this.isAbandoned(claim)) {
+      await this.releaseTimer(userId, entryId);
+    }
+  }
+
+  // The days of the week that contains a day (yyyy-MM-dd, today by default) and the time span
+  // they cover, by the user's time zone and first day of the week
+  getWeek(preferences = {}, day = null) {
+    const timezone = preferences.timezone || 'UTC';
+    const weekStartsOn = preferences.weekStartsOn === undefined ? 1 : preferences.weekStartsOn;
+    const anchor = day || formatInTimeZone(new Date(), timezone, 'yyyy-MM-dd');
+
+    const weekday = new Date(`${anchor}T00:00:00Z`).getUTCDay();
+    const start = addDays(anchor, -((weekday - weekStartsOn + 7) % 7));
+
+    return {
+      days: Array.from({ length: 7 }, (_, index) => addDays(start, index)),
+      from: fromZonedTime(`${start}T00:00:00`, timezone),
+      to: fromZonedTime(`${addDays(start, 7)}T00:00:00`, timezone)
+    };
+  }
+
+  // A user's time entries started in a week, grouped by day, board and task. Entries count
+  // for the day they started on, running ones up to now.
+  async getTimesheet(user, day = null) {
+    const preferences = user.preferences || {};
+    const timezone = preferences.timezone || 'UTC';
+    const { days, from, to } = this.getWeek(preferences, day);
+    const now = new Date();
+
+    const tasks = await Task.find({
+      timeEntries: { $elemMatch: { user: user._id, startTime: { $gte: from, $lt: to } } }
+    }).select('title board timeEntries').populate('board', 'title');
+
+    const timesheet = {
+      weekStart: days[0],
+      weekEnd: days[6],
+      totalMinutes: 0,
+      days: days.map(date => ({ date, totalMinutes: 0, boards: [] }))
+    };
+
+    tasks.filter(task => task.board).forEach(task => {
+      task.timeEntries
+        .filter(entry => entry.user.toString() === user._id.toString() && entry.startTime >= from && entry.startTime < to)
+        .forEach(entry => {
+          const minutes = entry.endTime ? entry.duration || 0 : minutesBetween(entry.startTime, now);
+          const date = formatInTimeZone(entry.startTime, timezone, 'yyyy-MM-dd');
+          const dayGroup = timesheet.days.find(group => group.date === date);
+
+          const boardGroup = findOrAdd(dayGroup.boards, task.board._id, () => ({
+            _id: task.board._id,
+            title: task.board.title,
+            totalMinutes: 0,
+            tasks: []
+          }));
+          const taskGroup = findOrAdd(boardGroup.tasks, task._id, () => ({
+            _id: task._id,
+            title: task.title,
+            totalMinutes: 0,
+            entries: []
+          }));
+
+          taskGroup.entries.push({
+            _id: entry._id,
+            startTime: entry.startTime,
+            endTime: entry.endTime || null,
+            duration: minutes,
+            description: entry.description || '',
+            isRunning: !entry.endTime
+          });
+          taskGroup.totalMinutes += minutes;
+          boardGroup.totalMinutes += minutes;
+          dayGroup.totalMinutes += minutes;
+          timesheet.totalMinutes += minutes;
+        });
+    });
+
+    timesheet.days.forEach(dayGroup => {
+      dayGroup.boards.forEach(boardGroup => {
+        boardGroup.tasks.forEach(taskGroup => taskGroup.entries.sort((a, b) => a.startTime - b.startTime));
+      });
+    });
+
+    return timesheet;
+  }
+
+  // One CSV row per time entry, times in the user's time zone
+  toCSV(timesheet, preferences = {}) {
+    const timezone = preferences.timezone || 'UTC';
+    const time = (date) => (date ? formatInTimeZone(date, timezone, 'HH:mm') : '');
+    const rows = [CSV_COLUMNS.join(',')];
+
+    timesheet.days.forEach(dayGroup => {
+      dayGroup.boards.forEach(boardGroup => {
+        boardGroup.tasks.forEach(taskGroup => {
+          taskGroup.entries.forEach(entry => {
+            rows.push([
+              dayGroup.date,
+              boardGroup.title,
+              taskGroup.title,
+              time(entry.startTime),
+              time(entry.endTime),
+              entry.duration,
+              entry.description
+            ].map(csvField).join(','));
+          });
+        });
+      });
+    });
+
+    rows.push(['Total', '', '', '', '', timesheet.totalMinutes, ''].map(csvField).join(','));
+    return rows.join('\n');
+  }
+}
+
+module.exports = new TimeTrackingService();
@@ -0,0 +1,71 @@
+const crypto = require('crypto');
+const { authenticator } = require('otplib');
+const QRCode = require('qrcode');
+
+const RECOVERY_CODE_COUNT = 10;
+const TOTP_STEP_SECONDS = 30;
+
+class TwoFactorService {
+  constructor() {
+    this.issuer = process.env.TWO_FACTOR_ISSUER || 'Collab App';
+
+    // Accept the previous and next code as well to tolerate clock drift
+    this.authenticator = authenticator.clone({
+      step: TOTP_STEP_SECONDS,
+      window: 1,
+    });
+  }
+
+  generateSecret() {
+    return this.authenticator.generateSecret();
+  }
+
+  getProvisioningUri(user, secret) {
+    return this.authenticator.keyuri(user.email, this.issuer, secret);
+  }
+
+  async generateQrCode(provisioningUri) {
+    return QRCode.toDataURL(provisioningUri);
+  }
+
+  // Returns the time step the code belongs to, or null when the code is wrong
+  verifyCode(secret, code) {
+    const token = String(code || '').replace(/\s+/g, '');
+    if (!secret || !/^\d{6}$/.test(token)) {
+      return null;
+    }
+
+    const delta = this.authenticator.checkDelta(token, secret);
+    if (delta === null) {
+      return null;
+    }
+
+    return Math.floor(Date.now() / 1000 / TOTP_STEP_SECONDS) + delta;
+  }
+
+  // Check an authenticator or recovery code of a user loaded with User.TWO_FACTOR_FIELDS,
+  // consuming it on success (caller saves the user)
+  verifyUserCode(user, code) {
+    const step = this.verifyCode(user.twoFactor.secret, code);
+    if (step !== null) {
+      return user.consumeTwoFactorStep(step);
+    }
+
+    return user.consumeRecoveryCode(this.hashRecoveryCode(code));
+  }
+
+  // Recovery codes look like "3f9a1c-07be42"; only their hashes are stored
+  generateRecoveryCodes() {
+    return Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+      const code = crypto.randomBytes(6).toString('hex');
+      return `${code.slice(0, 6)}-${code.slice(6)}`;
+    });
+  }
+
+  hashRecoveryCode(code) {
+    const normalized = String(code || '').toLowerCase().replace(/[^a-f0-9]/g, '');
+    return crypto.createHash('sha256').update(normalized).digest('hex');
+  }
+}
+
+module.exports = new TwoFactorService();
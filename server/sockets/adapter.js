@@ -0,0 +1,130 @@
+const mongoose = require('mongoose');
+const { ClusterAdapter, ClusterAdapterWithHeartbeat } = require('socket.io-adapter');
+
+// Capped collection the server instances exchange messages through. Messages are only read by
+// instances that are running, so old ones can be overwritten once it is full.
+const COLLECTION_NAME = 'socket_events';
+const COLLECTION_SIZE = 10 * 1024 * 1024;
+
+// Wait before tailing the collection again after the cursor ended
+const RETAIL_DELAY_MS = 1000;
+
+// The server fills in an empty timestamp on insert, which gives messages a strictly increasing
+// position to resume tailing from
+const emptyTimestamp = () => new mongoose.mongo.Timestamp({ t: 0, i: 0 });
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// The database once Mongoose is connected, the adapter is created before the connection is
+const getDatabase = () => new Promise(resolve => {
+  if (mongoose.connection.readyState === 1) {
+    return resolve(mongoose.connection.db);
+  }
+  mongoose.connection.once('open', () => resolve(mongoose.connection.db));
+});
+
+const getCollection = async () => {
+  const db = await getDatabase();
+
+  try {
+    await db.createCollection(COLLECTION_NAME, { capped: true, size: COLLECTION_SIZE });
+  } catch (error) {
+    if (error.codeName !== 'NamespaceExists') throw error;
+  }
+
+  return db.collection(COLLECTION_NAME);
+};
+
+// Socket.IO adapter that shares rooms between server instances: every instance writes what it
+// broadcasts to the capped collection and tails it for what the others wrote. Works with a
+// standalone MongoDB server, no replica set or message broker needed.
+class MongoAdapter extends ClusterAdapterWithHeartbeat {
+  constructor(nsp, collection) {
+    super(nsp, {});
+    this.collection = collection;
+    this.cursor = null;
+    this.closed = false;
+
+    collection
+      .then(ready => this.tail(ready))
+      .catch(error => console.error('Socket adapter error:', error));
+
+    // Announce this instance to the others
+    this.init();
+  }
+
+  async tail(collection) {
+    // Start after the newest message, the ones before were meant for the instances running then
+    const [newest] = await collection.find({}, { projection: { ts: 1 } }).sort({ $natural: -1 }).limit(1).toArray();
+    let lastTs = newest ? newest.ts : null;
+
+    while (!this.closed) {
+      try {
+        // Binary data (e.g. Yjs updates) comes back as Buffers, like it was sent
+        this.cursor = collection.find(lastTs ? { ts: { $gt: lastTs } } : {}, { tailable: true, awaitData: true, promoteBuffers: true });
+        for await (const document of this.cursor) {
+          lastTs = document.ts;
+          this.receive(document);
+        }
+      } catch (error) {
+        if (!this.closed) {
+          console.error('Socket adapter tail error:', error.message);
+        }
+      }
+
+      // A tailable cursor ends while the collection is empty and when it falls too far behind
+      if (!this.closed) {
+        await wait(RETAIL_DELAY_MS);
+      }
+    }
+  }
+
+  receive(document) {
+    if (document.message && document.message.nsp === this.nsp.name) {
+      this.onMessage(document.message);
+    } else if (document.response && document.requesterUid === this.uid && document.response.nsp === this.nsp.name) {
+      this.onResponse(document.response);
+    }
+  }
+
+  async doPublish(message) {
+    const collection = await this.collection;
+    const result = await collection.insertOne({ ts: emptyTimestamp(), message });
+    return result.insertedId.toString();
+  }
+
+  async doPublishResponse(requesterUid, response) {
+    const collection = await this.collection;
+    await collection.insertOne({ ts: emptyTimestamp(), requesterUid, response });
+  }
+
+  close() {
+    this.closed = true;
+    if (this.cursor) {
+      this.cursor.close().catch(() => {});
+    }
+    super.close();
+  }
+}
+
+// Adapter for the Socket.IO server. "mongo" reaches the sockets of every server instance,
+// anything else keeps rooms in this process (Socket.IO's default in-memory adapter).
+const createSocketAdapter = (type) => {
+  if (type !== 'mongo') {
+    return null;
+  }
+
+  let collection = null;
+  return function (nsp) {
+    collection = collection || getCollection();
+    return new MongoAdapter(nsp, collection);
+  };
+};
+
+// Whether this server shares its rooms with other instances
+const isClustered = (io) => io.of('/').adapter instanceof ClusterAdapter;
+
+module.exports = {
+  createSocketAdapter,
+  isClustered
+};
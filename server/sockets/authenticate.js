@@ -0,0 +1,91 @@
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const { findActiveSession } = require('../middleware/auth');
+
+// Shortest time between two checks of a socket's session
+const MIN_SESSION_CHECK_MS = 60 * 1000;
+
+// Socket.IO middleware: accept only connections with a valid access token of an active session.
+// Error messages match the REST API so the client can refresh an expired token and reconnect.
+const authenticateSocket = async (socket, next) => {
+  try {
+    const token = socket.handshake.auth && socket.handshake.auth.token;
+
+    if (!token) {
+      return next(new Error('No token provided, authorization denied'));
+    }
+
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    // Single-purpose tokens (email verification, two-factor challenge) are not access tokens
+    if (decoded.purpose) {
+      return next(new Error('Token is not valid'));
+    }
+
+    const session = await findActiveSession(decoded);
+    if (!session) {
+      return next(new Error('Session has been revoked'));
+    }
+
+    const user = await User.findById(decoded.userId).select('username firstName lastName avatar avatarVariants isActive');
+    if (!user || !user.isActive) {
+      return next(new Error('Token is not valid - user not found'));
+    }
+
+    // Plain data only, so it can be read from other instances as well
+    socket.data.user = {
+      _id: user._id.toString(),
+      username: user.username,
+      firstName: user.firstName,
+      lastName: user.lastName,
+      avatar: user.avatar,
+      avatarVariants: user.avatarVariants
+    };
+    socket.data.sessionId = session._id.toString();
+    socket.data.tokenExpiresAt = decoded.exp * 1000;
+    socket.data.tokenLifetime = (decoded.exp - decoded.iat) * 1000;
+
+    next();
+  } catch (error) {
+    if (error.name === 'TokenExpiredError') {
+      return next(new Error('Token has expired'));
+    }
+
+    if (error.name === 'JsonWebTokenError') {
+      return next(new Error('Token is not valid'));
+    }
+
+    console.error('Socket authentication error:', error);
+    next(new Error('Server error during authentication'));
+  }
+};
+
+// Sockets stay connected after the access token they were opened with expires. Check their
+// session again whenever a token would have expired and close them once it was revoked, in case
+// that happened without its sockets being closed.
+const watchSession = (socket) => {
+  const { user, sessionId, tokenExpiresAt, tokenLifetime } = socket.data;
+  let timer = null;
+
+  const check = async () => {
+    try {
+      const session = await findActiveSession({ userId: user._id, sessionId });
+      if (!session) {
+        socket.disconnect(true);
+        return;
+      }
+    } catch (error) {
+      console.error('Socket session check error:', error);
+    }
+
+    timer = setTimeout(check, Math.max(tokenLifetime, MIN_SESSION_CHECK_MS));
+  };
+
+  timer = setTimeout(check, Math.max(tokenExpiresAt - Date.now(), 0));
+  socket.on('disconnect', () => clearTimeout(timer));
+};
+
+module.exports = {
+  authenticateSocket,
+  watchSession
+};
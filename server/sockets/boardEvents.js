@@ -0,0 +1,116 @@
+const Board = require('../models/Board');
+const BoardEvent = require('../models/BoardEvent');
+const { boardRoom } = require('./boardRooms');
+
+// Socket.IO event every board change is sent on, the envelope's `type` says what happened
+const BOARD_EVENT = 'board-event';
+
+// Domain events the REST routes publish after a successful write, with the fields their
+// data must carry. Clients only ever receive these, never what another client sent.
+const BOARD_EVENTS = {
+  'board.updated': ['board'],
+  'board.deleted': [],
+  'list.created': ['list'],
+  'list.updated': ['list'],
+  'list.archived': ['list'],
+  'list.deleted': ['listId'],
+  'list.reordered': ['listIds'],
+  'task.created': ['task', 'listId'],
+  'task.updated': ['task'],
+  'task.deleted': ['taskId', 'listId'],
+  'task.moved': ['task', 'sourceListId', 'destinationListId', 'position'],
+  'task.reordered': ['listId', 'taskIds'],
+  'task.assigned': ['task', 'userId'],
+  'task.unassigned': ['taskId', 'userId'],
+  'checklist.updated': ['taskId', 'checklists', 'checklist', 'checklistProgress'],
+  'time.updated': ['taskId', 'timeEntries', 'actualHours'],
+  'attachment.added': ['taskId', 'attachments'],
+  'attachment.deleted': ['taskId', 'attachmentId'],
+  'comment.added': ['taskId', 'comment', 'commentCount'],
+  'comment.updated': ['taskId', 'comment'],
+  'comment.deleted': ['taskId', 'commentIds', 'commentCount'],
+  'comment.reacted': ['taskId', 'commentId', 'reactions'],
+  'member.added': ['member'],
+  'member.role-updated': ['userId', 'role'],
+  'member.removed': ['userId'],
+  'group.added': ['groupId', 'role'],
+  'group.role-updated': ['groupId', 'role'],
+  'group.removed': ['groupId']
+};
+
+// Who made the change, as shown in activity feeds
+const toActor = (user) => user && {
+  _id: user._id.toString(),
+  username: user.username,
+  firstName: user.firstName,
+  lastName: user.lastName,
+  avatar: user.avatar
+};
+
+// Publish a domain event to everyone who has the board open. Events are numbered per board
+// and logged, so clients can notice gaps and replay what they missed. Events of an unknown type
+// or with missing data are logged and dropped, the write they describe has already succeeded.
+const publishBoardEvent = async (io, boardId, type, data = {}, actor = null) => {
+  const required = BOARD_EVENTS[type];
+  if (!required) {
+    console.error(`Unknown board event type: ${type}`);
+    return null;
+  }
+
+  const missing = required.filter(field => data[field] === undefined || data[field] === null);
+  if (missing.length > 0) {
+    console.error(`Board event ${type} is missing ${missing.join(', ')}`);
+    return null;
+  }
+
+  try {
+    const event = {
+      type,
+      boardId: boardId.toString(),
+      seq: null,
+      actor: toActor(actor),
+      // Plain JSON, the same whether it is sent now or replayed from the log
+      data: JSON.parse(JSON.stringify(data)),
+      createdAt: new Date().toISOString()
+    };
+
+    // Sent right away without a number, the route closes the room as soon as it returns
+    if (type === 'board.deleted') {
+      io.to(boardRoom(boardId)).emit(BOARD_EVENT, event);
+      await BoardEvent.deleteMany({ board: boardId });
+      return event;
+    }
+
+    const board = await Board.findByIdAndUpdate(boardId, { $inc: { eventSeq: 1 } }, { new: true }).select('eventSeq');
+    if (!board) {
+      return null;
+    }
+
+    event.seq = board.eventSeq;
+    await BoardEvent.record(event);
+
+    io.to(boardRoom(boardId)).emit(BOARD_EVENT, event);
+    return event;
+  } catch (error) {
+    console.error(`Publish board event ${type} error:`, error);
+    return null;
+  }
+};
+
+// Events a client missed since the last sequence number it saw, or null when it has to
+// fetch the board again
+const getMissedBoardEvents = async (boardId, since) => {
+  const board = await Board.findById(boardId).select('eventSeq');
+  if (!board) {
+    return null;
+  }
+
+  return BoardEvent.findMissed(board._id, since, board.eventSeq);
+};
+
+module.exports = {
+  BOARD_EVENT,
+  BOARD_EVENTS,
+  publishBoardEvent,
+  getMissedBoardEvents
+};
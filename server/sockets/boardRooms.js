@@ -0,0 +1,115 @@
+const mongoose = require('mongoose');
+const Board = require('../models/Board');
+const { getVisibleBoardRole } = require('../middleware/boardAccess');
+
+// Sockets of a board share a room named after the board ID, the REST routes emit to it
+const boardRoom = (boardId) => boardId.toString();
+
+// Room every socket of a user joins, for notifications and access changes
+const userRoom = (userId) => `user:${userId}`;
+
+// Room of the sockets opened with one session, so they can be closed when it is revoked
+const sessionRoom = (sessionId) => `session:${sessionId}`;
+
+// Join a socket to a board room if its user may see the board, same rules as the REST API
+const joinBoard = async (socket, boardId) => {
+  if (!mongoose.Types.ObjectId.isValid(boardId)) {
+    return { error: 'Board not found' };
+  }
+
+  const board = await Board.findById(boardId);
+  if (!board) {
+    return { error: 'Board not found' };
+  }
+
+  const role = await getVisibleBoardRole(board, socket.data.user._id);
+  if (!role) {
+    return { error: 'Access denied - you are not a member of this board' };
+  }
+
+  socket.join(boardRoom(board._id));
+  return { boardId: board._id.toString(), role, seq: board.eventSeq };
+};
+
+// Check the sockets in a board room again and remove the ones whose user lost access,
+// e.g. after a member was removed or the board was made private. Limited to some users
+// when userIds is given.
+const revalidateBoardRoom = async (io, boardId, userIds = null) => {
+  try {
+    const room = boardRoom(boardId);
+    const [board, sockets] = await Promise.all([
+      Board.findById(boardId),
+      io.in(room).fetchSockets()
+    ]);
+
+    const onlyUsers = userIds ? userIds.map(userId => userId.toString()) : null;
+    const roles = new Map();
+
+    for (const socket of sockets) {
+      const userId = socket.data.user && socket.data.user._id;
+      if (onlyUsers && !onlyUsers.includes(userId)) continue;
+
+      if (!roles.has(userId)) {
+        roles.set(userId, board && userId ? await getVisibleBoardRole(board, userId) : null);
+      }
+
+      if (!roles.get(userId)) {
+        socket.leave(room);
+        socket.emit('board-access-revoked', {
+          boardId: boardId.toString(),
+          message: board ? 'You no longer have access to this board' : 'This board was deleted'
+        });
+      }
+    }
+  } catch (error) {
+    console.error('Board room revalidation error:', error);
+  }
+};
+
+// Check every board room a user's sockets are in, after their workspace or group membership changed
+const revalidateUserBoards = async (io, userId) => {
+  try {
+    const sockets = await io.in(userRoom(userId)).fetchSockets();
+    const boardIds = new Set();
+
+    sockets.forEach(socket => {
+      socket.rooms.forEach(room => {
+        if (room !== socket.id && mongoose.Types.ObjectId.isValid(room)) {
+          boardIds.add(room);
+        }
+      });
+    });
+
+    await Promise.all([...boardIds].map(boardId => revalidateBoardRoom(io, boardId, [userId])));
+  } catch (error) {
+    console.error('User board revalidation error:', error);
+  }
+};
+
+// Empty a board room, e.g. when the board was deleted
+const closeBoardRoom = (io, boardId) => {
+  io.in(boardRoom(boardId)).socketsLeave(boardRoom(boardId));
+};
+
+// Close the sockets of a revoked session, on every server instance
+const disconnectSession = (io, sessionId) => {
+  io.in(sessionRoom(sessionId)).disconnectSockets(true);
+};
+
+// Close the sockets of all sessions of a user, except the one kept when given
+const disconnectUserSessions = (io, userId, exceptSessionId = null) => {
+  const sockets = io.in(userRoom(userId));
+  (exceptSessionId ? sockets.except(sessionRoom(exceptSessionId)) : sockets).disconnectSockets(true);
+};
+
+module.exports = {
+  boardRoom,
+  userRoom,
+  sessionRoom,
+  disconnectSession,
+  disconnectUserSessions,
+  joinBoard,
+  revalidateBoardRoom,
+  revalidateUserBoards,
+  closeBoardRoom
+};
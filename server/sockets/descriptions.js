@@ -0,0 +1,318 @@
+const mongoose = require('mongoose');
+const Y = require('yjs');
+const Task = require('../models/Task');
+const Board = require('../models/Board');
+const { boardRoom, userRoom } = require('./boardRooms');
+const { isClustered } = require('./adapter');
+const { publishBoardEvent } = require('./boardEvents');
+const mentionService = require('../services/mentionService');
+
+// Save a description this long after the last edit
+const SAVE_DELAY_MS = 2000;
+
+// Largest edit and cursor accepted from a client
+const MAX_UPDATE_BYTES = 256 * 1024;
+const MAX_CURSOR_LENGTH = 1000;
+
+const TASK_POPULATE = [
+  { path: 'assignedTo', select: 'username email firstName lastName avatar' },
+  { path: 'createdBy', select: 'username email firstName lastName avatar' },
+  { path: 'descriptionMentions', select: 'username firstName lastName avatar' }
+];
+
+// Collaborative editing of task descriptions. The server holds a Yjs document per open
+// description, clients send their edits as Yjs updates and the server relays them to the board
+// room, merges them and saves the merged state with the task.
+class DescriptionSessions {
+  constructor() {
+    // taskId -> Promise of { taskId, boardId, doc, sockets: socketId -> { user, canEdit, cursor },
+    // saveTimer, dirty, lastEditor }
+    this.sessions = new Map();
+    this.io = null;
+    this.clustered = false;
+  }
+
+  // Sockets leaving a board room, for any reason, leave its descriptions. With several server
+  // instances each keeps its own copy of a document and applies the edits of the others.
+  setSocketServer(io) {
+    this.io = io;
+    io.of('/').adapter.on('leave-room', (room, socketId) => this.leaveBoard(room, socketId));
+
+    this.clustered = isClustered(io);
+    if (this.clustered) {
+      io.on('description:update', ({ taskId, update }) => this.applyShared(taskId, update));
+      io.on('description:reset', ({ taskId }) => this.drop(taskId));
+    }
+  }
+
+  // Open a task's description for a socket in its board room. Returns the merged document
+  // state and the cursors of the others, or an error.
+  async join(socket, boardId, taskId) {
+    if (!boardId || !socket.rooms.has(boardRoom(boardId)) || !mongoose.Types.ObjectId.isValid(taskId)) {
+      return { error: 'Join the board before editing its tasks' };
+    }
+
+    const session = await this.load(taskId.toString());
+    if (!session || session.boardId !== boardId.toString()) {
+      return { error: 'Task not found' };
+    }
+
+    // Same rule as the REST API: people who can only see a public board cannot edit it
+    const board = await Board.findById(session.boardId);
+    const canEdit = Boolean(board && await board.getEffectiveRole(socket.data.user._id));
+
+    const cursors = [...session.sockets]
+      .filter(([, state]) => state.cursor)
+      .map(([clientId, state]) => ({ clientId, user: state.user, cursor: state.cursor }));
+    session.sockets.set(socket.id, { user: socket.data.user, canEdit, cursor: null });
+
+    return {
+      taskId: session.taskId,
+      state: Buffer.from(Y.encodeStateAsUpdate(session.doc)),
+      maxLength: Task.DESCRIPTION_MAX_LENGTH,
+      readOnly: !canEdit,
+      cursors
+    };
+  }
+
+  // The session of a task's description, loaded from the task the first time it is opened
+  load(taskId) {
+    if (!this.sessions.has(taskId)) {
+      const loading = this.createSession(taskId).catch(error => {
+        this.sessions.delete(taskId);
+        throw error;
+      });
+      this.sessions.set(taskId, loading);
+    }
+
+    return this.sessions.get(taskId).then(session => {
+      if (!session) {
+        this.sessions.delete(taskId);
+      }
+      return session;
+    });
+  }
+
+  // The session of a description that is open on this instance, or null
+  async getSession(taskId) {
+    const loading = this.sessions.get(taskId);
+    return loading ? loading.catch(() => null) : null;
+  }
+
+  async createSession(taskId) {
+    const task = await Task.findById(taskId).select('+descriptionState board description');
+    if (!task) {
+      return null;
+    }
+
+    const doc = new Y.Doc();
+    if (task.descriptionState && task.descriptionState.length > 0) {
+      Y.applyUpdate(doc, task.descriptionState);
+    } else {
+      // The first document of a description is stored right away, so every server instance
+      // and client builds on the same one instead of each starting its own from the text
+      doc.getText('description').insert(0, task.description || '');
+      const result = await Task.updateOne(
+        { _id: taskId, descriptionState: null },
+        { $set: { descriptionState: Buffer.from(Y.encodeStateAsUpdate(doc)) } }
+      );
+      if (result.modifiedCount === 0) {
+        return this.createSession(taskId);
+      }
+    }
+
+    const session = {
+      taskId,
+      boardId: task.board.toString(),
+      doc,
+      sockets: new Map(),
+      saveTimer: null,
+      dirty: false,
+      lastEditor: null
+    };
+    doc.on('update', (update, origin) => this.changed(session, update, origin));
+
+    return session;
+  }
+
+  // Apply an edit from a socket that opened the description
+  async update(socket, taskId, update) {
+    const session = await this.getSession(taskId);
+    const state = session && session.sockets.get(socket.id);
+    if (!state || !state.canEdit || !Buffer.isBuffer(update) || update.length > MAX_UPDATE_BYTES) {
+      return { error: 'You cannot edit this description' };
+    }
+
+    try {
+      Y.applyUpdate(session.doc, update, socket);
+    } catch (error) {
+      return { error: 'Invalid description update' };
+    }
+
+    session.lastEditor = state.user;
+
+    // Text past the limit is cut, the cut reaches every client like any other edit
+    const text = session.doc.getText('description');
+    if (text.length > Task.DESCRIPTION_MAX_LENGTH) {
+      session.doc.transact(() => {
+        text.delete(Task.DESCRIPTION_MAX_LENGTH, text.length - Task.DESCRIPTION_MAX_LENGTH);
+      }, 'limit');
+    }
+
+    return { ok: true };
+  }
+
+  // Relay a socket's cursor (Yjs relative positions, opaque to the server) to the board room
+  async cursor(socket, taskId, cursor) {
+    const session = await this.getSession(taskId);
+    const state = session && session.sockets.get(socket.id);
+    if (!state || (cursor !== null && (typeof cursor !== 'object' || JSON.stringify(cursor).length > MAX_CURSOR_LENGTH))) {
+      return;
+    }
+
+    state.cursor = cursor;
+    socket.to(boardRoom(session.boardId)).emit('description:cursor', {
+      taskId,
+      clientId: socket.id,
+      user: state.user,
+      cursor
+    });
+  }
+
+  async leave(taskId, socketId) {
+    const session = await this.getSession(taskId);
+    if (!session || !session.sockets.delete(socketId)) {
+      return;
+    }
+
+    this.io.to(boardRoom(session.boardId)).emit('description:cursor', { taskId, clientId: socketId, cursor: null });
+
+    // Save and let go of the document once nobody has it open here. It is kept until the save
+    // is done, someone opening it again meanwhile must not load the state from before the save.
+    if (session.sockets.size === 0) {
+      const loading = this.sessions.get(taskId);
+      try {
+        await this.save(session, true);
+      } finally {
+        if (session.sockets.size === 0 && this.sessions.get(taskId) === loading) {
+          this.sessions.delete(taskId);
+        }
+      }
+    }
+  }
+
+  leaveBoard(boardId, socketId) {
+    this.sessions.forEach((loading, taskId) => {
+      loading.then(session => {
+        if (session && session.boardId === boardId && session.sockets.has(socketId)) {
+          return this.leave(taskId, socketId);
+        }
+      }).catch(error => console.error('Leave description error:', error));
+    });
+  }
+
+  // Relay an edit to the board room and other instances, and save it a little later
+  changed(session, update, origin) {
+    const room = boardRoom(session.boardId);
+    const message = { taskId: session.taskId, update: Buffer.from(update) };
+
+    // Edits from another instance were relayed by that instance
+    if (origin !== 'shared') {
+      if (origin && typeof origin.to === 'function') {
+        origin.to(room).emit('description:update', message);
+      } else {
+        this.io.to(room).emit('description:update', message);
+      }
+
+      if (this.clustered) {
+        this.io.serverSideEmit('description:update', message);
+      }
+    }
+
+    session.dirty = true;
+    clearTimeout(session.saveTimer);
+    session.saveTimer = setTimeout(() => {
+      this.save(session).catch(error => console.error('Save description error:', error));
+    }, SAVE_DELAY_MS);
+  }
+
+  async applyShared(taskId, update) {
+    const session = await this.getSession(taskId);
+    if (session && Buffer.isBuffer(update)) {
+      Y.applyUpdate(session.doc, update, 'shared');
+    }
+  }
+
+  // Store the merged text and state. The board hears about it when the last editor closes the
+  // description, not on every save while people type.
+  async save(session, closing = false) {
+    clearTimeout(session.saveTimer);
+    session.saveTimer = null;
+    if (!session.dirty) {
+      return;
+    }
+    session.dirty = false;
+
+    const task = await Task.findByIdAndUpdate(session.taskId, {
+      $set: {
+        description: session.doc.getText('description').toString(),
+        descriptionState: Buffer.from(Y.encodeStateAsUpdate(session.doc))
+      },
+      $inc: { version: 1 }
+    }, { new: true }).select('-comments').populate(TASK_POPULATE);
+
+    if (task && closing) {
+      await this.updateMentions(task, session.lastEditor);
+      publishBoardEvent(this.io, task.board, 'task.updated', { task }, session.lastEditor);
+    }
+  }
+
+  // Mentions are only looked at once editing is done, not for every "@jo" typed on the way.
+  // The last editor is offered to invite the mentioned people who are not on the board.
+  async updateMentions(task, editor) {
+    if (!editor) return;
+
+    try {
+      const { members, nonMembers } = await mentionService.updateDescriptionMentions(task, editor);
+      task.descriptionMentions = members.map(user => user._id);
+      await task.populate(TASK_POPULATE);
+
+      if (nonMembers.length > 0) {
+        this.io.to(userRoom(editor._id)).emit('mentions:non-members', {
+          boardId: task.board,
+          taskId: task._id,
+          users: mentionService.toInviteCandidates(nonMembers)
+        });
+      }
+    } catch (error) {
+      console.error('Update description mentions error:', error);
+    }
+  }
+
+  // Forget a description whose text was replaced through the REST API, clients that have it
+  // open start over from the new text
+  reset(io, task) {
+    const taskId = task._id.toString();
+    this.drop(taskId);
+    io.to(boardRoom(task.board)).emit('description:reset', { taskId });
+
+    if (this.clustered) {
+      io.serverSideEmit('description:reset', { taskId });
+    }
+  }
+
+  drop(taskId) {
+    const loading = this.sessions.get(taskId);
+    if (!loading) return;
+
+    this.sessions.delete(taskId);
+    loading.then(session => {
+      if (session) {
+        clearTimeout(session.saveTimer);
+        session.doc.destroy();
+      }
+    }).catch(() => {});
+  }
+}
+
+module.exports = new DescriptionSessions();
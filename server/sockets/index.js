@@ -0,0 +1,143 @@
+const mongoose = require('mongoose');
+const { authenticateSocket, watchSession } = require('./authenticate');
+const { joinBoard, boardRoom, userRoom, sessionRoom } = require('./boardRooms');
+const presence = require('./presence');
+const descriptions = require('./descriptions');
+const { getMissedBoardEvents } = require('./boardEvents');
+
+// Socket.IO setup: authentication, rooms and event handlers
+const registerSocketHandlers = (io) => {
+  io.use(authenticateSocket);
+  presence.setSocketServer(io);
+  descriptions.setSocketServer(io);
+
+  io.on('connection', (socket) => {
+    const { user } = socket.data;
+    console.log(`User ${user.username} connected:`, socket.id);
+
+    // Every socket of a user gets their notifications and access changes, and is closed
+    // with the session it was opened with
+    socket.join([userRoom(user._id), sessionRoom(socket.data.sessionId)]);
+    watchSession(socket);
+
+    // Join board room, the optional callback gets the user's role or an error
+    socket.on('join-board', async (boardId, callback) => {
+      let result;
+      try {
+        result = await joinBoard(socket, boardId);
+      } catch (error) {
+        console.error('Join board error:', error);
+        result = { error: 'Server error joining board' };
+      }
+
+      if (result.error) {
+        console.log(`User ${user.username} was refused board ${boardId}: ${result.error}`);
+      } else {
+        console.log(`User ${user.username} joined board ${boardId}`);
+        presence.join(socket, result.boardId);
+      }
+
+      if (typeof callback === 'function') {
+        callback(result);
+      }
+    });
+
+    // Events of a joined board after the given sequence number, e.g. after a reconnect.
+    // The callback gets { events } or { refetch: true } when too many were missed.
+    socket.on('board:replay', async (data, callback) => {
+      if (typeof callback !== 'function') return;
+
+      const boardId = data && data.boardId;
+      const since = data && Number(data.since);
+      if (!boardId || !Number.isInteger(since) || since < 0 || !socket.rooms.has(boardRoom(boardId))) {
+        return callback({ error: 'Join the board before replaying its events' });
+      }
+
+      try {
+        const events = await getMissedBoardEvents(boardId, since);
+        callback(events ? { events } : { refetch: true });
+      } catch (error) {
+        console.error('Replay board events error:', error);
+        callback({ refetch: true });
+      }
+    });
+
+    // Leave board room
+    socket.on('leave-board', (boardId) => {
+      socket.leave(boardRoom(boardId));
+      console.log(`User ${user.username} left board ${boardId}`);
+    });
+
+    // Presence heartbeat with the socket's status: active, idle or away
+    socket.on('presence:heartbeat', (data) => {
+      if (data) {
+        presence.heartbeat(socket, data.boardId, data.status);
+      }
+    });
+
+    // The task a socket has open and the field it is editing, shown to the rest of the board
+    socket.on('task:focus', (data) => {
+      if (data) {
+        presence.focus(socket, data.boardId, data.taskId, data.field);
+      }
+    });
+
+    // Typing in a task's comment box, relayed to the board with who is typing
+    socket.on('task:typing', (data) => {
+      if (!data || !data.boardId || !socket.rooms.has(boardRoom(data.boardId)) ||
+          typeof data.taskId !== 'string' || !mongoose.Types.ObjectId.isValid(data.taskId)) {
+        return;
+      }
+
+      socket.to(boardRoom(data.boardId)).emit('task:typing', {
+        boardId: data.boardId.toString(),
+        taskId: data.taskId,
+        typing: Boolean(data.typing),
+        user
+      });
+    });
+
+    // Collaborative task descriptions: open one to get its merged state, then send and receive
+    // Yjs updates and cursors. Callbacks get { error } when something was refused.
+    socket.on('description:join', async (data, callback) => {
+      if (typeof callback !== 'function') return;
+
+      try {
+        callback(await descriptions.join(socket, data && data.boardId, data && data.taskId));
+      } catch (error) {
+        console.error('Join description error:', error);
+        callback({ error: 'Server error opening description' });
+      }
+    });
+
+    socket.on('description:update', async (data, callback) => {
+      if (!data || typeof data.taskId !== 'string') return;
+
+      const result = await descriptions.update(socket, data.taskId, data.update);
+      if (typeof callback === 'function') {
+        callback(result);
+      }
+    });
+
+    socket.on('description:cursor', (data) => {
+      if (data && typeof data.taskId === 'string') {
+        descriptions.cursor(socket, data.taskId, data.cursor === undefined ? null : data.cursor);
+      }
+    });
+
+    socket.on('description:leave', (data) => {
+      if (data && typeof data.taskId === 'string') {
+        descriptions.leave(data.taskId, socket.id).catch(error => console.error('Leave description error:', error));
+      }
+    });
+
+    // Handle disconnection
+    socket.on('disconnect', () => {
+      console.log(`User ${user.username} disconnected:`, socket.id);
+    });
+  });
+};
+
+module.exports = {
+  registerSocketHandlers
+};
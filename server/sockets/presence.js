@@ -0,0 +1,267 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { boardRoom } = require('./boardRooms');
+const { isClustered } = require('./adapter');
+
+// From most to least present, a user with several tabs shows the best status of any of them
+const STATUSES = ['active', 'idle', 'away'];
+
+// Fields of a task someone can be editing
+const TASK_FIELDS = ['title', 'description', 'comment'];
+
+// One user's presence across the summaries of several server instances
+const mergeSummaries = (summaries) => ({
+  user: summaries[0].user,
+  status: STATUSES.find(status => summaries.some(summary => summary.status === status)),
+  lastSeen: new Date(Math.max(...summaries.map(summary => new Date(summary.lastSeen)))).toISOString(),
+  tasks: summaries.flatMap(summary => summary.tasks)
+});
+
+class PresenceTracker {
+  constructor() {
+    // Sockets that stop sending heartbeats are dropped from the roster after this long
+    this.timeoutMs = (parseInt(process.env.PRESENCE_TIMEOUT_SECONDS, 10) || 60) * 1000;
+
+    // boardId -> userId -> { user, sockets: socketId -> { status, lastSeen, taskId, field } }
+    this.boards = new Map();
+    this.io = null;
+    this.sweepTimer = null;
+
+    // With several server instances each tracks its own sockets and shares a summary per user
+    // with the others. boardId -> userId -> instanceId -> { summary, receivedAt }
+    this.instanceId = crypto.randomUUID();
+    this.clustered = false;
+    this.remote = new Map();
+  }
+
+  // Follow the board rooms of this server, a socket leaving a room for any reason
+  // (leave-board, lost access, disconnect) leaves the roster as well
+  setSocketServer(io) {
+    this.io = io;
+    io.of('/').adapter.on('leave-room', (room, socketId) => this.leave(room, socketId));
+
+    this.clustered = isClustered(io);
+    if (this.clustered) {
+      io.on('presence:sync', (message) => this.receive(message));
+      // A new instance asks the others who they have on their boards
+      io.on('presence:hello', () => this.announce());
+      io.serverSideEmit('presence:hello');
+    }
+
+    this.sweepTimer = setInterval(() => this.sweep(), Math.min(this.timeoutMs / 2, 15000));
+    this.sweepTimer.unref();
+  }
+
+  // The roster of a board as sent to clients
+  getRoster(boardId) {
+    const id = boardId.toString();
+    const userIds = new Set([
+      ...(this.boards.has(id) ? this.boards.get(id).keys() : []),
+      ...(this.remote.has(id) ? this.remote.get(id).keys() : [])
+    ]);
+    return [...userIds].map(userId => this.getSummary(id, userId));
+  }
+
+  // A user's presence on a board across all server instances, null when they are not there
+  getSummary(boardId, userId) {
+    const local = this.boards.has(boardId) && this.boards.get(boardId).get(userId);
+    const remote = this.remote.has(boardId) && this.remote.get(boardId).get(userId);
+    const summaries = [
+      ...(local ? [this.summarize(local)] : []),
+      ...(remote ? [...remote.values()].map(({ summary }) => summary) : [])
+    ];
+
+    return summaries.length > 0 ? mergeSummaries(summaries) : null;
+  }
+
+  summarize(entry) {
+    const sockets = [...entry.sockets.values()];
+    return {
+      user: entry.user,
+      status: STATUSES.find(status => sockets.some(socket => socket.status === status)),
+      lastSeen: new Date(Math.max(...sockets.map(socket => socket.lastSeen))).toISOString(),
+      // Tasks open in any of the user's tabs, with the field being edited if any
+      tasks: sockets
+        .filter(socket => socket.taskId)
+        .map(socket => ({ taskId: socket.taskId, field: socket.field }))
+    };
+  }
+
+  // Add a socket that just joined a board room and send it who is already there
+  join(socket, boardId) {
+    const id = boardId.toString();
+    this.update(id, socket.data.user, socket.id, 'active');
+    socket.emit('presence:snapshot', { boardId: id, users: this.getRoster(id) });
+  }
+
+  // A heartbeat keeps a socket on the roster and carries its status. Sockets that timed out
+  // but are still in the room come back with their next heartbeat.
+  heartbeat(socket, boardId, status) {
+    const id = boardId && boardId.toString();
+    if (!id || !STATUSES.includes(status) || !socket.rooms.has(boardRoom(id))) {
+      return;
+    }
+
+    this.update(id, socket.data.user, socket.id, status);
+  }
+
+  // Which task a socket has open and which of its fields it is editing, null when it closes it
+  focus(socket, boardId, taskId, field) {
+    const id = boardId && boardId.toString();
+    const entry = id && this.boards.get(id) && this.boards.get(id).get(socket.data.user._id);
+    const state = entry && entry.sockets.get(socket.id);
+    if (!state) return;
+
+    const nextTaskId = taskId && mongoose.Types.ObjectId.isValid(taskId) ? taskId.toString() : null;
+    const nextField = nextTaskId && TASK_FIELDS.includes(field) ? field : null;
+    if (state.taskId === nextTaskId && state.field === nextField) return;
+
+    state.taskId = nextTaskId;
+    state.field = nextField;
+    state.lastSeen = Date.now();
+    this.changed(id, socket.data.user._id, entry);
+  }
+
+  leave(boardId, socketId) {
+    const users = this.boards.get(boardId);
+    if (!users) return;
+
+    for (const [userId, entry] of users) {
+      if (entry.sockets.delete(socketId)) {
+        this.changed(boardId, userId, entry);
+      }
+    }
+  }
+
+  // Drop sockets whose heartbeats stopped, e.g. a suspended laptop or a frozen tab, and users
+  // of other instances that stopped sharing them (e.g. the instance went down)
+  sweep(now = Date.now()) {
+    for (const [boardId, users] of this.boards) {
+      for (const [userId, entry] of users) {
+        let removed = false;
+        for (const [socketId, socket] of entry.sockets) {
+          if (now - socket.lastSeen > this.timeoutMs) {
+            entry.sockets.delete(socketId);
+            removed = true;
+          }
+        }
+
+        if (removed) {
+          this.changed(boardId, userId, entry);
+        }
+      }
+    }
+
+    // Every instance sweeps these, so each only tells its own sockets
+    for (const [boardId, users] of this.remote) {
+      for (const [userId, instances] of users) {
+        const stale = [...instances].filter(([, { receivedAt }]) => now - receivedAt > this.timeoutMs);
+        if (stale.length > 0) {
+          stale.forEach(([instanceId]) => this.setRemote(boardId, userId, instanceId, null));
+          this.notify(boardId, userId, { localOnly: true });
+        }
+      }
+    }
+
+    this.announce();
+  }
+
+  update(boardId, user, socketId, status) {
+    if (!this.boards.has(boardId)) {
+      this.boards.set(boardId, new Map());
+    }
+
+    const users = this.boards.get(boardId);
+    const entry = users.get(user._id) || { user, sockets: new Map() };
+    const before = entry.sockets.size > 0 ? this.summarize(entry).status : null;
+
+    const state = entry.sockets.get(socketId) || { taskId: null, field: null };
+    entry.sockets.set(socketId, { ...state, status, lastSeen: Date.now() });
+    users.set(user._id, entry);
+
+    if (this.summarize(entry).status !== before) {
+      this.changed(boardId, user._id, entry);
+    }
+  }
+
+  // A user's sockets on this instance changed, share it with the other instances and the board
+  changed(boardId, userId, entry) {
+    if (entry.sockets.size === 0) {
+      const users = this.boards.get(boardId);
+      users.delete(userId);
+      if (users.size === 0) {
+        this.boards.delete(boardId);
+      }
+    }
+
+    this.share([{ boardId, userId, summary: entry.sockets.size > 0 ? this.summarize(entry) : null }]);
+    this.notify(boardId, userId);
+  }
+
+  // Tell the board room, on every instance or only this one, about a user whose status
+  // changed or who left
+  notify(boardId, userId, { localOnly = false } = {}) {
+    const summary = this.getSummary(boardId, userId);
+    const room = (localOnly ? this.io.local : this.io).to(boardRoom(boardId));
+
+    if (!summary) {
+      room.emit('presence:leave', { boardId, userId });
+      return;
+    }
+
+    room.emit('presence:update', { boardId, ...summary });
+  }
+
+  // Send the other instances the summaries of users on this one, null for users who left
+  share(users) {
+    if (this.clustered && users.length > 0) {
+      this.io.serverSideEmit('presence:sync', { instanceId: this.instanceId, users });
+    }
+  }
+
+  // Share everyone on this instance again, so the others keep them while they are here
+  announce() {
+    const users = [];
+    for (const [boardId, entries] of this.boards) {
+      for (const [userId, entry] of entries) {
+        users.push({ boardId, userId, summary: this.summarize(entry) });
+      }
+    }
+
+    this.share(users);
+  }
+
+  // Summaries from another instance, the room was already told by the instance that sent them
+  receive(message) {
+    if (!message || message.instanceId === this.instanceId || !Array.isArray(message.users)) return;
+
+    message.users.forEach(({ boardId, userId, summary }) => {
+      this.setRemote(boardId, userId, message.instanceId, summary);
+    });
+  }
+
+  setRemote(boardId, userId, instanceId, summary) {
+    const users = this.remote.get(boardId) || new Map();
+    const instances = users.get(userId) || new Map();
+
+    if (summary) {
+      instances.set(instanceId, { summary, receivedAt: Date.now() });
+    } else {
+      instances.delete(instanceId);
+    }
+
+    if (instances.size > 0) {
+      users.set(userId, instances);
+    } else {
+      users.delete(userId);
+    }
+
+    if (users.size > 0) {
+      this.remote.set(boardId, users);
+    } else {
+      this.remote.delete(boardId);
+    }
+  }
+}
+
+module.exports = new PresenceTracker();
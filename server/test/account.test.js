@@ -0,0 +1,150 @@
+const { test, mock, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const User = require('../models/User');
+const Board = require('../models/Board');
+const List = require('../models/List');
+const Task = require('../models/Task');
+const Invitation = require('../models/Invitation');
+const Organization = require('../models/Organization');
+const Group = require('../models/Group');
+const BoardEvent = require('../models/BoardEvent');
+const Session = require('../models/Session');
+const ApiToken = require('../models/ApiToken');
+const SsoLogin = require('../models/SsoLogin');
+const SecurityEvent = require('../models/SecurityEvent');
+const RunningTimer = require('../models/RunningTimer');
+const accountService = require('../services/accountService');
+const attachmentService = require('../services/attachmentService');
+const twoFactorService = require('../services/twoFactorService');
+const accountRoutes = require('../routes/account');
+const authRoutes = require('../routes/auth');
+const { id, query, signIn, createApp, request } = require('./helpers');
+
+const app = createApp('/api/account', accountRoutes);
+
+let user;
+let token;
+let deleteAccount;
+
+beforeEach(() => {
+  mock.restoreAll();
+  ({ user, token } = signIn());
+  user.linkSsoIdentity('https://idp.example', 'alice-sub');
+
+  mock.method(accountService, 'getOwnedBoards', async () => []);
+  deleteAccount = mock.method(accountService, 'deleteAccount', async () => ({ deletedBoards: [], transferredBoards: [] }));
+});
+
+// A single sign-on code the provider handed out for a user
+const ssoCode = (purpose, userId = user._id) => {
+  mock.method(SsoLogin, 'consumeExchangeCode', async (code) => (
+    code === 'sso-code' ? new SsoLogin({ purpose, user: userId, state: 's', nonce: 'n', codeVerifier: 'v', expiresAt: new Date() }) : null
+  ));
+  return 'sso-code';
+};
+
+test('DELETE /api/account lets a single sign-on account confirm by signing in again', async () => {
+  const response = await request(app, 'DELETE', '/api/account', { token, body: { ssoCode: ssoCode('reauth') } });
+
+  assert.strictEqual(response.status, 200);
+  assert.strictEqual(deleteAccount.mock.callCount(), 1);
+});
+
+test('DELETE /api/account does not take a code that was meant to sign in', async () => {
+  const response = await request(app, 'DELETE', '/api/account', { token, body: { ssoCode: ssoCode('login') } });
+
+  assert.strictEqual(response.status, 400);
+  assert.strictEqual(deleteAccount.mock.callCount(), 0);
+});
+
+test('DELETE /api/account does not take another user\'s single sign-on confirmation', async () => {
+  const response = await request(app, 'DELETE', '/api/account', { token, body: { ssoCode: ssoCode('reauth', id()) } });
+
+  assert.strictEqual(response.status, 400);
+  assert.strictEqual(deleteAccount.mock.callCount(), 0);
+});
+
+test('DELETE /api/account lets a single sign-on account confirm with a two-factor code', async () => {
+  user.twoFactor.enabled = true;
+  const verifyUserCode = mock.method(twoFactorService, 'verifyUserCode', (checked, code) => code === '123456');
+  mock.method(User.prototype, 'save', async function() { return this; });
+
+  const wrong = await request(app, 'DELETE', '/api/account', { token, body: { code: '654321' } });
+  const right = await request(app, 'DELETE', '/api/account', { token, body: { code: '123456' } });
+
+  assert.deepStrictEqual([wrong.status, right.status], [400, 200]);
+  assert.strictEqual(verifyUserCode.mock.callCount(), 2);
+  assert.strictEqual(deleteAccount.mock.callCount(), 1);
+});
+
+test('DELETE /api/account still needs the password of accounts without single sign-on', async () => {
+  user.ssoIdentities = [];
+
+  const response = await request(app, 'DELETE', '/api/account', { token, body: { ssoCode: ssoCode('reauth') } });
+
+  assert.strictEqual(response.status, 400);
+  assert.strictEqual(response.body.message, 'Password is required');
+  assert.strictEqual(deleteAccount.mock.callCount(), 0);
+});
+
+test('a deletion that failed half way keeps the user and finishes when it runs again', async () => {
+  mock.restoreAll();
+  const userId = id();
+  const owned = new Map([['board', new Board({ title: 'Roadmap', owner: userId })]]);
+  // The first run fails deleting the board, the second one right before the user is deleted
+  const failing = new Set(['lists', 'avatar']);
+  const failOnce = (step) => {
+    if (failing.delete(step)) {
+      throw new Error('connection lost');
+    }
+  };
+  const done = async () => ({});
+
+  mock.method(User, 'getDeletedUserPlaceholder', async () => new User({ username: 'deleted user' }));
+  mock.method(Board, 'find', async () => [...owned.values()]);
+  mock.method(Board, 'findByIdAndDelete', async (boardId) => {
+    owned.forEach((board, key) => board._id.equals(boardId) && owned.delete(key));
+  });
+  mock.method(attachmentService, 'deleteTaskFiles', done);
+  mock.method(List, 'deleteMany', async () => failOnce('lists'));
+  mock.method(Organization, 'findByUser', async () => []);
+  mock.method(Group, 'find', () => query([]));
+  mock.method(User, 'findById', () => query((async () => {
+    failOnce('avatar');
+    return new User({ username: 'alice' });
+  })()));
+  [Task, BoardEvent, Invitation, ApiToken, SsoLogin, SecurityEvent, RunningTimer, Group].forEach(Model => {
+    mock.method(Model, 'deleteMany', done);
+  });
+  [User, Board, Group, BoardEvent, Task].forEach(Model => mock.method(Model, 'updateMany', done));
+  const deleteSessions = mock.method(Session, 'deleteMany', done);
+  const deleteUser = mock.method(User, 'deleteOne', done);
+
+  await assert.rejects(accountService.deleteAccount({ _id: userId }), /connection lost/);
+  assert.strictEqual(owned.size, 1);
+  await assert.rejects(accountService.deleteAccount({ _id: userId }), /connection lost/);
+  assert.strictEqual(owned.size, 0);
+  assert.strictEqual(deleteSessions.mock.callCount(), 0);
+  assert.strictEqual(deleteUser.mock.callCount(), 0);
+
+  await accountService.deleteAccount({ _id: userId });
+  assert.strictEqual(deleteSessions.mock.callCount(), 1);
+  assert.strictEqual(deleteUser.mock.callCount(), 1);
+});
+
+test('no one can register the username or email of the deleted user placeholder first', async () => {
+  mock.restoreAll();
+  const upsert = mock.method(User, 'findOneAndUpdate', () => query(null));
+  await User.getDeletedUserPlaceholder();
+  await User.getDeletedUserPlaceholder();
+  const [first, second] = upsert.mock.calls.map(call => call.arguments[1]);
+
+  const response = await request(createApp('/api/auth', authRoutes), 'POST', '/api/auth/register', {
+    body: { username: first.$set.username, email: 'someone@example.com', password: 'secret123' }
+  });
+
+  assert.strictEqual(response.status, 400);
+  assert.deepStrictEqual(response.body.errors.map(error => error.path), ['username']);
+  assert.notStrictEqual(first.$setOnInsert.email, second.$setOnInsert.email);
+  assert.ok(first.$setOnInsert.email.endsWith('@example.com'));
+});
@@ -0,0 +1,128 @@
+const { test, mock, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const Board = require('../models/Board');
+const List = require('../models/List');
+const Task = require('../models/Task');
+const ApiToken = require('../models/ApiToken');
+const boardRoutes = require('../routes/boards');
+const taskRoutes = require('../routes/tasks');
+const tokenRoutes = require('../routes/tokens');
+const { sessionOnly } = require('../middleware/auth');
+const { id, query, signIn, createApp, request } = require('./helpers');
+
+// Mounted the way index.js mounts them
+const app = createApp('/api/boards', boardRoutes);
+app.use('/api/tasks', taskRoutes);
+app.use('/api/tokens', sessionOnly, tokenRoutes);
+
+let user;
+let sessionToken;
+let board;
+let otherBoard;
+let task;
+let apiTokens;
+
+// Tokens as stored, looked up by the hash of their raw value
+beforeEach(() => {
+  mock.restoreAll();
+  ({ user, token: sessionToken } = signIn());
+  board = new Board({ title: 'Roadmap', owner: user._id });
+  otherBoard = new Board({ title: 'Hiring', owner: user._id });
+  task = new Task({ title: 'Plan Q3', list: id(), board: board._id, createdBy: user._id });
+  apiTokens = [];
+
+  mock.method(ApiToken.prototype, 'save', async function() {
+    if (!apiTokens.includes(this)) apiTokens.push(this);
+    return this;
+  });
+  mock.method(ApiToken, 'findOne', async ({ tokenHash }) => apiTokens.find(apiToken => apiToken.tokenHash === tokenHash) || null);
+  mock.method(ApiToken, 'updateOne', async () => ({}));
+  mock.method(ApiToken.prototype, 'populate', async function() { return this; });
+  mock.method(Board, 'findById', async (boardId) => [board, otherBoard].find(item => item._id.equals(boardId)) || null);
+  mock.method(Board, 'find', async ({ _id }) => [board, otherBoard].filter(item => _id.$in.includes(item._id.toString())));
+  mock.method(Board.prototype, 'populate', async function() { return this; });
+  mock.method(List, 'findByBoard', async () => [new List({ title: 'To do', board: board._id, tasks: [task._id] })]);
+  mock.method(Task, 'findById', () => query(task));
+});
+
+const createToken = async (fields) => (await ApiToken.createForUser(user._id, { name: 'CI', ...fields })).rawToken;
+
+test('an API token can only do what its scopes allow', async () => {
+  const token = await createToken({ scopes: ['tasks:read'] });
+
+  const read = await request(app, 'GET', `/api/tasks/${task._id}`, { token });
+  const write = await request(app, 'PUT', `/api/tasks/${task._id}`, { token, body: { title: 'Plan Q4' } });
+  const boards = await request(app, 'GET', `/api/boards/${board._id}`, { token });
+
+  assert.deepStrictEqual([read.status, write.status, boards.status], [200, 403, 403]);
+  assert.strictEqual(write.body.message, 'Access denied - API token is missing the tasks:write scope');
+  assert.strictEqual(task.title, 'Plan Q3');
+});
+
+test('a board can be read without its tasks by a token that may not read tasks', async () => {
+  const token = await createToken({ scopes: ['boards:read'] });
+
+  const response = await request(app, 'GET', `/api/boards/${board._id}`, { token });
+
+  assert.strictEqual(response.status, 200);
+  assert.deepStrictEqual(response.body.board.lists.map(list => list.tasks), [[]]);
+});
+
+test('an API token limited to some boards cannot use or create others', async () => {
+  const token = await createToken({ scopes: ['boards:read', 'boards:write'], boards: [board._id] });
+
+  const allowed = await request(app, 'GET', `/api/boards/${board._id}`, { token });
+  const other = await request(app, 'GET', `/api/boards/${otherBoard._id}`, { token });
+  const created = await request(app, 'POST', '/api/boards', { token, body: { title: 'Side project' } });
+
+  assert.deepStrictEqual([allowed.status, other.status, created.status], [200, 403, 403]);
+  assert.strictEqual(other.body.message, 'Access denied - API token is not allowed on this board');
+});
+
+test('revoked and expired API tokens are refused', async () => {
+  const revoked = await createToken({ scopes: ['boards:read'] });
+  apiTokens[0].revoke();
+  const expired = await createToken({ scopes: ['boards:read'], expiresAt: new Date(Date.now() - 1000) });
+
+  const responses = await Promise.all([revoked, expired].map(token => (
+    request(app, 'GET', `/api/boards/${board._id}`, { token })
+  )));
+
+  assert.deepStrictEqual(responses.map(response => response.status), [401, 401]);
+});
+
+test('POST /api/tokens shows the token once and keeps only its hash', async () => {
+  const response = await request(app, 'POST', '/api/tokens', {
+    token: sessionToken,
+    body: { name: 'CI', scopes: ['tasks:read', 'tasks:read'], boards: [board._id] }
+  });
+
+  assert.strictEqual(response.status, 201);
+  assert.ok(response.body.token.startsWith('cat_'));
+  assert.deepStrictEqual(response.body.apiToken.scopes, ['tasks:read']);
+  assert.ok(!JSON.stringify(apiTokens[0]).includes(response.body.token));
+  assert.ok(response.body.token.startsWith(apiTokens[0].tokenPreview));
+});
+
+test('POST /api/tokens only limits tokens to boards the user belongs to', async () => {
+  mock.method(Board.prototype, 'getEffectiveRole', async function() {
+    return this === board ? 'member' : null;
+  });
+
+  const response = await request(app, 'POST', '/api/tokens', {
+    token: sessionToken,
+    body: { name: 'CI', scopes: ['boards:read'], boards: [board._id, otherBoard._id] }
+  });
+
+  assert.strictEqual(response.status, 403);
+  assert.strictEqual(apiTokens.length, 0);
+});
+
+test('an API token cannot create other tokens', async () => {
+  const token = await createToken({ scopes: ['boards:read', 'boards:write', 'tasks:read', 'tasks:write'] });
+
+  const response = await request(app, 'POST', '/api/tokens', { token, body: { name: 'More', scopes: ['analytics:read'] } });
+
+  assert.strictEqual(response.status, 403);
+  assert.strictEqual(apiTokens.length, 1);
+});
@@ -0,0 +1,111 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.UPLOAD_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'uploads-'));
+
+const { test, mock, beforeEach, after } = require('node:test');
+const assert = require('node:assert');
+const Task = require('../models/Task');
+const storage = require('../services/storage');
+const attachmentService = require('../services/attachmentService');
+const { id } = require('./helpers');
+
+const MB = 1024 * 1024;
+const boardId = id();
+
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+// Attachments as stored, by task. Each write is applied whole, but the awaits in between let
+// other uploads run.
+let stored;
+let removedKeys;
+
+beforeEach(() => {
+  mock.restoreAll();
+  stored = new Map();
+  removedKeys = [];
+
+  mock.method(storage, 'save', async (buffer, { name, extension }) => {
+    await tick();
+    return { url: null, key: `local:${name}.${extension}` };
+  });
+  mock.method(storage, 'remove', async (key) => {
+    removedKeys.push(key);
+  });
+  mock.method(Task, 'getAttachmentBytes', async () => {
+    await tick();
+    return [...stored.values()].flat().reduce((sum, attachment) => sum + attachment.size, 0);
+  });
+  mock.method(Task.prototype, 'save', async function() {
+    await tick();
+    stored.set(this._id.toString(), this.attachments.map(attachment => attachment.toObject()));
+    return this;
+  });
+  mock.method(Task, 'updateOne', async (filter, update) => {
+    await tick();
+    const pulled = update.$pull.attachments._id.$in.map(attachmentId => attachmentId.toString());
+    const attachments = stored.get(filter._id.toString()) || [];
+    stored.set(filter._id.toString(), attachments.filter(attachment => !pulled.includes(attachment._id.toString())));
+  });
+});
+
+after(() => {
+  fs.rmSync(process.env.UPLOAD_DIR, { recursive: true, force: true });
+});
+
+const newTask = () => new Task({ title: 'Design', list: id(), board: boardId, createdBy: id() });
+
+const file = (name, size) => ({ originalname: name, mimetype: 'application/pdf', size, buffer: Buffer.from('%PDF') });
+
+test('files that would take the board over its quota are refused before they are stored', async () => {
+  stored.set('other', [{ size: 90 * MB }]);
+
+  await assert.rejects(
+    attachmentService.addAttachments(newTask(), [file('big.pdf', 20 * MB)], id()),
+    error => error.status === 413 && /10MB left/.test(error.message)
+  );
+  assert.strictEqual(storage.save.mock.callCount(), 0);
+});
+
+test('uploads at the same time cannot take the board over its quota together', async () => {
+  const uploads = [newTask(), newTask()].map((task, index) => (
+    attachmentService.addAttachments(task, [file(`part${index}.pdf`, 60 * MB)], id())
+  ));
+
+  const results = await Promise.allSettled(uploads);
+  const used = [...stored.values()].flat().reduce((sum, attachment) => sum + attachment.size, 0);
+
+  assert.ok(used <= 100 * MB);
+  assert.ok(results.some(result => result.status === 'rejected' && result.reason.status === 413));
+  assert.strictEqual(removedKeys.length, results.filter(result => result.status === 'rejected').length);
+});
+
+test('uploads that fit together are all kept', async () => {
+  const results = await Promise.all([newTask(), newTask()].map((task, index) => (
+    attachmentService.addAttachments(task, [file(`part${index}.pdf`, 40 * MB)], id())
+  )));
+
+  assert.strictEqual(results.flat().length, 2);
+  assert.strictEqual([...stored.values()].flat().length, 2);
+  assert.deepStrictEqual(removedKeys, []);
+});
+
+test('files are stored on local disk unless Cloudinary is asked for', async () => {
+  mock.restoreAll();
+  process.env.CLOUDINARY_CLOUD_NAME = 'demo';
+  process.env.CLOUDINARY_API_KEY = 'key';
+  process.env.CLOUDINARY_API_SECRET = 'secret';
+  delete process.env.STORAGE_DRIVER;
+
+  try {
+    const { key } = await storage.save(Buffer.from('hello'), { folder: 'attachments', name: 'note', extension: 'txt', access: 'private' });
+
+    assert.ok(key.startsWith('local:'));
+    assert.ok(fs.existsSync(path.join(process.env.UPLOAD_DIR, key.slice('local:'.length))));
+  } finally {
+    delete process.env.CLOUDINARY_CLOUD_NAME;
+    delete process.env.CLOUDINARY_API_KEY;
+    delete process.env.CLOUDINARY_API_SECRET;
+  }
+});
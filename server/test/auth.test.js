@@ -0,0 +1,63 @@
+const { test, mock, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const SsoLogin = require('../models/SsoLogin');
+const authRoutes = require('../routes/auth');
+const { verifyTwoFactorChallengeToken } = require('../middleware/auth');
+const { id, createApp, request } = require('./helpers');
+
+const app = createApp('/api/auth', authRoutes);
+
+let user;
+let createForUser;
+
+beforeEach(() => {
+  mock.restoreAll();
+  user = new User({ username: 'alice', email: 'alice@example.com', password: 'secret123' });
+  mock.method(SsoLogin, 'consumeExchangeCode', async (code) => {
+    if (code === 'reauth-code') return new SsoLogin({ user: user._id, purpose: 'reauth' });
+    return code === 'valid-code' ? new SsoLogin({ user: user._id }) : null;
+  });
+  mock.method(User, 'findById', async () => user);
+  mock.method(User.prototype, 'save', async function() { return this; });
+  createForUser = mock.method(Session, 'createForUser', async (userId) => ({
+    session: new Session({ _id: id(), user: userId, refreshTokenHash: 'hash', expiresAt: new Date(Date.now() + 60000) }),
+    refreshToken: 'refresh-token'
+  }));
+});
+
+test('POST /api/auth/sso/exchange starts a session for an account without two-factor authentication', async () => {
+  const response = await request(app, 'POST', '/api/auth/sso/exchange', { body: { code: 'valid-code' } });
+
+  assert.strictEqual(response.status, 200);
+  assert.ok(response.body.token);
+  assert.strictEqual(response.body.refreshToken, 'refresh-token');
+  assert.strictEqual(createForUser.mock.callCount(), 1);
+});
+
+test('POST /api/auth/sso/exchange asks for the second factor before starting a session', async () => {
+  user.twoFactor.enabled = true;
+
+  const response = await request(app, 'POST', '/api/auth/sso/exchange', { body: { code: 'valid-code' } });
+
+  assert.strictEqual(response.status, 200);
+  assert.strictEqual(response.body.twoFactorRequired, true);
+  assert.strictEqual(response.body.token, undefined);
+  assert.strictEqual(verifyTwoFactorChallengeToken(response.body.challengeToken).userId, user._id.toString());
+  assert.strictEqual(createForUser.mock.callCount(), 0);
+});
+
+test('POST /api/auth/sso/exchange refuses unknown codes', async () => {
+  const response = await request(app, 'POST', '/api/auth/sso/exchange', { body: { code: 'other-code' } });
+
+  assert.strictEqual(response.status, 401);
+  assert.strictEqual(createForUser.mock.callCount(), 0);
+});
+
+test('POST /api/auth/sso/exchange does not start sessions with codes that only confirm who someone is', async () => {
+  const response = await request(app, 'POST', '/api/auth/sso/exchange', { body: { code: 'reauth-code' } });
+
+  assert.strictEqual(response.status, 401);
+  assert.strictEqual(createForUser.mock.callCount(), 0);
+});
@@ -0,0 +1,94 @@
+const { test, mock, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const Board = require('../models/Board');
+const BoardEvent = require('../models/BoardEvent');
+const { publishBoardEvent, getMissedBoardEvents, BOARD_EVENT } = require('../sockets/boardEvents');
+const { id, query } = require('./helpers');
+
+const actor = { _id: id(), username: 'alice' };
+
+let board;
+let log;
+let sent;
+let io;
+
+// The board's event log as stored, and what was sent to its room
+beforeEach(() => {
+  mock.restoreAll();
+  board = new Board({ title: 'Roadmap', owner: actor._id });
+  log = [];
+  sent = [];
+  io = { to: () => ({ emit: (name, event) => sent.push([name, event]) }) };
+
+  mock.method(Board, 'findById', (boardId) => query(board._id.equals(boardId) ? board : null));
+  mock.method(Board, 'findByIdAndUpdate', (boardId, update) => {
+    board.eventSeq = (board.eventSeq || 0) + update.$inc.eventSeq;
+    return query(board);
+  });
+  mock.method(BoardEvent, 'create', async (fields) => {
+    log.push(new BoardEvent(fields));
+  });
+  mock.method(BoardEvent, 'deleteMany', async ({ seq }) => {
+    log = log.filter(event => event.seq > seq.$lte);
+  });
+  mock.method(BoardEvent, 'find', ({ seq }) => query(
+    log.filter(event => event.seq > seq.$gt && event.seq <= seq.$lte).sort((a, b) => a.seq - b.seq)
+  ));
+});
+
+const renameList = (title) => publishBoardEvent(io, board._id, 'list.updated', { list: { _id: id(), title } }, actor);
+
+test('published events are numbered and replayed from the one after the last seen', async () => {
+  await renameList('To do');
+  await renameList('Doing');
+  await renameList('Done');
+
+  const missed = await getMissedBoardEvents(board._id, 1);
+
+  assert.deepStrictEqual(sent.map(([name, event]) => [name, event.seq]), [[BOARD_EVENT, 1], [BOARD_EVENT, 2], [BOARD_EVENT, 3]]);
+  assert.deepStrictEqual(missed.map(event => [event.seq, event.data.list.title]), [[2, 'Doing'], [3, 'Done']]);
+  assert.deepStrictEqual(JSON.parse(JSON.stringify(missed[0])), JSON.parse(JSON.stringify(sent[1][1])));
+  assert.deepStrictEqual(await getMissedBoardEvents(board._id, 3), []);
+});
+
+test('a client that missed events no longer in the log has to fetch the board again', async () => {
+  await renameList('To do');
+  await renameList('Doing');
+  log.shift();
+
+  assert.strictEqual(await getMissedBoardEvents(board._id, 0), null);
+  assert.strictEqual((await getMissedBoardEvents(board._id, 1)).length, 1);
+});
+
+test('a client has to fetch the board again when an event in between was never logged', async () => {
+  mock.method(console, 'error', () => {});
+
+  await renameList('To do');
+  // Numbered, but lost on its way to the log
+  const failing = mock.method(BoardEvent, 'create', async () => {
+    throw new Error('connection lost');
+  });
+  await renameList('Doing');
+  failing.mock.restore();
+  await renameList('Done');
+
+  assert.deepStrictEqual(log.map(event => event.seq), [1, 3]);
+  assert.strictEqual(await getMissedBoardEvents(board._id, 0), null);
+  assert.deepStrictEqual((await getMissedBoardEvents(board._id, 2)).map(event => event.seq), [3]);
+});
+
+test('a client that missed more events than the log keeps has to fetch the board again', async () => {
+  board.eventSeq = 1000;
+
+  assert.strictEqual(await getMissedBoardEvents(board._id, 10), null);
+  assert.strictEqual(BoardEvent.find.mock.callCount(), 0);
+});
+
+test('events missing what clients need are not published', async () => {
+  mock.method(console, 'error', () => {});
+
+  assert.strictEqual(await publishBoardEvent(io, board._id, 'list.updated', {}, actor), null);
+  assert.strictEqual(await publishBoardEvent(io, board._id, 'list.renamed', { list: {} }, actor), null);
+  assert.deepStrictEqual(sent, []);
+  assert.strictEqual(board.eventSeq, 0);
+});
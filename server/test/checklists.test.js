@@ -0,0 +1,100 @@
+const { test, mock, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const Task = require('../models/Task');
+const Board = require('../models/Board');
+const BoardEvent = require('../models/BoardEvent');
+const taskRoutes = require('../routes/tasks');
+const { BOARD_EVENT } = require('../sockets/boardEvents');
+const { id, query, signIn, createApp, request } = require('./helpers');
+
+let app;
+let user;
+let token;
+let board;
+let task;
+
+beforeEach(() => {
+  mock.restoreAll();
+  app = createApp('/api/tasks', taskRoutes);
+  ({ user, token } = signIn());
+  board = new Board({ title: 'Roadmap', owner: user._id });
+  task = new Task({ title: 'Launch', list: id(), board: board._id, createdBy: user._id });
+
+  mock.method(Board, 'findById', async () => board);
+  mock.method(Board, 'findByIdAndUpdate', () => query({ eventSeq: 1 }));
+  mock.method(BoardEvent, 'record', async () => {});
+  mock.method(Task, 'findById', () => query(task));
+  mock.method(Task.prototype, 'save', async function() { return this; });
+  mock.method(Task.prototype, 'populate', async function() { return this; });
+});
+
+const itemTexts = (checklistId) => task.getChecklistItems(checklistId).map(item => item.text);
+
+test('items from before tasks had named checklists are put in one with the first change', async () => {
+  task.checklist.push({ text: 'Write docs' }, { text: 'Record demo' });
+
+  const response = await request(app, 'POST', `/api/tasks/${task._id}/checklist`, { token, body: { text: 'Announce' } });
+
+  assert.strictEqual(response.status, 201);
+  assert.deepStrictEqual(response.body.checklists.map(checklist => checklist.title), ['Checklist']);
+  assert.deepStrictEqual(itemTexts(task.checklists[0]._id), ['Write docs', 'Record demo', 'Announce']);
+});
+
+test('items go to the checklist they are added to and are deleted with it', async () => {
+  task.addChecklist('Before').addChecklist('After');
+  const [before, after] = task.checklists;
+  task.addChecklistItem('Freeze scope', before._id).addChecklistItem('Retro', after._id);
+
+  const added = await request(app, 'POST', `/api/tasks/${task._id}/checklist`, { token, body: { text: 'Thank everyone', checklistId: after._id } });
+  const missing = await request(app, 'POST', `/api/tasks/${task._id}/checklist`, { token, body: { text: 'Lost', checklistId: id() } });
+  const deleted = await request(app, 'DELETE', `/api/tasks/${task._id}/checklists/${before._id}`, { token });
+
+  assert.deepStrictEqual([added.status, missing.status, deleted.status], [201, 404, 200]);
+  assert.deepStrictEqual(task.checklists.map(checklist => checklist.title), ['After']);
+  assert.deepStrictEqual(task.checklist.map(item => item.text), ['Retro', 'Thank everyone']);
+});
+
+test('checking an item records who did it, unchecking forgets it, and the board is told', async () => {
+  task.addChecklistItem('Freeze scope').addChecklistItem('Retro');
+  const itemId = task.checklist[0]._id;
+
+  const checked = await request(app, 'POST', `/api/tasks/${task._id}/checklist/${itemId}/toggle`, { token });
+  assert.strictEqual(checked.status, 200);
+  assert.strictEqual(checked.body.checklistProgress, 50);
+  assert.strictEqual(task.checklist[0].completedBy.toString(), user._id.toString());
+  assert.ok(task.checklist[0].completedAt);
+
+  const unchecked = await request(app, 'POST', `/api/tasks/${task._id}/checklist/${itemId}/toggle`, { token });
+  assert.strictEqual(unchecked.body.checklistProgress, 0);
+  assert.strictEqual(task.checklist[0].completedBy, undefined);
+
+  const events = app.emitted.filter(([name]) => name === BOARD_EVENT).map(([, event]) => event);
+  assert.deepStrictEqual(events.map(event => [event.type, event.data.checklistProgress]), [['checklist.updated', 50], ['checklist.updated', 0]]);
+});
+
+test('reordering the items of a checklist needs all of them and leaves other checklists alone', async () => {
+  task.addChecklist('Before').addChecklist('After');
+  const [before, after] = task.checklists;
+  task.addChecklistItem('One', before._id).addChecklistItem('Retro', after._id).addChecklistItem('Two', before._id);
+  const [one, , two] = task.checklist.map(item => item._id.toString());
+  const reorder = (itemIds) => request(app, 'PUT', `/api/tasks/${task._id}/checklist/reorder`, { token, body: { checklistId: before._id, itemIds } });
+
+  const partial = await reorder([two]);
+  const duplicated = await reorder([two, two]);
+  const reordered = await reorder([two, one]);
+
+  assert.deepStrictEqual([partial.status, duplicated.status, reordered.status], [400, 400, 200]);
+  assert.deepStrictEqual(task.checklist.map(item => item.text), ['Two', 'Retro', 'One']);
+});
+
+test('checklists can be renamed and reordered', async () => {
+  task.addChecklist('Before').addChecklist('After');
+  const [before, after] = task.checklists.map(checklist => checklist._id.toString());
+
+  const renamed = await request(app, 'PUT', `/api/tasks/${task._id}/checklists/${before}`, { token, body: { title: '  Prepare  ' } });
+  const incomplete = await request(app, 'PUT', `/api/tasks/${task._id}/checklists/reorder`, { token, body: { checklistIds: [after] } });
+  const reordered = await request(app, 'PUT', `/api/tasks/${task._id}/checklists/reorder`, { token, body: { checklistIds: [after, before] } });
+
+  assert.deepStrictEqual([renamed.status, incomplete.status, reordered.status], [200, 400, 200]);
+  assert.deepStrictEqual(task.checklists.map(checklist => checklist.title), ['After', 'Prepare']);
+});
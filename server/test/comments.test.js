@@ -0,0 +1,108 @@
+const { test, mock, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const Task = require('../models/Task');
+const Board = require('../models/Board');
+const List = require('../models/List');
+const taskRoutes = require('../routes/tasks');
+const { id, query, signIn, createApp, request } = require('./helpers');
+
+const app = createApp('/api/tasks', taskRoutes);
+
+let token;
+let task;
+let selected;
+
+// A task with three comment threads, the second one with a reply
+const newTask = (authorId) => {
+  const board = new Board({ title: 'Roadmap', owner: authorId });
+  const created = new Task({ title: 'Plan Q3', list: id(), board: board._id, createdBy: authorId });
+  ['first', 'second', 'third'].forEach(text => created.addComment(authorId, text));
+  created.addComment(authorId, 'reply', created.comments[1]._id);
+
+  mock.method(Board, 'findById', async () => board);
+  return created;
+};
+
+beforeEach(() => {
+  mock.restoreAll();
+  const signedIn = signIn();
+  token = signedIn.token;
+  task = newTask(signedIn.user._id);
+  selected = [];
+
+  mock.method(Board.prototype, 'getEffectiveRole', async () => 'member');
+  mock.method(Task.prototype, 'populate', async function() { return this; });
+  mock.method(Task, 'findById', () => {
+    const found = query(task);
+    found.select = (fields) => {
+      selected.push(fields);
+      return found;
+    };
+    return found;
+  });
+});
+
+test('getCommentPage pages threads from the newest with their replies', () => {
+  const second = task.comments[1];
+
+  const newest = task.getCommentPage(null, 2);
+  assert.deepStrictEqual(newest.comments.map(comment => comment.text), ['second', 'third', 'reply']);
+  assert.strictEqual(newest.hasMore, true);
+
+  const earlier = task.getCommentPage(second._id, 2);
+  assert.deepStrictEqual(earlier.comments.map(comment => comment.text), ['first']);
+  assert.strictEqual(earlier.hasMore, false);
+});
+
+test('getCommentPage returns nothing when the comment to start before was deleted', () => {
+  const deletedId = task.comments[1]._id;
+  task.removeComment(deletedId);
+
+  assert.strictEqual(task.getCommentPage(deletedId, 2), null);
+});
+
+test('GET /api/tasks/:id/comments answers 404 when the comment to start before was deleted', async () => {
+  const deletedId = task.comments[2]._id;
+  task.removeComment(deletedId);
+
+  const response = await request(app, 'GET', `/api/tasks/${task._id}/comments?before=${deletedId}`, { token });
+
+  assert.strictEqual(response.status, 404);
+  assert.strictEqual(response.body.message, 'Comment not found');
+});
+
+test('GET /api/tasks/:id/comments sends a page and how many comments there are', async () => {
+  const response = await request(app, 'GET', `/api/tasks/${task._id}/comments?limit=1`, { token });
+
+  assert.strictEqual(response.status, 200);
+  assert.deepStrictEqual(response.body.comments.map(comment => comment.text), ['third']);
+  assert.strictEqual(response.body.hasMore, true);
+  assert.strictEqual(response.body.total, 4);
+});
+
+test('GET /api/tasks/:id loads the task without its comments', async () => {
+  task.commentCount = task.comments.length;
+
+  const response = await request(app, 'GET', `/api/tasks/${task._id}`, { token });
+
+  assert.strictEqual(response.status, 200);
+  assert.deepStrictEqual(selected, ['-comments']);
+  assert.strictEqual(response.body.task.commentCount, 4);
+});
+
+test('the board loads its tasks without their comments', async () => {
+  const populated = [];
+  mock.method(List, 'find', () => {
+    const found = query([]);
+    found.populate = (options) => {
+      populated.push(options);
+      return found;
+    };
+    return found;
+  });
+
+  await List.findByBoard(id());
+
+  assert.strictEqual(populated[0].path, 'tasks');
+  assert.strictEqual(populated[0].select, '-comments');
+});
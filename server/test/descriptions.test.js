@@ -0,0 +1,122 @@
+const { test, mock, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const Y = require('yjs');
+const Task = require('../models/Task');
+const Board = require('../models/Board');
+const mentionService = require('../services/mentionService');
+const descriptions = require('../sockets/descriptions');
+const { boardRoom } = require('../sockets/boardRooms');
+const taskRoutes = require('../routes/tasks');
+const { id, query, signIn, createApp, request } = require('./helpers');
+
+const user = { _id: id(), username: 'alice' };
+const silent = { emit: () => {} };
+
+let board;
+let task;
+let finishSave;
+
+// The document state stored with the task, "Hello" to start with
+const initialState = () => {
+  const doc = new Y.Doc();
+  doc.getText('description').insert(0, 'Hello');
+  return Buffer.from(Y.encodeStateAsUpdate(doc));
+};
+
+const newSocket = (socketId) => ({
+  id: socketId,
+  rooms: new Set([boardRoom(board._id)]),
+  data: { user },
+  to: () => silent
+});
+
+const textOf = (state) => {
+  const doc = new Y.Doc();
+  Y.applyUpdate(doc, state);
+  return doc.getText('description').toString();
+};
+
+beforeEach(() => {
+  mock.restoreAll();
+  descriptions.io = { to: () => silent };
+  board = new Board({ title: 'Roadmap', owner: user._id });
+  task = new Task({ title: 'Plan Q3', list: id(), board: board._id, createdBy: user._id, description: 'Hello' });
+  task.descriptionState = initialState();
+
+  mock.method(Board, 'findById', async () => board);
+  mock.method(Board, 'findByIdAndUpdate', () => query(null));
+  mock.method(Board.prototype, 'getEffectiveRole', async () => 'member');
+  mock.method(Task, 'findById', () => query(Task.hydrate(task.toObject())));
+  mock.method(Task.prototype, 'populate', async function() { return this; });
+  mock.method(mentionService, 'updateDescriptionMentions', async () => ({ members: [], nonMembers: [] }));
+
+  // Saves are stored only once the test lets them finish
+  mock.method(Task, 'findByIdAndUpdate', (taskId, update) => query(new Promise(resolve => {
+    finishSave = () => {
+      task.description = update.$set.description;
+      task.descriptionState = update.$set.descriptionState;
+      resolve(task);
+    };
+  })));
+});
+
+test('opening a description again while it is being saved on close keeps the last edits', async () => {
+  const taskId = task._id.toString();
+  const first = newSocket('first');
+  const joined = await descriptions.join(first, board._id, taskId);
+
+  const clientDoc = new Y.Doc();
+  Y.applyUpdate(clientDoc, joined.state);
+  const before = Y.encodeStateVector(clientDoc);
+  clientDoc.getText('description').insert(5, ' world');
+  assert.deepStrictEqual(await descriptions.update(first, taskId, Buffer.from(Y.encodeStateAsUpdate(clientDoc, before))), { ok: true });
+
+  const leaving = descriptions.leave(taskId, 'first');
+  const rejoined = await descriptions.join(newSocket('second'), board._id, taskId);
+  finishSave();
+  await leaving;
+
+  assert.strictEqual(textOf(rejoined.state), 'Hello world');
+  assert.strictEqual(task.description, 'Hello world');
+  assert.ok(descriptions.sessions.has(taskId));
+
+  await descriptions.leave(taskId, 'second');
+  assert.ok(!descriptions.sessions.has(taskId));
+});
+
+test('a description is let go of once its last editor left and it was saved', async () => {
+  const taskId = task._id.toString();
+  const socket = newSocket('only');
+  const joined = await descriptions.join(socket, board._id, taskId);
+
+  const clientDoc = new Y.Doc();
+  Y.applyUpdate(clientDoc, joined.state);
+  const before = Y.encodeStateVector(clientDoc);
+  clientDoc.getText('description').insert(0, 'Oh, ');
+  await descriptions.update(socket, taskId, Buffer.from(Y.encodeStateAsUpdate(clientDoc, before)));
+
+  const leaving = descriptions.leave(taskId, 'only');
+  await new Promise(resolve => setImmediate(resolve));
+  assert.ok(descriptions.sessions.has(taskId));
+
+  finishSave();
+  await leaving;
+
+  assert.ok(!descriptions.sessions.has(taskId));
+  assert.strictEqual(task.description, 'Oh, Hello');
+});
+
+test('PUT /api/tasks/:id takes descriptions as long as the ones edited together', async () => {
+  const { token } = signIn();
+  const saved = mock.method(Task.prototype, 'save', async function() { return this; });
+  mock.method(mentionService, 'resolve', async () => ({ members: [], nonMembers: [] }));
+  const app = createApp('/api/tasks', taskRoutes);
+  const update = (description) => request(app, 'PUT', `/api/tasks/${task._id}`, { token, body: { description } });
+
+  const long = await update('a'.repeat(Task.DESCRIPTION_MAX_LENGTH));
+  const tooLong = await update('a'.repeat(Task.DESCRIPTION_MAX_LENGTH + 1));
+
+  assert.deepStrictEqual([long.status, tooLong.status], [200, 400]);
+  assert.strictEqual(long.body.task.description.length, Task.DESCRIPTION_MAX_LENGTH);
+  assert.strictEqual(saved.mock.callCount(), 1);
+});
@@ -0,0 +1,33 @@
+const { test, mock } = require('node:test');
+const assert = require('node:assert');
+const Group = require('../models/Group');
+const Organization = require('../models/Organization');
+const groupRoutes = require('../routes/groups');
+const { query, signIn, createApp, request } = require('./helpers');
+
+test('GET /api/groups lists the groups the user can see, with whether they may manage them', async () => {
+  const { user, token } = signIn();
+  const group = new Group({ name: 'Design', owner: user._id, members: [{ user: user._id }] });
+
+  mock.method(Organization, 'findByUser', () => query([]));
+  const find = mock.method(Group, 'find', () => query([group]));
+  const populate = mock.method(Group, 'populate', async (groups) => groups);
+
+  const response = await request(createApp('/api/groups', groupRoutes), 'GET', '/api/groups', { token });
+
+  assert.strictEqual(response.status, 200);
+  assert.strictEqual(response.body.groups.length, 1);
+  assert.strictEqual(response.body.groups[0].name, 'Design');
+  assert.strictEqual(response.body.groups[0].canManage, true);
+  assert.deepStrictEqual(find.mock.calls[0].arguments[0].$or[0], { owner: user._id });
+  assert.deepStrictEqual(
+    populate.mock.calls[0].arguments[1].map(option => option.path),
+    ['members.user', 'organization']
+  );
+});
+
+test('GET /api/groups needs a signed in user', async () => {
+  const response = await request(createApp('/api/groups', groupRoutes), 'GET', '/api/groups');
+
+  assert.strictEqual(response.status, 401);
+});
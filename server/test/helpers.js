@@ -0,0 +1,112 @@
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const http = require('http');
+const express = require('express');
+const mongoose = require('mongoose');
+const { mock } = require('node:test');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const { generateToken } = require('../middleware/auth');
+
+// There is no database in tests: whatever a test does not mock fails right away instead of
+// waiting for a connection
+mongoose.set('bufferCommands', false);
+
+const id = () => new mongoose.Types.ObjectId();
+
+// A query that resolves to a value, for mocking model statics. The chainable query methods
+// return the same query.
+const query = (value) => {
+  const result = Promise.resolve(value);
+  ['select', 'populate', 'sort', 'skip', 'limit', 'lean'].forEach(method => {
+    result[method] = () => result;
+  });
+  return result;
+};
+
+// A user with an active session, and the access token of that session
+const signIn = (fields = {}) => {
+  const user = new User({
+    username: 'alice',
+    email: 'alice@example.com',
+    password: 'secret123',
+    firstName: 'Alice',
+    lastName: 'Smith',
+    ...fields
+  });
+  const session = new Session({
+    user: user._id,
+    refreshTokenHash: 'hash',
+    expiresAt: new Date(Date.now() + 60 * 60 * 1000)
+  });
+
+  mock.method(Session, 'findById', async (sessionId) => (
+    sessionId.toString() === session._id.toString() ? session : null
+  ));
+  mock.method(User, 'findById', (userId) => query(userId.toString() === user._id.toString() ? user : null));
+
+  return { user, session, token: generateToken(user._id, session._id) };
+};
+
+// A socket server stand-in that records what is emitted
+const createFakeIo = () => {
+  const emitted = [];
+  const sockets = {
+    except: () => sockets,
+    fetchSockets: async () => [],
+    disconnectSockets: () => {}
+  };
+  const io = {
+    emitted,
+    to: () => io,
+    emit: (...args) => emitted.push(args),
+    serverSideEmit: () => {},
+    of: () => ({ adapter: { on: () => {} } }),
+    in: () => sockets
+  };
+  return io;
+};
+
+// An app with one router mounted, like index.js mounts it. Routes get the given socket
+// server, or a stand-in.
+const createApp = (path, router, io = createFakeIo()) => {
+  const app = express();
+  app.use(express.json());
+  app.use((req, res, next) => {
+    req.io = io;
+    next();
+  });
+  app.use(path, router);
+  app.emitted = io.emitted;
+  return app;
+};
+
+// Send one request to an app, resolves to { status, body }
+const request = async (app, method, path, { token, body, headers } = {}) => {
+  const server = http.createServer(app);
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  try {
+    const response = await fetch(`http://127.0.0.1:${server.address().port}${path}`, {
+      method,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(token && { Authorization: `Bearer ${token}` }),
+        ...headers
+      },
+      body: body && JSON.stringify(body)
+    });
+    const text = await response.text();
+    return { status: response.status, body: text ? JSON.parse(text) : null };
+  } finally {
+    server.close();
+  }
+};
+
+module.exports = {
+  id,
+  query,
+  signIn,
+  createApp,
+  request
+};
@@ -0,0 +1,101 @@
+const { test, mock, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const User = require('../models/User');
+const LoginThrottle = require('../models/LoginThrottle');
+const SecurityEvent = require('../models/SecurityEvent');
+const notificationService = require('../services/notificationService');
+const loginProtectionService = require('../services/loginProtectionService');
+const { query } = require('./helpers');
+
+const req = { ip: '203.0.113.7', get: () => '' };
+
+// Stored login counters of one user and one IP, changed the way MongoDB would change them:
+// each update is applied whole, but the awaits in between let other attempts run
+let stored;
+let throttle;
+let lockEmails;
+
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+beforeEach(() => {
+  mock.restoreAll();
+  stored = { failedAttempts: 0 };
+  throttle = null;
+  lockEmails = 0;
+
+  mock.method(SecurityEvent, 'record', async () => {});
+  mock.method(notificationService, 'sendAccountLockedEmail', async () => {
+    lockEmails += 1;
+  });
+
+  mock.method(User, 'updateOne', async (filter) => {
+    await tick();
+    const lockedUntil = stored.lockedUntil;
+    if (lockedUntil && lockedUntil <= filter['loginProtection.lockedUntil'].$lte) {
+      stored = { failedAttempts: 0, lastFailedAt: stored.lastFailedAt };
+    }
+  });
+  mock.method(User, 'findOneAndUpdate', (filter, update) => query((async () => {
+    await tick();
+    if (update.$inc) {
+      stored = { ...stored, failedAttempts: stored.failedAttempts + 1, lastFailedAt: update.$set['loginProtection.lastFailedAt'] };
+      return { loginProtection: { ...stored } };
+    }
+    if (stored.lockedUntil) {
+      return null;
+    }
+    stored = { ...stored, lockedUntil: update.$set['loginProtection.lockedUntil'] };
+    return { loginProtection: { ...stored } };
+  })()));
+  mock.method(User, 'findById', () => query({ loginProtection: { ...stored } }));
+
+  mock.method(LoginThrottle, 'updateOne', async () => {});
+  mock.method(LoginThrottle, 'findOneAndUpdate', async (filter, update) => {
+    await tick();
+    if (update.$inc) {
+      throttle = { ...throttle, failedAttempts: ((throttle && throttle.failedAttempts) || 0) + 1 };
+      return throttle;
+    }
+    if (throttle.blockedUntil) {
+      return null;
+    }
+    throttle = { ...throttle, blockedUntil: update.$set.blockedUntil };
+    return throttle;
+  });
+});
+
+const newUser = () => new User({ username: 'alice', email: 'alice@example.com', password: 'secret123' });
+
+test('failures made at the same time all count and lock the account once', async () => {
+  const user = newUser();
+
+  const results = await Promise.all(
+    Array.from({ length: 12 }, () => loginProtectionService.recordFailure(req, user, 'alice'))
+  );
+
+  assert.strictEqual(stored.failedAttempts, 12);
+  assert.ok(stored.lockedUntil > new Date());
+  assert.strictEqual(lockEmails, 1);
+  assert.strictEqual(results.filter(result => result && result.status === 'locked').length, 3);
+});
+
+test('the first failure after a lockout ran out starts the count over', async () => {
+  stored = { failedAttempts: 10, lockedUntil: new Date(Date.now() - 1000) };
+
+  const result = await loginProtectionService.recordFailure(req, newUser(), 'alice');
+
+  assert.strictEqual(result, null);
+  assert.strictEqual(stored.failedAttempts, 1);
+  assert.strictEqual(stored.lockedUntil, undefined);
+  assert.strictEqual(lockEmails, 0);
+});
+
+test('failures from one IP at the same time all count and block it once', async () => {
+  const blocks = mock.method(SecurityEvent, 'record', async () => {});
+
+  await Promise.all(Array.from({ length: 55 }, () => loginProtectionService.recordFailure(req, null, 'nobody')));
+
+  assert.strictEqual(throttle.failedAttempts, 55);
+  assert.ok(throttle.blockedUntil > new Date());
+  assert.strictEqual(blocks.mock.calls.filter(call => call.arguments[0] === 'ip_blocked').length, 1);
+});
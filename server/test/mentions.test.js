@@ -0,0 +1,99 @@
+const { test, mock, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const User = require('../models/User');
+const Task = require('../models/Task');
+const Board = require('../models/Board');
+const notificationService = require('../services/notificationService');
+const mentionService = require('../services/mentionService');
+const { id, query } = require('./helpers');
+
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+const newUser = (username) => new User({ username, email: `${username}@example.com`, password: 'secret123' });
+
+let alice;
+let bob;
+let carol;
+let outsider;
+let board;
+let task;
+let mentionsSent;
+let commentsSent;
+
+beforeEach(() => {
+  mock.restoreAll();
+  [alice, bob, carol, outsider] = ['alice', 'bob', 'carol', 'outsider'].map(newUser);
+  board = new Board({ title: 'Roadmap', owner: alice._id });
+  task = new Task({ title: 'Plan Q3', list: id(), board: board._id, createdBy: bob._id });
+  mentionsSent = [];
+  commentsSent = [];
+
+  const users = [alice, bob, carol, outsider];
+  mock.method(User, 'find', async ({ username, _id }) => users.filter(user => (
+    username ? username.$in.includes(user.username) : _id.$in.includes(user._id.toString())
+  )));
+  mock.method(Board, 'findById', async () => board);
+  mock.method(Board.prototype, 'getEffectiveRole', async (userId) => (userId.equals(outsider._id) ? null : 'member'));
+  mock.method(notificationService, 'sendMentionNotification', async (mentioned, ...rest) => {
+    mentionsSent.push({ to: mentioned.map(user => user.username), text: rest[4] });
+  });
+  mock.method(notificationService, 'sendTaskCommentNotification', async (followers) => {
+    commentsSent.push(followers.map(user => user.username));
+  });
+});
+
+test('getMentionedUsernames finds each @username once and leaves email addresses alone', () => {
+  const text = '@bob can you and @carol check with carol@example.com? Thanks @bob, (@dave) @x';
+
+  assert.deepStrictEqual(mentionService.getMentionedUsernames(text), ['bob', 'carol', 'dave']);
+  assert.deepStrictEqual(mentionService.getMentionedUsernames(null), []);
+});
+
+test('resolve tells board members from people who cannot see the board', async () => {
+  const { members, nonMembers } = await mentionService.resolve('@bob and @outsider, @nobody', board);
+
+  assert.deepStrictEqual(members.map(user => user.username), ['bob']);
+  assert.deepStrictEqual(nonMembers.map(user => user.username), ['outsider']);
+  assert.deepStrictEqual(Object.keys(mentionService.toInviteCandidates(nonMembers)[0]).sort(), ['_id', 'avatar', 'firstName', 'lastName', 'username']);
+});
+
+test('a comment notifies who it mentions once and the followers who can still see the board about it', async () => {
+  task.assignedTo = [carol._id, alice._id];
+  task.addComment(outsider._id, 'Is this still planned?');
+  task.addComment(alice._id, '@carol @alice have a look', task.comments[0]._id);
+  const comment = task.comments[1];
+
+  mentionService.notifyComment(task, board, alice, comment, [carol, alice]);
+  await tick();
+  await tick();
+
+  assert.deepStrictEqual(mentionsSent, [{ to: ['carol'], text: '@carol @alice have a look' }]);
+  assert.deepStrictEqual(commentsSent, [['bob']]);
+});
+
+test('an edited text only notifies the people it did not mention before', async () => {
+  mentionService.notifyNewMentions([bob._id], [bob, carol, alice], task, board, alice, 'description', '@bob @carol @alice');
+  mentionService.notifyNewMentions([bob._id, carol._id], [bob, carol], task, board, alice, 'description', '@bob @carol');
+  await tick();
+
+  assert.deepStrictEqual(mentionsSent, [{ to: ['carol'], text: '@bob @carol @alice' }]);
+});
+
+test('a description saved by two instances at once notifies the newly mentioned once', async () => {
+  task.description = 'Over to you @carol';
+  let stored = [bob._id];
+  mock.method(Task, 'findOneAndUpdate', (filter, update) => {
+    const previous = stored;
+    stored = update.$set.descriptionMentions;
+    return query({ descriptionMentions: previous });
+  });
+
+  await Promise.all([
+    mentionService.updateDescriptionMentions(task, alice),
+    mentionService.updateDescriptionMentions(task, alice)
+  ]);
+  await tick();
+
+  assert.deepStrictEqual(stored.map(String), [carol._id.toString()]);
+  assert.deepStrictEqual(mentionsSent, [{ to: ['carol'], text: 'Over to you @carol' }]);
+});
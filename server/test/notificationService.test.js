@@ -0,0 +1,32 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const notificationService = require('../services/notificationService');
+
+const user = { username: 'bob', firstName: '<b>Bob</b>' };
+const author = { username: 'alice', firstName: 'Alice <img src=x onerror=alert(1)>' };
+const task = { title: '<a href="https://evil.example">Click me</a>' };
+const board = { _id: 'board1', title: 'Q3 & "Plans"' };
+
+const assertEscaped = (html) => {
+  assert.ok(!html.includes('<a href="https://evil.example">'));
+  assert.ok(!html.includes('<img'));
+  assert.ok(!html.includes('<b>Bob</b>'));
+  assert.ok(html.includes('&lt;a href=&quot;https://evil.example&quot;&gt;Click me&lt;/a&gt;'));
+  assert.ok(html.includes('Q3 &amp; &quot;Plans&quot;'));
+  assert.ok(html.includes('Alice &lt;img src=x onerror=alert(1)&gt;'));
+  assert.ok(html.includes('Hi &lt;b&gt;Bob&lt;/b&gt;'));
+};
+
+test('comment emails escape names and titles as well as the comment', () => {
+  const html = notificationService.generateTaskCommentEmail(user, task, board, author, { text: '<script>x</script>' });
+
+  assertEscaped(html);
+  assert.ok(html.includes('&lt;script&gt;x&lt;/script&gt;'));
+});
+
+test('mention emails escape names and titles as well as the quoted text', () => {
+  const html = notificationService.generateMentionEmail(user, task, board, author, 'a comment on', '@bob <i>look</i>');
+
+  assertEscaped(html);
+  assert.ok(html.includes('@bob &lt;i&gt;look&lt;/i&gt;'));
+});
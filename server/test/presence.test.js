@@ -0,0 +1,73 @@
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { ClusterAdapter } = require('socket.io-adapter');
+const presence = require('../sockets/presence');
+const { id } = require('./helpers');
+
+const PresenceTracker = presence.constructor;
+
+let instances = [];
+
+afterEach(() => {
+  instances.forEach(({ tracker }) => clearInterval(tracker.sweepTimer));
+  instances = [];
+});
+
+// A server instance of a cluster, with what the sockets connected to it received. Broadcasts
+// reach the sockets of every running instance, local ones only those of this instance.
+const startInstance = () => {
+  const received = [];
+  const handlers = {};
+  const io = {
+    of: () => ({ adapter: Object.assign(Object.create(ClusterAdapter.prototype), { on: () => {} }) }),
+    on: (event, handler) => {
+      handlers[event] = handler;
+    },
+    serverSideEmit: (event, message) => {
+      instances.filter(other => other.io !== io && other.handlers[event]).forEach(other => other.handlers[event](message));
+    },
+    to: () => ({ emit: (name, data) => instances.forEach(instance => instance.received.push([name, data])) }),
+    local: { to: () => ({ emit: (name, data) => received.push([name, data]) }) }
+  };
+  const instance = { io, handlers, received, tracker: new PresenceTracker() };
+  instances.push(instance);
+  instance.tracker.setSocketServer(io);
+  return instance;
+};
+
+const stopInstance = (instance) => {
+  clearInterval(instance.tracker.sweepTimer);
+  instances = instances.filter(other => other !== instance);
+};
+
+test('sockets hear once about a user whose instance stopped sharing them', () => {
+  const boardId = id().toString();
+  const user = { _id: id().toString(), username: 'alice' };
+  const [first, second, third] = [startInstance(), startInstance(), startInstance()];
+  third.tracker.join({ id: 'socket', data: { user }, emit: () => {} }, boardId);
+  stopInstance(third);
+  first.received.length = 0;
+  second.received.length = 0;
+
+  const later = Date.now() + first.tracker.timeoutMs + 1;
+  first.tracker.sweep(later);
+  second.tracker.sweep(later);
+
+  for (const { tracker, received } of [first, second]) {
+    assert.deepStrictEqual(received, [['presence:leave', { boardId, userId: user._id }]]);
+    assert.deepStrictEqual(tracker.getRoster(boardId), []);
+  }
+});
+
+test('changes on an instance reach the sockets of every instance once', () => {
+  const boardId = id().toString();
+  const user = { _id: id().toString(), username: 'alice' };
+  const [first, second] = [startInstance(), startInstance()];
+
+  first.tracker.join({ id: 'socket', data: { user }, emit: () => {} }, boardId);
+
+  for (const { tracker, received } of [first, second]) {
+    assert.deepStrictEqual(received.map(([name, data]) => [name, data.user.username, data.status]), [['presence:update', 'alice', 'active']]);
+    assert.deepStrictEqual(tracker.getRoster(boardId).map(summary => summary.user.username), ['alice']);
+  }
+});
@@ -0,0 +1,116 @@
+const { test, mock, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const authRoutes = require('../routes/auth');
+const { verifyToken } = require('../middleware/auth');
+const { query, createApp, request } = require('./helpers');
+
+const app = createApp('/api/auth', authRoutes);
+
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+let user;
+let sessions;
+
+// Sessions as stored, looked up by the hash of their current or previous refresh token. Each
+// write is applied whole, but the awaits in between let other requests run.
+beforeEach(() => {
+  mock.restoreAll();
+  user = new User({ username: 'alice', email: 'alice@example.com', password: 'secret123' });
+  sessions = [];
+
+  mock.method(Session.prototype, 'save', async function() {
+    if (!sessions.includes(this)) sessions.push(this);
+    return this;
+  });
+  mock.method(Session, 'findOne', async (filter) => {
+    await tick();
+    const [field, hash] = Object.entries(filter)[0];
+    return sessions.find(session => session[field] === hash) || null;
+  });
+  mock.method(Session, 'findOneAndUpdate', async (filter, update) => {
+    await tick();
+    const session = sessions.find(stored => (
+      stored.refreshTokenHash === filter.refreshTokenHash && stored.isActive
+    ));
+    return session ? session.set(update.$set) : null;
+  });
+  mock.method(Session, 'findById', async (sessionId) => (
+    sessions.find(session => session._id.equals(sessionId)) || null
+  ));
+  mock.method(User, 'findById', () => query(user));
+});
+
+const refresh = (refreshToken) => request(app, 'POST', '/api/auth/refresh', { body: { refreshToken } });
+
+test('POST /api/auth/refresh hands out a new refresh token for the same session each time', async () => {
+  const { session, refreshToken } = await Session.createForUser(user._id);
+
+  const first = await refresh(refreshToken);
+  const second = await refresh(first.body.refreshToken);
+
+  assert.deepStrictEqual([first.status, second.status], [200, 200]);
+  assert.notStrictEqual(first.body.refreshToken, refreshToken);
+  assert.notStrictEqual(second.body.refreshToken, first.body.refreshToken);
+  assert.strictEqual(verifyToken(second.body.token).sessionId, session._id.toString());
+  assert.strictEqual(session.isActive, true);
+});
+
+test('two refreshes with the same token at once keep the session and rotate the token once', async () => {
+  const { session, refreshToken } = await Session.createForUser(user._id);
+
+  const responses = await Promise.all([refresh(refreshToken), refresh(refreshToken)]);
+  const rotated = responses.filter(response => response.body.refreshToken);
+
+  assert.deepStrictEqual(responses.map(response => response.status), [200, 200]);
+  assert.ok(responses.every(response => verifyToken(response.body.token).sessionId === session._id.toString()));
+  assert.strictEqual(rotated.length, 1);
+  assert.strictEqual(session.isActive, true);
+  assert.strictEqual((await refresh(rotated[0].body.refreshToken)).status, 200);
+});
+
+test('a refresh token used again right after it was rotated only gets an access token', async () => {
+  const { session, refreshToken } = await Session.createForUser(user._id);
+  await refresh(refreshToken);
+
+  const raced = await refresh(refreshToken);
+
+  assert.strictEqual(raced.status, 200);
+  assert.strictEqual(raced.body.refreshToken, undefined);
+  assert.strictEqual(session.isActive, true);
+});
+
+test('a refresh token used again after it was rotated ends the session', async () => {
+  const { session, refreshToken } = await Session.createForUser(user._id);
+  const rotated = await refresh(refreshToken);
+  session.rotatedAt = new Date(Date.now() - 60 * 1000);
+
+  const replayed = await refresh(refreshToken);
+  const legitimate = await refresh(rotated.body.refreshToken);
+
+  assert.strictEqual(replayed.status, 401);
+  assert.strictEqual(legitimate.status, 401);
+  assert.strictEqual(legitimate.body.message, 'Session has expired or been revoked');
+  assert.ok(session.revokedAt);
+});
+
+test('a logged out session cannot be refreshed and its access token stops working', async () => {
+  const { refreshToken } = await Session.createForUser(user._id);
+  const { body } = await refresh(refreshToken);
+
+  const logout = await request(app, 'POST', '/api/auth/logout', { token: body.token });
+  const afterLogout = await refresh(body.refreshToken);
+  const sessionsList = await request(app, 'GET', '/api/auth/sessions', { token: body.token });
+
+  assert.strictEqual(logout.status, 200);
+  assert.strictEqual(afterLogout.status, 401);
+  assert.strictEqual(sessionsList.status, 401);
+});
+
+test('POST /api/auth/refresh refuses unknown refresh tokens', async () => {
+  const response = await refresh('not-a-token');
+
+  assert.strictEqual(response.status, 401);
+  assert.strictEqual(response.body.message, 'Refresh token is not valid');
+});
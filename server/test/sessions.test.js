@@ -0,0 +1,123 @@
+const { test, mock, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const jwt = require('jsonwebtoken');
+const { Server } = require('socket.io');
+const { io: connect } = require('socket.io-client');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const authRoutes = require('../routes/auth');
+const { registerSocketHandlers } = require('../sockets');
+const { generateToken } = require('../middleware/auth');
+const { query, createApp, request } = require('./helpers');
+
+let server;
+let io;
+let url;
+let user;
+let sessions;
+const clients = [];
+
+const newSession = () => {
+  const session = new Session({ user: user._id, refreshTokenHash: 'hash', expiresAt: new Date(Date.now() + 60 * 60 * 1000) });
+  sessions.set(session._id.toString(), session);
+  return session;
+};
+
+// A connected socket, and a promise that resolves when the server closes it
+const connectSocket = (token) => new Promise((resolve, reject) => {
+  const client = connect(url, { auth: { token }, transports: ['websocket'], reconnection: false });
+  clients.push(client);
+  const closed = new Promise(resolveClosed => client.on('disconnect', reason => resolveClosed(reason)));
+  client.on('connect', () => resolve({ client, closed }));
+  client.on('connect_error', reject);
+});
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+before(async () => {
+  server = http.createServer();
+  io = new Server(server);
+  registerSocketHandlers(io);
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  url = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  clients.forEach(client => client.close());
+  io.close();
+});
+
+beforeEach(() => {
+  mock.restoreAll();
+  user = new User({ username: 'alice', email: 'alice@example.com', password: 'secret123' });
+  sessions = new Map();
+
+  mock.method(Session, 'findById', async (sessionId) => sessions.get(sessionId.toString()) || null);
+  mock.method(Session.prototype, 'save', async function() { return this; });
+  mock.method(Session, 'revokeAllForUser', async (userId, exceptSessionId) => {
+    let modifiedCount = 0;
+    sessions.forEach(session => {
+      if (!session.revokedAt && (!exceptSessionId || !session._id.equals(exceptSessionId))) {
+        session.revoke();
+        modifiedCount += 1;
+      }
+    });
+    return { modifiedCount };
+  });
+  mock.method(User, 'findById', () => query(user));
+});
+
+test('logging out closes the sockets of that session only', async () => {
+  const current = newSession();
+  const other = newSession();
+  const mine = await connectSocket(generateToken(user._id, current._id));
+  const theirs = await connectSocket(generateToken(user._id, other._id));
+
+  const app = createApp('/api/auth', authRoutes, io);
+  const response = await request(app, 'POST', '/api/auth/logout', { token: generateToken(user._id, current._id) });
+
+  assert.strictEqual(response.status, 200);
+  assert.strictEqual(await mine.closed, 'io server disconnect');
+  await wait(100);
+  assert.strictEqual(theirs.client.connected, true);
+});
+
+test('revoking the other sessions closes their sockets and keeps ours', async () => {
+  const current = newSession();
+  const other = newSession();
+  const mine = await connectSocket(generateToken(user._id, current._id));
+  const theirs = await connectSocket(generateToken(user._id, other._id));
+
+  const app = createApp('/api/auth', authRoutes, io);
+  const response = await request(app, 'DELETE', '/api/auth/sessions?keepCurrent=true', {
+    token: generateToken(user._id, current._id)
+  });
+
+  assert.strictEqual(response.status, 200);
+  assert.strictEqual(await theirs.closed, 'io server disconnect');
+  await wait(100);
+  assert.strictEqual(mine.client.connected, true);
+});
+
+test('a socket is closed when its access token expires after the session was revoked elsewhere', async () => {
+  const session = newSession();
+  const token = jwt.sign({ userId: user._id, sessionId: session._id }, process.env.JWT_SECRET, { expiresIn: 2 });
+  const { client, closed } = await connectSocket(token);
+
+  // Revoked without going through the API, e.g. by another server instance
+  session.revoke();
+
+  assert.strictEqual(await closed, 'io server disconnect');
+  assert.strictEqual(client.connected, false);
+});
+
+test('a socket of an active session stays connected when its access token expires', async () => {
+  const session = newSession();
+  const token = jwt.sign({ userId: user._id, sessionId: session._id }, process.env.JWT_SECRET, { expiresIn: 2 });
+  const { client } = await connectSocket(token);
+
+  await wait(2500);
+
+  assert.strictEqual(client.connected, true);
+});
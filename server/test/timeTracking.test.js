@@ -0,0 +1,187 @@
+const { test, mock, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const Task = require('../models/Task');
+const Board = require('../models/Board');
+const RunningTimer = require('../models/RunningTimer');
+const taskRoutes = require('../routes/tasks');
+const timeTrackingService = require('../services/timeTrackingService');
+const { id, query, signIn, createApp, request } = require('./helpers');
+
+const app = createApp('/api/tasks', taskRoutes);
+
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+let user;
+let token;
+let board;
+let tasks;
+let claims;
+
+// Stored tasks and running timer claims, changed the way MongoDB would change them: each write
+// is applied whole and the unique index on the claim's user holds, but the awaits in between
+// let other requests run
+beforeEach(() => {
+  mock.restoreAll();
+  ({ user, token } = signIn());
+  board = new Board({ title: 'Roadmap', owner: user._id });
+  tasks = new Map();
+  claims = [];
+
+  mock.method(Board, 'findById', async () => board);
+  mock.method(Board, 'findByIdAndUpdate', () => query(null));
+  mock.method(Board.prototype, 'getEffectiveRole', async () => 'member');
+
+  mock.method(Task, 'findById', (taskId) => query((async () => {
+    await tick();
+    const stored = tasks.get(taskId.toString());
+    return stored ? Task.hydrate(stored.toObject()) : null;
+  })()));
+  mock.method(Task, 'findRunningTimer', (userId) => query((async () => {
+    await tick();
+    const running = [...tasks.values()].find(task => task.getActiveTimeEntry(userId));
+    return running ? Object.assign(Task.hydrate(running.toObject()), { board }) : null;
+  })()));
+  mock.method(Task.prototype, 'save', async function() {
+    await tick();
+    tasks.set(this._id.toString(), this);
+    return this;
+  });
+  mock.method(Task.prototype, 'populate', async function() { return this; });
+
+  mock.method(RunningTimer, 'create', async (fields) => {
+    await tick();
+    if (claims.some(claim => claim.user.equals(fields.user))) {
+      throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+    }
+    const claim = new RunningTimer(fields);
+    claims.push(claim);
+    return claim;
+  });
+  mock.method(RunningTimer, 'findOne', async (filter) => {
+    await tick();
+    return claims.find(claim => claim.user.equals(filter.user) && (!filter.entry || claim.entry.equals(filter.entry))) || null;
+  });
+  mock.method(RunningTimer, 'findOneAndUpdate', async (filter, update) => {
+    await tick();
+    const claim = claims.find(existing => existing._id.equals(filter._id) && existing.entry.equals(filter.entry));
+    return claim ? Object.assign(claim, update.$set) : null;
+  });
+  mock.method(RunningTimer, 'deleteOne', async (filter) => {
+    await tick();
+    claims = claims.filter(claim => !(claim.user.equals(filter.user) && claim.entry.equals(filter.entry)));
+  });
+});
+
+const addTask = (title) => {
+  const task = new Task({ title, list: id(), board: board._id, createdBy: user._id });
+  tasks.set(task._id.toString(), task);
+  return task;
+};
+
+const runningEntries = () => [...tasks.values()].filter(task => task.getActiveTimeEntry(user._id));
+
+test('timers started on two tasks at the same time leave one running', async () => {
+  const first = addTask('Write the plan');
+  const second = addTask('Review the plan');
+
+  const responses = await Promise.all([first, second].map(task => (
+    request(app, 'POST', `/api/tasks/${task._id}/time-entries/start`, { token })
+  )));
+
+  assert.deepStrictEqual(responses.map(response => response.status).sort(), [201, 409]);
+  assert.strictEqual(runningEntries().length, 1);
+  assert.strictEqual(claims.length, 1);
+});
+
+test('a timer can start again once the one running was stopped', async () => {
+  const task = addTask('Write the plan');
+
+  const started = await request(app, 'POST', `/api/tasks/${task._id}/time-entries/start`, { token });
+  const stopped = await request(app, 'POST', `/api/tasks/${task._id}/time-entries/stop`, { token });
+  const restarted = await request(app, 'POST', `/api/tasks/${task._id}/time-entries/start`, { token });
+
+  assert.deepStrictEqual([started.status, stopped.status, restarted.status], [201, 200, 201]);
+  assert.strictEqual(runningEntries().length, 1);
+  assert.strictEqual(claims.length, 1);
+});
+
+test('the claim of a timer whose task was deleted is taken over', async () => {
+  const deleted = addTask('Old task');
+  await request(app, 'POST', `/api/tasks/${deleted._id}/time-entries/start`, { token });
+  tasks.delete(deleted._id.toString());
+  const task = addTask('New task');
+
+  const response = await request(app, 'POST', `/api/tasks/${task._id}/time-entries/start`, { token });
+
+  assert.strictEqual(response.status, 201);
+  assert.ok(claims[0].task.equals(task._id));
+});
+
+test('a timer whose claim cannot be released is answered with one error', async () => {
+  const task = addTask('Write the plan');
+  await request(app, 'POST', `/api/tasks/${task._id}/time-entries/start`, { token });
+  mock.method(RunningTimer, 'deleteOne', async () => {
+    throw new Error('connection lost');
+  });
+  mock.method(console, 'error', () => {});
+  const unhandled = [];
+  const onUnhandled = (reason) => unhandled.push(reason);
+  process.on('unhandledRejection', onUnhandled);
+
+  try {
+    const response = await request(app, 'POST', `/api/tasks/${task._id}/time-entries/stop`, { token });
+    await tick();
+
+    assert.strictEqual(response.status, 500);
+    assert.strictEqual(response.body.message, 'Server error stopping timer');
+    assert.deepStrictEqual(unhandled, []);
+  } finally {
+    process.off('unhandledRejection', onUnhandled);
+  }
+});
+
+test('a stop whose save failed releases the claim only if the timer stopped all the same', async () => {
+  const task = addTask('Write the plan');
+  await request(app, 'POST', `/api/tasks/${task._id}/time-entries/start`, { token });
+  mock.method(console, 'error', () => {});
+  const failSave = (applied) => mock.method(Task.prototype, 'save', async function() {
+    await tick();
+    if (applied) tasks.set(this._id.toString(), this);
+    throw new Error('connection lost');
+  });
+
+  const lost = failSave(false);
+  const notStopped = await request(app, 'POST', `/api/tasks/${task._id}/time-entries/stop`, { token });
+  assert.strictEqual(claims.length, 1);
+  lost.mock.restore();
+
+  failSave(true);
+  const stopped = await request(app, 'POST', `/api/tasks/${task._id}/time-entries/stop`, { token });
+
+  assert.deepStrictEqual([notStopped.status, stopped.status], [500, 500]);
+  assert.strictEqual(runningEntries().length, 0);
+  assert.strictEqual(claims.length, 0);
+});
+
+test('timesheet CSV exports keep text that looks like a formula as text', () => {
+  const csv = timeTrackingService.toCSV({
+    totalMinutes: 30,
+    days: [{
+      date: '2026-10-12',
+      boards: [{
+        title: '@SUM(A1:A9)',
+        tasks: [{
+          title: '=HYPERLINK("https://evil.example","Click")',
+          entries: [
+            { startTime: null, endTime: null, duration: 20, description: '+1+1' },
+            { startTime: null, endTime: null, duration: 10, description: '-2, then more' }
+          ]
+        }]
+      }]
+    }]
+  });
+
+  const [first, second] = csv.split('\n').slice(1, 3);
+  assert.strictEqual(first, `2026-10-12,'@SUM(A1:A9),"'=HYPERLINK(""https://evil.example"",""Click"")",,,20,'+1+1`);
+  assert.strictEqual(second, `2026-10-12,'@SUM(A1:A9),"'=HYPERLINK(""https://evil.example"",""Click"")",,,10,"'-2, then more"`);
+});
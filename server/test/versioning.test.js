@@ -0,0 +1,100 @@
+const { test, mock, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const Task = require('../models/Task');
+const Board = require('../models/Board');
+const taskRoutes = require('../routes/tasks');
+const { id, query, signIn, createApp, request } = require('./helpers');
+
+const app = createApp('/api/tasks', taskRoutes);
+
+let token;
+let stored;
+let updates;
+
+// The task as stored. Each load gets its own copy, and a save only goes through when the
+// filter it was made with still matches.
+const load = () => {
+  const task = Task.hydrate(JSON.parse(JSON.stringify(stored)));
+  task.dueDate = stored.dueDate;
+  return task;
+};
+
+beforeEach(() => {
+  mock.restoreAll();
+  const signedIn = signIn();
+  token = signedIn.token;
+  const board = new Board({ title: 'Roadmap', owner: signedIn.user._id });
+  stored = new Task({ title: 'Plan Q3', priority: 'low', dueDate: new Date('2026-09-30'), list: id(), board: board._id, createdBy: signedIn.user._id }).toObject();
+  stored.version = 3;
+  updates = [];
+
+  mock.method(Board, 'findById', async () => board);
+  mock.method(Board, 'findByIdAndUpdate', () => query(null));
+  mock.method(Board.prototype, 'getEffectiveRole', async () => 'member');
+  mock.method(Board.prototype, 'save', async function() { return this; });
+  mock.method(Task, 'findById', () => query(load()));
+  mock.method(Task.prototype, 'populate', async function() { return this; });
+  mock.method(Task.collection, 'updateOne', async (filter, update) => {
+    updates.push(update);
+    if (filter.version !== undefined && filter.version !== stored.version) {
+      return { matchedCount: 0, modifiedCount: 0 };
+    }
+    Object.assign(stored, update.$set);
+    stored.version += (update.$inc && update.$inc.version) || 0;
+    return { matchedCount: 1, modifiedCount: 1 };
+  });
+});
+
+const updateTask = (body, headers) => request(app, 'PUT', `/api/tasks/${stored._id}`, { token, body, headers });
+
+test('getVersionConflicts lists the changed fields that differ from the current version', () => {
+  const task = load();
+
+  assert.deepStrictEqual(task.getVersionConflicts(3, { title: 'Plan Q4' }), []);
+  assert.deepStrictEqual(task.getVersionConflicts(null, { title: 'Plan Q4' }), []);
+  assert.deepStrictEqual(task.getVersionConflicts(2, { title: 'Plan Q3', dueDate: '2026-09-30T00:00:00.000Z' }), []);
+  assert.deepStrictEqual(
+    task.getVersionConflicts(2, { title: 'Plan Q4', priority: 'low', position: 4 }),
+    [{ field: 'title', yours: 'Plan Q4', current: 'Plan Q3' }]
+  );
+});
+
+test('PUT /api/tasks/:id refuses changes made to an older version and sends what differs', async () => {
+  const response = await updateTask({ title: 'Plan Q4', priority: 'high', version: 2 });
+
+  assert.strictEqual(response.status, 409);
+  assert.strictEqual(response.body.message, 'This task was changed by someone else');
+  assert.deepStrictEqual(response.body.diff, [
+    { field: 'title', yours: 'Plan Q4', current: 'Plan Q3' },
+    { field: 'priority', yours: 'high', current: 'low' }
+  ]);
+  assert.strictEqual(response.body.task.version, 3);
+  assert.strictEqual(updates.length, 0);
+});
+
+test('PUT /api/tasks/:id takes the version from If-Match and lets through what agrees with the current one', async () => {
+  const stale = await updateTask({ title: 'Plan Q4' }, { 'If-Match': 'W/"2"' });
+  const agreeing = await updateTask({ title: 'Plan Q3', priority: 'low' }, { 'If-Match': 'W/"2"' });
+  const current = await updateTask({ title: 'Plan Q4' }, { 'If-Match': '"3"' });
+
+  assert.deepStrictEqual([stale.status, agreeing.status, current.status], [409, 200, 200]);
+  assert.strictEqual(stored.title, 'Plan Q4');
+  assert.strictEqual(stored.version, 4);
+});
+
+test('PUT /api/tasks/:id loses a race against a save that changed the task after it was loaded', async () => {
+  // Someone else saves right after this request loaded the task
+  mock.method(Task, 'findById', () => {
+    const task = load();
+    const other = load();
+    other.title = 'Plan H2';
+    return query(other.save().then(() => task));
+  });
+
+  const response = await updateTask({ title: 'Plan Q4', version: 3 });
+
+  assert.strictEqual(response.status, 409);
+  assert.strictEqual(response.body.message, 'This task was changed by someone else, please try again');
+  assert.strictEqual(stored.title, 'Plan H2');
+  assert.strictEqual(stored.version, 4);
+});